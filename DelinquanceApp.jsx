@@ -1,10 +1,25 @@
-import { useState, useCallback, useMemo, useRef } from "react";
+import { useState, useCallback, useMemo, useRef, useEffect } from "react";
 import {
-  LineChart, Line, BarChart, Bar, RadarChart, Radar,
+  LineChart, Line, BarChart, Bar, RadarChart, Radar, ComposedChart, Area,
   PolarGrid, PolarAngleAxis, PolarRadiusAxis,
-  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
 } from "recharts";
-import { parsePdfInBrowser } from "./pdfClientParser.js";
+import { parsePdfInBrowser, expandDroppedFiles } from "./pdfClientParser.js";
+import { MOIS_LABELS } from "./shared/pdfParser.js";
+import { CATEGORIES, INDICATEURS, formatIndex } from "./shared/indicateurs.js";
+import { exporterDonnees } from "./shared/exportDonnees.js";
+import { statutChamp, champsAVerifier, erreursSaisie, appliquerCorrections, sommeIndicateur } from "./shared/controleExtraction.js";
+import { classeurRapport, classeurComparaison } from "./shared/classeurExcel.js";
+import { genererPdf, entierFr } from "./shared/documentPdf.js";
+import { detecterAnomalies } from "./shared/anomalies.js";
+import { previsionsCommune } from "./shared/previsions.js";
+import { INDICATEURS_AGREGES, agregatsCommune, serieGlissante12 } from "./shared/agregats.js";
+import { SEUILS_DEFAUT, TYPES_SEUILS, INDICATEURS_REGLES, niveauSeuil, niveauRapport, niveauFaits, reglesCommune, normaliserPersonnalisation, modifierSeuil } from "./shared/reglesAlerte.js";
+import { comparerMois, axeChronologique, moisManquants, superpositionAnnuelle, libelleCourt } from "./shared/seriesMensuelles.js";
+import { isTableurName, proposerCorrespondance, convertirTableau, CHAMPS_TABLEUR } from "./shared/tableurImport.js";
+import { lireTableurNavigateur } from "./tableurClient.js";
+import { loadMonths, saveMonth, deleteMonth, clearMonths, getMonthPdf, newEntryId } from "./dataStore.js";
+import { fetchServerMonths, importServerBatch, updateServerMonth, deleteServerMonth, reparseServerMonth, login, logout, currentUser } from "./apiClient.js";
 
 // ─────────────────────────────────────────────────────────────
 // DESIGN SYSTEM — Inspiré des standards data / criminologie
@@ -48,47 +63,64 @@ const THEME = {
 // ─────────────────────────────────────────────────────────────
 // HELPERS
 // ─────────────────────────────────────────────────────────────
-const variationColor = (pct) => {
-  if (pct === null || pct === undefined) return THEME.colors.textMuted;
-  if (pct <= 0) return THEME.colors.success;
-  if (pct <= 50) return THEME.colors.warning;
-  return THEME.colors.danger;
+// Couleurs des niveaux des règles d'alerte (shared/reglesAlerte.js) ; seuils par défaut si non précisés
+const variationColor = (pct, seuils = SEUILS_DEFAUT.variation) =>
+  ({ normal: THEME.colors.success, vigilance: THEME.colors.warning, alerte: THEME.colors.danger })[niveauSeuil(seuils, pct)] ?? THEME.colors.textMuted;
+const variationBg = (pct, seuils = SEUILS_DEFAUT.variation) =>
+  ({ normal: THEME.colors.successBg, vigilance: THEME.colors.warningBg, alerte: THEME.colors.dangerBg })[niveauSeuil(seuils, pct)] ?? "transparent";
+const FONDS_NIVEAU = { normal: "#FFFDE7", vigilance: "#FFF3E0", alerte: "#FFEBEE" };
+// Fond d'une valeur selon un niveau déjà calculé (niveauFaits : volume et taux)
+const fondNiveau = (val, niveau) => val == null || val === 0 ? "transparent" : FONDS_NIVEAU[niveau] ?? FONDS_NIVEAU.normal;
+const cellBg = (val, seuils = SEUILS_DEFAUT.volume) => fondNiveau(val, niveauSeuil(seuils, val));
+const alertEmoji = (pct, seuils = SEUILS_DEFAUT.variation) =>
+  ({ normal: "🟢", vigilance: "🟡", alerte: "🔴" })[niveauRapport(seuils, pct)] ?? "—";
+// Agrégats (shared/agregats.js) : mois manquants de la période et de sa comparaison ("" si complet)
+const mentionManquants = (a) => {
+  const m = a ? [...a.manquants, ...a.precedent.manquants] : [];
+  return m.length ? `${m.length} mois manquant${m.length > 1 ? "s" : ""} (${m.slice(0, 4).map(x => libelleCourt(x.mois, x.annee, true)).join(", ")}${m.length > 4 ? "…" : ""})` : "";
 };
-const variationBg = (pct) => {
-  if (pct === null || pct === undefined) return "transparent";
-  if (pct <= 0) return THEME.colors.successBg;
-  if (pct <= 50) return THEME.colors.warningBg;
-  return THEME.colors.dangerBg;
-};
-const cellBg = (val) => {
-  if (val === null || val === 0) return "transparent";
-  if (val <= 4) return "#FFFDE7";
-  if (val <= 9) return "#FFF3E0";
-  return "#FFEBEE";
-};
-const alertEmoji = (pct) => {
-  if (pct === null) return "—";
-  if (pct > 50) return "🔴";
-  if (pct >= 0) return "🟡";
-  return "🟢";
+// Téléchargement d'un fichier généré dans le navigateur
+const telecharger = (blob, nomFichier) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = nomFichier;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
 };
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
 const fmt = (v, dec=1) => v !== null && v !== undefined ? Number(v).toFixed(dec) : "—";
-const sum = (arr, key) => arr.reduce((s,x) => s + (x?.indicateurs?.[key]?.valN ?? 0), 0);
-const avg = (arr, key) => arr.length ? sum(arr,key)/arr.length : 0;
-
-const CAT_COLORS = {
-  "Général":       "#0369A1",
-  "Personnes":     "#B91C1C",
-  "Vols":          "#D97706",
-  "Cambriolages":  "#7C3AED",
-  "Automobile":    "#B45309",
-  "Autres":        "#0D9488",
+
+// Espace de travail multi-communes : fichiers valides regroupés par communeKey
+const groupByCommune = (files) => {
+  const groups = new Map();
+  files.filter(f => !f.erreur).forEach(f => {
+    if (!groups.has(f.communeKey)) groups.set(f.communeKey, { communeKey: f.communeKey, commune: f.commune, files: [] });
+    groups.get(f.communeKey).files.push(f);
+  });
+  return [...groups.values()].sort((a,b) => a.commune.localeCompare(b.commune, "fr"));
 };
 
+// Mois comportant des valeurs corrigées à la main, pour les mentions de source des rapports
+const moisCorriges = (files) => files.filter(f => f.donneesSource === "corrigée").map(f => `${f.moisLabel} ${f.annee}`);
+
+// Exports PDF (shared/documentPdf.js) : cellules colorées comme à l'écran, annexe des fichiers sources
+const fondPdf = (val, seuils) => { const c = cellBg(val, seuils); return c === "transparent" ? undefined : c; };
+const pctPdf = (p, seuils) => ({ texte: p != null ? `${p > 0 ? "+" : ""}${p}%` : "—", couleur: variationColor(p, seuils), gras: true });
+const ORIGINE_DONNEES = { "exacte": "Extraites du PDF", "corrigée": "Corrigées manuellement", "historique": "Tableur (série historique)" };
+const sourcesPdf = (files) => ({
+  colonnes: [{ titre: "Fichier source", largeur: 3 }, { titre: "Mois", largeur: 1.2 }, { titre: "Données", largeur: 1.6 }],
+  lignes: files.map(f => [f.fichierSource ?? "—", `${f.moisLabel} ${f.annee}`, ORIGINE_DONNEES[f.donneesSource] ?? "—"]),
+});
+
+const CAT_COLORS = Object.fromEntries(CATEGORIES.map(c => [c.cat, c.color]));
+
 // ─────────────────────────────────────────────────────────────
 // COMPOSANTS UI
 // ─────────────────────────────────────────────────────────────
-function KpiCard({ label, value, sub, color = THEME.colors.accent, pct = null }) {
+function KpiCard({ label, value, sub, color = THEME.colors.accent, pct = null, seuils }) {
   return (
     <div style={{
       background: THEME.colors.surface, borderRadius: THEME.radius.lg, border: `1px solid ${THEME.colors.border}`,
@@ -99,7 +131,7 @@ function KpiCard({ label, value, sub, color = THEME.colors.accent, pct = null })
       <div style={{ fontSize: 28, fontWeight: 800, color, lineHeight: 1.1, letterSpacing: "-.02em" }}>{value}</div>
       {sub && <div style={{ fontSize: 13, color: THEME.colors.textMuted, marginTop: 8 }}>{sub}</div>}
       {pct !== null && (
-        <div style={{ display: "inline-flex", alignItems: "center", gap: 4, marginTop: 10, padding: "4px 10px", borderRadius: 20, background: variationBg(pct), fontSize: 12, fontWeight: 700, color: variationColor(pct) }}>
+        <div style={{ display: "inline-flex", alignItems: "center", gap: 4, marginTop: 10, padding: "4px 10px", borderRadius: 20, background: variationBg(pct, seuils), fontSize: 12, fontWeight: 700, color: variationColor(pct, seuils) }}>
           {pct > 0 ? "▲" : pct < 0 ? "▼" : "="} {pct > 0 ? "+" : ""}{pct}%
         </div>
       )}
@@ -115,11 +147,286 @@ function SectionHeader({ children }) {
   );
 }
 
-function SourceFooter({ commune, moisLabel, annee, fichierSource }) {
+function SourceFooter({ commune, moisLabel, annee, fichierSource, corriges = [] }) {
   return (
     <div style={{ marginTop: 16, padding: "12px 14px", background: THEME.colors.surfaceAlt, borderRadius: THEME.radius.md, fontSize: 11, color: THEME.colors.textMuted, fontFamily: THEME.font }}>
       <strong>Source :</strong> Observatoire de la Délinquance — {commune} — {moisLabel} {annee}<br/>
       <strong>Fichier :</strong> {fichierSource}
+      {corriges.length > 0 && <><br/><strong>Données corrigées manuellement :</strong> {corriges.join(", ")}</>}
+    </div>
+  );
+}
+
+// Agrégats par indicateur (12 mois glissants, depuis janvier, trimestre) : faits constatés et indicateurs non nuls
+const lignesAgregats = (agregats) => INDICATEURS_AGREGES.filter(({ key }) => agregats[key] && (key === "general_faits" ||
+  ["glissant12", "cumulAnnuel", "trimestre"].some(t => agregats[key][t].valeur > 0 || agregats[key][t].precedent.valeur > 0)));
+const TYPES_AGREGATS = [["glissant12", "12 mois glissants"], ["cumulAnnuel", "Depuis janvier"], ["trimestre", "Trimestre"]];
+
+function TableauAgregats({ agregats, regles }) {
+  const ref = agregats.general_faits;
+  if (!ref) return null;
+  const th = { padding: "8px 10px", color: THEME.colors.textMuted, fontWeight: 700, fontSize: 11, borderBottom: `2px solid ${THEME.colors.border}`, textAlign: "right" };
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: THEME.font }}>
+        <thead>
+          <tr style={{ background: THEME.colors.surfaceAlt }}>
+            <th style={{ ...th, textAlign: "left" }}>Indicateur</th>
+            {TYPES_AGREGATS.map(([t, label]) => <th key={t} style={th} colSpan={3}>{label}<div style={{ fontWeight: 400, textTransform: "none" }}>{ref[t].libelle} / {ref[t].precedent.libelle}</div></th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {lignesAgregats(agregats).map(({ key, label }) => (
+            <tr key={key} style={{ borderBottom: `1px solid ${THEME.colors.borderLight}` }}>
+              <td style={{ padding: "8px 10px", color: THEME.colors.textSecondary, fontWeight: key === "general_faits" ? 700 : 400 }}>{label}</td>
+              {TYPES_AGREGATS.map(([t]) => {
+                const a = agregats[key][t];
+                return [
+                  <td key={`${t}-n`} style={{ padding: "8px 10px", textAlign: "right", fontWeight: 600, color: a.complet ? THEME.colors.text : THEME.colors.warning }} title={mentionManquants(a) || undefined}>{a.valeur ?? "—"}{a.complet ? "" : "*"}</td>,
+                  <td key={`${t}-p`} style={{ padding: "8px 10px", textAlign: "right", color: THEME.colors.textMuted }}>{a.precedent.valeur ?? "—"}</td>,
+                  <td key={`${t}-v`} style={{ padding: "8px 10px", textAlign: "right", fontWeight: 600, color: variationColor(a.variationPct, regles[key]?.variation) }}>{a.variationPct != null ? `${a.variationPct > 0 ? "+" : ""}${a.variationPct}%` : "—"}</td>,
+                ];
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ marginTop: 8, fontSize: 11, color: THEME.colors.textMuted }}>
+        Pour chaque agrégat : période, période de comparaison, variation. Mois manquants : valeur N-1 du rapport de l'année suivante à défaut ; sinon * période incomplète, somme des seuls mois disponibles et pas de variation.
+        {ref.cumulAnnuel.source === "rapport" && " Cumul depuis janvier lu dans le rapport du dernier mois (mois manquants)."}
+        {mentionManquants(ref.glissant12) && ` 12 mois glissants : ${mentionManquants(ref.glissant12)}.`}
+      </div>
+    </div>
+  );
+}
+
+// Éditeur de contrôle d'un mois importé : valeurs à faible confiance surlignées, corrections en ligne
+const STATUT_STYLES = {
+  absent:  { background: THEME.colors.dangerBg,  border: "#FECACA", label: "absent du PDF" },
+  secours: { background: THEME.colors.warningBg, border: "#FCD34D", label: "lecture approximative" },
+  "corrigé": { background: THEME.colors.infoBg,  border: "#7DD3FC", label: "corrigé manuellement" },
+};
+
+function ReviewPanel({ entry, onSave, onCancel }) {
+  const [edits, setEdits] = useState({ indicateurs: {} });
+  const setField = (key, field, value) => setEdits(prev => ({
+    ...prev, indicateurs: { ...prev.indicateurs, [key]: { ...prev.indicateurs[key], [field]: value } },
+  }));
+  const valueOf = (key, field) => edits.indicateurs[key]?.[field] ?? (entry.indicateurs[key][field] ?? "");
+  const inputStyle = (statut) => ({
+    width: 72, padding: "5px 8px", fontSize: 13, fontFamily: THEME.font, borderRadius: THEME.radius.sm,
+    border: `1px solid ${STATUT_STYLES[statut]?.border ?? THEME.colors.border}`,
+    background: STATUT_STYLES[statut]?.background ?? THEME.colors.surface,
+  });
+  const champs = [["valN1","N-1"],["valN","N"],["cumul","Cumul N"],["cumulN1","Cumul N-1"]];
+  const popStatut = entry.statuts?.population ?? (entry.population == null ? "absent" : "trouvé");
+  // Saisie non numérique : la correction reste en attente, le champ est signalé et l'enregistrement bloqué
+  const erreurs = erreursSaisie(edits);
+  const nbErreurs = Object.keys(erreurs).length;
+  const erreurStyle = (champ) => erreurs[champ] ? { border: `1px solid ${THEME.colors.danger}`, outline: `1px solid ${THEME.colors.danger}` } : {};
+  const messageErreur = (champ) => erreurs[champ] && <div role="alert" style={{ fontSize: 11, color: THEME.colors.danger, marginTop: 2 }}>{erreurs[champ]}</div>;
+
+  return (
+    <div style={{ background: THEME.colors.surfaceAlt, border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.lg, padding: "16px 20px", fontFamily: THEME.font }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 14, fontSize: 11, color: THEME.colors.textMuted, marginBottom: 12 }}>
+        {Object.entries(STATUT_STYLES).map(([k, st]) => (
+          <span key={k} style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
+            <span style={{ width: 12, height: 12, borderRadius: 3, background: st.background, border: `1px solid ${st.border}` }}/>{st.label}
+          </span>
+        ))}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 13, color: THEME.colors.textSecondary, marginBottom: 12 }}>
+        Population
+        <input value={edits.population ?? (entry.population ?? "")} onChange={e => setEdits(prev => ({ ...prev, population: e.target.value }))}
+          inputMode="numeric" aria-invalid={!!erreurs.population} style={{ ...inputStyle(popStatut), width: 96, ...erreurStyle("population") }}/>
+        {messageErreur("population")}
+      </label>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr>{["Indicateur", ...champs.map(([,h]) => h)].map(h => (
+              <th key={h} style={{ textAlign: "left", padding: "6px 8px", fontSize: 11, color: THEME.colors.textMuted, textTransform: "uppercase", letterSpacing: ".04em", borderBottom: `1px solid ${THEME.colors.border}` }}>{h}</th>
+            ))}</tr>
+          </thead>
+          <tbody>
+            {Object.entries(entry.indicateurs).map(([key, ind]) => (
+              <tr key={key}>
+                <td style={{ padding: "5px 8px", color: THEME.colors.text }}>{ind.label}</td>
+                {champs.map(([field]) => (
+                  <td key={field} style={{ padding: "5px 8px" }}>
+                    {key === "general_taux" && (field === "cumul" || field === "cumulN1") ? <span style={{ color: THEME.colors.textMuted }}>—</span> : (
+                      <>
+                        <input value={valueOf(key, field)} onChange={e => setField(key, field, e.target.value)}
+                          inputMode="decimal" aria-label={`${ind.label} — ${field}`} aria-invalid={!!erreurs[`${key}.${field}`]}
+                          style={{ ...inputStyle(statutChamp(entry, key, field)), ...erreurStyle(`${key}.${field}`) }}/>
+                        {messageErreur(`${key}.${field}`)}
+                      </>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ display: "flex", gap: 10, justifyContent: "flex-end", alignItems: "center", marginTop: 14 }}>
+        {nbErreurs > 0 && <span style={{ fontSize: 12, color: THEME.colors.danger, marginRight: "auto" }}>{nbErreurs} saisie{nbErreurs > 1 ? "s" : ""} invalide{nbErreurs > 1 ? "s" : ""} : corrigez-l{nbErreurs > 1 ? "es" : "a"} avant d'enregistrer.</span>}
+        <button onClick={onCancel} style={{ background: "none", border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.sm, padding: "7px 14px", fontSize: 13, fontWeight: 600, color: THEME.colors.textSecondary, cursor: "pointer", fontFamily: THEME.font }}>Annuler</button>
+        <button onClick={() => onSave(appliquerCorrections(entry, edits))} disabled={nbErreurs > 0} style={{ background: THEME.colors.accent, border: "none", borderRadius: THEME.radius.sm, padding: "7px 14px", fontSize: 13, fontWeight: 700, color: "#fff", cursor: nbErreurs > 0 ? "not-allowed" : "pointer", opacity: nbErreurs > 0 ? 0.5 : 1, fontFamily: THEME.font }}>Enregistrer les corrections</button>
+      </div>
+    </div>
+  );
+}
+
+// Connexion au serveur : formulaire tant qu'aucune session n'est ouverte, sinon utilisateur connecté
+const ROLE_LABELS = { viewer: "consultation", analyst: "analyste", admin: "administrateur" };
+
+function ServerSession({ utilisateur, onLogin, onLogout }) {
+  const [identifiant, setIdentifiant] = useState("");
+  const [motDePasse, setMotDePasse] = useState("");
+  const [erreur, setErreur] = useState(null);
+  const [pending, setPending] = useState(false);
+  const boxStyle = { background: THEME.colors.surface, border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.lg, padding: "14px 18px", marginBottom: 24, fontSize: 13, fontFamily: THEME.font, boxShadow: THEME.shadow.card };
+  const inputStyle = { padding: "7px 10px", fontSize: 13, fontFamily: THEME.font, borderRadius: THEME.radius.sm, border: `1px solid ${THEME.colors.border}`, minWidth: 0, flex: 1 };
+
+  if (utilisateur) {
+    return (
+      <div style={{ ...boxStyle, display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
+        <span style={{ color: THEME.colors.textSecondary }}>
+          Connecté au serveur : <strong style={{ color: THEME.colors.text }}>{utilisateur.nom || utilisateur.identifiant}</strong> ({ROLE_LABELS[utilisateur.role] ?? utilisateur.role})
+        </span>
+        <button onClick={onLogout} style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.accent, fontSize: 12, fontWeight: 600, fontFamily: THEME.font }}>Se déconnecter</button>
+      </div>
+    );
+  }
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setPending(true); setErreur(null);
+    try {
+      await onLogin(identifiant.trim(), motDePasse);
+      setMotDePasse("");
+    } catch (err) {
+      setErreur(err.message);
+    } finally {
+      setPending(false);
+    }
+  };
+  return (
+    <form onSubmit={submit} style={boxStyle}>
+      <div style={{ fontWeight: 700, color: THEME.colors.text, marginBottom: 4 }}>🔒 Connexion au serveur</div>
+      <div style={{ color: THEME.colors.textMuted, marginBottom: 10 }}>
+        Le jeu de données partagé exige une connexion. Sans compte, les PDF importés restent dans ce navigateur.
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <input value={identifiant} onChange={e => setIdentifiant(e.target.value)} placeholder="Identifiant" autoComplete="username" aria-label="Identifiant" style={inputStyle}/>
+        <input value={motDePasse} onChange={e => setMotDePasse(e.target.value)} placeholder="Mot de passe" type="password" autoComplete="current-password" aria-label="Mot de passe" style={inputStyle}/>
+        <button type="submit" disabled={pending || !identifiant.trim() || !motDePasse}
+          style={{ background: THEME.colors.accent, border: "none", borderRadius: THEME.radius.sm, padding: "7px 16px", fontSize: 13, fontWeight: 700, color: "#fff", cursor: pending ? "wait" : "pointer", fontFamily: THEME.font }}>
+          {pending ? "Connexion…" : "Se connecter"}
+        </button>
+      </div>
+      {erreur && <div style={{ marginTop: 8, color: THEME.colors.danger }}>{erreur}</div>}
+    </form>
+  );
+}
+
+// Import d'un tableur de séries historiques : correspondance des colonnes, aperçu, puis conversion en mois
+function TableurMapping({ tableur, onImport, onCancel }) {
+  const [corresp, setCorresp] = useState(tableur.correspondance);
+  const { entrees, erreurs } = useMemo(
+    () => convertirTableau(tableur, corresp, { fichierSource: tableur.fichierSource, feuille: tableur.feuille }),
+    [tableur, corresp]
+  );
+  const setColonne = (champ, value) => setCorresp(prev => ({ ...prev, colonnes: { ...prev.colonnes, [champ]: value === "" ? null : Number(value) } }));
+  const setIndicateur = (key, value) => setCorresp(prev => {
+    const indicateurs = { ...prev.indicateurs };
+    if (value === "") delete indicateurs[key]; else indicateurs[key] = Number(value);
+    return { ...prev, indicateurs };
+  });
+  const selectStyle = { padding: "5px 8px", fontSize: 12, fontFamily: THEME.font, borderRadius: THEME.radius.sm, border: `1px solid ${THEME.colors.border}`, background: THEME.colors.surface, minWidth: 0, width: "100%" };
+  const labelStyle = { display: "flex", flexDirection: "column", gap: 4, fontSize: 11, fontWeight: 600, color: THEME.colors.textSecondary };
+  const colonneSelect = (value, onChange, label) => (
+    <select value={value ?? ""} onChange={e => onChange(e.target.value)} aria-label={label} style={selectStyle}>
+      <option value="">—</option>
+      {tableur.entetes.map((h, c) => <option key={c} value={c}>{h || `Colonne ${c + 1}`}</option>)}
+    </select>
+  );
+  const champs = CHAMPS_TABLEUR.filter(c => !c.long || corresp.format === "long");
+
+  return (
+    <div style={{ background: THEME.colors.surface, border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.lg, padding: "18px 20px", marginBottom: 24, boxShadow: THEME.shadow.card, fontFamily: THEME.font }}>
+      <div style={{ fontWeight: 700, color: THEME.colors.text, fontSize: 15, marginBottom: 4 }}>▦ Correspondance des colonnes — {tableur.fichierSource}{tableur.feuille ? ` (feuille ${tableur.feuille})` : ""}</div>
+      <div style={{ fontSize: 12, color: THEME.colors.textMuted, marginBottom: 14 }}>
+        Indiquez quelle colonne contient chaque information. Les mois importés depuis un tableur sont marqués « série historique » et conservés dans ce navigateur.
+      </div>
+      <div style={{ display: "flex", gap: 16, marginBottom: 14, fontSize: 13, color: THEME.colors.textSecondary }}>
+        {[["large", "Une colonne par indicateur"], ["long", "Une ligne par indicateur (format long)"]].map(([format, label]) => (
+          <label key={format} style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+            <input type="radio" checked={corresp.format === format} onChange={() => setCorresp(prev => ({ ...prev, format }))}/>{label}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(170px, 1fr))", gap: 12, marginBottom: 14 }}>
+        {champs.map(({ champ, label }) => (
+          <label key={champ} style={labelStyle}>
+            {label}
+            {colonneSelect(corresp.colonnes[champ], v => setColonne(champ, v), label)}
+          </label>
+        ))}
+        {corresp.colonnes.commune == null && (
+          <label style={labelStyle}>
+            Commune (toutes les lignes)
+            <input value={corresp.communeFixe} onChange={e => setCorresp(prev => ({ ...prev, communeFixe: e.target.value }))} placeholder="Saint-Alban" style={selectStyle}/>
+          </label>
+        )}
+      </div>
+      {corresp.format === "large" && (
+        <details open={Object.keys(corresp.indicateurs).length === 0} style={{ marginBottom: 14 }}>
+          <summary style={{ cursor: "pointer", fontSize: 12, fontWeight: 600, color: THEME.colors.textSecondary }}>
+            Colonnes des indicateurs ({Object.keys(corresp.indicateurs).length} reconnue{Object.keys(corresp.indicateurs).length > 1 ? "s" : ""})
+          </summary>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))", gap: 10, marginTop: 10 }}>
+            {INDICATEURS.map(def => (
+              <label key={def.key} style={labelStyle}>
+                {def.label}
+                {colonneSelect(corresp.indicateurs[def.key], v => setIndicateur(def.key, v), def.label)}
+              </label>
+            ))}
+          </div>
+        </details>
+      )}
+      <div style={{ overflowX: "auto", marginBottom: 14, border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.md }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 11, width: "100%" }}>
+          <thead>
+            <tr>{tableur.entetes.map((h, c) => (
+              <th key={c} style={{ textAlign: "left", padding: "5px 8px", background: THEME.colors.surfaceAlt, color: THEME.colors.textSecondary, whiteSpace: "nowrap" }}>{h}</th>
+            ))}</tr>
+          </thead>
+          <tbody>
+            {tableur.lignes.slice(0, 5).map(l => (
+              <tr key={l.numero}>{tableur.entetes.map((_, c) => (
+                <td key={c} style={{ padding: "4px 8px", borderTop: `1px solid ${THEME.colors.border}`, whiteSpace: "nowrap", color: THEME.colors.text }}>
+                  {l.cellules[c] instanceof Date ? l.cellules[c].toLocaleDateString("fr-FR") : String(l.cellules[c] ?? "")}
+                </td>
+              ))}</tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+        <span style={{ fontSize: 12, color: erreurs.length > 0 ? "#92400E" : THEME.colors.textMuted }}>
+          {entrees.length} mois reconnu{entrees.length > 1 ? "s" : ""} sur {tableur.lignes.length} ligne{tableur.lignes.length > 1 ? "s" : ""}
+          {erreurs.length > 0 && ` · ${erreurs.length} ligne${erreurs.length > 1 ? "s" : ""} ignorée${erreurs.length > 1 ? "s" : ""} (détail après l'import)`}
+        </span>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button onClick={onCancel} style={{ background: "none", border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.sm, padding: "7px 14px", fontSize: 13, fontWeight: 600, color: THEME.colors.textSecondary, cursor: "pointer", fontFamily: THEME.font }}>Annuler</button>
+          <button onClick={() => onImport(entrees, erreurs)} disabled={entrees.length === 0}
+            style={{ background: entrees.length > 0 ? THEME.colors.accent : THEME.colors.border, border: "none", borderRadius: THEME.radius.sm, padding: "7px 14px", fontSize: 13, fontWeight: 700, color: "#fff", cursor: entrees.length > 0 ? "pointer" : "not-allowed", fontFamily: THEME.font }}>
+            Importer {entrees.length} mois
+          </button>
+        </div>
+      </div>
     </div>
   );
 }
@@ -127,15 +434,50 @@ function SourceFooter({ commune, moisLabel, annee, fichierSource }) {
 // ─────────────────────────────────────────────────────────────
 // VUE IMPORT — parsing PDF côté client (fonctionne sur Netlify sans backend)
 // ─────────────────────────────────────────────────────────────
-function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView }) {
+function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView, setCommuneKey, serveur, utilisateur, onLogin, onLogout }) {
+  // Droits sur le jeu de données partagé : import et corrections (analyst), suppression (admin)
+  const peutImporter = utilisateur?.role === "analyst" || utilisateur?.role === "admin";
+  const peutSupprimer = utilisateur?.role === "admin";
   const [dragging, setDragging] = useState(false);
   const [parsing, setParsing] = useState(false);
 
+  // Tableurs de séries historiques en attente de correspondance des colonnes
+  const [tableurs, setTableurs] = useState([]);
+
   const processFiles = useCallback(async (files) => {
-    const pdfFiles = Array.from(files).filter(f => f.name.toLowerCase().endsWith(".pdf"));
-    if (pdfFiles.length === 0) return;
+    const dropped = Array.from(files).filter(f => /\.(pdf|zip)$/i.test(f.name) || isTableurName(f.name));
+    if (dropped.length === 0) return;
     setParsing(true);
     const newEntries = [];
+    for (const file of dropped.filter(f => isTableurName(f.name))) {
+      const tableur = await lireTableurNavigateur(file);
+      if (tableur.erreur) newEntries.push(tableur);
+      else setTableurs(prev => [...prev, { ...tableur, uid: newEntryId(), correspondance: proposerCorrespondance(tableur.entetes) }]);
+    }
+    const pdfOuZip = dropped.filter(f => !isTableurName(f.name));
+    const memePeriode = (a, b) => !a.erreur && a.communeKey === b.communeKey && a.mois === b.mois && a.annee === b.annee;
+    // Session analyst ou admin : le serveur extrait les archives, parse chaque PDF une fois et l'enregistre dans le
+    // jeu de données partagé ; à défaut (serveur injoignable, session expirée), parsing dans ce navigateur
+    let lotServeur = null;
+    if (peutImporter && pdfOuZip.length > 0) {
+      try {
+        lotServeur = await importServerBatch(pdfOuZip);
+      } catch (err) {
+        console.warn("Import sur le serveur impossible, PDF conservés localement :", err);
+      }
+    }
+    if (lotServeur) {
+      for (const r of lotServeur) {
+        // Mois déjà conservé dans ce navigateur : la version locale reste affichée (voir syncServer)
+        const local = !r.erreur && parsedFiles.some(f => f.origine !== "serveur" && memePeriode(f, r));
+        newEntries.push(local
+          ? { fichierSource: r.fichierSource, erreur: `Ce mois est déjà importé dans ce navigateur (${r.moisLabel} ${r.annee} — ${r.commune}) : enregistré sur le serveur, la version locale reste affichée.` }
+          : r);
+      }
+    }
+    // Archives ZIP : remplacées par les PDF qu'elles contiennent
+    const { pdfFiles, erreurs } = lotServeur ? { pdfFiles: [], erreurs: [] } : await expandDroppedFiles(pdfOuZip);
+    newEntries.push(...erreurs);
     for (const file of pdfFiles) {
       try {
         const data = await parsePdfInBrowser(file);
@@ -143,23 +485,39 @@ function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView })
           newEntries.push({ fichierSource: file.name, erreur: data.erreur });
           continue;
         }
-        const dup = parsedFiles.some(f =>
-          !f.erreur && f.communeKey === data.communeKey && f.mois === data.mois && f.annee === data.annee
-        ) || newEntries.some(f =>
-          !f.erreur && f.communeKey === data.communeKey && f.mois === data.mois && f.annee === data.annee
-        );
-        if (dup) {
+        if ([...parsedFiles, ...newEntries].some(f => memePeriode(f, data))) {
           newEntries.push({ fichierSource: file.name, erreur: `Ce mois est déjà importé (${data.moisLabel} ${data.annee} — ${data.commune})` });
           continue;
         }
-        newEntries.push(data);
+        const entry = { ...data, id: newEntryId(), importeLe: Date.now() };
+        newEntries.push(entry);
+        saveMonth(entry, file).catch(err => console.warn("Enregistrement local impossible :", err));
       } catch (err) {
         newEntries.push({ fichierSource: file.name, erreur: err.message || "Erreur lors de l'extraction du PDF." });
       }
     }
     setParsedFiles(prev => [...prev, ...newEntries]);
     setParsing(false);
-  }, [parsedFiles, setParsedFiles]);
+  }, [parsedFiles, setParsedFiles, peutImporter]);
+
+  // Mois convertis depuis un tableur : mêmes contrôles de doublon que les PDF, conservés dans ce navigateur
+  const importTableur = (entrees, erreurs) => {
+    setTableurs(prev => prev.slice(1));
+    const newEntries = [...erreurs];
+    for (const data of entrees) {
+      const dup = [...parsedFiles, ...newEntries].some(f =>
+        !f.erreur && f.communeKey === data.communeKey && f.mois === data.mois && f.annee === data.annee
+      );
+      if (dup) {
+        newEntries.push({ fichierSource: data.fichierSource, erreur: `Ce mois est déjà importé (${data.moisLabel} ${data.annee} — ${data.commune})` });
+        continue;
+      }
+      const entry = { ...data, id: newEntryId(), importeLe: Date.now() };
+      newEntries.push(entry);
+      saveMonth(entry).catch(err => console.warn("Enregistrement local impossible :", err));
+    }
+    setParsedFiles(prev => [...prev, ...newEntries]);
+  };
 
   const onDrop = useCallback((e) => {
     e.preventDefault(); setDragging(false);
@@ -167,16 +525,99 @@ function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView })
   }, [processFiles]);
 
   const onInput = (e) => processFiles(Array.from(e.target.files));
-  const remove = (idx) => setParsedFiles(prev => prev.filter((_,i) => i !== idx));
+  const remove = async (f) => {
+    if (f.origine === "serveur") {
+      if (!window.confirm(`Supprimer ${f.moisLabel} ${f.annee} (${f.commune}) du jeu de données partagé, pour toute l'équipe ?`)) return;
+      try {
+        await deleteServerMonth(f.id);
+      } catch (err) {
+        alert(`Suppression impossible : ${err.message}`);
+        return;
+      }
+    } else if (f.id) {
+      deleteMonth(f.id).catch(err => console.warn("Suppression locale impossible :", err));
+    }
+    setParsedFiles(prev => prev.filter(x => x !== f));
+  };
+  // Les mois partagés sur le serveur ne sont pas concernés (suppression mois par mois uniquement)
+  const removeAll = () => {
+    const partages = parsedFiles.some(f => f.origine === "serveur");
+    if (!window.confirm(`Supprimer tous les fichiers importés, y compris ceux conservés dans ce navigateur ?${partages ? " Les mois partagés sur le serveur sont conservés." : ""}`)) return;
+    clearMonths().catch(err => console.warn("Suppression locale impossible :", err));
+    setParsedFiles(prev => prev.filter(f => f.origine === "serveur"));
+  };
+
+  // Re-parse un mois à partir du PDF conservé (utile après une évolution du parseur)
+  const [reparsingId, setReparsingId] = useState(null);
+  const reparse = async (f) => {
+    if (f.donneesSource === "corrigée" && !window.confirm("Re-parser ce mois remplacera les corrections manuelles. Continuer ?")) return;
+    setReparsingId(f.id);
+    try {
+      if (f.origine === "serveur") {
+        const entry = await reparseServerMonth(f.id);
+        setParsedFiles(prev => prev.map(x => x.id === f.id ? entry : x));
+        return;
+      }
+      const file = await getMonthPdf(f.id, f.fichierSource);
+      if (!file) throw new Error("PDF d'origine introuvable dans le stockage local.");
+      const data = await parsePdfInBrowser(file);
+      if (data.erreur) throw new Error(data.erreur);
+      const entry = { ...data, id: f.id, importeLe: f.importeLe };
+      await saveMonth(entry);
+      setParsedFiles(prev => prev.map(x => x.id === f.id ? entry : x));
+    } catch (err) {
+      alert(`Re-parsing impossible pour ${f.fichierSource} : ${err.message}`);
+    } finally {
+      setReparsingId(null);
+    }
+  };
+
+  // Contrôle et correction manuelle des valeurs extraites
+  const [reviewId, setReviewId] = useState(null);
+  const saveCorrections = async (f, entry) => {
+    setReviewId(null);
+    if (entry === f) return;
+    if (f.origine === "serveur") {
+      try {
+        const saved = await updateServerMonth(entry);
+        setParsedFiles(prev => prev.map(x => x === f ? saved : x));
+      } catch (err) {
+        alert(`Corrections non enregistrées sur le serveur : ${err.message}`);
+      }
+      return;
+    }
+    setParsedFiles(prev => prev.map(x => x === f ? entry : x));
+    if (entry.id) saveMonth(entry).catch(err => console.warn("Enregistrement local impossible :", err));
+  };
+
+  // Export open data du jeu de données complet (toutes communes, format long)
+  const exportData = (format) => {
+    const { contenu, type, nomFichier } = exporterDonnees(parsedFiles, format);
+    telecharger(new Blob([contenu], { type }), nomFichier);
+  };
+
   const validCount = parsedFiles.filter(f => !f.erreur).length;
+  const communeGroups = groupByCommune(parsedFiles);
+  const errorFiles = parsedFiles.filter(f => f.erreur);
+  const listGroups = [
+    ...communeGroups.map(g => ({ ...g, files: [...g.files].sort((a,b) => a.annee !== b.annee ? a.annee - b.annee : a.mois - b.mois) })),
+    ...(errorFiles.length > 0 ? [{ communeKey: null, commune: "Fichiers en erreur", files: errorFiles }] : []),
+  ];
 
   return (
     <div style={{ maxWidth: 820, fontFamily: THEME.font }}>
       <h1 style={{ fontSize: 24, fontWeight: 800, color: THEME.colors.text, marginBottom: 6, letterSpacing: "-.02em" }}>Import des données</h1>
       <p style={{ color: THEME.colors.textMuted, marginBottom: 28, fontSize: 15, lineHeight: 1.5 }}>
         Déposez les rapports PDF mensuels de l'Observatoire de la Délinquance — toute commune, toute année.
+        {peutImporter && " Les PDF importés sont enregistrés sur le serveur et partagés avec toute l'équipe."}
       </p>
 
+      {serveur.disponible && <ServerSession utilisateur={utilisateur} onLogin={onLogin} onLogout={onLogout}/>}
+
+      {tableurs.length > 0 && (
+        <TableurMapping key={tableurs[0].uid} tableur={tableurs[0]} onImport={importTableur} onCancel={() => setTableurs(prev => prev.slice(1))}/>
+      )}
+
       {/* Drop zone */}
       <div
         onDragOver={e=>{e.preventDefault();if(!parsing)setDragging(true)}}
@@ -193,17 +634,21 @@ function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView })
       >
         <div style={{ fontSize: 44, marginBottom: 12 }}>{parsing ? "⏳" : "📥"}</div>
         <div style={{ fontWeight: 700, color: THEME.colors.text, marginBottom: 6, fontSize: 16 }}>
-          {parsing ? "Extraction des données depuis le PDF…" : "Glissez vos fichiers PDF ici"}
+          {parsing ? "Extraction des données depuis le PDF…" : "Glissez vos fichiers PDF, une archive ZIP ou un tableur historique (CSV, XLSX) ici"}
         </div>
         <div style={{ fontSize: 13, color: THEME.colors.textMuted }}>
           {parsing ? "Ne fermez pas cette page." : "ou cliquez pour parcourir — données extraites du contenu du PDF"}
         </div>
-        <input id="pdfInput" type="file" multiple accept=".pdf" style={{ display: "none" }} onChange={onInput} disabled={parsing}/>
+        <input id="pdfInput" type="file" multiple accept=".pdf,.zip,.csv,.xlsx" style={{ display: "none" }} onChange={onInput} disabled={parsing}/>
       </div>
 
       {/* Convention de nommage */}
       <div style={{ background: THEME.colors.infoBg, border: `1px solid #7DD3FC`, borderRadius: THEME.radius.lg, padding: "18px 20px", marginBottom: 28, fontSize: 13, fontFamily: THEME.font }}>
-        <div style={{ fontWeight: 700, color: THEME.colors.info, marginBottom: 12, fontSize: 12, textTransform: "uppercase", letterSpacing: ".06em" }}>📋 Formats de fichiers acceptés</div>
+        <div style={{ fontWeight: 700, color: THEME.colors.info, marginBottom: 8, fontSize: 12, textTransform: "uppercase", letterSpacing: ".06em" }}>📋 Identification des fichiers</div>
+        <div style={{ color: THEME.colors.textSecondary, marginBottom: 12 }}>
+          La commune et la période sont lues dans l'en-tête du rapport : les PDF peuvent garder leur nom d'origine.
+          Un nom au format ci-dessous sert de secours et de contrôle ; un avertissement s'affiche s'il ne correspond pas au contenu.
+        </div>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
           <div style={{ background: THEME.colors.surface, borderRadius: THEME.radius.md, padding: "12px 14px", border: `1px solid ${THEME.colors.border}` }}>
             <div style={{ fontSize: 11, fontWeight: 700, color: THEME.colors.info, marginBottom: 6 }}>FORMAT A — avec numéro de mois</div>
@@ -225,44 +670,111 @@ function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView })
           </div>
         </div>
         <div style={{ color: THEME.colors.textSecondary, fontSize: 11, borderTop: "1px solid #7DD3FC", paddingTop: 10 }}>
-          <strong>Commune</strong> = mots séparés par _ · <strong>mois</strong> = nom français (aout = août…) · <strong>ANNÉE</strong> = 4 chiffres. Si numéro de mois présent, il doit correspondre au nom du mois.
+          <strong>Commune</strong> = mots séparés par _ · <strong>mois</strong> = nom français (aout = août…) · <strong>ANNÉE</strong> = 4 chiffres. En cas de désaccord, l'en-tête du PDF fait foi.
         </div>
       </div>
 
       {/* File list */}
       {parsedFiles.length > 0 && (
-        <div style={{ display: "flex", flexDirection: "column", gap: 12, marginBottom: 28 }}>
-          {parsedFiles.map((f, i) => {
-            const ok = !f.erreur;
-            return (
-              <div key={i} style={{
-                background: THEME.colors.surface, border: `1px solid ${ok ? THEME.colors.border : "#FECACA"}`,
-                borderRadius: THEME.radius.lg, padding: "16px 20px", display: "flex", alignItems: "flex-start", gap: 16,
-                boxShadow: THEME.shadow.card, fontFamily: THEME.font,
-              }}>
-                <div style={{ fontSize: 20, lineHeight: 1, marginTop: 2 }}>{ok ? "✅" : "❌"}</div>
-                <div style={{ flex: 1, minWidth: 0 }}>
-                  <div style={{ fontWeight: 600, fontSize: 14, color: THEME.colors.text, wordBreak: "break-all" }}>{f.fichierSource}</div>
-                  {ok ? (
-                    <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
-                      <span style={{ fontSize: 13, color: THEME.colors.textSecondary, fontWeight: 600 }}>{f.commune}</span>
-                      <span style={{ fontSize: 11, color: THEME.colors.border }}>·</span>
-                      <span style={{ fontSize: 13, color: THEME.colors.textSecondary }}>{f.moisLabel} {f.annee}</span>
-                      {f.population && <><span style={{ fontSize: 11, color: THEME.colors.border }}>·</span><span style={{ fontSize: 13, color: THEME.colors.textMuted }}>{f.population.toLocaleString()} hab.</span></>}
-                      {f.donneesSource === "exacte" && (
-                        <span style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, background: THEME.colors.successBg, color: THEME.colors.success }}>✓ Données extraites du PDF</span>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12, fontSize: 12, color: THEME.colors.textMuted }}>
+          <span>Les fichiers importés sont conservés dans ce navigateur et rechargés à l'ouverture.</span>
+          <div style={{ display: "flex", gap: 16, flexShrink: 0 }}>
+            {validCount > 0 && ["csv", "json"].map(format => (
+              <button key={format} onClick={() => exportData(format)} title="Export du jeu de données : une ligne par commune, mois et indicateur"
+                style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.accent, fontSize: 12, fontWeight: 600, fontFamily: THEME.font }}>
+                ⬇ Données ({format.toUpperCase()})
+              </button>
+            ))}
+            <button onClick={removeAll} style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.danger, fontSize: 12, fontWeight: 600, fontFamily: THEME.font }}>Tout supprimer</button>
+          </div>
+        </div>
+      )}
+      {listGroups.map(group => (
+        <div key={group.communeKey ?? "erreurs"} style={{ marginBottom: 28 }}>
+          <div style={{ display: "flex", alignItems: "baseline", justifyContent: "space-between", gap: 12, marginBottom: 10 }}>
+            <div style={{ fontSize: 12, fontWeight: 700, color: group.communeKey ? THEME.colors.text : THEME.colors.danger, textTransform: "uppercase", letterSpacing: ".06em" }}>
+              {group.commune} <span style={{ fontWeight: 500, color: THEME.colors.textMuted, textTransform: "none", letterSpacing: 0 }}>· {group.files.length} fichier{group.files.length > 1 ? "s" : ""}</span>
+            </div>
+            {group.communeKey && (
+              <button onClick={()=>{ setCommuneKey?.(group.communeKey); setView("analyse-simple"); setSimpleSubView?.("dashboard"); }}
+                style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.accent, fontSize: 12, fontWeight: 600, fontFamily: THEME.font }}>
+                Analyser cette commune →
+              </button>
+            )}
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+            {group.files.map((f, i) => {
+              const ok = !f.erreur;
+              const aVerifier = ok ? champsAVerifier(f) : [];
+              const reviewKey = f.id ?? `${f.fichierSource}-${i}`;
+              return (
+                <div key={reviewKey} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                  <div style={{
+                    background: THEME.colors.surface, border: `1px solid ${ok ? THEME.colors.border : "#FECACA"}`,
+                    borderRadius: THEME.radius.lg, padding: "16px 20px", display: "flex", alignItems: "flex-start", gap: 16,
+                    boxShadow: THEME.shadow.card, fontFamily: THEME.font,
+                  }}>
+                    <div style={{ fontSize: 20, lineHeight: 1, marginTop: 2 }}>{ok ? "✅" : "❌"}</div>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 600, fontSize: 14, color: THEME.colors.text, wordBreak: "break-all" }}>{f.fichierSource}</div>
+                      {ok ? (
+                        <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+                          <span style={{ fontSize: 13, color: THEME.colors.textSecondary, fontWeight: 600 }}>{f.commune}</span>
+                          <span style={{ fontSize: 11, color: THEME.colors.border }}>·</span>
+                          <span style={{ fontSize: 13, color: THEME.colors.textSecondary }}>{f.moisLabel} {f.annee}</span>
+                          {f.population && <><span style={{ fontSize: 11, color: THEME.colors.border }}>·</span><span style={{ fontSize: 13, color: THEME.colors.textMuted }}>{f.population.toLocaleString()} hab.</span></>}
+                          {f.donneesSource === "exacte" && (
+                            <span style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, background: THEME.colors.successBg, color: THEME.colors.success }}>✓ Données extraites du PDF</span>
+                          )}
+                          {f.donneesSource === "corrigée" && (
+                            <span style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, background: THEME.colors.infoBg, color: THEME.colors.info }}>✎ Données corrigées manuellement</span>
+                          )}
+                          {f.donneesSource === "historique" && (
+                            <span title={`Série historique importée depuis un tableur${f.provenance?.lignes ? ` (ligne${f.provenance.lignes.length > 1 ? "s" : ""} ${f.provenance.lignes.join(", ")})` : ""}`} style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, background: THEME.colors.warningBg, color: "#92400E" }}>▦ Série historique (tableur)</span>
+                          )}
+                          {f.origine === "serveur" && (
+                            <span title="Enregistré sur le serveur : visible par toute l'équipe" style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, background: THEME.colors.surfaceAlt, color: THEME.colors.textSecondary }}>⇅ Partagé</span>
+                          )}
+                          {aVerifier.length > 0 && (
+                            <button onClick={() => setReviewId(reviewKey)} style={{ fontSize: 11, fontWeight: 600, padding: "3px 10px", borderRadius: 20, border: "none", cursor: "pointer", background: THEME.colors.warningBg, color: "#92400E", fontFamily: THEME.font }}>
+                              ⚠ {aVerifier.length} valeur{aVerifier.length > 1 ? "s" : ""} à vérifier
+                            </button>
+                          )}
+                        </div>
+                      ) : (
+                        <div style={{ fontSize: 13, color: THEME.colors.danger, marginTop: 6, whiteSpace: "pre-line", lineHeight: 1.6 }}>{f.erreur}</div>
+                      )}
+                      {ok && f.avertissements?.length > 0 && (
+                        <div style={{ marginTop: 10, background: THEME.colors.warningBg, border: "1px solid #FCD34D", borderRadius: THEME.radius.md, padding: "8px 12px", fontSize: 12, color: "#92400E", lineHeight: 1.6 }}>
+                          {f.avertissements.map((a, j) => <div key={j}>⚠️ {a}</div>)}
+                        </div>
                       )}
                     </div>
-                  ) : (
-                    <div style={{ fontSize: 13, color: THEME.colors.danger, marginTop: 6, whiteSpace: "pre-line", lineHeight: 1.6 }}>{f.erreur}</div>
+                    {ok && (f.origine !== "serveur" || peutImporter) && (
+                      <button onClick={()=>setReviewId(reviewId === reviewKey ? null : reviewKey)} title="Contrôler et corriger les valeurs extraites"
+                        style={{ background: "none", border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.sm, cursor: "pointer", color: THEME.colors.textSecondary, fontSize: 12, fontWeight: 600, padding: "4px 10px", flexShrink: 0, fontFamily: THEME.font }}>
+                        ✎ Corriger
+                      </button>
+                    )}
+                    {ok && f.id && f.provenance?.type !== "tableur" && (f.origine !== "serveur" || peutImporter) && (
+                      <button onClick={()=>reparse(f)} disabled={reparsingId !== null} title="Re-parser le PDF conservé"
+                        style={{ background: "none", border: `1px solid ${THEME.colors.border}`, borderRadius: THEME.radius.sm, cursor: reparsingId !== null ? "wait" : "pointer", color: THEME.colors.textSecondary, fontSize: 12, fontWeight: 600, padding: "4px 10px", flexShrink: 0, fontFamily: THEME.font }}>
+                        {reparsingId === f.id ? "⏳" : "↻ Re-parser"}
+                      </button>
+                    )}
+                    {(f.origine !== "serveur" || peutSupprimer) && (
+                      <button onClick={()=>remove(f)} title="Supprimer" style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.textMuted, fontSize: 18, padding: 4, lineHeight: 1, flexShrink: 0, marginTop: 2 }}>✕</button>
+                    )}
+                  </div>
+                  {ok && reviewId === reviewKey && (
+                    <ReviewPanel entry={f} onSave={(entry) => saveCorrections(f, entry)} onCancel={() => setReviewId(null)}/>
                   )}
                 </div>
-                <button onClick={()=>remove(i)} style={{ background: "none", border: "none", cursor: "pointer", color: THEME.colors.textMuted, fontSize: 18, padding: 4, lineHeight: 1, flexShrink: 0, marginTop: 2 }}>✕</button>
-              </div>
-            );
-          })}
+              );
+            })}
+          </div>
         </div>
-      )}
+      ))}
 
       <button
         disabled={validCount === 0}
@@ -280,20 +792,19 @@ function ViewImport({ parsedFiles, setParsedFiles, setView, setSimpleSubView })
   );
 }
 
-// Interprétation du taux pour 1 000 hab. (référence SSMSI / analyse criminologique)
-const tauxInterpretation = (taux) => {
-  if (taux == null) return { label: "—", color: "#94A3B8" };
-  const t = Number(taux);
-  if (t < 4) return { label: "Faible", color: "#22C55E" };
-  if (t <= 8) return { label: "Modéré", color: "#F59E0B" };
-  return { label: "Élevé", color: "#EF4444" };
-};
+// Interprétation du taux pour 1 000 hab. (référence SSMSI / analyse criminologique), selon les seuils « taux »
+// des faits constatés
+const tauxInterpretation = (taux, seuils) => ({
+  normal: { label: "Faible", color: "#22C55E" },
+  vigilance: { label: "Modéré", color: "#F59E0B" },
+  alerte: { label: "Élevé", color: "#EF4444" },
+})[niveauSeuil(seuils, taux)] ?? { label: "—", color: "#94A3B8" };
 
 // ─────────────────────────────────────────────────────────────
 // VUE DASHBOARD
 // ─────────────────────────────────────────────────────────────
-function ViewDashboard({ parsedFiles }) {
-  const valid = parsedFiles.filter(f => !f.erreur).sort((a,b)=>a.mois-b.mois);
+function ViewDashboard({ parsedFiles, regles }) {
+  const valid = parsedFiles.filter(f => !f.erreur).sort(comparerMois);
   const [selectedIdx, setSelectedIdx] = useState(0);
 
   if (valid.length === 0) {
@@ -305,7 +816,7 @@ function ViewDashboard({ parsedFiles }) {
   const totalFaits = d.indicateurs.general_faits.valN ?? 0;
   const faitsInd = inds.general_faits;
   const tauxNum = inds.general_taux.valN != null ? Number(inds.general_taux.valN) : null;
-  const tauxInterp = tauxInterpretation(tauxNum);
+  const tauxInterp = tauxInterpretation(tauxNum, regles.general_faits.taux);
 
   const topCat = Object.entries(inds)
     .filter(([k])=>k!=="general_faits"&&k!=="general_taux")
@@ -319,7 +830,13 @@ function ViewDashboard({ parsedFiles }) {
   const tableRows = Object.entries(inds).filter(([k])=>k!=="general_taux");
   const structurePct = totalFaits > 0 ? tableRows.filter(([k])=>k!=="general_faits").map(([k,v])=>({ key:k, label:v.label, val:v.valN??0, pct:Math.round((v.valN??0)/totalFaits*100) })).filter(x=>x.val>0).sort((a,b)=>b.pct-a.pct) : [];
 
-  const alertes = tableRows.filter(([,v])=>(v.variationPct != null && v.variationPct >= 30) || ((v.valN??0) >= 8 && v.variationPct != null && v.variationPct > 0)).map(([k,v])=>({ label:v.label, val:v.valN, pct:v.variationPct }));
+  // Mois anormaux au regard de l'historique (référence saisonnière, niveau récent, loi de Poisson)
+  const alertes = detecterAnomalies(d, valid);
+
+  // 12 mois glissants, cumul depuis janvier et dernier trimestre achevé au mois affiché
+  const agregats = agregatsCommune(valid, d);
+  const { glissant12, cumulAnnuel, trimestre } = agregats.general_faits;
+  const detailAgregat = (texte, a) => [texte, mentionManquants(a)].filter(Boolean).join(" · ");
 
   const synthèse = faitsInd.variationPct != null
     ? `En ${d.moisLabel} ${d.annee}, ${faitsInd.valN} faits constatés (${faitsInd.variationPct > 0 ? "+" : ""}${faitsInd.variationPct}% par rapport à ${d.moisLabel} N-1). Taux de criminalité : ${tauxNum != null ? tauxNum + " ‰" : "—"} pour 1 000 habitants — niveau ${tauxInterp.label.toLowerCase()}.`
@@ -350,10 +867,12 @@ function ViewDashboard({ parsedFiles }) {
 
       {/* KPIs */}
       <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(200px,1fr))",gap:18,marginBottom:28}}>
-        <KpiCard label="Faits constatés" value={faitsInd.valN} sub={`N-1 : ${faitsInd.valN1 ?? "—"}`} color={THEME.colors.info} pct={faitsInd.variationPct}/>
+        <KpiCard label="Faits constatés" value={faitsInd.valN} sub={`N-1 : ${faitsInd.valN1 ?? "—"}`} color={THEME.colors.info} pct={faitsInd.variationPct} seuils={regles.general_faits.variation}/>
         <KpiCard label="Taux pour 1 000 hab." value={tauxNum != null ? `${tauxNum}‰` : "—"} sub={tauxInterp.label} color={tauxInterp.color}/>
         <KpiCard label="Catégorie dominante" value={topCat?.[1]?.valN ?? "—"} sub={topCat?.[1]?.label ?? "—"} color={THEME.colors.warning}/>
-        <KpiCard label="Cumul annuel" value={faitsInd.cumul} sub={`à fin ${d.moisLabel}`} color={THEME.colors.accent}/>
+        <KpiCard label="Depuis janvier" value={cumulAnnuel.valeur ?? "—"} sub={detailAgregat(`à fin ${d.moisLabel}${cumulAnnuel.precedent.valeur != null ? ` · N-1 : ${cumulAnnuel.precedent.valeur}` : ""}${cumulAnnuel.source === "rapport" ? " · cumul du rapport" : ""}`, cumulAnnuel)} color={THEME.colors.accent} pct={cumulAnnuel.variationPct} seuils={regles.general_faits.variation}/>
+        <KpiCard label="12 mois glissants" value={glissant12.valeur ?? "—"} sub={detailAgregat(`${glissant12.libelle}${glissant12.taux != null ? ` · ${fmt(glissant12.taux)}‰ sur un an` : ""}`, glissant12)} color={THEME.colors.info} pct={glissant12.variationPct} seuils={regles.general_faits.variation}/>
+        <KpiCard label={`Trimestre ${trimestre.libelle}`} value={trimestre.valeur ?? "—"} sub={detailAgregat(`${trimestre.precedent.libelle} : ${trimestre.precedent.valeur ?? "—"}`, trimestre)} color={THEME.colors.primaryLight} pct={trimestre.variationPct} seuils={regles.general_faits.variation}/>
       </div>
 
       {/* Points de vigilance */}
@@ -361,8 +880,13 @@ function ViewDashboard({ parsedFiles }) {
         <div style={{background:THEME.colors.warningBg,border:"1px solid #FCD34D",borderRadius:THEME.radius.lg,padding:"16px 20px",marginBottom:28,fontSize:13,fontFamily:THEME.font}}>
           <div style={{fontWeight:700,color:"#92400E",marginBottom:8}}>Points de vigilance</div>
           <ul style={{margin:0,paddingLeft:20,color:"#78350F"}}>
-            {alertes.slice(0,5).map((a,i)=>(<li key={i}>{a.label} : {a.val} faits{a.pct != null ? ` (${a.pct > 0 ? "+" : ""}${a.pct}% vs N-1)` : ""}</li>))}
+            {alertes.slice(0,5).map(a=>(
+              <li key={a.key} style={{marginBottom:4}}>
+                <strong style={{color:a.niveau === "alerte" ? THEME.colors.danger : "#92400E"}}>{a.niveau === "alerte" ? "Alerte" : "Vigilance"} — {a.label}</strong> : {a.explication}
+              </li>
+            ))}
           </ul>
+          <div style={{marginTop:8,fontSize:11,color:"#92400E"}}>Niveau attendu : même mois des années précédentes et mois précédents. Alerte si la probabilité d'atteindre ce nombre de faits par hasard (loi de Poisson) est inférieure à 1 %, vigilance sous 5 %.</div>
         </div>
       )}
 
@@ -381,12 +905,12 @@ function ViewDashboard({ parsedFiles }) {
           {structurePct.length > 0 && (
             <div style={{marginTop:12,fontSize:11,color:THEME.colors.textMuted}}><strong>Structure du mois :</strong> {structurePct.slice(0,4).map(s=>`${s.label} ${s.pct}%`).join(" · ")}</div>
           )}
-          <SourceFooter commune={d.commune} moisLabel={d.moisLabel} annee={d.annee} fichierSource={d.fichierSource}/>
+          <SourceFooter commune={d.commune} moisLabel={d.moisLabel} annee={d.annee} fichierSource={d.fichierSource} corriges={moisCorriges([d])}/>
         </div>
 
         <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,boxShadow:THEME.shadow.card}}>
           <SectionHeader>Indicateurs du mois</SectionHeader>
-          <div style={{overflowY:"auto",maxHeight:320}}>
+          <div style={{overflow:"auto",maxHeight:320}}>
             <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,fontFamily:THEME.font}}>
               <thead>
                 <tr style={{background:THEME.colors.surfaceAlt}}>
@@ -395,21 +919,28 @@ function ViewDashboard({ parsedFiles }) {
                   <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}}>% total</th>
                   <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}}>Var.</th>
                   <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}}>Cumul</th>
+                  <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}}>Var. cumul</th>
+                  <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}} title={glissant12.libelle}>12 mois</th>
+                  <th style={{textAlign:"right",padding:"10px 12px",color:THEME.colors.textMuted,fontWeight:700,fontSize:11,borderBottom:`2px solid ${THEME.colors.border}`}}>Var. 12 mois</th>
                 </tr>
               </thead>
               <tbody>
                 {tableRows.map(([k,v])=>(
                   <tr key={k} style={{borderBottom:`1px solid ${THEME.colors.borderLight}`}}>
                     <td style={{padding:"10px 12px",color:THEME.colors.textSecondary}}>{v.label}</td>
-                    <td style={{padding:"10px 12px",textAlign:"right",fontWeight:600,color:THEME.colors.text,background:cellBg(v.valN)}}>{v.valN ?? "—"}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",fontWeight:600,color:THEME.colors.text,background:fondNiveau(v.valN, niveauFaits(regles[k], v.valN, d.population))}}>{v.valN ?? "—"}</td>
                     <td style={{padding:"10px 12px",textAlign:"right",color:THEME.colors.textMuted}}>{totalFaits > 0 && v.valN != null ? Math.round((v.valN/totalFaits)*100) + "%" : "—"}</td>
-                    <td style={{padding:"10px 12px",textAlign:"right",color:variationColor(v.variationPct),fontWeight:600,fontSize:12}}>{v.variationPct !== null ? `${v.variationPct > 0 ? "+" : ""}${v.variationPct}%` : "—"}</td>
-                    <td style={{padding:"10px 12px",textAlign:"right",color:THEME.colors.textMuted}}>{v.cumul ?? "—"}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",color:variationColor(v.variationPct, regles[k]?.variation),fontWeight:600,fontSize:12}}>{v.variationPct !== null ? `${v.variationPct > 0 ? "+" : ""}${v.variationPct}%` : "—"}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",color:THEME.colors.textMuted}} title={v.cumulN1 != null ? `Cumul N-1 : ${v.cumulN1}` : undefined}>{v.cumul ?? "—"}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",color:variationColor(v.variationCumulPct, regles[k]?.variation),fontWeight:600,fontSize:12}}>{v.variationCumulPct != null ? `${v.variationCumulPct > 0 ? "+" : ""}${v.variationCumulPct}%` : "—"}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",color:agregats[k]?.glissant12.complet ? THEME.colors.textMuted : THEME.colors.warning}} title={agregats[k] ? detailAgregat(`12 mois précédents : ${agregats[k].glissant12.precedent.valeur ?? "—"}`, agregats[k].glissant12) : undefined}>{agregats[k]?.glissant12.valeur ?? "—"}{agregats[k] && !agregats[k].glissant12.complet ? "*" : ""}</td>
+                    <td style={{padding:"10px 12px",textAlign:"right",color:variationColor(agregats[k]?.glissant12.variationPct, regles[k]?.variation),fontWeight:600,fontSize:12}}>{agregats[k]?.glissant12.variationPct != null ? `${agregats[k].glissant12.variationPct > 0 ? "+" : ""}${agregats[k].glissant12.variationPct}%` : "—"}</td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
+          <div style={{marginTop:10,fontSize:11,color:THEME.colors.textMuted}}>12 mois : {glissant12.libelle}, comparés aux 12 mois précédents. * Période incomplète : somme des seuls mois disponibles, sans variation.</div>
         </div>
       </div>
     </div>
@@ -418,54 +949,85 @@ function ViewDashboard({ parsedFiles }) {
 
 // ─────────────────────────────────────────────────────────────
 // VUE TENDANCES
+// Axe chronologique sur plusieurs années, ou superposition des années (janvier — décembre).
 // ─────────────────────────────────────────────────────────────
-function ViewTendances({ parsedFiles }) {
-  const valid = parsedFiles.filter(f => !f.erreur).sort((a,b) => a.mois - b.mois);
+// Couleurs des années superposées, de la plus récente à la plus ancienne
+const COULEURS_ANNEES = [THEME.colors.info, THEME.colors.accent, "#7C3AED", "#D97706", "#64748B", "#DB2777"];
+
+function ViewTendances({ parsedFiles, regles }) {
+  const valid = parsedFiles.filter(f => !f.erreur).sort(comparerMois);
+  const [mode, setMode] = useState("chronologique");
+  const [horizon, setHorizon] = useState(3);
   if (valid.length < 2) return <div style={{color:THEME.colors.textMuted,marginTop:40,fontFamily:THEME.font}}>Importez au moins 2 fichiers pour afficher les tendances.</div>;
 
-  const moisLoaded = new Set(valid.map(f=>f.mois));
-  const moisMin = Math.min(...moisLoaded);
-  const moisMax = Math.max(...moisLoaded);
-  const LABELS = ["","Janvier","Février","Mars","Avril","Mai","Juin","Juillet","Août","Septembre","Octobre","Novembre","Décembre"];
-  const missing = [];
-  for (let m = moisMin; m <= moisMax; m++) if (!moisLoaded.has(m)) missing.push(LABELS[m]);
+  // Axe continu sur plusieurs années : les mois non importés y figurent sans valeur
+  const axe = axeChronologique(valid);
+  const missing = moisManquants(valid);
+  const annees = [...new Set(valid.map(f => f.annee))];
+  const multiAnnees = annees.length > 1;
+  const premier = valid[0];
+  const dernier = valid[valid.length-1];
+  const libellePeriode = `${premier.moisLabel}${multiAnnees ? ` ${premier.annee}` : ""} — ${dernier.moisLabel} ${dernier.annee}`;
 
   const totalPeriode = valid.reduce((s,f)=>s+(f.indicateurs.general_faits.valN??0),0);
-  const premierMois = valid[0].indicateurs.general_faits.valN ?? 0;
-  const dernierMois = valid[valid.length-1].indicateurs.general_faits.valN ?? 0;
+  const premierMois = premier.indicateurs.general_faits.valN ?? 0;
+  const dernierMois = dernier.indicateurs.general_faits.valN ?? 0;
   const variationGlissement = premierMois > 0 ? Math.round((dernierMois - premierMois) / premierMois * 100) : null;
+  // Moyenne des 3 mois calendaires se terminant en i (null si l'un d'eux manque)
   const moyenneMobile3 = (i) => {
     if (i < 2) return null;
-    const slice = valid.slice(i-2, i+1);
-    const sum = slice.reduce((s,f)=>s+(f.indicateurs.general_faits.valN??0),0);
+    const slice = axe.slice(i-2, i+1);
+    if (slice.some(p => p.entree?.indicateurs.general_faits.valN == null)) return null;
+    const sum = slice.reduce((s,p)=>s+p.entree.indicateurs.general_faits.valN,0);
     return Math.round(sum / 3 * 10) / 10;
   };
 
-  const lineData = valid.map((f,i) => ({
-    mois: f.moisLabel.slice(0,3),
-    "Faits constatés": f.indicateurs.general_faits.valN,
-    "Taux ‰ (1 000 hab.)": f.indicateurs.general_faits.taux != null ? Number(f.indicateurs.general_faits.taux) : null,
-    "Moy. mobile 3 mois": moyenneMobile3(i),
+  // Prévisions des prochains mois (intervalle à 80 %), prolongeant l'axe chronologique
+  const previsions = horizon > 0 ? previsionsCommune(valid, { horizon }) : null;
+  const prevFaits = previsions?.general_faits ?? null;
+  const avecAnnee = multiAnnees || (prevFaits?.previsions.some(p => p.annee !== dernier.annee) ?? false);
+  const fmtPrev = (v) => String(Math.round(v * 10) / 10).replace(".", ",");
+  const lineData = [
+    ...axe.map((p,i) => {
+      const ind = p.entree?.indicateurs.general_faits;
+      return {
+        mois: libelleCourt(p.mois, p.annee, avecAnnee),
+        "Faits constatés": ind?.valN ?? null,
+        "Taux ‰ (1 000 hab.)": ind?.taux != null ? Number(ind.taux) : null,
+        "Moy. mobile 3 mois": moyenneMobile3(i),
+        // La courbe de prévision part du dernier mois observé
+        ...(prevFaits && i === axe.length-1 ? { "Prévision": ind?.valN ?? null } : {}),
+      };
+    }),
+    ...(prevFaits?.previsions ?? []).map(p => ({
+      mois: libelleCourt(p.mois, p.annee, avecAnnee),
+      "Prévision": Math.round(p.valeur * 10) / 10,
+      "Intervalle 80 %": [Math.round(p.bas * 10) / 10, Math.round(p.haut * 10) / 10],
+    })),
+  ];
+  const superposition = superpositionAnnuelle(valid, f => f.indicateurs.general_faits.valN);
+
+  const barData = axe.map(p => ({
+    mois: libelleCourt(p.mois, p.annee, multiAnnees),
+    ...(p.entree ? Object.fromEntries(CATEGORIES.filter(c => c.cat !== "Général").map(({ cat }) => [
+      cat,
+      INDICATEURS.filter(i => i.cat === cat).reduce((s, i) => s + (p.entree.indicateurs[i.key]?.valN ?? 0), 0),
+    ])) : {}),
   }));
 
-  const barData = valid.map(f => ({
-    mois: f.moisLabel.slice(0,3),
-    Personnes: (f.indicateurs.cbv.valN??0)+(f.indicateurs.menaces.valN??0),
-    Vols: (f.indicateurs.vols_simples.valN??0),
-    Cambriolages: (f.indicateurs.camb_resid.valN??0)+(f.indicateurs.camb_pro.valN??0),
-    Automobile: (f.indicateurs.roulotte.valN??0)+(f.indicateurs.destruc_veh.valN??0),
-    Autres: (f.indicateurs.incendies.valN??0)+(f.indicateurs.stupef.valN??0)+(f.indicateurs.autorite.valN??0),
-  }));
+  // Agrégats au dernier mois importé et cumul sur 12 mois glissants (null tant que la fenêtre est incomplète)
+  const agregats = agregatsCommune(valid);
+  const glissantData = serieGlissante12(valid, "general_faits").map(p => ({ mois: libelleCourt(p.mois, p.annee, multiAnnees), "12 mois glissants": p.valeur }));
+  const glissantDisponible = glissantData.some(p => p["12 mois glissants"] != null);
 
   const trims = [[1,2,3],[4,5,6],[7,8,9],[10,11,12]];
-  const trimData = trims.map((months,i)=>{
-    const data = valid.filter(f=>months.includes(f.mois));
+  const trimData = annees.flatMap(annee => trims.map((months,i)=>{
+    const data = valid.filter(f=>f.annee===annee && months.includes(f.mois));
     const total = data.reduce((s,f)=>s+(f.indicateurs.general_faits.valN??0),0);
-    return { trim: `T${i+1}`, mois: data.map(f=>f.moisLabel.slice(0,3)).join("–"), total, count: data.length };
-  }).filter(t=>t.count>0);
+    return { trim: `T${i+1}${multiAnnees ? ` ${annee}` : ""}`, mois: data.map(f=>f.moisLabel.slice(0,3)).join("–"), total, count: data.length };
+  })).filter(t=>t.count>0);
 
-  const indKeys = ["cbv","menaces","vols_simples","camb_resid","camb_pro","roulotte","destruc_veh","incendies","stupef","autorite"];
-  const evolutionParIndicateur = indKeys.map(k=>{
+  const evolutionParIndicateur = INDICATEURS.filter(i=>i.cat!=="Général").map(({ key: k })=>{
     const first = valid[0]?.indicateurs[k]?.valN ?? 0;
     const last = valid[valid.length-1]?.indicateurs[k]?.valN ?? 0;
     const sum = valid.reduce((s,f)=>s+(f.indicateurs[k]?.valN??0),0);
@@ -478,7 +1040,7 @@ function ViewTendances({ parsedFiles }) {
 
   const partDominante = totalPeriode > 0 ? evolutionParIndicateur.sort((a,b)=>b.sum-a.sum)[0] : null;
   const synthèseTendances = variationGlissement != null
-    ? `Sur la période ${valid[0].moisLabel} — ${valid[valid.length-1].moisLabel} ${valid[0].annee}, les faits constatés sont en ${variationGlissement >= 0 ? "hausse" : "baisse"} de ${Math.abs(variationGlissement)}% (glissement premier → dernier mois). Total : ${totalPeriode} faits.${partDominante ? ` La catégorie la plus représentée est « ${partDominante.label} » (${Math.round(partDominante.sum/totalPeriode*100)}% du total).` : ""}`
+    ? `Sur la période ${libellePeriode}, les faits constatés sont en ${variationGlissement >= 0 ? "hausse" : "baisse"} de ${Math.abs(variationGlissement)}% (glissement premier → dernier mois). Total : ${totalPeriode} faits.${partDominante ? ` La catégorie la plus représentée est « ${partDominante.label} » (${Math.round(partDominante.sum/totalPeriode*100)}% du total).` : ""}`
     : `Sur la période, ${totalPeriode} faits constatés au total.${partDominante ? ` Catégorie dominante : ${partDominante.label} (${Math.round(partDominante.sum/totalPeriode*100)}%).` : ""}`;
 
   return (
@@ -489,7 +1051,7 @@ function ViewTendances({ parsedFiles }) {
       {missing.length > 0 && (
         <div style={{background:THEME.colors.warningBg,border:"1px solid #FCD34D",borderRadius:THEME.radius.md,padding:"14px 18px",marginBottom:24,fontSize:13,color:"#92400E",display:"flex",gap:8,alignItems:"center"}}>
           <span>⚠️</span>
-          <span>Données manquantes : {missing.join(", ")} {valid[0]?.annee} non importé{missing.length>1?"s":""}</span>
+          <span>Données manquantes : {missing.map(m => `${m.moisLabel} ${m.annee}`).join(", ")} non importé{missing.length>1?"s":""}</span>
         </div>
       )}
 
@@ -501,21 +1063,88 @@ function ViewTendances({ parsedFiles }) {
 
       {/* Évolution faits + taux + moyenne mobile */}
       <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,marginBottom:28,boxShadow:THEME.shadow.card}}>
-        <SectionHeader>Évolution des faits constatés et du taux pour 1 000 hab.</SectionHeader>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",gap:12,flexWrap:"wrap"}}>
+          <SectionHeader>{mode === "superposition" ? "Faits constatés par année (janvier — décembre)" : "Évolution des faits constatés et du taux pour 1 000 hab."}</SectionHeader>
+          <div style={{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap"}}>
+          {mode !== "superposition" && (
+            <select value={horizon} onChange={e=>setHorizon(Number(e.target.value))} aria-label="Horizon de prévision"
+              style={{padding:"6px 10px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,fontSize:12,background:THEME.colors.surface,color:THEME.colors.textSecondary,fontWeight:600,fontFamily:THEME.font}}>
+              <option value={0}>Sans prévision</option>
+              <option value={3}>Prévision à 3 mois</option>
+              <option value={6}>Prévision à 6 mois</option>
+            </select>
+          )}
+          {multiAnnees && (
+            <div style={{display:"flex",border:`1px solid ${THEME.colors.border}`,borderRadius:THEME.radius.md,overflow:"hidden"}}>
+              {[["chronologique","Chronologique"],["superposition","Année par année"]].map(([m,label])=>(
+                <button key={m} onClick={()=>setMode(m)} style={{padding:"6px 12px",border:"none",fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:THEME.font,background:mode===m?THEME.colors.primary:THEME.colors.surface,color:mode===m?"#fff":THEME.colors.textSecondary}}>{label}</button>
+              ))}
+            </div>
+          )}
+          </div>
+        </div>
+        {multiAnnees && mode === "superposition" ? (
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={superposition.lignes}>
+              <CartesianGrid strokeDasharray="3 3" stroke={THEME.colors.borderLight}/>
+              <XAxis dataKey="mois" tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
+              <YAxis tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
+              <Tooltip formatter={(v)=>v ?? "—"}/>
+              <Legend/>
+              {superposition.annees.map((annee,i)=>(
+                <Line key={annee} type="monotone" dataKey={annee} name={String(annee)} stroke={COULEURS_ANNEES[(superposition.annees.length-1-i) % COULEURS_ANNEES.length]} strokeWidth={i === superposition.annees.length-1 ? 2.5 : 1.75} dot={{r:3}}/>
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
         <ResponsiveContainer width="100%" height={280}>
-          <LineChart data={lineData}>
+          <ComposedChart data={lineData}>
             <CartesianGrid strokeDasharray="3 3" stroke={THEME.colors.borderLight}/>
             <XAxis dataKey="mois" tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
             <YAxis yAxisId="left" tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
             <YAxis yAxisId="right" orientation="right" tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
-            <Tooltip formatter={(v)=>v != null ? (Number(v) === v && v % 1 !== 0 ? v.toFixed(2) : v) : "—"}/>
+            <Tooltip formatter={(v)=>Array.isArray(v) ? `${fmtPrev(v[0])} – ${fmtPrev(v[1])}` : v != null ? (Number(v) === v && v % 1 !== 0 ? v.toFixed(2) : v) : "—"}/>
             <Legend/>
+            {prevFaits && <Area yAxisId="left" type="monotone" dataKey="Intervalle 80 %" stroke="none" fill={THEME.colors.info} fillOpacity={0.12} name="Intervalle de prévision 80 %"/>}
             <Line yAxisId="left" type="monotone" dataKey="Faits constatés" stroke={THEME.colors.info} strokeWidth={2.5} dot={{r:4,fill:THEME.colors.info}} connectNulls name="Faits constatés"/>
+            {prevFaits && <Line yAxisId="left" type="monotone" dataKey="Prévision" stroke={THEME.colors.info} strokeWidth={2} strokeDasharray="4 4" dot={{r:3,fill:THEME.colors.surface}} name="Prévision"/>}
             <Line yAxisId="left" type="monotone" dataKey="Moy. mobile 3 mois" stroke="#7C3AED" strokeWidth={2} strokeDasharray="5 5" dot={false} connectNulls name="Moy. mobile 3 mois"/>
             <Line yAxisId="right" type="monotone" dataKey="Taux ‰ (1 000 hab.)" stroke={THEME.colors.accent} strokeWidth={2} dot={{r:3,fill:THEME.colors.accent}} connectNulls name="Taux ‰"/>
-          </LineChart>
+            {/* Seuils « taux » des règles d'alerte */}
+            {regles.general_faits.taux.vigilance != null && <ReferenceLine yAxisId="right" ifOverflow="extendDomain" y={regles.general_faits.taux.vigilance} stroke={THEME.colors.warning} strokeDasharray="2 4" label={{ value: `Vigilance ${regles.general_faits.taux.vigilance}‰`, fontSize: 10, fill: THEME.colors.warning, position: "insideTopRight" }}/>}
+            {regles.general_faits.taux.alerte != null && <ReferenceLine yAxisId="right" ifOverflow="extendDomain" y={regles.general_faits.taux.alerte} stroke={THEME.colors.danger} strokeDasharray="2 4" label={{ value: `Alerte ${regles.general_faits.taux.alerte}‰`, fontSize: 10, fill: THEME.colors.danger, position: "insideTopRight" }}/>}
+          </ComposedChart>
         </ResponsiveContainer>
-        <div style={{fontSize:11,color:THEME.colors.textMuted,marginTop:8}}>Moyenne mobile 3 mois : lissage des variations saisonnières (référence SSMSI).</div>
+        )}
+        <div style={{fontSize:11,color:THEME.colors.textMuted,marginTop:8}}>{mode === "superposition" && multiAnnees ? "Une courbe par année sur un axe janvier — décembre : comparaison des mêmes mois d'une année sur l'autre." : "Moyenne mobile 3 mois : lissage des variations saisonnières (référence SSMSI), non calculée si l'un des 3 mois manque."}</div>
+        {mode !== "superposition" && prevFaits && (
+          <div style={{marginTop:18}}>
+            <div style={{fontSize:12,fontWeight:700,color:THEME.colors.textSecondary,marginBottom:8}}>Prévisions par catégorie · {prevFaits.libelle}</div>
+            <div style={{overflowX:"auto"}}>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:12,fontFamily:THEME.font}}>
+                <thead>
+                  <tr>
+                    <th style={{textAlign:"left",padding:"6px 10px",color:THEME.colors.textMuted,borderBottom:`2px solid ${THEME.colors.border}`}}>Série</th>
+                    {prevFaits.previsions.map(p=><th key={`${p.annee}-${p.mois}`} style={{textAlign:"right",padding:"6px 10px",color:THEME.colors.textMuted,borderBottom:`2px solid ${THEME.colors.border}`}}>{libelleCourt(p.mois, p.annee, avecAnnee)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[["Faits constatés", prevFaits], ...Object.entries(previsions.categories)].filter(([,prev])=>prev).map(([serie,prev])=>(
+                    <tr key={serie} style={{borderBottom:`1px solid ${THEME.colors.borderLight}`}}>
+                      <td style={{padding:"6px 10px",color:THEME.colors.textSecondary,fontWeight:serie==="Faits constatés"?700:400}}>{serie}</td>
+                      {prev.previsions.map(p=>(
+                        <td key={`${p.annee}-${p.mois}`} style={{padding:"6px 10px",textAlign:"right",color:THEME.colors.text}}>
+                          <strong>{fmtPrev(p.valeur)}</strong> <span style={{color:THEME.colors.textMuted}}>[{fmtPrev(p.bas)} – {fmtPrev(p.haut)}]</span>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{fontSize:11,color:THEME.colors.textMuted,marginTop:6}}>Valeur prévue et intervalle de prévision à 80 % : 8 mois sur 10 devraient se situer dans l'intervalle. Méthode choisie selon l'historique importé (Holt-Winters à partir de 24 mois consécutifs, saisonnier naïf à partir de 12, moyenne récente sinon).</div>
+          </div>
+        )}
       </div>
 
       {trimData.length > 0 && (
@@ -526,13 +1155,31 @@ function ViewTendances({ parsedFiles }) {
               <div key={t.trim} style={{background:THEME.colors.surfaceAlt,borderRadius:THEME.radius.md,padding:"14px 18px",minWidth:120,border:`1px solid ${THEME.colors.border}`}}>
                 <div style={{fontSize:11,fontWeight:700,color:THEME.colors.textMuted,marginBottom:4}}>{t.trim}</div>
                 <div style={{fontSize:20,fontWeight:800,color:THEME.colors.text}}>{t.total}</div>
-                <div style={{fontSize:11,color:THEME.colors.textMuted}}>faits · {t.mois}</div>
+                <div style={{fontSize:11,color:THEME.colors.textMuted}}>faits · {t.mois}{t.count < 3 ? ` (partiel : ${t.count} mois sur 3)` : ""}</div>
               </div>
             ))}
           </div>
         </div>
       )}
 
+      <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,marginBottom:28,boxShadow:THEME.shadow.card}}>
+        <SectionHeader>12 mois glissants, depuis janvier et trimestre — à fin {dernier.moisLabel} {dernier.annee}</SectionHeader>
+        {glissantDisponible ? (
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={glissantData}>
+              <CartesianGrid strokeDasharray="3 3" stroke={THEME.colors.borderLight}/>
+              <XAxis dataKey="mois" tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
+              <YAxis tick={{fontSize:12,fill:THEME.colors.textMuted}}/>
+              <Tooltip formatter={(v)=>v ?? "—"}/>
+              <Line type="monotone" dataKey="12 mois glissants" stroke={THEME.colors.primaryLight} strokeWidth={2.5} dot={{r:3}} name="Faits sur 12 mois glissants"/>
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
+          <div style={{fontSize:13,color:THEME.colors.textMuted,marginBottom:12}}>Cumul sur 12 mois glissants indisponible : aucune fenêtre de 12 mois complète (mois importés ou valeurs N-1 des rapports).</div>
+        )}
+        <TableauAgregats agregats={agregats} regles={regles}/>
+      </div>
+
       {(topHausses.length > 0 || topBaisses.length > 0) && (
         <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:18,marginBottom:28}}>
           {topHausses.length > 0 && (
@@ -568,7 +1215,7 @@ function ViewTendances({ parsedFiles }) {
             ))}
           </BarChart>
         </ResponsiveContainer>
-        <SourceFooter commune={valid[0]?.commune} moisLabel={`${valid[0]?.moisLabel} — ${valid[valid.length-1]?.moisLabel}`} annee={valid[0]?.annee} fichierSource={`${valid.length} fichiers importés`}/>
+        <SourceFooter commune={premier.commune} moisLabel={`${premier.moisLabel}${multiAnnees ? ` ${premier.annee}` : ""} — ${dernier.moisLabel}`} annee={dernier.annee} fichierSource={`${valid.length} fichiers importés`} corriges={moisCorriges(valid)}/>
       </div>
     </div>
   );
@@ -577,8 +1224,8 @@ function ViewTendances({ parsedFiles }) {
 // ─────────────────────────────────────────────────────────────
 // VUE RAPPORT
 // ─────────────────────────────────────────────────────────────
-function ViewRapport({ parsedFiles }) {
-  const valid = parsedFiles.filter(f => !f.erreur).sort((a,b) => a.mois - b.mois);
+function ViewRapport({ parsedFiles, regles }) {
+  const valid = parsedFiles.filter(f => !f.erreur).sort(comparerMois);
   if (valid.length === 0) return <div style={{color:THEME.colors.textMuted,marginTop:40,fontFamily:THEME.font}}>Aucune donnée. Importez des fichiers PDF.</div>;
 
   const commune = valid[0].commune;
@@ -589,14 +1236,56 @@ function ViewRapport({ parsedFiles }) {
   const dernierMois = valid[valid.length-1];
   const periode = valid.length === 1 ? `${valid[0].moisLabel} ${annee}` : `${valid[0].moisLabel} — ${dernierMois.moisLabel} ${annee}`;
 
-  // Computed sums
-  const totalFaitsN = valid.reduce((s,f)=>s+(f.indicateurs.general_faits.valN??0),0);
-  const totalFaitsN1 = valid.reduce((s,f)=>s+(f.indicateurs.general_faits.valN1??0),0);
-  const varGlobal = totalFaitsN1 > 0 ? Math.round((totalFaitsN-totalFaitsN1)/totalFaitsN1*100) : null;
+  // Sommes de la période : les valeurs absentes des rapports ne sont pas comptées (voir valeursAbsentes)
+  const sumKey = (k, field = "valN") => sommeIndicateur(valid, k, field).valeur ?? 0;
+  // Variation de la période vs mêmes mois N-1, sur les seuls mois où N et N-1 sont connus (null sinon)
+  const varKey = (k) => {
+    const comparables = valid.filter(f => f.indicateurs[k]?.valN != null && f.indicateurs[k]?.valN1 != null);
+    const n1 = sommeIndicateur(comparables, k, "valN1").valeur;
+    return n1 > 0 ? Math.round((sommeIndicateur(comparables, k).valeur-n1)/n1*100) : null;
+  };
+  const totalFaitsN = sumKey("general_faits");
+  const totalFaitsN1 = sumKey("general_faits", "valN1");
+  const varGlobal = varKey("general_faits");
   const cumul = dernierMois.indicateurs.general_faits.cumul;
+  // Cumul depuis le début de l'année (lu dans le dernier rapport importé, indépendant des mois importés)
+  const cumulN1 = dernierMois.indicateurs.general_faits.cumulN1 ?? null;
+  const varCumul = dernierMois.indicateurs.general_faits.variationCumulPct ?? null;
+  const cumulRows = Object.entries(dernierMois.indicateurs)
+    .filter(([k,v])=>k!=="general_taux" && v.cumul != null)
+    .map(([k,v])=>({ key:k, label:v.label, cumul:v.cumul, cumulN1:v.cumulN1 ?? null, pct:v.variationCumulPct ?? null }));
+  const fmtPct = (p) => p !== null ? `${p > 0 ? "+" : ""}${p}%` : "—";
+  // Indicateurs du catalogue présents dans au moins un mois (les optionnels dépendent du modèle de rapport)
+  const indicateursPresents = INDICATEURS.filter(i => valid.some(f => f.indicateurs[i.key]));
+  // Mois dont la valeur N d'un indicateur du rapport est absente (ni lue ni corrigée), signalés dans les mentions
+  const valeursAbsentes = indicateursPresents.map(({ key, label }) => {
+    const { manquants } = sommeIndicateur(valid.filter(f => f.indicateurs[key]), key);
+    return manquants.length ? `${label} (${manquants.map(f => `${f.moisLabel} ${f.annee}`).join(", ")})` : null;
+  }).filter(Boolean);
+  // Projection des 3 mois suivant le dernier mois importé (intervalle de prévision à 80 %)
+  const projection = previsionsCommune(valid, { horizon: 3 }).general_faits;
+  const fmtPrev = (v) => String(Math.round(v * 10) / 10).replace(".", ",");
+  const projectionRows = (projection?.previsions ?? []).map(p => [`${MOIS_LABELS[p.mois]} ${p.annee}`, fmtPrev(p.valeur), `${fmtPrev(p.bas)} – ${fmtPrev(p.haut)}`]);
+  const projectionTexte = projection ? `Projection établie à partir de l'historique importé (${valid.length} mois) par la méthode « ${projection.libelle} ». L'intervalle de prévision à 80 % indique la fourchette dans laquelle le nombre de faits devrait se situer 8 mois sur 10 ; il ne constitue pas un objectif.` : "";
+  // 12 mois glissants, depuis janvier et dernier trimestre achevé à fin du dernier mois importé
+  const agregats = agregatsCommune(valid, dernierMois);
+  const refAgregats = agregats.general_faits;
+  const agregatsRows = lignesAgregats(agregats).map(({ key, label }) => ({ key, label, ...agregats[key] }));
+  const fmtAgregat = (a) => a.valeur != null ? `${a.valeur}${a.complet ? "" : "*"}` : "—";
+  const phraseAgregat = (a, periode, comparaison) => a.valeur == null ? `${periode} : aucune donnée.`
+    : `${periode} : ${a.valeur} faits${a.complet ? "" : " (période incomplète)"}${a.precedent.valeur != null ? `, contre ${a.precedent.valeur} ${comparaison}${a.variationPct != null ? ` (${fmtPct(a.variationPct)})` : ""}` : ""}.`;
+  const agregatsTexte = refAgregats ? [
+    phraseAgregat(refAgregats.glissant12, `Sur 12 mois glissants (${refAgregats.glissant12.libelle})`, "sur les 12 mois précédents")
+      + (refAgregats.glissant12.taux != null ? ` Taux annuel : ${fmt(refAgregats.glissant12.taux, 2)}‰ pour 1 000 habitants.` : ""),
+    phraseAgregat(refAgregats.cumulAnnuel, `Depuis janvier (${refAgregats.cumulAnnuel.libelle})`, `sur la même période de ${dernierMois.annee - 1}`)
+      + (refAgregats.cumulAnnuel.source === "rapport" ? " Cumul lu dans le rapport du dernier mois, des mois de l'année n'étant pas importés." : ""),
+    phraseAgregat(refAgregats.trimestre, `Au ${refAgregats.trimestre.libelle}`, `au ${refAgregats.trimestre.precedent.libelle}`),
+  ].join(" ") : "";
+  const agregatsManquants = refAgregats ? mentionManquants(refAgregats.glissant12) : "";
+  const agregatsNote = `Valeur d'un mois non importé : valeur N-1 du rapport du même mois de l'année suivante. * Période incomplète${agregatsManquants ? ` (12 mois glissants : ${agregatsManquants})` : ""} : somme des seuls mois disponibles, sans variation.`;
+  const agregatsColonnes = ["Indicateur", "12 mois", "Var.", "Depuis janv.", "Var.", `Trim. ${refAgregats?.trimestre.libelle ?? ""}`.trim(), `Var. vs ${refAgregats?.trimestre.precedent.libelle ?? "T-1"}`];
   const tauxMoyen = valid.length ? (valid.reduce((s,f)=>s+(f.indicateurs.general_faits.taux??0),0)/valid.length).toFixed(2) : "—";
 
-  const sumKey = (k) => valid.reduce((s,f)=>s+(f.indicateurs[k]?.valN??0),0);
   const sRoulotte = sumKey("roulotte");
   const sDestruc = sumKey("destruc_veh");
   const sCambRes = sumKey("camb_resid");
@@ -608,6 +1297,20 @@ function ViewRapport({ parsedFiles }) {
   const sMenaces = sumKey("menaces");
   const sVolsSimp = sumKey("vols_simples");
 
+  // Règles d'alerte de la commune : niveau des faits de la période (recommandations) et mois de pic.
+  // Mesures prioritaires au-delà du seuil d'alerte, vigilance renforcée au-delà du seuil de vigilance ;
+  // vols à la roulotte : mesures prioritaires dès la vigilance, renforcées au-delà de l'alerte.
+  const depasse = (niveau) => niveau === "vigilance" || niveau === "alerte";
+  const [nivRoulotte, nivDestruc, nivCambRes, nivIncendies] = [["roulotte",sRoulotte],["destruc_veh",sDestruc],["camb_resid",sCambRes],["incendies",sIncendies]]
+    .map(([k,total]) => niveauSeuil(regles[k].cumul, total));
+  const mesuresPrioritaires = depasse(nivRoulotte) || [nivDestruc, nivCambRes, nivIncendies].includes("alerte");
+  const mesuresVigilance = [nivDestruc, nivCambRes, nivIncendies].includes("vigilance");
+  const picsRoulotte = valid.filter(f => depasse(niveauFaits(regles.roulotte, f.indicateurs.roulotte.valN, f.population)));
+  const moisPicsRoulotte = picsRoulotte.map(f=>f.moisLabel).join(", ") || "voir données";
+  // Fond d'une valeur mensuelle (volume et taux) ou d'une somme sur la période (volume)
+  const fondMois = (f, k) => fondNiveau(f.indicateurs[k]?.valN, niveauFaits(regles[k], f.indicateurs[k]?.valN, f.population));
+  const niveauLabel = (p, k) => ({ normal: "Favorable", vigilance: "Vigilance", alerte: "Alerte" })[niveauRapport(regles[k]?.variation, p)] ?? "—";
+
   const LABELS = ["","Janvier","Février","Mars","Avril","Mai","Juin","Juillet","Août","Septembre","Octobre","Novembre","Décembre"];
 
   // Pic roulotte
@@ -623,14 +1326,17 @@ function ViewRapport({ parsedFiles }) {
 
   const today = new Date().toLocaleDateString("fr-FR",{day:"2-digit",month:"long",year:"numeric"});
   const fichiersList = valid.map(f=>f.fichierSource).join(", ");
+  const corriges = moisCorriges(valid);
 
   const thStyle = {padding:"8px 12px",background:"#EFF6FF",color:"#1E293B",fontWeight:700,fontSize:12,borderBottom:"2px solid #BFDBFE",textAlign:"left"};
-  const tdStyle = (val=null) => ({padding:"7px 12px",fontSize:13,color:"#334155",background:cellBg(val),borderBottom:"1px solid #F1F5F9"});
+  const tdStyle = (val=null, seuils) => ({padding:"7px 12px",fontSize:13,color:"#334155",background:cellBg(val, seuils),borderBottom:"1px solid #F1F5F9"});
   const h2Style = {fontSize:17,fontWeight:700,color:"#1E293B",margin:"32px 0 12px",paddingBottom:8,borderBottom:"2px solid #E2E8F0"};
   const h3Style = {fontSize:14,fontWeight:700,color:"#334155",margin:"20px 0 8px"};
 
   const [copyStatus, setCopyStatus] = useState("");
   const [docxStatus, setDocxStatus] = useState("");
+  const [xlsxStatus, setXlsxStatus] = useState("");
+  const [pdfStatus, setPdfStatus] = useState("");
   const reportContentRef = useRef(null);
 
   // ── Copier le texte brut ────────────────────────────────────
@@ -649,6 +1355,7 @@ function ViewRapport({ parsedFiles }) {
         `CHAPITRE 1 — SYNTHÈSE EXÉCUTIVE`,
         `L'analyse des données de délinquance de la commune de ${commune} pour la période ${periode} révèle une tendance générale ${varGlobal === null ? "" : varGlobal <= 0 ? "à la baisse" : "à la hausse"} du nombre total de faits constatés${varGlobal !== null ? ` (${varGlobal > 0 ? "+" : ""}${varGlobal}% par rapport à N-1)` : ""}.`,
         `Avec ${cumul ?? totalFaitsN} faits constatés pour une population de ${population?.toLocaleString()} habitants, le taux de criminalité moyen s'établit à environ ${tauxMoyen}‰ pour 1 000 habitants.`,
+        cumul != null ? `Cumul ${dernierMois.annee} à fin ${dernierMois.moisLabel} : ${cumul} faits${cumulN1 != null ? ` (N-1 : ${cumulN1}, ${fmtPct(varCumul)})` : ""}.` : ``,
         ``,
         ...valid.map(f => {
           const ind = f.indicateurs.general_faits;
@@ -724,6 +1431,204 @@ function ViewRapport({ parsedFiles }) {
     setTimeout(cleanup, 2000);
   };
 
+  // ── Exporter PDF (mise en page déterministe, graphiques vectoriels) ──
+  const exportPdf = async () => {
+    setPdfStatus("⏳ Génération...");
+    try {
+      const PDFLib = await import("pdf-lib");
+      const vol = (v, suffixe = "", k) => ({ texte: v == null ? "—" : `${v}${suffixe}`, fond: fondPdf(v, regles[k]?.volume) });
+      const volMois = (f, k) => { const fond = fondMois(f, k); return { texte: f.indicateurs[k]?.valN ?? "—", fond: fond === "transparent" ? undefined : fond }; };
+      const liste = (elements) => ({ type: "liste", elements: elements.filter(Boolean) });
+      const picTrim = trimData.length >= 2 ? trimData.reduce((b,t)=>t.total>b.total?t:b,trimData[0]) : null;
+
+      const sections = [
+        { titre: "CHAPITRE 1 — SYNTHÈSE EXÉCUTIVE", blocs: [
+          { type: "paragraphe", texte: `L'analyse des données de délinquance de la commune de ${commune} pour la période ${periode} révèle une tendance générale ${varGlobal===null?"":varGlobal<=0?"à la baisse":"à la hausse"} du nombre total de faits constatés${varGlobal!==null?` (${varGlobal>0?"+":""}${varGlobal}% par rapport à N-1)`:""}, avec cependant des évolutions très contrastées selon les catégories d'infraction.` },
+          { type: "paragraphe", texte: `Avec ${cumul??totalFaitsN} faits constatés sur l'ensemble de la période pour une population de ${entierFr(population)} habitants, le taux de criminalité moyen s'établit à environ ${tauxMoyen}‰ faits pour 1 000 habitants.` },
+          { type: "titre", texte: "Faits marquants de la période" },
+          liste([
+            varGlobal!==null && `${varGlobal<=0?"Baisse":"Hausse"} globale de ${Math.abs(varGlobal)}% du total des faits constatés (${cumul??totalFaitsN} faits)`,
+            cumul!=null && varCumul!==null && `Cumul annuel à fin ${dernierMois.moisLabel} ${dernierMois.annee} : ${cumul} faits (${fmtPct(varCumul)} par rapport à la même période N-1)`,
+            depasse(nivRoulotte) && `Phénomène dominant — Vols à la roulotte : ${sRoulotte} faits, pic en ${picRoulotte?.moisLabel} (${picRoulotte?.indicateurs.roulotte.valN} faits)`,
+            sIncendies>0 && `Émergence des incendies volontaires : ${sIncendies} fait${sIncendies>1?"s":""} enregistré${sIncendies>1?"s":""}`,
+            depasse(nivCambRes) && `Cambriolages résidentiels : ${sCambRes} faits — vigilance accrue recommandée`,
+          ]),
+        ] },
+        { titre: "CHAPITRE 2 — INDICATEURS GÉNÉRAUX ET ÉVOLUTION MENSUELLE", blocs: [
+          { type: "titre", texte: "2.1 Évolution mensuelle des faits constatés" },
+          { type: "graphique", titre: "Faits constatés par mois", categories: valid.map(f => f.moisLabel.slice(0,3)), series: [
+            { nom: `${annee}`, couleur: THEME.colors.info, valeurs: valid.map(f => f.indicateurs.general_faits.valN) },
+            { nom: `${annee - 1}`, couleur: "#94A3B8", valeurs: valid.map(f => f.indicateurs.general_faits.valN1) },
+          ] },
+          { type: "tableau",
+            colonnes: [{ titre: "Mois", largeur: 1.6 }, { titre: "Faits N-1", droite: true }, { titre: "Faits N", droite: true }, { titre: "Variation", droite: true }, { titre: "Cumul", droite: true }, { titre: "Taux /1000 hab.", largeur: 1.3, droite: true }],
+            lignes: valid.map(f => {
+              const ind = f.indicateurs.general_faits;
+              return [f.moisLabel, ind.valN1, volMois(f, "general_faits"), pctPdf(ind.variationPct, regles.general_faits.variation), ind.cumul, `${ind.taux}‰`];
+            }),
+            total: ["TOTAL", totalFaitsN1 || "—", totalFaitsN, pctPdf(varGlobal, regles.general_faits.variation), cumul, `Moy : ${tauxMoyen}‰`] },
+          ...(cumulRows.length > 0 ? [
+            { type: "titre", texte: `2.2 Cumul depuis le début de l'année (à fin ${dernierMois.moisLabel} ${dernierMois.annee})` },
+            { type: "tableau",
+              colonnes: [{ titre: "Indicateur", largeur: 3 }, { titre: `Cumul ${dernierMois.annee}`, droite: true }, { titre: `Cumul ${dernierMois.annee - 1}`, droite: true }, { titre: "Variation", droite: true }],
+              lignes: cumulRows.map(r => [r.label, r.cumul, r.cumulN1, pctPdf(r.pct, regles[r.key]?.variation)]) },
+          ] : []),
+          ...(picTrim ? [
+            { type: "titre", texte: "2.3 Analyse saisonnière" },
+            liste(trimData.map(t => `T${t.t} (${t.mois.join(", ")}) : ${t.total} faits — ${totalFaitsN>0?Math.round(t.total/totalFaitsN*100):0}% du total.`)),
+            { type: "paragraphe", texte: `Ce bilan confirme une concentration sur T${picTrim.t} (${picTrim.mois.join(", ")}) avec ${picTrim.total} faits. Le mois le plus actif reste ${picFaits?.moisLabel} avec ${picFaits?.indicateurs.general_faits.valN} faits (taux ${picFaits?.indicateurs.general_faits.taux}‰).` },
+          ] : []),
+          ...(projection ? [
+            { type: "titre", texte: "2.4 Projection des prochains mois" },
+            { type: "paragraphe", texte: projectionTexte },
+            { type: "tableau",
+              colonnes: [{ titre: "Mois", largeur: 2 }, { titre: "Faits prévus", droite: true }, { titre: "Intervalle 80 %", largeur: 1.5, droite: true }],
+              lignes: projectionRows },
+          ] : []),
+          ...(agregatsRows.length > 0 ? [
+            { type: "titre", texte: `2.5 Indicateurs glissants, annuels et trimestriels (à fin ${dernierMois.moisLabel} ${dernierMois.annee})` },
+            { type: "paragraphe", texte: agregatsTexte },
+            { type: "tableau",
+              colonnes: agregatsColonnes.map((titre, i) => i === 0 ? { titre, largeur: 2.6 } : { titre, droite: true }),
+              lignes: agregatsRows.map(r => [r.label, ...TYPES_AGREGATS.flatMap(([t]) => [fmtAgregat(r[t]), pctPdf(r[t].variationPct, regles[r.key]?.variation)])]) },
+            { type: "paragraphe", texte: agregatsNote },
+          ] : []),
+        ] },
+        { titre: "CHAPITRE 3 — ATTEINTES AUX PERSONNES", blocs: [
+          { type: "titre", texte: "3.1 Coups et blessures volontaires" },
+          { type: "paragraphe", texte: sCbv>0?`Les coups et blessures volontaires représentent ${sCbv} fait${sCbv>1?"s":""} sur la période importée.`:"Aucun fait de coups et blessures volontaires n'est enregistré sur la période importée." },
+          { type: "titre", texte: "3.2 Menaces et chantages" },
+          { type: "paragraphe", texte: sMenaces>0?`Les menaces et chantages représentent ${sMenaces} fait${sMenaces>1?"s":""} sur la période.`:"Aucun fait de menace ou chantage n'est enregistré sur la période importée." },
+          { type: "tableau",
+            colonnes: [{ titre: "Catégorie", largeur: 3 }, { titre: "Cumul période", droite: true }, { titre: "Tendance" }],
+            lignes: [["Coups et blessures volontaires",sCbv,"cbv"],["Menaces ou chantages",sMenaces,"menaces"]].map(([l,v,k]) => [l, vol(v, " faits", k), v>0?"Présent":"Nul"]),
+            total: ["TOTAL atteintes aux personnes", `${sCbv+sMenaces} faits`, "—"] },
+        ] },
+        { titre: "CHAPITRE 4 — VOLS ET CAMBRIOLAGES", blocs: [
+          { type: "titre", texte: "4.1 Vols simples" },
+          { type: "paragraphe", texte: `Les vols simples représentent ${sVolsSimp} faits sur la période.` },
+          { type: "titre", texte: "4.2 Cambriolages" },
+          { type: "paragraphe", texte: `Les cambriolages de résidences représentent ${sCambRes} faits et les cambriolages de locaux professionnels ${sCambPro} faits sur la période.` },
+          { type: "tableau",
+            colonnes: [{ titre: "Catégorie", largeur: 2.4 }, { titre: "Cumul période", droite: true }, { titre: "Variation vs N-1", droite: true }, { titre: "Niveau d'alerte" }],
+            lignes: [["Vols simples",sVolsSimp,"vols_simples"],["Cambriolages résidentiels",sCambRes,"camb_resid"],["Cambriolages locaux pro.",sCambPro,"camb_pro"],["Vols à la roulotte",sRoulotte,"roulotte"]]
+              .map(([l,v,k]) => [l, vol(v, " faits", k), pctPdf(varKey(k), regles[k].variation), niveauLabel(varKey(k), k)]) },
+        ] },
+        { titre: "CHAPITRE 5 — DÉLINQUANCE LIÉE À L'AUTOMOBILE", blocs: [
+          { type: "titre", texte: "5.1 Vols à la roulotte" },
+          { type: "paragraphe", texte: `Les vols à la roulotte constituent le phénomène le plus préoccupant de la période. Avec ${sRoulotte} faits, cette catégorie représente ${totalFaitsN>0?Math.round(sRoulotte/totalFaitsN*100):0}% de l'ensemble de la délinquance constatée.` },
+          { type: "titre", texte: "5.2 Destructions de véhicules" },
+          { type: "paragraphe", texte: `Les destructions de véhicules privés comptabilisent ${sDestruc} fait${sDestruc>1?"s":""} sur la période.` },
+          { type: "tableau",
+            colonnes: [{ titre: "Catégorie", largeur: 3 }, { titre: "Cumul période", droite: true }],
+            lignes: [["Vols à la roulotte & accessoires", vol(sRoulotte, " faits", "roulotte")], ["Destructions véhicules privés", vol(sDestruc, " faits", "destruc_veh")]],
+            total: ["Total délinquance auto", `${sRoulotte+sDestruc} faits (${totalFaitsN>0?Math.round((sRoulotte+sDestruc)/totalFaitsN*100):0}% du total)`] },
+        ] },
+        { titre: "CHAPITRE 6 — AUTRES INFRACTIONS ET PHÉNOMÈNES ÉMERGENTS", blocs: (sIncendies+sStupef+sAutorite)===0
+          ? [{ type: "paragraphe", texte: "Aucun fait n'est enregistré dans les catégories Incendies, Stupéfiants et Atteintes à l'autorité sur la période importée." }]
+          : [
+            ...(sIncendies>0 ? [
+              { type: "titre", texte: "6.1 Incendies volontaires" },
+              { type: "paragraphe", texte: `Avec ${sIncendies} fait${sIncendies>1?"s":""} constaté${sIncendies>1?"s":""}, ce phénomène s'est développé lors de : ${valid.filter(f=>(f.indicateurs.incendies.valN??0)>0).map(f=>`${f.moisLabel} (${f.indicateurs.incendies.valN})`).join(", ")}.` },
+            ] : []),
+            ...(sStupef>0 ? [
+              { type: "titre", texte: `6.${sIncendies>0?2:1} Infractions stupéfiants` },
+              { type: "paragraphe", texte: `Les infractions stupéfiants représentent ${sStupef} fait${sStupef>1?"s":""} sur la période.` },
+            ] : []),
+            ...(sAutorite>0 ? [
+              { type: "titre", texte: `6.${sIncendies>0&&sStupef>0?3:sIncendies>0||sStupef>0?2:1} Atteintes à l'autorité` },
+              { type: "paragraphe", texte: `Les atteintes à l'autorité représentent ${sAutorite} fait${sAutorite>1?"s":""} sur la période.` },
+            ] : []),
+          ] },
+        { titre: "CHAPITRE 7 — TABLEAU RÉCAPITULATIF COMPLET", blocs: [
+          { type: "paragraphe", texte: `Synthèse de tous les indicateurs — ${periode}` },
+          { type: "tableau",
+            colonnes: [{ titre: "Indicateur", largeur: 4 }, { titre: "Index 4001", largeur: 1.6 }, ...valid.map(f => ({ titre: f.moisLabel.slice(0,3), droite: true })), { titre: "Somme", largeur: 1.4, droite: true }],
+            lignes: indicateursPresents.map(({ key: k, label }) => {
+              const vals = valid.map(f => f.indicateurs[k]?.valN);
+              const total = vals.reduce((s,v)=>s+(v??0),0);
+              return [label, formatIndex(k), ...(k==="general_taux" ? vals.map(v => ({ texte: v ?? "—", fond: fondPdf(v, regles.general_faits.taux) })) : valid.map(f => volMois(f, k))), k==="general_taux" ? `Moy: ${(total/valid.length).toFixed(2)}` : { texte: total, fond: fondPdf(total, regles[k]?.volume), gras: true }];
+            }) },
+        ] },
+        { titre: "CHAPITRE 8 — RECOMMANDATIONS ET PRÉCONISATIONS", blocs: [
+          ...(mesuresPrioritaires ? [
+            { type: "titre", texte: "8.1 Mesures prioritaires" },
+            liste([
+              depasse(nivRoulotte) && `Renforcement de la présence policière sur les zones de stationnement aux périodes à risque (${moisPicsRoulotte}).`,
+              nivRoulotte==="alerte" && "Installation ou amélioration de la vidéoprotection sur les principaux parkings de la commune.",
+              depasse(nivRoulotte) && "Communication préventive auprès des résidents sur les bonnes pratiques de sécurisation des véhicules.",
+              nivDestruc==="alerte" && `Suivi renforcé des destructions de véhicules (${sDestruc} faits). Envisager le renforcement de la vidéoprotection.`,
+              nivCambRes==="alerte" && `Surveillance accrue des cambriolages résidentiels (${sCambRes} faits). Renforcer les rondes nocturnes.`,
+              nivIncendies==="alerte" && `Alerte incendies volontaires : ${sIncendies} faits. Coordination recommandée avec les services de prévention.`,
+            ]),
+          ] : []),
+          ...(mesuresVigilance ? [
+            { type: "titre", texte: "8.2 Mesures de vigilance renforcée" },
+            liste([
+              nivDestruc==="vigilance" && `Suivi renforcé des destructions de véhicules (${sDestruc} faits). Envisager le renforcement de la vidéoprotection.`,
+              nivCambRes==="vigilance" && `Surveillance accrue des cambriolages résidentiels (${sCambRes} faits). Renforcer les rondes nocturnes.`,
+              nivIncendies==="vigilance" && "Suivi du phénomène des incendies volontaires : établissement d'une cartographie des incidents.",
+            ]),
+          ] : []),
+          { type: "titre", texte: "8.3 Axes d'amélioration à moyen terme" },
+          liste([
+            "Déploiement d'une stratégie de prévention situationnelle ciblée sur les espaces de stationnement.",
+            "Renforcement des dispositifs de participation citoyenne.",
+            "Analyse comparative avec les communes voisines.",
+            "Évaluation annuelle des effets des mesures mises en place.",
+          ]),
+        ] },
+        { titre: "CHAPITRE 9 — CONCLUSION", blocs: [
+          varGlobal!==null && { type: "paragraphe", texte: `La période ${periode} présente un bilan ${varGlobal<0?"positif":"préoccupant"} pour la commune de ${commune}. La ${varGlobal<0?"baisse":"hausse"} globale de ${Math.abs(varGlobal)}% du nombre de faits constatés constitue ${varGlobal<0?"indéniablement une évolution positive":"un signal d'alerte"} qui mérite une analyse approfondie.` },
+          (sRoulotte+sDestruc)>0 && { type: "paragraphe", texte: `La délinquance automobile — notamment les vols à la roulotte (${sRoulotte} faits) et les destructions de véhicules (${sDestruc} faits) — s'impose comme le phénomène structurant de la période, nécessitant une réponse coordonnée.` },
+          sIncendies>0 && { type: "paragraphe", texte: `L'émergence des incendies volontaires (${sIncendies} fait${sIncendies>1?"s":""}) constitue le signal le plus inquiétant de ce bilan et justifie une vigilance particulière dans les mois à venir.` },
+          { type: "paragraphe", texte: `Dans l'ensemble, le profil délinquantiel de ${commune} reste caractéristique d'une commune périurbaine : délinquance orientée vers le gain économique, criminalité grave limitée, mais vulnérabilité prononcée aux atteintes aux biens liées aux espaces de stationnement.` },
+        ].filter(Boolean) },
+      ];
+
+      const pdf = await genererPdf(PDFLib, {
+        surtitre: "OBSERVATOIRE DE LA DÉLINQUANCE",
+        titre: `COMMUNE DE ${commune.toUpperCase()}`,
+        sousTitre: `RAPPORT D'ANALYSE CRIMINOLOGIQUE — ${annee}`,
+        couverture: ["Réalisé à partir des données mensuelles de l'Observatoire de la Délinquance", "Faits constatés par les services de Gendarmerie Nationale et de Police Nationale", `Période : ${periode}`],
+        encadre: [["Population", `${entierFr(population)} habitants`], ["Surface", `${surface} km²`], ["Densité", `${densite} hab./km²`]],
+        piedDePage: `${commune} — Rapport d'analyse criminologique ${annee}`,
+        sections,
+        sources: sourcesPdf(valid),
+        mentions: [
+          "Rapport établi à partir des données mensuelles de l'Observatoire de la Délinquance — GIP Ressources & Territoires",
+          `Données Gendarmerie Nationale & Police Nationale — Population ${annee} : ${entierFr(population)} habitants`,
+          corriges.length > 0 && `Données corrigées manuellement après import : ${corriges.join(", ")}`,
+          valeursAbsentes.length > 0 && `Valeurs absentes des rapports, non comptées dans les totaux : ${valeursAbsentes.join(" ; ")}`,
+        ].filter(Boolean),
+        metadonnees: { titre: `Rapport d'analyse criminologique — ${commune} ${annee}`, sujet: `Délinquance constatée, ${periode}` },
+      });
+      telecharger(new Blob([pdf], { type: "application/pdf" }), `Rapport_Delinquance_${commune.replace(/ /g,"_")}_${annee}.pdf`);
+      setPdfStatus("✓ Téléchargé !");
+      setTimeout(() => setPdfStatus(""), 3000);
+    } catch (err) {
+      console.error("PDF error:", err);
+      setPdfStatus("❌ Erreur : " + err.message);
+      setTimeout(() => setPdfStatus(""), 5000);
+    }
+  };
+
+  // ── Exporter XLSX (une feuille par tableau, formules) ──────
+  const exportXlsx = async () => {
+    setXlsxStatus("⏳ Génération...");
+    try {
+      const { default: ExcelJS } = await import("exceljs");
+      const wb = classeurRapport(ExcelJS, { commune, mois: valid, indicateurs: indicateursPresents, regles });
+      telecharger(new Blob([await wb.xlsx.writeBuffer()], { type: XLSX_TYPE }), `Rapport_Delinquance_${commune.replace(/ /g,"_")}_${annee}.xlsx`);
+      setXlsxStatus("✓ Téléchargé !");
+      setTimeout(() => setXlsxStatus(""), 3000);
+    } catch (err) {
+      console.error("XLSX error:", err);
+      setXlsxStatus("❌ Erreur : " + err.message);
+      setTimeout(() => setXlsxStatus(""), 5000);
+    }
+  };
+
   // ── Exporter DOCX ──────────────────────────────────────────
   const exportDocx = async () => {
     setDocxStatus("⏳ Génération...");
@@ -820,9 +1725,10 @@ function ViewRapport({ parsedFiles }) {
 
       children.push(mkH3("Faits marquants de la période"));
       if (varGlobal!==null) children.push(mkBullet(`${varGlobal<=0?"Baisse":"Hausse"} globale de ${Math.abs(varGlobal)}% du total des faits constatés (${cumul??totalFaitsN} faits)`));
-      if (sRoulotte>=10) children.push(mkBullet(`Phénomène dominant — Vols à la roulotte : ${sRoulotte} faits, pic en ${picRoulotte?.moisLabel} (${picRoulotte?.indicateurs.roulotte.valN} faits)`));
+      if (cumul!=null&&varCumul!==null) children.push(mkBullet(`Cumul annuel à fin ${dernierMois.moisLabel} ${dernierMois.annee} : ${cumul} faits (${fmtPct(varCumul)} par rapport à la même période N-1)`));
+      if (depasse(nivRoulotte)) children.push(mkBullet(`Phénomène dominant — Vols à la roulotte : ${sRoulotte} faits, pic en ${picRoulotte?.moisLabel} (${picRoulotte?.indicateurs.roulotte.valN} faits)`));
       if (sIncendies>0) children.push(mkBullet(`Émergence des incendies volontaires : ${sIncendies} fait${sIncendies>1?"s":""} enregistré${sIncendies>1?"s":""}`));
-      if (sCambRes>=5) children.push(mkBullet(`Cambriolages résidentiels : ${sCambRes} faits — vigilance accrue recommandée`));
+      if (depasse(nivCambRes)) children.push(mkBullet(`Cambriolages résidentiels : ${sCambRes} faits — vigilance accrue recommandée`));
 
       // CHAPITRE 2
       children.push(mkH("CHAPITRE 2 — INDICATEURS GÉNÉRAUX ET ÉVOLUTION MENSUELLE", 1));
@@ -837,6 +1743,32 @@ function ViewRapport({ parsedFiles }) {
         [1800,1300,1300,1300,1300,1400]
       ));
       children.push(blankLine());
+      if (cumulRows.length > 0) {
+        children.push(mkH3(`2.2 Cumul depuis le début de l'année (à fin ${dernierMois.moisLabel} ${dernierMois.annee})`));
+        children.push(mkTable(
+          ["Indicateur",`Cumul ${dernierMois.annee}`,`Cumul ${dernierMois.annee - 1}`,"Variation"],
+          cumulRows.map(r => [r.label, r.cumul, r.cumulN1 ?? "-", r.pct !== null ? fmtPct(r.pct) : "-"]),
+          [3600,1800,1800,1800]
+        ));
+        children.push(blankLine());
+      }
+      if (projection) {
+        children.push(mkH3("2.4 Projection des prochains mois"));
+        children.push(mkP(projectionTexte, {after:120}));
+        children.push(mkTable(["Mois","Faits prévus","Intervalle 80 %"], projectionRows, [3600,2700,2700]));
+        children.push(blankLine());
+      }
+      if (agregatsRows.length > 0) {
+        children.push(mkH3(`2.5 Indicateurs glissants, annuels et trimestriels (à fin ${dernierMois.moisLabel} ${dernierMois.annee})`));
+        children.push(mkP(agregatsTexte, {after:120}));
+        children.push(mkTable(
+          agregatsColonnes,
+          agregatsRows.map(r => [r.label, ...TYPES_AGREGATS.flatMap(([t]) => [fmtAgregat(r[t]), r[t].variationPct !== null ? fmtPct(r[t].variationPct) : "-"])]),
+          [2700,1050,1050,1050,1050,1050,1050]
+        ));
+        children.push(mkP(agregatsNote, {after:120}));
+        children.push(blankLine());
+      }
 
       // CHAPITRE 3
       children.push(mkH("CHAPITRE 3 — ATTEINTES AUX PERSONNES", 1));
@@ -877,31 +1809,32 @@ function ViewRapport({ parsedFiles }) {
       // CHAPITRE 7 — Tableau récapitulatif
       children.push(mkH("CHAPITRE 7 — TABLEAU RÉCAPITULATIF COMPLET", 1));
       children.push(mkP(`Synthèse de tous les indicateurs — ${periode}`, {after:120}));
-      const indKeys = Object.keys(valid[0].indicateurs);
-      const moisHeaders = ["Indicateur", ...valid.map(f=>f.moisLabel.slice(0,3)), "Somme"];
-      const moisColWidths = [2500, ...valid.map(()=>Math.max(600,Math.floor(5900/valid.length))), 700];
-      const indRows = indKeys.map(k => {
+      const moisHeaders = ["Indicateur", "Index 4001", ...valid.map(f=>f.moisLabel.slice(0,3)), "Somme"];
+      const moisColWidths = [2000, 900, ...valid.map(()=>Math.max(600,Math.floor(5500/valid.length))), 700];
+      const indRows = indicateursPresents.map(({ key: k, label }) => {
         const vals = valid.map(f => f.indicateurs[k]?.valN ?? "—");
         const total = vals.reduce((s,v)=>s+(typeof v==="number"?v:0),0);
-        return [valid[0].indicateurs[k].label, ...vals, k==="general_taux"?`Moy: ${(total/valid.length).toFixed(2)}`:total];
+        return [label, formatIndex(k), ...vals, k==="general_taux"?`Moy: ${(total/valid.length).toFixed(2)}`:total];
       });
       children.push(mkTable(moisHeaders, indRows, moisColWidths));
       children.push(blankLine());
 
       // CHAPITRE 8
       children.push(mkH("CHAPITRE 8 — RECOMMANDATIONS ET PRÉCONISATIONS", 1));
-      if (sRoulotte>=10||sDestruc>=5||sIncendies>=3) {
+      if (mesuresPrioritaires) {
         children.push(mkH3("🔴 8.1 Mesures prioritaires"));
-        if (sRoulotte>=10) children.push(mkBullet(`Renforcement de la présence policière sur les zones de stationnement aux périodes à risque (${valid.filter(f=>(f.indicateurs.roulotte.valN??0)>=5).map(f=>f.moisLabel).join(", ")||"voir données"}).`));
-        if (sRoulotte>=20) children.push(mkBullet("Installation ou amélioration de la vidéoprotection sur les principaux parkings de la commune."));
-        if (sRoulotte>=10) children.push(mkBullet("Communication préventive auprès des résidents sur les bonnes pratiques de sécurisation des véhicules."));
-        if (sDestruc>=5) children.push(mkBullet(`Suivi renforcé des destructions de véhicules (${sDestruc} faits). Envisager le renforcement de la vidéoprotection.`));
-        if (sIncendies>=3) children.push(mkBullet(`Alerte incendies volontaires : ${sIncendies} faits. Coordination recommandée avec les services de prévention.`));
+        if (depasse(nivRoulotte)) children.push(mkBullet(`Renforcement de la présence policière sur les zones de stationnement aux périodes à risque (${moisPicsRoulotte}).`));
+        if (nivRoulotte==="alerte") children.push(mkBullet("Installation ou amélioration de la vidéoprotection sur les principaux parkings de la commune."));
+        if (depasse(nivRoulotte)) children.push(mkBullet("Communication préventive auprès des résidents sur les bonnes pratiques de sécurisation des véhicules."));
+        if (nivDestruc==="alerte") children.push(mkBullet(`Suivi renforcé des destructions de véhicules (${sDestruc} faits). Envisager le renforcement de la vidéoprotection.`));
+        if (nivCambRes==="alerte") children.push(mkBullet(`Surveillance accrue des cambriolages résidentiels (${sCambRes} faits). Renforcer les rondes nocturnes.`));
+        if (nivIncendies==="alerte") children.push(mkBullet(`Alerte incendies volontaires : ${sIncendies} faits. Coordination recommandée avec les services de prévention.`));
       }
-      if (sCambRes>=5||(sIncendies>=1&&sIncendies<=2)) {
+      if (mesuresVigilance) {
         children.push(mkH3("🟡 8.2 Mesures de vigilance renforcée"));
-        if (sCambRes>=5) children.push(mkBullet(`Surveillance accrue des cambriolages résidentiels (${sCambRes} faits). Renforcer les rondes nocturnes.`));
-        if (sIncendies>=1&&sIncendies<=2) children.push(mkBullet("Suivi du phénomène des incendies volontaires : établissement d'une cartographie des incidents."));
+        if (nivDestruc==="vigilance") children.push(mkBullet(`Suivi renforcé des destructions de véhicules (${sDestruc} faits). Envisager le renforcement de la vidéoprotection.`));
+        if (nivCambRes==="vigilance") children.push(mkBullet(`Surveillance accrue des cambriolages résidentiels (${sCambRes} faits). Renforcer les rondes nocturnes.`));
+        if (nivIncendies==="vigilance") children.push(mkBullet("Suivi du phénomène des incendies volontaires : établissement d'une cartographie des incidents."));
       }
       children.push(mkH3("🟢 8.3 Axes d'amélioration à moyen terme"));
       ["Déploiement d'une stratégie de prévention situationnelle ciblée sur les espaces de stationnement.",
@@ -921,6 +1854,8 @@ function ViewRapport({ parsedFiles }) {
       children.push(new Paragraph({ children:[], border:{ top:{ style:BorderStyle.SINGLE, size:4, color:"E2E8F0", space:4 } }, spacing:{before:240,after:80} }));
       children.push(mkP(`Rapport établi à partir des données mensuelles de l'Observatoire de la Délinquance — GIP Ressources & Territoires`, {size:18, color:"94A3B8", after:40}));
       children.push(mkP(`Données Gendarmerie Nationale & Police Nationale — Population ${annee} : ${population?.toLocaleString()} habitants`, {size:18, color:"94A3B8", after:40}));
+      if (corriges.length > 0) children.push(mkP(`Données corrigées manuellement après import : ${corriges.join(", ")}`, {size:18, color:"94A3B8", after:40}));
+      if (valeursAbsentes.length > 0) children.push(mkP(`Valeurs absentes des rapports, non comptées dans les totaux : ${valeursAbsentes.join(" ; ")}`, {size:18, color:"94A3B8", after:40}));
       children.push(mkP(`Rapport généré le ${today}`, {size:18, color:"94A3B8", italic:true, after:40}));
 
       // ── Création du document ────────────────────────────────
@@ -977,7 +1912,14 @@ function ViewRapport({ parsedFiles }) {
           border:`1px solid ${THEME.colors.border}`,borderRadius:THEME.radius.md,fontWeight:600,fontSize:13,cursor:"pointer",
           display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font,boxShadow:THEME.shadow.card
         }}>
-          🖨️ Imprimer / Exporter PDF
+          🖨️ Imprimer
+        </button>
+        <button onClick={exportPdf} style={{
+          padding:"10px 20px",background:THEME.colors.surface,color:THEME.colors.text,
+          border:`1px solid ${THEME.colors.border}`,borderRadius:THEME.radius.md,fontWeight:600,fontSize:13,cursor:"pointer",
+          display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font,boxShadow:THEME.shadow.card
+        }}>
+          📕 {pdfStatus || "Exporter PDF"}
         </button>
         <button onClick={exportDocx} style={{
           padding:"10px 20px",background:THEME.colors.accent,color:"#fff",border:"none",
@@ -986,6 +1928,13 @@ function ViewRapport({ parsedFiles }) {
         }}>
           📄 {docxStatus || "Exporter Word (.docx)"}
         </button>
+        <button onClick={exportXlsx} style={{
+          padding:"10px 20px",background:THEME.colors.surface,color:THEME.colors.text,
+          border:`1px solid ${THEME.colors.border}`,borderRadius:THEME.radius.md,fontWeight:600,fontSize:13,cursor:"pointer",
+          display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font,boxShadow:THEME.shadow.card
+        }}>
+          📊 {xlsxStatus || "Exporter Excel (.xlsx)"}
+        </button>
       </div>
 
       <div id="rapport-content" ref={reportContentRef} style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:"40px 48px",boxShadow:THEME.shadow.card,maxWidth:900,fontSize:14,lineHeight:1.7,color:THEME.colors.text,fontFamily:THEME.font}}>
@@ -1030,9 +1979,10 @@ function ViewRapport({ parsedFiles }) {
         <h3 style={h3Style}>Faits marquants de la période</h3>
         <ul style={{paddingLeft:20}}>
           {varGlobal !== null && <li><strong>{varGlobal <= 0 ? "Baisse" : "Hausse"} globale de {Math.abs(varGlobal)}%</strong> du total des faits constatés ({cumul ?? totalFaitsN} faits)</li>}
-          {sRoulotte >= 10 && <li><strong>Phénomène dominant — Vols à la roulotte :</strong> {sRoulotte} faits sur la période, avec un pic en {picRoulotte?.moisLabel} ({picRoulotte?.indicateurs.roulotte.valN} faits)</li>}
+          {cumul != null && varCumul !== null && <li><strong>Cumul annuel à fin {dernierMois.moisLabel} {dernierMois.annee} :</strong> {cumul} faits ({fmtPct(varCumul)} par rapport à la même période N-1)</li>}
+          {depasse(nivRoulotte) && <li><strong>Phénomène dominant — Vols à la roulotte :</strong> {sRoulotte} faits sur la période, avec un pic en {picRoulotte?.moisLabel} ({picRoulotte?.indicateurs.roulotte.valN} faits)</li>}
           {sIncendies > 0 && <li><strong>Émergence des incendies volontaires :</strong> {sIncendies} fait{sIncendies>1?"s":""} enregistré{sIncendies>1?"s":""}</li>}
-          {sCambRes >= 5 && <li><strong>Cambriolages résidentiels :</strong> {sCambRes} faits — vigilance accrue recommandée</li>}
+          {depasse(nivCambRes) && <li><strong>Cambriolages résidentiels :</strong> {sCambRes} faits — vigilance accrue recommandée</li>}
           {varGlobal !== null && varGlobal < 0 && <li><strong>Recul notable du total :</strong> {varGlobal}% vs N-1</li>}
         </ul>
 
@@ -1053,8 +2003,8 @@ function ViewRapport({ parsedFiles }) {
                   <tr key={i}>
                     <td style={tdStyle()}><strong>{f.moisLabel}</strong></td>
                     <td style={tdStyle()}>{ind.valN1 ?? "—"}</td>
-                    <td style={tdStyle(ind.valN)}><strong>{ind.valN}</strong></td>
-                    <td style={{...tdStyle(),color:variationColor(ind.variationPct),fontWeight:600}}>
+                    <td style={{...tdStyle(),background:fondMois(f, "general_faits")}}><strong>{ind.valN}</strong></td>
+                    <td style={{...tdStyle(),color:variationColor(ind.variationPct, regles.general_faits.variation),fontWeight:600}}>
                       {ind.variationPct !== null ? `${ind.variationPct > 0 ? "+" : ""}${ind.variationPct}%` : "—"}
                     </td>
                     <td style={tdStyle()}>{ind.cumul ?? "—"}</td>
@@ -1066,7 +2016,7 @@ function ViewRapport({ parsedFiles }) {
                 <td style={{...tdStyle(),fontWeight:700}}>TOTAL</td>
                 <td style={{...tdStyle(),fontWeight:700}}>{totalFaitsN1 || "—"}</td>
                 <td style={{...tdStyle(),fontWeight:700}}>{totalFaitsN}</td>
-                <td style={{...tdStyle(),fontWeight:700,color:variationColor(varGlobal)}}>{varGlobal !== null ? `${varGlobal > 0 ? "+" : ""}${varGlobal}%` : "—"}</td>
+                <td style={{...tdStyle(),fontWeight:700,color:variationColor(varGlobal, regles.general_faits.variation)}}>{varGlobal !== null ? `${varGlobal > 0 ? "+" : ""}${varGlobal}%` : "—"}</td>
                 <td style={{...tdStyle(),fontWeight:700}}>{cumul}</td>
                 <td style={{...tdStyle(),fontWeight:700}}>Moy : {tauxMoyen}‰</td>
               </tr>
@@ -1074,9 +2024,36 @@ function ViewRapport({ parsedFiles }) {
           </table>
         </div>
 
+        {cumulRows.length > 0 && (
+          <>
+            <h3 style={h3Style}>2.2 Cumul depuis le début de l'année</h3>
+            <p>
+              Cumul lu dans le rapport de {dernierMois.moisLabel} {dernierMois.annee} : <strong>{cumul ?? "—"} faits</strong> depuis le 1er janvier
+              {cumulN1 != null ? <>, contre {cumulN1} sur la même période de {dernierMois.annee - 1} (<strong style={{color:variationColor(varCumul, regles.general_faits.variation)}}>{fmtPct(varCumul)}</strong>)</> : null}.
+            </p>
+            <div style={{overflowX:"auto"}}>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginBottom:16}}>
+                <thead>
+                  <tr>{["Indicateur",`Cumul ${dernierMois.annee}`,`Cumul ${dernierMois.annee - 1}`,"Variation"].map(h=><th key={h} style={thStyle}>{h}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {cumulRows.map(r=>(
+                    <tr key={r.key}>
+                      <td style={tdStyle()}>{r.label}</td>
+                      <td style={tdStyle()}><strong>{r.cumul}</strong></td>
+                      <td style={tdStyle()}>{r.cumulN1 ?? "—"}</td>
+                      <td style={{...tdStyle(),color:variationColor(r.pct, regles[r.key]?.variation),fontWeight:600}}>{fmtPct(r.pct)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
         {trimData.length >= 2 && (
           <>
-            <h3 style={h3Style}>2.2 Analyse saisonnière</h3>
+            <h3 style={h3Style}>2.3 Analyse saisonnière</h3>
             <p>L'analyse par trimestre met en lumière une concentration de la délinquance sur la période :</p>
             <ul style={{paddingLeft:20}}>
               {trimData.map(t=>(
@@ -1090,6 +2067,53 @@ function ViewRapport({ parsedFiles }) {
           </>
         )}
 
+        {projection && (
+          <>
+            <h3 style={h3Style}>2.4 Projection des prochains mois</h3>
+            <p>{projectionTexte}</p>
+            <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginBottom:16}}>
+              <thead>
+                <tr>{["Mois","Faits prévus","Intervalle 80 %"].map(h=><th key={h} style={thStyle}>{h}</th>)}</tr>
+              </thead>
+              <tbody>
+                {projectionRows.map(([mois,valeur,intervalle])=>(
+                  <tr key={mois}>
+                    <td style={tdStyle()}>{mois}</td>
+                    <td style={tdStyle()}><strong>{valeur}</strong></td>
+                    <td style={tdStyle()}>{intervalle}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {agregatsRows.length > 0 && (
+          <>
+            <h3 style={h3Style}>2.5 Indicateurs glissants, annuels et trimestriels</h3>
+            <p>{agregatsTexte}</p>
+            <div style={{overflowX:"auto"}}>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginBottom:8}}>
+                <thead>
+                  <tr>{agregatsColonnes.map((h,i)=><th key={i} style={thStyle}>{h}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {agregatsRows.map(r=>(
+                    <tr key={r.key}>
+                      <td style={tdStyle()}>{r.label}</td>
+                      {TYPES_AGREGATS.map(([t])=>[
+                        <td key={`${t}-n`} style={tdStyle()} title={mentionManquants(r[t]) || undefined}><strong>{fmtAgregat(r[t])}</strong></td>,
+                        <td key={`${t}-v`} style={{...tdStyle(),color:variationColor(r[t].variationPct, regles[r.key]?.variation),fontWeight:600}}>{fmtPct(r[t].variationPct)}</td>,
+                      ])}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p style={{fontSize:12,color:THEME.colors.textMuted}}>{agregatsNote}</p>
+          </>
+        )}
+
         {/* CHAPITRE 3 */}
         <h2 style={h2Style}>CHAPITRE 3 — ATTEINTES AUX PERSONNES</h2>
         <h3 style={h3Style}>3.1 Coups et blessures volontaires</h3>
@@ -1114,8 +2138,8 @@ function ViewRapport({ parsedFiles }) {
         <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginTop:12,marginBottom:8}}>
           <thead><tr>{["Catégorie","Cumul période","Tendance"].map(h=><th key={h} style={thStyle}>{h}</th>)}</tr></thead>
           <tbody>
-            {[["Coups et blessures volontaires",sCbv],["Menaces ou chantages",sMenaces],["Vols avec violence sans arme",0],["Vols à main armée",0]].map(([l,v])=>(
-              <tr key={l}><td style={tdStyle()}>{l}</td><td style={tdStyle(v)}>{v} faits</td><td style={tdStyle()}>{v>0?"Présent":"Nul"}</td></tr>
+            {[["Coups et blessures volontaires",sCbv,"cbv"],["Menaces ou chantages",sMenaces,"menaces"],["Vols avec violence sans arme",0,"vols_violence"],["Vols à main armée",0,"vols_main_armee"]].map(([l,v,k])=>(
+              <tr key={l}><td style={tdStyle()}>{l}</td><td style={tdStyle(v, regles[k].volume)}>{v} faits</td><td style={tdStyle()}>{v>0?"Présent":"Nul"}</td></tr>
             ))}
             <tr style={{background:"#EFF6FF"}}>
               <td style={{...tdStyle(),fontWeight:700}}>TOTAL atteintes aux personnes</td>
@@ -1142,9 +2166,10 @@ function ViewRapport({ parsedFiles }) {
         <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginTop:12,marginBottom:8}}>
           <thead><tr>{["Catégorie","Cumul période","Variation","Niveau alerte"].map(h=><th key={h} style={thStyle}>{h}</th>)}</tr></thead>
           <tbody>
-            {[["Vols simples",sVolsSimp,null],["Cambriolages résidentiels",sCambRes,null],["Cambriolages locaux pro.",sCambPro,null],["Vols à la roulotte",sRoulotte,null]].map(([l,v,p])=>(
-              <tr key={l}><td style={tdStyle()}>{l}</td><td style={tdStyle(v)}>{v} faits</td><td style={tdStyle()}>—</td><td style={tdStyle()}>{alertEmoji(p)}</td></tr>
-            ))}
+            {[["Vols simples",sVolsSimp,"vols_simples"],["Cambriolages résidentiels",sCambRes,"camb_resid"],["Cambriolages locaux pro.",sCambPro,"camb_pro"],["Vols à la roulotte",sRoulotte,"roulotte"]].map(([l,v,k])=>{
+              const p = varKey(k);
+              return <tr key={l}><td style={tdStyle()}>{l}</td><td style={tdStyle(v, regles[k].volume)}>{v} faits</td><td style={{...tdStyle(),color:variationColor(p, regles[k].variation),fontWeight:600}}>{p !== null ? `${p > 0 ? "+" : ""}${p}% vs N-1` : "—"}</td><td style={tdStyle()}>{alertEmoji(p, regles[k].variation)}</td></tr>;
+            })}
           </tbody>
         </table>
 
@@ -1156,8 +2181,7 @@ function ViewRapport({ parsedFiles }) {
           Avec <strong>{sRoulotte} faits</strong>, cette catégorie représente à elle seule{" "}
           <strong>{totalFaitsN > 0 ? Math.round(sRoulotte/totalFaitsN*100) : 0}%</strong> de l'ensemble de la délinquance constatée.
           {sRoulotte > 0 && (() => {
-            const peaks = valid.filter(f=>(f.indicateurs.roulotte.valN??0)>=5);
-            return peaks.length >= 2 ? ` L'analyse révèle des pics significatifs en ${peaks.map(f=>`${f.moisLabel} (${f.indicateurs.roulotte.valN})`).join(", ")}.` : "";
+            return picsRoulotte.length >= 2 ? ` L'analyse révèle des pics significatifs en ${picsRoulotte.map(f=>`${f.moisLabel} (${f.indicateurs.roulotte.valN})`).join(", ")}.` : "";
           })()}
         </p>
 
@@ -1167,11 +2191,11 @@ function ViewRapport({ parsedFiles }) {
         <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginTop:12,marginBottom:8}}>
           <thead><tr>{["Catégorie","Cumul période","Analyse"].map(h=><th key={h} style={thStyle}>{h}</th>)}</tr></thead>
           <tbody>
-            {[["Vols à la roulotte & accessoires",sRoulotte],["Destructions véhicules privés",sDestruc],["Total délinquance auto",sRoulotte+sDestruc]].map(([l,v],i)=>(
+            {[["Vols à la roulotte & accessoires",sRoulotte,"roulotte"],["Destructions véhicules privés",sDestruc,"destruc_veh"],["Total délinquance auto",sRoulotte+sDestruc]].map(([l,v,k],i)=>(
               <tr key={l} style={i===2?{background:"#EFF6FF"}:{}}>
                 <td style={{...tdStyle(),fontWeight:i===2?700:400}}>{l}</td>
-                <td style={{...tdStyle(v),fontWeight:i===2?700:400}}>{v} faits</td>
-                <td style={tdStyle()}>{i===2?`${totalFaitsN>0?Math.round((sRoulotte+sDestruc)/totalFaitsN*100):0}% du total`:sRoulotte>10?"🔴 Prioritaire":sRoulotte>0?"🟡 Vigilance":"🟢"}</td>
+                <td style={{...tdStyle(v, regles[k]?.volume),fontWeight:i===2?700:400}}>{v} faits</td>
+                <td style={tdStyle()}>{i===2?`${totalFaitsN>0?Math.round((sRoulotte+sDestruc)/totalFaitsN*100):0}% du total`:depasse(nivRoulotte)?"🔴 Prioritaire":sRoulotte>0?"🟡 Vigilance":"🟢"}</td>
               </tr>
             ))}
           </tbody>
@@ -1219,19 +2243,21 @@ function ViewRapport({ parsedFiles }) {
             <thead>
               <tr>
                 <th style={{...thStyle,minWidth:180}}>Indicateur</th>
+                <th style={{...thStyle,minWidth:80}}>Index 4001</th>
                 {valid.map(f=><th key={f.mois} style={{...thStyle,minWidth:80}}>{f.moisLabel.slice(0,3)}</th>)}
                 <th style={{...thStyle,minWidth:70}}>Somme</th>
               </tr>
             </thead>
             <tbody>
-              {Object.entries(valid[0].indicateurs).map(([k,ind])=>{
+              {indicateursPresents.map(({ key: k, label })=>{
                 const vals = valid.map(f=>f.indicateurs[k]?.valN);
                 const total = vals.reduce((s,v)=>s+(v??0),0);
                 return (
                   <tr key={k}>
-                    <td style={tdStyle()}>{ind.label}</td>
-                    {vals.map((v,i)=><td key={i} style={{...tdStyle(v),textAlign:"right"}}>{v ?? "—"}</td>)}
-                    <td style={{...tdStyle(total),textAlign:"right",fontWeight:700}}>{k==="general_taux"?`Moy: ${(total/valid.length).toFixed(2)}`:total}</td>
+                    <td style={tdStyle()}>{label}</td>
+                    <td style={{...tdStyle(),color:THEME.colors.textMuted}}>{formatIndex(k)}</td>
+                    {valid.map((f,i)=><td key={i} style={{...tdStyle(),background:k==="general_taux"?cellBg(vals[i], regles.general_faits.taux):fondMois(f, k),textAlign:"right"}}>{vals[i] ?? "—"}</td>)}
+                    <td style={{...tdStyle(k==="general_taux"?null:total, regles[k]?.volume),textAlign:"right",fontWeight:700}}>{k==="general_taux"?`Moy: ${(total/valid.length).toFixed(2)}`:total}</td>
                   </tr>
                 );
               })}
@@ -1242,26 +2268,28 @@ function ViewRapport({ parsedFiles }) {
         {/* CHAPITRE 8 */}
         <h2 style={h2Style}>CHAPITRE 8 — RECOMMANDATIONS ET PRÉCONISATIONS</h2>
 
-        {(sRoulotte >= 10 || sDestruc >= 5 || sIncendies >= 3) && (
+        {mesuresPrioritaires && (
           <>
             <h3 style={{...h3Style,color:"#DC2626"}}>🔴 8.1 Mesures prioritaires</h3>
             <ul style={{paddingLeft:20}}>
-              {sRoulotte >= 10 && <li>Renforcement de la présence policière sur les zones de stationnement aux périodes à risque ({valid.filter(f=>(f.indicateurs.roulotte.valN??0)>=5).map(f=>f.moisLabel).join(", ")||"voir données"}). Les données indiquent clairement des pics d'activité qui permettent d'orienter efficacement les patrouilles.</li>}
-              {sRoulotte >= 20 && <li>Installation ou amélioration de la vidéoprotection sur les principaux parkings de la commune.</li>}
-              {sRoulotte >= 10 && <li>Communication préventive auprès des résidents sur les bonnes pratiques de sécurisation des véhicules.</li>}
-              {sRoulotte >= 20 && <li>Coordination renforcée avec les communes voisines pour détecter les potentiels réseaux itinérants.</li>}
-              {sDestruc >= 5 && <li>Suivi renforcé des destructions de véhicules ({sDestruc} faits). Envisager le renforcement de la vidéoprotection.</li>}
-              {sIncendies >= 3 && <li>Alerte incendies volontaires : {sIncendies} faits. Coordination recommandée avec les services de prévention.</li>}
+              {depasse(nivRoulotte) && <li>Renforcement de la présence policière sur les zones de stationnement aux périodes à risque ({moisPicsRoulotte}). Les données indiquent clairement des pics d'activité qui permettent d'orienter efficacement les patrouilles.</li>}
+              {nivRoulotte === "alerte" && <li>Installation ou amélioration de la vidéoprotection sur les principaux parkings de la commune.</li>}
+              {depasse(nivRoulotte) && <li>Communication préventive auprès des résidents sur les bonnes pratiques de sécurisation des véhicules.</li>}
+              {nivRoulotte === "alerte" && <li>Coordination renforcée avec les communes voisines pour détecter les potentiels réseaux itinérants.</li>}
+              {nivDestruc === "alerte" && <li>Suivi renforcé des destructions de véhicules ({sDestruc} faits). Envisager le renforcement de la vidéoprotection.</li>}
+              {nivCambRes === "alerte" && <li>Surveillance accrue des cambriolages résidentiels ({sCambRes} faits). Renforcer les rondes nocturnes, particulièrement en automne.</li>}
+              {nivIncendies === "alerte" && <li>Alerte incendies volontaires : {sIncendies} faits. Coordination recommandée avec les services de prévention.</li>}
             </ul>
           </>
         )}
 
-        {(sCambRes >= 5 || (sIncendies >= 1 && sIncendies <= 2)) && (
+        {mesuresVigilance && (
           <>
             <h3 style={{...h3Style,color:"#D97706"}}>🟡 8.2 Mesures de vigilance renforcée</h3>
             <ul style={{paddingLeft:20}}>
-              {sCambRes >= 5 && <li>Surveillance accrue des cambriolages résidentiels ({sCambRes} faits). Renforcer les rondes nocturnes, particulièrement en automne.</li>}
-              {sIncendies >= 1 && sIncendies <= 2 && <li>Suivi du phénomène des incendies volontaires : établissement d'une cartographie des incidents.</li>}
+              {nivDestruc === "vigilance" && <li>Suivi renforcé des destructions de véhicules ({sDestruc} faits). Envisager le renforcement de la vidéoprotection.</li>}
+              {nivCambRes === "vigilance" && <li>Surveillance accrue des cambriolages résidentiels ({sCambRes} faits). Renforcer les rondes nocturnes, particulièrement en automne.</li>}
+              {nivIncendies === "vigilance" && <li>Suivi du phénomène des incendies volontaires : établissement d'une cartographie des incidents.</li>}
             </ul>
           </>
         )}
@@ -1308,6 +2336,8 @@ function ViewRapport({ parsedFiles }) {
           Données Gendarmerie Nationale & Police Nationale<br/>
           Population {annee} : {population.toLocaleString()} habitants<br/>
           Fichiers importés : {fichiersList}<br/>
+          {corriges.length > 0 && <>Données corrigées manuellement après import : {corriges.join(", ")}<br/></>}
+          {valeursAbsentes.length > 0 && <>Valeurs absentes des rapports, non comptées dans les totaux : {valeursAbsentes.join(" ; ")}<br/></>}
           Rapport généré le {today}
         </div>
       </div>
@@ -1320,9 +2350,9 @@ function ViewRapport({ parsedFiles }) {
 // Données 100 % réelles (parsedFiles). Comparaison mois/mois, plusieurs mois, années complètes.
 // Export : copie, impression, Word, mode expert.
 // ─────────────────────────────────────────────────────────────
-const INDICATOR_KEYS_ORDER = ["general_faits","general_taux","cbv","menaces","vols_simples","camb_resid","camb_pro","roulotte","destruc_veh","incendies","stupef","autorite"];
+const INDICATOR_KEYS_ORDER = INDICATEURS.map(i => i.key);
 
-function ViewComparaison({ parsedFiles }) {
+function ViewComparaison({ parsedFiles, regles }) {
   const valid = useMemo(() => parsedFiles.filter(f => !f.erreur).sort((a,b) => a.annee !== b.annee ? a.annee - b.annee : a.mois - b.mois), [parsedFiles]);
   const entryKey = (f) => `${f.mois}-${f.annee}`;
   const years = useMemo(() => [...new Set(valid.map(f => f.annee))].sort((a,b) => a - b), [valid]);
@@ -1336,6 +2366,8 @@ function ViewComparaison({ parsedFiles }) {
   const [selectedB, setSelectedB] = useState(new Set());
   const [copyStatus, setCopyStatus] = useState("");
   const [docxStatus, setDocxStatus] = useState("");
+  const [xlsxStatus, setXlsxStatus] = useState("");
+  const [pdfStatus, setPdfStatus] = useState("");
   const reportRef = useRef(null);
 
   const entriesA = useMemo(() => valid.filter(f => selectedA.has(entryKey(f))), [valid, selectedA]);
@@ -1356,11 +2388,9 @@ function ViewComparaison({ parsedFiles }) {
 
   const comparisonRows = useMemo(() => {
     const rows = [];
-    const indMap = valid[0]?.indicateurs;
-    if (!indMap) return rows;
-    INDICATOR_KEYS_ORDER.forEach(k => {
-      const ind = indMap[k];
-      if (!ind) return;
+    // Indicateurs optionnels : retenus dès qu'un des mois les contient
+    INDICATEURS.forEach(({ key: k, label, cat }) => {
+      if (!valid.some(f => f.indicateurs?.[k])) return;
       const isTaux = k === "general_taux";
       let sumA, sumB;
       if (isTaux) {
@@ -1371,7 +2401,7 @@ function ViewComparaison({ parsedFiles }) {
         sumB = entriesB.reduce((s,f) => s + (f.indicateurs[k]?.valN ?? 0), 0);
       }
       const pct = (sumB != null && sumB > 0 && sumA != null) ? Math.round((sumA - sumB) / sumB * 100) : (sumA != null && sumA > 0 && (sumB == null || sumB === 0) ? 100 : null);
-      rows.push({ key: k, label: ind.label, cat: ind.cat, sumA, sumB, pct, isTaux });
+      rows.push({ key: k, label, cat, sumA, sumB, pct, isTaux });
     });
     return rows;
   }, [valid, entriesA, entriesB]);
@@ -1499,9 +2529,9 @@ function ViewComparaison({ parsedFiles }) {
         "Arrondis : pourcentages entiers, taux 2 décimales.",
         "",
         "D. RÉFÉRENTIEL DES INDICATEURS",
-        "Code | Libellé | Catégorie | Type"
+        "Code | Index 4001 | Libellé | Catégorie | Type"
       );
-      comparisonRows.forEach(r => lines.push(`${r.key} | ${r.label} | ${r.cat ?? "—"} | ${r.isTaux ? "Taux ‰" : "Volume"}`));
+      comparisonRows.forEach(r => lines.push(`${r.key} | ${formatIndex(r.key)} | ${r.label} | ${r.cat ?? "—"} | ${r.isTaux ? "Taux ‰" : "Volume"}`));
       lines.push(
         "", "E. NOTES TECHNIQUES ET LIMITES",
         "Données extraites des PDFs ; cohérence dépend du parsing. Population = celle du rapport mensuel. Catégories = regroupement standard OND. Document à usage d'analyse et reproductibilité."
@@ -1548,6 +2578,99 @@ function ViewComparaison({ parsedFiles }) {
     setTimeout(() => { try { document.body.removeChild(wrap); document.head.removeChild(style); } catch(_){} }, 2000);
   };
 
+  const exportPdf = async () => {
+    setPdfStatus("⏳ Génération…");
+    try {
+      const PDFLib = await import("pdf-lib");
+      const commune = valid[0]?.commune ?? "—";
+      const valeur = (r, v) => r.isTaux && v != null ? `${Number(v).toFixed(2)} ‰` : { texte: v, fond: fondPdf(v, regles[r.key]?.volume) };
+      const ligneComparaison = (r, avecCategorie) => [r.label, ...(avecCategorie ? [r.cat ?? "—"] : []), valeur(r, r.sumA), valeur(r, r.sumB), pctPdf(r.pct, regles[r.key]?.variation)];
+      const colonnesComparaison = (avecCategorie) => [
+        { titre: "Indicateur", largeur: 3 }, ...(avecCategorie ? [{ titre: "Catégorie", largeur: 1.4 }] : []),
+        { titre: "Période A", droite: true }, { titre: "Période B", droite: true }, { titre: "Écart %", droite: true },
+      ];
+      const cats = [...new Set(comparisonRows.map(r => r.cat).filter(Boolean))];
+      const ecart = ecartPct != null ? `${ecartPct > 0 ? "+" : ""}${ecartPct}%` : "—";
+      const dedoublonnes = [...new Map([...entriesA, ...entriesB].map(f => [entryKey(f), f])).values()]
+        .sort(comparerMois);
+
+      const pdf = await genererPdf(PDFLib, {
+        surtitre: "OBSERVATOIRE DE LA DÉLINQUANCE",
+        titre: `COMMUNE DE ${commune.toUpperCase()}`,
+        sousTitre: "RAPPORT DE COMPARAISON DE PÉRIODES",
+        couverture: ["Réalisé à partir des données mensuelles de l'Observatoire de la Délinquance", "Faits constatés par les services de Gendarmerie Nationale et de Police Nationale"],
+        encadre: [[`Période A : ${totalA} faits`, labelPeriod(entriesA)], [`Période B : ${totalB} faits`, labelPeriod(entriesB)], ["Écart (A / B)", ecart]],
+        piedDePage: `${commune} — Comparaison ${labelPeriod(entriesA)} / ${labelPeriod(entriesB)}`,
+        sections: [
+          { titre: "CHAPITRE 1 — SYNTHÈSE EXÉCUTIVE", blocs: [
+            { type: "paragraphe", texte: synthesisText },
+            ...(ecartPct != null ? [{ type: "paragraphe", texte: `L'écart global entre les deux périodes s'établit à ${ecart}${ecartPct > 0 ? " : la période A enregistre davantage de faits constatés que la période B." : ecartPct < 0 ? " : la période A enregistre moins de faits que la période B." : " : les deux périodes sont à égalité."}` }] : []),
+          ] },
+          ...(categoryTableRows.length > 0 ? [{ titre: "CHAPITRE 2 — COMPARAISON PAR CATÉGORIE", blocs: [
+            { type: "paragraphe", texte: "Répartition des faits constatés par grande catégorie d'infraction pour chaque période." },
+            { type: "titre", texte: "2.1 Tableau récapitulatif par catégorie" },
+            { type: "tableau",
+              colonnes: [{ titre: "Catégorie", largeur: 2.4 }, { titre: "Période A", droite: true }, { titre: "Période B", droite: true }, { titre: "Écart %", droite: true }],
+              lignes: categoryTableRows.map(r => [r.cat, { texte: r.sumA, fond: fondPdf(r.sumA) }, { texte: r.sumB, fond: fondPdf(r.sumB) }, pctPdf(r.pct)]) },
+            { type: "titre", texte: "2.2 Représentation graphique" },
+            { type: "graphique", horizontal: true, categories: chartCompareData.map(d => d.cat), series: [
+              { nom: `Période A — ${labelPeriod(entriesA)}`, couleur: THEME.colors.info, valeurs: chartCompareData.map(d => d["Période A"]) },
+              { nom: `Période B — ${labelPeriod(entriesB)}`, couleur: THEME.colors.accent, valeurs: chartCompareData.map(d => d["Période B"]) },
+            ] },
+          ] }] : []),
+          { titre: "CHAPITRE 3 — TABLEAU COMPARATIF DÉTAILLÉ", blocs: [
+            { type: "titre", texte: "3.1 Tous les indicateurs (vue synthétique)" },
+            { type: "tableau", colonnes: colonnesComparaison(true), lignes: comparisonRows.map(r => ligneComparaison(r, true)),
+              total: ["Synthèse (faits constatés)", "", `${totalA} faits`, `${totalB} faits`, pctPdf(ecartPct, regles.general_faits.variation)] },
+            { type: "titre", texte: "3.2 Indicateurs détaillés par catégorie" },
+            ...cats.flatMap(cat => [
+              { type: "paragraphe", texte: cat },
+              { type: "tableau", colonnes: colonnesComparaison(false), lignes: comparisonRows.filter(r => r.cat === cat).map(r => ligneComparaison(r, false)) },
+            ]),
+          ] },
+          { titre: "CHAPITRE 4 — CONCLUSION", blocs: [
+            { type: "paragraphe", texte: `La comparaison des périodes ${labelPeriod(entriesA)} (période A) et ${labelPeriod(entriesB)} (période B) pour la commune de ${commune} montre un total de ${totalA} faits constatés sur la période A et ${totalB} faits sur la période B.${ecartPct != null ? ` L'évolution entre les deux périodes est de ${ecart}.` : ""} Les données utilisées proviennent exclusivement des rapports mensuels de l'Observatoire de la Délinquance ; aucune donnée synthétique ou estimée n'a été utilisée.` },
+          ] },
+        ],
+        sources: sourcesPdf(dedoublonnes),
+        mentions: [
+          "Rapport établi à partir des données mensuelles de l'Observatoire de la Délinquance — GIP Ressources & Territoires",
+          `Période A : ${entriesA.map(f => `${f.moisLabel} ${f.annee}`).join(", ")}`,
+          `Période B : ${entriesB.map(f => `${f.moisLabel} ${f.annee}`).join(", ")}`,
+          moisCorriges(dedoublonnes).length > 0 && `Données corrigées manuellement après import : ${moisCorriges(dedoublonnes).join(", ")}`,
+        ].filter(Boolean),
+        metadonnees: { titre: `Comparaison de périodes — ${commune}`, sujet: `${labelPeriod(entriesA)} / ${labelPeriod(entriesB)}` },
+      });
+      telecharger(new Blob([pdf], { type: "application/pdf" }), `Comparaison_${commune.replace(/\s/g, "_")}.pdf`);
+      setPdfStatus("✓ Téléchargé");
+      setTimeout(() => setPdfStatus(""), 3000);
+    } catch (err) {
+      setPdfStatus("❌ " + (err.message || "Erreur"));
+      setTimeout(() => setPdfStatus(""), 4000);
+    }
+  };
+
+  const exportXlsx = async () => {
+    setXlsxStatus("⏳ Génération…");
+    try {
+      const { default: ExcelJS } = await import("exceljs");
+      const commune = valid[0]?.commune ?? "—";
+      const wb = classeurComparaison(ExcelJS, {
+        commune,
+        periodeA: { label: labelPeriod(entriesA), mois: entriesA },
+        periodeB: { label: labelPeriod(entriesB), mois: entriesB },
+        lignes: comparisonRows,
+        regles,
+      });
+      telecharger(new Blob([await wb.xlsx.writeBuffer()], { type: XLSX_TYPE }), `Comparaison_${commune.replace(/\s/g, "_")}.xlsx`);
+      setXlsxStatus("✓ Téléchargé");
+      setTimeout(() => setXlsxStatus(""), 3000);
+    } catch (err) {
+      setXlsxStatus("❌ " + (err.message || "Erreur"));
+      setTimeout(() => setXlsxStatus(""), 4000);
+    }
+  };
+
   const exportDocx = async (modeExpert) => {
     setDocxStatus("⏳ Génération...");
     try {
@@ -1690,6 +2813,8 @@ function ViewComparaison({ parsedFiles }) {
       children.push(mkP("Données Gendarmerie Nationale & Police Nationale — Comparaison de périodes", { size: 18, color: "64748B", after: 80 }));
       children.push(mkP("Période A : " + (entriesA.length ? entriesA.map(f => f.moisLabel + " " + f.annee).join(", ") : "—"), { size: 18, color: "64748B", after: 80 }));
       children.push(mkP("Période B : " + (entriesB.length ? entriesB.map(f => f.moisLabel + " " + f.annee).join(", ") : "—"), { size: 18, color: "64748B", after: 80 }));
+      const corrigesAB = moisCorriges([...entriesA, ...entriesB]);
+      if (corrigesAB.length > 0) children.push(mkP("Données corrigées manuellement après import : " + corrigesAB.join(", "), { size: 18, color: "64748B", after: 80 }));
       const todayStr = new Date().toLocaleDateString("fr-FR", { day: "2-digit", month: "long", year: "numeric" });
       children.push(mkP("Rapport généré le " + todayStr, { size: 18, color: "64748B", italic: true }));
 
@@ -1747,17 +2872,18 @@ function ViewComparaison({ parsedFiles }) {
 
         // D. Référentiel des indicateurs
         children.push(mkP("D. RÉFÉRENTIEL DES INDICATEURS", { bold: true, size: 20 }));
-        children.push(mkP("Liste des indicateurs utilisés dans les tableaux, avec code interne, libellé, catégorie et type de grandeur."));
-        const colWD = [2200, 2800, 1800, 1200];
-        const hD = ["Code", "Libellé", "Catégorie", "Type"];
+        children.push(mkP("Liste des indicateurs utilisés dans les tableaux, avec code interne, index de l'état 4001 (rapprochement avec les données nationales SSMSI), libellé, catégorie et type de grandeur."));
+        const colWD = [1700, 1300, 2400, 1500, 1100];
+        const hD = ["Code", "Index 4001", "Libellé", "Catégorie", "Type"];
         const tableD = [
           new TableRow({ children: hD.map((h, i) => new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: h, bold: true })] })], width: { size: colWD[i], type: WidthType.DXA } })) }),
           ...comparisonRows.map(r => new TableRow({
             children: [
               new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.key })] })], width: { size: colWD[0], type: WidthType.DXA } }),
-              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.label })] })], width: { size: colWD[1], type: WidthType.DXA } }),
-              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.cat ?? "—" })] })], width: { size: colWD[2], type: WidthType.DXA } }),
-              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.isTaux ? "Taux ‰" : "Volume" })] })], width: { size: colWD[3], type: WidthType.DXA } }),
+              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: formatIndex(r.key) })] })], width: { size: colWD[1], type: WidthType.DXA } }),
+              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.label })] })], width: { size: colWD[2], type: WidthType.DXA } }),
+              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.cat ?? "—" })] })], width: { size: colWD[3], type: WidthType.DXA } }),
+              new TableCell({ borders, children: [new Paragraph({ children: [new TextRun({ text: r.isTaux ? "Taux ‰" : "Volume" })] })], width: { size: colWD[4], type: WidthType.DXA } }),
             ]
           }))
         ];
@@ -1796,7 +2922,7 @@ function ViewComparaison({ parsedFiles }) {
   const commune = valid[0].commune;
   const today = new Date().toLocaleDateString("fr-FR", { day: "2-digit", month: "long", year: "numeric" });
   const thStyleComp = { padding: "8px 12px", background: "#EFF6FF", color: "#1E293B", fontWeight: 700, fontSize: 12, borderBottom: "2px solid #BFDBFE", textAlign: "left" };
-  const tdStyleComp = (val = null) => ({ padding: "7px 12px", fontSize: 13, color: "#334155", background: cellBg(val), borderBottom: "1px solid #F1F5F9" });
+  const tdStyleComp = (val = null, seuils) => ({ padding: "7px 12px", fontSize: 13, color: "#334155", background: cellBg(val, seuils), borderBottom: "1px solid #F1F5F9" });
   const h2StyleComp = { fontSize: 17, fontWeight: 700, color: "#1E293B", margin: "32px 0 12px", paddingBottom: 8, borderBottom: "2px solid #E2E8F0" };
   const h3StyleComp = { fontSize: 14, fontWeight: 700, color: "#334155", margin: "20px 0 8px" };
 
@@ -1875,7 +3001,9 @@ function ViewComparaison({ parsedFiles }) {
         <>
           <div style={{display:"flex",flexWrap:"wrap",gap:12,alignItems:"center",marginBottom:28}}>
             <button onClick={copyReport} style={{padding:"10px 18px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,fontWeight:600,fontSize:13,cursor:"pointer",display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font,boxShadow:THEME.shadow.card}}>📋 {copyStatus || "Copier le rapport"}</button>
-            <button onClick={printReport} style={{padding:"10px 18px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,fontWeight:600,fontSize:13,cursor:"pointer",display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font}}>🖨️ Imprimer / PDF</button>
+            <button onClick={printReport} style={{padding:"10px 18px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,fontWeight:600,fontSize:13,cursor:"pointer",display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font}}>🖨️ Imprimer</button>
+            <button onClick={exportPdf} style={{padding:"10px 18px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,fontWeight:600,fontSize:13,cursor:"pointer",display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font}}>📕 {pdfStatus || "Exporter PDF"}</button>
+            <button onClick={exportXlsx} style={{padding:"10px 18px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,fontWeight:600,fontSize:13,cursor:"pointer",display:"flex",alignItems:"center",gap:8,fontFamily:THEME.font}}>📊 {xlsxStatus || "Exporter Excel (.xlsx)"}</button>
           </div>
 
           <div id="rapport-comparaison" ref={reportRef} style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:"40px 48px",boxShadow:THEME.shadow.card,maxWidth:900,fontSize:14,lineHeight:1.7,color:THEME.colors.text,fontFamily:THEME.font}}>
@@ -1905,7 +3033,7 @@ function ViewComparaison({ parsedFiles }) {
                 <div style={{padding:"14px 20px",textAlign:"center"}}>
                   <div style={{color:"#64748B",fontWeight:600,marginBottom:4}}>Écart (A / B)</div>
                   <div style={{fontWeight:700,color:"#1E293B",fontSize:12}}>Évolution</div>
-                  <div style={{fontSize:16,fontWeight:700,color:ecartPct != null ? variationColor(ecartPct) : "#64748B",marginTop:4}}>{ecartPct != null ? `${ecartPct > 0 ? "+" : ""}${ecartPct}%` : "—"}</div>
+                  <div style={{fontSize:16,fontWeight:700,color:ecartPct != null ? variationColor(ecartPct, regles.general_faits.variation) : "#64748B",marginTop:4}}>{ecartPct != null ? `${ecartPct > 0 ? "+" : ""}${ecartPct}%` : "—"}</div>
                 </div>
               </div>
             </div>
@@ -1915,7 +3043,7 @@ function ViewComparaison({ parsedFiles }) {
             <p>{synthesisText}</p>
             {ecartPct != null && (
               <p>
-                L'écart global entre les deux périodes s'établit à <strong style={{color:variationColor(ecartPct)}}>{ecartPct > 0 ? "+" : ""}{ecartPct}%</strong>
+                L'écart global entre les deux périodes s'établit à <strong style={{color:variationColor(ecartPct, regles.general_faits.variation)}}>{ecartPct > 0 ? "+" : ""}{ecartPct}%</strong>
                 {ecartPct > 0 ? " : la période A enregistre davantage de faits constatés que la période B." : ecartPct < 0 ? " : la période A enregistre moins de faits que la période B." : " : les deux périodes sont à égalité."}
               </p>
             )}
@@ -1985,9 +3113,9 @@ function ViewComparaison({ parsedFiles }) {
                     <tr key={r.key}>
                       <td style={tdStyleComp()}>{r.label}</td>
                       <td style={tdStyleComp()}>{r.cat ?? "—"}</td>
-                      <td style={{...tdStyleComp(r.sumA),textAlign:"right",fontWeight:600}}>{r.isTaux && r.sumA != null ? `${Number(r.sumA).toFixed(2)} ‰` : (r.sumA ?? "—")}</td>
-                      <td style={{...tdStyleComp(r.sumB),textAlign:"right",fontWeight:600}}>{r.isTaux && r.sumB != null ? `${Number(r.sumB).toFixed(2)} ‰` : (r.sumB ?? "—")}</td>
-                      <td style={{...tdStyleComp(),textAlign:"right",fontWeight:600,color:variationColor(r.pct)}}>{r.pct != null ? `${r.pct > 0 ? "+" : ""}${r.pct}%` : "—"}</td>
+                      <td style={{...tdStyleComp(r.sumA, regles[r.key]?.volume),textAlign:"right",fontWeight:600}}>{r.isTaux && r.sumA != null ? `${Number(r.sumA).toFixed(2)} ‰` : (r.sumA ?? "—")}</td>
+                      <td style={{...tdStyleComp(r.sumB, regles[r.key]?.volume),textAlign:"right",fontWeight:600}}>{r.isTaux && r.sumB != null ? `${Number(r.sumB).toFixed(2)} ‰` : (r.sumB ?? "—")}</td>
+                      <td style={{...tdStyleComp(),textAlign:"right",fontWeight:600,color:variationColor(r.pct, regles[r.key]?.variation)}}>{r.pct != null ? `${r.pct > 0 ? "+" : ""}${r.pct}%` : "—"}</td>
                     </tr>
                   ))}
                   <tr style={{background:"#EFF6FF"}}>
@@ -1995,7 +3123,7 @@ function ViewComparaison({ parsedFiles }) {
                     <td style={tdStyleComp()}></td>
                     <td style={{...tdStyleComp(totalA),textAlign:"right",fontWeight:700}}>{totalA} faits</td>
                     <td style={{...tdStyleComp(totalB),textAlign:"right",fontWeight:700}}>{totalB} faits</td>
-                    <td style={{...tdStyleComp(),textAlign:"right",fontWeight:700,color:variationColor(ecartPct)}}>{ecartPct != null ? `${ecartPct > 0 ? "+" : ""}${ecartPct}%` : "—"}</td>
+                    <td style={{...tdStyleComp(),textAlign:"right",fontWeight:700,color:variationColor(ecartPct, regles.general_faits.variation)}}>{ecartPct != null ? `${ecartPct > 0 ? "+" : ""}${ecartPct}%` : "—"}</td>
                   </tr>
                 </tbody>
               </table>
@@ -2022,9 +3150,9 @@ function ViewComparaison({ parsedFiles }) {
                         {rows.map(r => (
                           <tr key={r.key}>
                             <td style={tdStyleComp()}>{r.label}</td>
-                            <td style={{...tdStyleComp(r.sumA),textAlign:"right"}}>{r.isTaux && r.sumA != null ? `${Number(r.sumA).toFixed(2)} ‰` : (r.sumA ?? "—")}</td>
-                            <td style={{...tdStyleComp(r.sumB),textAlign:"right"}}>{r.isTaux && r.sumB != null ? `${Number(r.sumB).toFixed(2)} ‰` : (r.sumB ?? "—")}</td>
-                            <td style={{...tdStyleComp(),textAlign:"right",color:variationColor(r.pct)}}>{r.pct != null ? `${r.pct > 0 ? "+" : ""}${r.pct}%` : "—"}</td>
+                            <td style={{...tdStyleComp(r.sumA, regles[r.key]?.volume),textAlign:"right"}}>{r.isTaux && r.sumA != null ? `${Number(r.sumA).toFixed(2)} ‰` : (r.sumA ?? "—")}</td>
+                            <td style={{...tdStyleComp(r.sumB, regles[r.key]?.volume),textAlign:"right"}}>{r.isTaux && r.sumB != null ? `${Number(r.sumB).toFixed(2)} ‰` : (r.sumB ?? "—")}</td>
+                            <td style={{...tdStyleComp(),textAlign:"right",color:variationColor(r.pct, regles[r.key]?.variation)}}>{r.pct != null ? `${r.pct > 0 ? "+" : ""}${r.pct}%` : "—"}</td>
                           </tr>
                         ))}
                       </tbody>
@@ -2048,6 +3176,7 @@ function ViewComparaison({ parsedFiles }) {
               Données Gendarmerie Nationale & Police Nationale — Comparaison de périodes<br/>
               Période A : {entriesA.length ? entriesA.map(f => `${f.moisLabel} ${f.annee}`).join(", ") : "—"}<br/>
               Période B : {entriesB.length ? entriesB.map(f => `${f.moisLabel} ${f.annee}`).join(", ") : "—"}<br/>
+              {moisCorriges([...entriesA, ...entriesB]).length > 0 && <>Données corrigées manuellement après import : {moisCorriges([...entriesA, ...entriesB]).join(", ")}<br/></>}
               Rapport généré le {today}
             </div>
           </div>
@@ -2061,6 +3190,326 @@ function ViewComparaison({ parsedFiles }) {
   );
 }
 
+// ─────────────────────────────────────────────────────────────
+// VUE BENCHMARK
+// Classement inter-communes, taux pour 1 000 habitants sur les mois communs à toutes les communes.
+// ─────────────────────────────────────────────────────────────
+const median = (values) => {
+  const v = values.filter(x => x != null).sort((a,b) => a - b);
+  if (v.length === 0) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid-1] + v[mid]) / 2;
+};
+
+function ViewBenchmark({ parsedFiles, personnalisation }) {
+  const communes = useMemo(() => groupByCommune(parsedFiles), [parsedFiles]);
+  // Règles d'alerte de chaque commune : seuils « variation » appliqués à son écart à la médiane
+  const reglesParCommune = useMemo(() => Object.fromEntries(communes.map(c => [c.communeKey, reglesCommune(personnalisation, c.communeKey)])), [communes, personnalisation]);
+  const seuilsEcart = (communeKey, k) => reglesParCommune[communeKey]?.[k]?.variation;
+  const years = useMemo(() => [...new Set(communes.flatMap(c => c.files.map(f => f.annee)))].sort((a,b) => b - a), [communes]);
+  const [annee, setAnnee] = useState(() => years[0] ?? null);
+  const [indKey, setIndKey] = useState("general_faits");
+  const selectedYear = years.includes(annee) ? annee : years[0];
+
+  // Communes ayant au moins un mois sur l'année et mois communs à toutes (comparaison à périmètre égal)
+  const { participants, excluded, commonMonths } = useMemo(() => {
+    const withYear = communes.map(c => ({ ...c, yearFiles: c.files.filter(f => f.annee === selectedYear) }));
+    const participants = withYear.filter(c => c.yearFiles.length > 0);
+    const excluded = withYear.filter(c => c.yearFiles.length === 0).map(c => c.commune);
+    const commonMonths = participants.length
+      ? [1,2,3,4,5,6,7,8,9,10,11,12].filter(m => participants.every(c => c.yearFiles.some(f => f.mois === m)))
+      : [];
+    return { participants, excluded, commonMonths };
+  }, [communes, selectedYear]);
+
+  const benchKeys = INDICATOR_KEYS_ORDER.filter(k => k !== "general_taux" && communes.some(c => c.files.some(f => f.indicateurs?.[k])));
+
+  const rows = useMemo(() => participants.map(c => {
+    const files = c.yearFiles.filter(f => commonMonths.includes(f.mois)).sort((a,b) => a.mois - b.mois);
+    const population = [...files].reverse().find(f => f.population)?.population ?? null;
+    const values = {};
+    benchKeys.forEach(k => {
+      const total = files.reduce((s,f) => s + (f.indicateurs[k]?.valN ?? 0), 0);
+      values[k] = { total, rate: population ? total / population * 1000 : null };
+    });
+    return { communeKey: c.communeKey, commune: c.commune, population, values };
+  }), [participants, commonMonths]);
+
+  // Rang (1 = taux le plus élevé) et écart à la médiane du groupe, par indicateur
+  const stats = useMemo(() => {
+    const o = {};
+    benchKeys.forEach(k => {
+      const med = median(rows.map(r => r.values[k].rate));
+      const sorted = rows.filter(r => r.values[k].rate != null).sort((a,b) => b.values[k].rate - a.values[k].rate);
+      const ranks = {};
+      sorted.forEach((r,i) => {
+        const prev = sorted[i-1];
+        ranks[r.communeKey] = prev && prev.values[k].rate === r.values[k].rate ? ranks[prev.communeKey] : i + 1;
+      });
+      const ecarts = {};
+      rows.forEach(r => {
+        const rate = r.values[k].rate;
+        ecarts[r.communeKey] = rate == null || med == null ? null : med > 0 ? Math.round((rate - med) / med * 100) : null;
+      });
+      o[k] = { median: med, ranks, ecarts, ranked: sorted.length };
+    });
+    return o;
+  }, [rows]);
+
+  if (communes.length < 2) {
+    return <div style={{color:THEME.colors.textMuted,fontSize:16,marginTop:40,fontFamily:THEME.font}}>Importez les rapports d'au moins 2 communes pour utiliser le benchmark.</div>;
+  }
+
+  const labelOf = (k) => communes.flatMap(c => c.files).find(f => f.indicateurs?.[k])?.indicateurs[k].label ?? k;
+  const sel = stats[indKey];
+  const ranking = [...rows].sort((a,b) => (sel.ranks[a.communeKey] ?? Infinity) - (sel.ranks[b.communeKey] ?? Infinity));
+  const chartData = ranking.map(r => ({ commune: r.commune, "Taux ‰": r.values[indKey].rate != null ? Math.round(r.values[indKey].rate * 100) / 100 : null }));
+  const MOIS_COURTS = ["","Jan","Fév","Mar","Avr","Mai","Juin","Juil","Août","Sep","Oct","Nov","Déc"];
+  const periode = commonMonths.length === 12 ? `année ${selectedYear} complète` : `${commonMonths.map(m => MOIS_COURTS[m]).join(", ")} ${selectedYear}`;
+
+  const thStyleB = { padding: "8px 12px", background: "#EFF6FF", color: "#1E293B", fontWeight: 700, fontSize: 12, borderBottom: "2px solid #BFDBFE", textAlign: "left" };
+  const tdStyleB = { padding: "7px 12px", fontSize: 13, color: "#334155", borderBottom: "1px solid #F1F5F9" };
+  const fmtRate = (v) => v != null ? `${v.toFixed(2)} ‰` : "—";
+  const fmtEcart = (p) => p != null ? `${p > 0 ? "+" : ""}${p}%` : "—";
+  const selectStyle = {padding:"10px 16px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,fontSize:14,background:THEME.colors.surface,color:THEME.colors.text,fontWeight:600,cursor:"pointer",fontFamily:THEME.font,boxShadow:THEME.shadow.card};
+
+  return (
+    <div style={{ fontFamily: THEME.font }}>
+      <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:20,flexWrap:"wrap",gap:16}}>
+        <div>
+          <h1 style={{fontSize:24,fontWeight:800,color:THEME.colors.text,margin:0,letterSpacing:"-.02em"}}>Benchmark inter-communes</h1>
+          <div style={{fontSize:13,color:THEME.colors.textMuted,marginTop:4}}>Taux pour 1 000 habitants · {rows.length} communes · {commonMonths.length ? periode : "aucun mois commun"}</div>
+        </div>
+        <div style={{display:"flex",gap:12,flexWrap:"wrap"}}>
+          <select value={selectedYear ?? ""} onChange={e=>setAnnee(Number(e.target.value))} style={selectStyle}>
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+          <select value={indKey} onChange={e=>setIndKey(e.target.value)} style={selectStyle}>
+            {benchKeys.map(k => <option key={k} value={k}>{labelOf(k)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {(excluded.length > 0 || (commonMonths.length > 0 && commonMonths.length < 12)) && (
+        <div style={{background:THEME.colors.warningBg,border:"1px solid #FCD34D",borderRadius:THEME.radius.md,padding:"14px 18px",marginBottom:24,fontSize:13,color:"#92400E",lineHeight:1.6}}>
+          {excluded.length > 0 && <div>⚠️ Sans données en {selectedYear} : {excluded.join(", ")}.</div>}
+          {commonMonths.length > 0 && commonMonths.length < 12 && <div>Comparaison limitée aux mois importés pour toutes les communes ({periode}).</div>}
+        </div>
+      )}
+
+      {commonMonths.length === 0 ? (
+        <div style={{background:THEME.colors.surfaceAlt,borderRadius:THEME.radius.lg,padding:28,textAlign:"center",color:THEME.colors.textMuted,fontSize:14}}>Aucun mois de {selectedYear} n'est importé pour toutes les communes : importez les mêmes mois pour pouvoir les comparer.</div>
+      ) : (
+        <>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:24,marginBottom:28}}>
+            <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,boxShadow:THEME.shadow.card}}>
+              <SectionHeader>Classement — {labelOf(indKey)}</SectionHeader>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+                <thead>
+                  <tr>
+                    <th style={thStyleB}>Rang</th>
+                    <th style={thStyleB}>Commune</th>
+                    <th style={{...thStyleB,textAlign:"right"}}>Faits</th>
+                    <th style={{...thStyleB,textAlign:"right"}}>Taux</th>
+                    <th style={{...thStyleB,textAlign:"right"}}>Écart médiane</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranking.map(r => (
+                    <tr key={r.communeKey}>
+                      <td style={{...tdStyleB,fontWeight:700}}>{sel.ranks[r.communeKey] ?? "—"}{sel.ranks[r.communeKey] ? ` / ${sel.ranked}` : ""}</td>
+                      <td style={tdStyleB}>{r.commune}{!r.population && <span style={{color:THEME.colors.danger,fontSize:11}}> (population inconnue)</span>}</td>
+                      <td style={{...tdStyleB,textAlign:"right"}}>{r.values[indKey].total}</td>
+                      <td style={{...tdStyleB,textAlign:"right",fontWeight:600}}>{fmtRate(r.values[indKey].rate)}</td>
+                      <td style={{...tdStyleB,textAlign:"right",fontWeight:600,color:variationColor(sel.ecarts[r.communeKey], seuilsEcart(r.communeKey, indKey))}}>{fmtEcart(sel.ecarts[r.communeKey])}</td>
+                    </tr>
+                  ))}
+                  <tr style={{background:"#EFF6FF"}}>
+                    <td style={tdStyleB}></td>
+                    <td style={{...tdStyleB,fontWeight:700}}>Médiane du groupe</td>
+                    <td style={tdStyleB}></td>
+                    <td style={{...tdStyleB,textAlign:"right",fontWeight:700}}>{fmtRate(sel.median)}</td>
+                    <td style={tdStyleB}></td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,boxShadow:THEME.shadow.card}}>
+              <SectionHeader>Taux pour 1 000 habitants</SectionHeader>
+              <ResponsiveContainer width="100%" height={Math.max(200, chartData.length * 44)}>
+                <BarChart data={chartData} layout="vertical" margin={{ left: 90 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#F1F5F9"/>
+                  <XAxis type="number" tick={{fontSize:12,fill:"#64748B"}}/>
+                  <YAxis type="category" dataKey="commune" tick={{fontSize:12,fill:"#64748B"}} width={85}/>
+                  <Tooltip formatter={(v)=>v != null ? `${v} ‰` : "—"}/>
+                  {sel.median != null && <ReferenceLine x={Math.round(sel.median * 100) / 100} stroke={THEME.colors.danger} strokeDasharray="4 4" label={{ value: "Médiane", fontSize: 11, fill: THEME.colors.danger, position: "top" }}/>}
+                  <Bar dataKey="Taux ‰" fill={THEME.colors.accent} radius={[0,4,4,0]}/>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,boxShadow:THEME.shadow.card}}>
+            <SectionHeader>Tous les indicateurs — taux ‰ (rang)</SectionHeader>
+            <div style={{overflowX:"auto"}}>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                <thead>
+                  <tr>
+                    <th style={{...thStyleB,minWidth:200}}>Indicateur</th>
+                    {rows.map(r => <th key={r.communeKey} style={{...thStyleB,textAlign:"right",minWidth:110}}>{r.commune}</th>)}
+                    <th style={{...thStyleB,textAlign:"right",minWidth:90}}>Médiane</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {benchKeys.map(k => (
+                    <tr key={k} onClick={()=>setIndKey(k)} style={{cursor:"pointer",background:k===indKey?"#F0FDFA":undefined}}>
+                      <td style={tdStyleB}>{labelOf(k)}</td>
+                      {rows.map(r => {
+                        const ecart = stats[k].ecarts[r.communeKey];
+                        return (
+                          <td key={r.communeKey} style={{...tdStyleB,textAlign:"right",background:ecart != null && ecart > 0 ? variationBg(ecart, seuilsEcart(r.communeKey, k)) : undefined}}>
+                            {fmtRate(r.values[k].rate)} <span style={{color:THEME.colors.textMuted,fontSize:11}}>({stats[k].ranks[r.communeKey] ?? "—"})</span>
+                          </td>
+                        );
+                      })}
+                      <td style={{...tdStyleB,textAlign:"right",fontWeight:600}}>{fmtRate(stats[k].median)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{marginTop:16,padding:"12px 14px",background:THEME.colors.surfaceAlt,borderRadius:THEME.radius.md,fontSize:11,color:THEME.colors.textMuted,lineHeight:1.6}}>
+              <strong>Méthode :</strong> taux = somme des faits sur la période commune / population du rapport × 1 000. Rang 1 = taux le plus élevé. Écart médiane = (taux − médiane) / médiane × 100, coloré selon les seuils de variation des règles d'alerte de chaque commune.<br/>
+              <strong>Populations :</strong> {rows.map(r => `${r.commune} ${r.population ? r.population.toLocaleString() : "—"} hab.`).join(" · ")}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// VUE RÈGLES D'ALERTE
+// Seuils par indicateur, pour toutes les communes ou pour une commune, enregistrés sur le poste (localStorage).
+// ─────────────────────────────────────────────────────────────
+const PORTEE_TOUTES = "*";
+
+function ViewRegles({ personnalisation, setPersonnalisation, communes, communeKey }) {
+  const [portee, setPortee] = useState(communeKey ?? PORTEE_TOUTES);
+  const [type, setType] = useState("volume");
+  const { unite } = TYPES_SEUILS.find(t => t.type === type);
+  // Valeurs héritées : seuils par défaut pour toutes les communes, règles de toutes les communes pour une commune
+  const heritees = reglesCommune(portee === PORTEE_TOUTES ? {} : personnalisation, null);
+  const effectives = reglesCommune(personnalisation, portee);
+  const locales = personnalisation[portee] ?? {};
+  const nbPersonnalises = (p) => Object.values(p ?? {}).reduce((n, types) => n + Object.values(types).reduce((m, champs) => m + Object.keys(champs).length, 0), 0);
+
+  const modifier = (key, champ, texte) => {
+    const valeur = texte.trim() === "" ? undefined : Number(texte.replace(",", "."));
+    if (valeur !== undefined && !Number.isFinite(valeur)) return;
+    setPersonnalisation(p => modifierSeuil(p, portee, key, type, champ, valeur));
+  };
+  // « Aucun seuil » : null enregistré pour la portée, qui masque le seuil hérité ; décoché, la valeur héritée revient
+  const basculerAucun = (key, champ, aucun) => setPersonnalisation(p => modifierSeuil(p, portee, key, type, champ, aucun ? null : undefined));
+  const reinitialiser = () => setPersonnalisation(p => { const copie = { ...p }; delete copie[portee]; return copie; });
+
+  const selectStyle = {padding:"10px 16px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,fontSize:14,background:THEME.colors.surface,color:THEME.colors.text,fontWeight:600,cursor:"pointer",fontFamily:THEME.font,boxShadow:THEME.shadow.card};
+  const thStyleR = { padding: "8px 12px", background: "#EFF6FF", color: "#1E293B", fontWeight: 700, fontSize: 12, borderBottom: "2px solid #BFDBFE", textAlign: "left" };
+  const tdStyleR = { padding: "6px 12px", fontSize: 13, color: "#334155", borderBottom: "1px solid #F1F5F9" };
+  const inputStyle = (personnalise) => ({ width: 90, padding: "6px 8px", borderRadius: THEME.radius.sm, border: `1px solid ${personnalise ? THEME.colors.accent : THEME.colors.border}`, fontSize: 13, fontWeight: personnalise ? 700 : 400, fontFamily: THEME.font, textAlign: "right" });
+  const nomPortee = (p) => p === PORTEE_TOUTES ? "Toutes les communes" : communes.find(c => c.communeKey === p)?.commune ?? p;
+
+  return (
+    <div style={{ fontFamily: THEME.font }}>
+      <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:20,flexWrap:"wrap",gap:16}}>
+        <div>
+          <h1 style={{fontSize:24,fontWeight:800,color:THEME.colors.text,margin:0,letterSpacing:"-.02em"}}>Règles d'alerte</h1>
+          <div style={{fontSize:13,color:THEME.colors.textMuted,marginTop:4}}>Seuils de vigilance et d'alerte par indicateur · enregistrés sur ce poste</div>
+        </div>
+        <div style={{display:"flex",gap:12,flexWrap:"wrap",alignItems:"center"}}>
+          <select value={portee} onChange={e=>setPortee(e.target.value)} aria-label="Portée des règles" style={selectStyle}>
+            <option value={PORTEE_TOUTES}>Toutes les communes{nbPersonnalises(personnalisation[PORTEE_TOUTES]) ? ` (${nbPersonnalises(personnalisation[PORTEE_TOUTES])})` : ""}</option>
+            {communes.map(c => <option key={c.communeKey} value={c.communeKey}>{c.commune}{nbPersonnalises(personnalisation[c.communeKey]) ? ` (${nbPersonnalises(personnalisation[c.communeKey])})` : ""}</option>)}
+          </select>
+          <button type="button" onClick={reinitialiser} disabled={!nbPersonnalises(locales)}
+            style={{padding:"10px 16px",borderRadius:THEME.radius.md,border:`1px solid ${THEME.colors.border}`,background:THEME.colors.surface,color:nbPersonnalises(locales)?THEME.colors.text:THEME.colors.textMuted,fontWeight:600,fontSize:13,cursor:nbPersonnalises(locales)?"pointer":"not-allowed",fontFamily:THEME.font}}>
+            ↺ Réinitialiser
+          </button>
+        </div>
+      </div>
+
+      <div style={{background:THEME.colors.infoBg,border:"1px solid #7DD3FC",borderRadius:THEME.radius.lg,padding:"14px 18px",marginBottom:24,fontSize:13,color:"#0C4A6E",lineHeight:1.6}}>
+        Un niveau est atteint quand la valeur dépasse strictement le seuil, ou dès le seuil quand il est affiché « ≥ » (taux de criminalité « Modéré » dès 4 ‰) ;
+        dans la colonne de niveau des tableaux du rapport, une variation égale au seuil de vigilance est déjà 🟡. Les seuils colorent les tableaux du dashboard, du rapport, de la comparaison et des exports Excel et PDF ;
+        le seuil « taux » des faits constatés interprète le taux de criminalité et apparaît sur la courbe des tendances ; les seuils « faits sur la période » déclenchent les recommandations du rapport.
+        Une case vide reprend la valeur {portee === PORTEE_TOUTES ? "par défaut" : "définie pour toutes les communes"} ; « aucun » supprime le seuil, même hérité.
+      </div>
+
+      <div style={{display:"flex",border:`1px solid ${THEME.colors.border}`,borderRadius:THEME.radius.md,overflow:"hidden",width:"fit-content",marginBottom:16}}>
+        {TYPES_SEUILS.map(t=>(
+          <button key={t.type} type="button" onClick={()=>setType(t.type)} style={{padding:"8px 14px",border:"none",fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:THEME.font,background:type===t.type?THEME.colors.primary:THEME.colors.surface,color:type===t.type?"#fff":THEME.colors.textSecondary}}>{t.label}</button>
+        ))}
+      </div>
+
+      <div style={{background:THEME.colors.surface,borderRadius:THEME.radius.lg,border:`1px solid ${THEME.colors.border}`,padding:24,boxShadow:THEME.shadow.card,overflowX:"auto"}}>
+        <SectionHeader>{TYPES_SEUILS.find(t => t.type === type).label} — {nomPortee(portee)}</SectionHeader>
+        <table style={{width:"100%",borderCollapse:"collapse"}}>
+          <thead>
+            <tr>
+              <th style={thStyleR}>Indicateur</th>
+              <th style={thStyleR}>Vigilance au-delà de ({unite})</th>
+              <th style={thStyleR}>Alerte au-delà de ({unite})</th>
+              <th style={thStyleR}>Seuils appliqués</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CATEGORIES.map(({ cat, color }) => {
+              const indicateurs = INDICATEURS_REGLES.filter(i => i.cat === cat);
+              if (!indicateurs.length) return null;
+              return [
+                <tr key={cat}><td colSpan={4} style={{...tdStyleR,fontWeight:700,color,background:THEME.colors.surfaceAlt,fontSize:12,textTransform:"uppercase",letterSpacing:".04em"}}>{cat}</td></tr>,
+                ...indicateurs.map(({ key, label }) => {
+                  const seuils = effectives[key][type];
+                  const incoherent = seuils.vigilance != null && seuils.alerte != null && seuils.vigilance >= seuils.alerte;
+                  return (
+                    <tr key={key}>
+                      <td style={tdStyleR}>{label}</td>
+                      {["vigilance", "alerte"].map(champ => {
+                        const local = locales[key]?.[type]?.[champ];
+                        return (
+                          <td key={champ} style={tdStyleR}>
+                            <div style={{display:"flex",alignItems:"center",gap:8}}>
+                              <input type="number" step="any" aria-label={`${label} — ${champ}`} disabled={local === null}
+                                value={local ?? ""} placeholder={local === null ? "aucun" : heritees[key][type][champ] ?? "—"}
+                                onChange={e=>modifier(key, champ, e.target.value)} style={inputStyle(local !== undefined)}/>
+                              <label style={{display:"inline-flex",alignItems:"center",gap:4,fontSize:11,color:THEME.colors.textMuted,cursor:"pointer",whiteSpace:"nowrap"}}>
+                                <input type="checkbox" checked={local === null} onChange={e=>basculerAucun(key, champ, e.target.checked)}
+                                  aria-label={`${label} — ${champ} : aucun seuil`}/>
+                                aucun
+                              </label>
+                            </div>
+                          </td>
+                        );
+                      })}
+                      <td style={{...tdStyleR,fontSize:12,color:incoherent?THEME.colors.danger:THEME.colors.textMuted}}>
+                        {seuils.vigilance == null && seuils.alerte == null ? "Aucun seuil" : ["vigilance", "alerte"].map(champ =>
+                          `${champ === "vigilance" ? "🟡" : "🔴"} ${seuils.inclusif?.includes(champ) ? "≥" : ">"} ${seuils[champ] ?? "—"}`).join(" · ")}
+                        {incoherent && " — vigilance ≥ alerte"}
+                      </td>
+                    </tr>
+                  );
+                }),
+              ];
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // ─────────────────────────────────────────────────────────────
 // APP PRINCIPALE
 // ─────────────────────────────────────────────────────────────
@@ -2075,12 +3524,79 @@ export default function App() {
   const [simpleSubView, setSimpleSubView] = useState("dashboard");
   const [parsedFiles, setParsedFiles] = useState([]);
 
-  const validCount = parsedFiles.filter(f => !f.erreur).length;
+  // Serveur joignable (et connexion requise), utilisateur de la session en cours
+  const [serveur, setServeur] = useState({ disponible: false, authRequise: false });
+  const [utilisateur, setUtilisateur] = useState(null);
+
+  // Jeu de données partagé du serveur : remplace les mois partagés affichés
+  // (un mois déjà présent localement, éventuellement corrigé, l'emporte sur celui du serveur)
+  const syncServer = useCallback(async () => {
+    const { disponible, authRequise, mois } = await fetchServerMonths();
+    const user = disponible && !authRequise ? await currentUser() : null;
+    setServeur({ disponible, authRequise });
+    setUtilisateur(user);
+    setParsedFiles(prev => {
+      const locaux = prev.filter(f => f.origine !== "serveur");
+      const nouveaux = mois.filter(s => !locaux.some(f =>
+        !f.erreur && f.communeKey === s.communeKey && f.mois === s.mois && f.annee === s.annee
+      ));
+      return [...locaux, ...nouveaux];
+    });
+  }, []);
+
+  const onLogin = useCallback(async (identifiant, motDePasse) => {
+    await login(identifiant, motDePasse);
+    await syncServer();
+  }, [syncServer]);
+
+  const onLogout = useCallback(async () => {
+    await logout();
+    await syncServer();
+  }, [syncServer]);
+
+  // Rechargement des mois conservés localement (IndexedDB), puis du jeu de données partagé du serveur
+  useEffect(() => {
+    let cancelled = false;
+    loadMonths()
+      .catch(err => { console.warn("Chargement des données locales impossible :", err); return []; })
+      .then(stored => {
+        if (cancelled) return;
+        if (stored.length > 0) setParsedFiles(prev => [...stored, ...prev.filter(f => !stored.some(s => s.id === f.id))]);
+        return syncServer();
+      });
+    return () => { cancelled = true; };
+  }, [syncServer]);
+
+  // Espace de travail : commune active (toutes les vues d'analyse sont filtrées sur elle)
+  const [communeKey, setCommuneKey] = useState(() => {
+    try { return localStorage.getItem("suivi-delinquance:commune"); } catch (_) { return null; }
+  });
+  const communes = useMemo(() => groupByCommune(parsedFiles), [parsedFiles]);
+  const activeCommune = communes.find(c => c.communeKey === communeKey) ?? communes[0] ?? null;
+  const workspaceFiles = activeCommune ? activeCommune.files : [];
+  useEffect(() => {
+    if (!activeCommune) return;
+    try { localStorage.setItem("suivi-delinquance:commune", activeCommune.communeKey); } catch (_) {}
+  }, [activeCommune?.communeKey]);
+
+  // Règles d'alerte personnalisées (conservées localement), résolues pour la commune active
+  const [personnalisation, setPersonnalisation] = useState(() => {
+    try { return normaliserPersonnalisation(JSON.parse(localStorage.getItem("suivi-delinquance:regles-alerte") ?? "{}")); } catch (_) { return {}; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem("suivi-delinquance:regles-alerte", JSON.stringify(personnalisation)); } catch (_) {}
+  }, [personnalisation]);
+  const regles = useMemo(() => reglesCommune(personnalisation, activeCommune?.communeKey ?? null), [personnalisation, activeCommune?.communeKey]);
+
+  const totalCount = parsedFiles.filter(f => !f.erreur).length;
+  const validCount = workspaceFiles.length;
 
   const navItems = [
     { id: "import", icon: "📥", label: "Import" },
     { id: "analyse-simple", icon: "📊", label: "Analyse simple", disabled: validCount < 1 },
     { id: "analyse-comparative", icon: "⚖️", label: "Analyse comparative", disabled: validCount < 2 },
+    { id: "benchmark", icon: "🏙️", label: "Benchmark", disabled: communes.length < 2 },
+    { id: "regles", icon: "🚨", label: "Règles d'alerte" },
   ];
 
   return (
@@ -2092,6 +3608,17 @@ export default function App() {
           <div style={{ fontSize: 10, fontWeight: 800, color: "rgba(255,255,255,.5)", letterSpacing: ".18em", marginBottom: 6 }}>OBSERVATOIRE</div>
           <div style={{ fontSize: 15, fontWeight: 800, color: THEME.colors.sidebarText, lineHeight: 1.25, letterSpacing: "-.02em" }}>Délinquance<br/>Municipale</div>
         </div>
+        {communes.length > 0 && (
+          <div style={{ padding: "18px 20px 0" }}>
+            <label htmlFor="commune-select" style={{ display: "block", fontSize: 10, fontWeight: 700, color: "rgba(255,255,255,.5)", letterSpacing: ".12em", marginBottom: 6 }}>COMMUNE</label>
+            <select id="commune-select" value={activeCommune?.communeKey ?? ""} onChange={e=>setCommuneKey(e.target.value)}
+              style={{ width: "100%", padding: "8px 10px", borderRadius: THEME.radius.sm, border: "1px solid rgba(255,255,255,.15)", background: THEME.colors.primaryLight, color: THEME.colors.sidebarText, fontSize: 13, fontWeight: 600, fontFamily: THEME.font, cursor: "pointer" }}>
+              {communes.map(c => (
+                <option key={c.communeKey} value={c.communeKey}>{c.commune} ({c.files.length})</option>
+              ))}
+            </select>
+          </div>
+        )}
         <nav style={{ padding: "20px 12px", flex: 1 }}>
           {navItems.map(item => (
             <button key={item.id}
@@ -2110,18 +3637,18 @@ export default function App() {
             >
               <span style={{ fontSize: 18 }}>{item.icon}</span>
               <span>{item.label}</span>
-              {(item.id==="analyse-simple"&&validCount<1)||(item.id==="analyse-comparative"&&validCount<2) ? <span style={{ marginLeft: "auto", fontSize: 10, color: "rgba(255,255,255,.45)" }}>{(item.id==="analyse-comparative"?"≥2":"≥1")}</span> : null}
+              {(item.id==="analyse-simple"&&validCount<1)||(item.id==="analyse-comparative"&&validCount<2) ? <span style={{ marginLeft: "auto", fontSize: 10, color: "rgba(255,255,255,.45)" }}>{(item.id==="analyse-comparative"?"≥2":"≥1")}</span> : item.id==="benchmark"&&item.disabled ? <span style={{ marginLeft: "auto", fontSize: 10, color: "rgba(255,255,255,.45)" }}>≥2 comm.</span> : null}
             </button>
           ))}
         </nav>
         <div style={{ padding: "16px 20px", borderTop: "1px solid rgba(255,255,255,.08)" }}>
-          <div style={{ fontSize: 11, color: "rgba(255,255,255,.5)" }}>{validCount} fichier{validCount!==1?"s":""} parsé{validCount!==1?"s":""}</div>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,.5)" }}>{totalCount} fichier{totalCount!==1?"s":""} parsé{totalCount!==1?"s":""}{communes.length > 1 ? ` · ${communes.length} communes` : ""}</div>
         </div>
       </div>
 
       {/* MAIN */}
       <main style={{ flex: 1, padding: "40px 48px", overflowY: "auto" }}>
-        {view === "import" && <ViewImport parsedFiles={parsedFiles} setParsedFiles={setParsedFiles} setView={setView} setSimpleSubView={setSimpleSubView}/>}
+        {view === "import" && <ViewImport parsedFiles={parsedFiles} setParsedFiles={setParsedFiles} setView={setView} setSimpleSubView={setSimpleSubView} setCommuneKey={setCommuneKey} serveur={serveur} utilisateur={utilisateur} onLogin={onLogin} onLogout={onLogout}/>}
 
         {view === "analyse-simple" && (
           <div style={{ fontFamily: THEME.font }}>
@@ -2145,13 +3672,17 @@ export default function App() {
                 );
               })}
             </div>
-            {simpleSubView === "dashboard" && <ViewDashboard parsedFiles={parsedFiles}/>}
-            {simpleSubView === "tendances" && <ViewTendances parsedFiles={parsedFiles}/>}
-            {simpleSubView === "rapport" && <ViewRapport parsedFiles={parsedFiles}/>}
+            {simpleSubView === "dashboard" && <ViewDashboard key={activeCommune?.communeKey} parsedFiles={workspaceFiles} regles={regles}/>}
+            {simpleSubView === "tendances" && <ViewTendances key={activeCommune?.communeKey} parsedFiles={workspaceFiles} regles={regles}/>}
+            {simpleSubView === "rapport" && <ViewRapport key={activeCommune?.communeKey} parsedFiles={workspaceFiles} regles={regles}/>}
           </div>
         )}
 
-        {view === "analyse-comparative" && <ViewComparaison parsedFiles={parsedFiles}/>}
+        {view === "analyse-comparative" && <ViewComparaison key={activeCommune?.communeKey} parsedFiles={workspaceFiles} regles={regles}/>}
+
+        {view === "benchmark" && <ViewBenchmark parsedFiles={parsedFiles} personnalisation={personnalisation}/>}
+
+        {view === "regles" && <ViewRegles key={activeCommune?.communeKey} personnalisation={personnalisation} setPersonnalisation={setPersonnalisation} communes={communes} communeKey={activeCommune?.communeKey ?? null}/>}
       </main>
       </div>
 
@@ -0,0 +1,148 @@
+/**
+ * Accès à l'API du serveur (server/), facultative : l'application fonctionne sans backend
+ * (hébergement statique). Quand le serveur répond, les mois importés sont enregistrés dans son
+ * jeu de données partagé (SQLite) plutôt que dans le seul navigateur. L'API exige une session :
+ * le jeton obtenu par login() accompagne chaque requête.
+ */
+
+const API_BASE = "/api";
+const JETON_KEY = "suivi-delinquance:jeton";
+
+/** Jeton de session (sessionStorage : perdu à la fermeture de l'onglet). */
+const readToken = () => {
+  try {
+    return sessionStorage.getItem(JETON_KEY);
+  } catch (_) {
+    return null;
+  }
+};
+
+const writeToken = (jeton) => {
+  try {
+    if (jeton) sessionStorage.setItem(JETON_KEY, jeton);
+    else sessionStorage.removeItem(JETON_KEY);
+  } catch (_) {}
+};
+
+/** fetch vers l'API avec l'en-tête Authorization de la session en cours. */
+function apiFetch(path, options = {}) {
+  const jeton = readToken();
+  const headers = { ...options.headers, ...(jeton ? { Authorization: `Bearer ${jeton}` } : {}) };
+  return fetch(`${API_BASE}${path}`, { ...options, headers });
+}
+
+/** Marque une entrée renvoyée par le serveur. */
+const fromServer = (entry) => ({ ...entry, origine: "serveur" });
+
+/** Message d'erreur d'une réponse de l'API ({ erreur }), sinon le statut HTTP. */
+async function errorOf(res) {
+  try {
+    const body = await res.json();
+    if (body?.erreur) return body.erreur;
+  } catch (_) {}
+  return `Erreur du serveur (${res.status}).`;
+}
+
+/**
+ * Ouvre une session (POST /api/auth/login) et conserve le jeton pour les requêtes suivantes.
+ * @returns {Promise<{ identifiant: string, nom: string|null, role: string }>} l'utilisateur connecté
+ * @throws si les identifiants sont refusés ou le serveur injoignable
+ */
+export async function login(identifiant, motDePasse) {
+  const res = await apiFetch("/auth/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ identifiant, motDePasse }),
+  });
+  if (!res.ok) throw new Error(await errorOf(res));
+  const { jeton, utilisateur } = await res.json();
+  writeToken(jeton);
+  return utilisateur;
+}
+
+/** Ferme la session en cours (POST /api/auth/logout) ; le jeton local est oublié même si le serveur ne répond pas. */
+export async function logout() {
+  try {
+    if (readToken()) await apiFetch("/auth/logout", { method: "POST" });
+  } catch (_) {}
+  writeToken(null);
+}
+
+/** Utilisateur de la session en cours (GET /api/auth/me), null sans session valide. */
+export async function currentUser() {
+  if (!readToken()) return null;
+  try {
+    const res = await apiFetch("/auth/me");
+    if (!res.ok) {
+      if (res.status === 401) writeToken(null);
+      return null;
+    }
+    return await res.json();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Mois du jeu de données partagé (GET /api/months).
+ * @returns {Promise<{ disponible: boolean, authRequise: boolean, mois: Array<object> }>} entrées au format de
+ *   parsePdfInBrowser, marquées `origine: "serveur"` ; `disponible` est faux si le serveur n'est pas joignable,
+ *   `authRequise` vrai s'il répond mais demande une connexion
+ */
+export async function fetchServerMonths() {
+  const indisponible = { disponible: false, authRequise: false, mois: [] };
+  try {
+    const res = await apiFetch("/months", { headers: { Accept: "application/json" } });
+    if (res.status === 401) {
+      writeToken(null);
+      return { disponible: true, authRequise: true, mois: [] };
+    }
+    // Hébergement statique : la route renvoie 404, ou la page de l'application
+    if (!res.ok || !(res.headers.get("content-type") || "").includes("application/json")) return indisponible;
+    const { mois = [] } = await res.json();
+    return { disponible: true, authRequise: false, mois: mois.map(fromServer) };
+  } catch (_) {
+    return indisponible;
+  }
+}
+
+/**
+ * Importe des PDF et des archives ZIP dans le jeu de données partagé (POST /api/parse-batch?enregistrer=1) : le
+ * serveur extrait les archives, parse chaque PDF une seule fois et l'enregistre avec son PDF d'origine.
+ * @returns {Promise<Array<object>>} par PDF, le mois enregistré ou { fichierSource, erreur } (mois déjà présent,
+ *   doublon dans le lot, PDF non identifié…)
+ * @throws si le serveur n'est pas joignable ou refuse le lot (session expirée, droits insuffisants)
+ */
+export async function importServerBatch(files) {
+  const body = new FormData();
+  for (const file of files) body.append("files", file, file.name);
+  const res = await apiFetch("/parse-batch?enregistrer=1", { method: "POST", body });
+  if (!res.ok) throw new Error(await errorOf(res));
+  const { resultats = [] } = await res.json();
+  return resultats.map((r) => (r.erreur ? r : fromServer(r)));
+}
+
+/** Enregistre les corrections d'un mois partagé (PUT /api/months/:id) et renvoie le mois mis à jour. */
+export async function updateServerMonth(entry) {
+  const { population, surface, densite, indicateurs, statuts, donneesSource, corrections } = entry;
+  const res = await apiFetch(`/months/${encodeURIComponent(entry.id)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ population, surface, densite, indicateurs, statuts, donneesSource, corrections }),
+  });
+  if (!res.ok) throw new Error(await errorOf(res));
+  return fromServer(await res.json());
+}
+
+/** Supprime un mois du jeu de données partagé (DELETE /api/months/:id). */
+export async function deleteServerMonth(id) {
+  const res = await apiFetch(`/months/${encodeURIComponent(id)}`, { method: "DELETE" });
+  if (!res.ok && res.status !== 404) throw new Error(await errorOf(res));
+}
+
+/** Re-parse un mois partagé à partir du PDF conservé par le serveur (POST /api/months/:id/reparse). */
+export async function reparseServerMonth(id) {
+  const res = await apiFetch(`/months/${encodeURIComponent(id)}/reparse`, { method: "POST" });
+  if (!res.ok) throw new Error(await errorOf(res));
+  return fromServer(await res.json());
+}
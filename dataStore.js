@@ -0,0 +1,109 @@
+/**
+ * Persistance locale des mois importés (IndexedDB).
+ * Chaque mois parsé est conservé avec ses indicateurs et le PDF d'origine,
+ * pour être rechargé au démarrage, supprimé ou re-parsé individuellement.
+ */
+
+const DB_NAME = "suivi-delinquance";
+const DB_VERSION = 1;
+const STORE_MOIS = "mois";
+const STORE_PDFS = "pdfs";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB n'est pas disponible dans ce navigateur."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_MOIS)) db.createObjectStore(STORE_MOIS, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(STORE_PDFS)) db.createObjectStore(STORE_PDFS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/** Exécute `fn` dans une transaction et résout à la fin de celle-ci. */
+async function withStores(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_MOIS, STORE_PDFS], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction IndexedDB annulée."));
+    result = fn(tx.objectStore(STORE_MOIS), tx.objectStore(STORE_PDFS));
+  });
+}
+
+const requestResult = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+/** Identifiant stable d'une entrée importée (attribué une seule fois, à l'import). */
+export function newEntryId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Charge tous les mois enregistrés, dans l'ordre d'import.
+ * @returns {Promise<Array<object>>} entrées au format de parsePdfInBrowser, avec `id` et `importeLe`
+ */
+export async function loadMonths() {
+  const db = await openDb();
+  const entries = await requestResult(db.transaction(STORE_MOIS, "readonly").objectStore(STORE_MOIS).getAll());
+  return entries.sort((a, b) => (a.importeLe ?? 0) - (b.importeLe ?? 0));
+}
+
+/**
+ * Enregistre (ou remplace) un mois parsé. Le PDF d'origine est stocké à part,
+ * pour ne pas être chargé en mémoire avec la liste.
+ * @param {object} entry - entrée parsée, doit porter un `id`
+ * @param {Blob} [pdf] - fichier PDF d'origine ; conservé tel quel s'il est omis
+ */
+export async function saveMonth(entry, pdf) {
+  if (!entry?.id) throw new Error("Entrée sans identifiant : impossible de l'enregistrer.");
+  const record = { ...entry, importeLe: entry.importeLe ?? Date.now() };
+  await withStores("readwrite", (mois, pdfs) => {
+    mois.put(record);
+    if (pdf) pdfs.put(pdf, entry.id);
+  });
+  return record;
+}
+
+/** Supprime un mois et son PDF. */
+export async function deleteMonth(id) {
+  await withStores("readwrite", (mois, pdfs) => {
+    mois.delete(id);
+    pdfs.delete(id);
+  });
+}
+
+/** Supprime tous les mois enregistrés. */
+export async function clearMonths() {
+  await withStores("readwrite", (mois, pdfs) => {
+    mois.clear();
+    pdfs.clear();
+  });
+}
+
+/**
+ * Retourne le PDF d'origine d'un mois, sous forme de File (nom d'origine conservé).
+ * @returns {Promise<File|null>}
+ */
+export async function getMonthPdf(id, filename = "document.pdf") {
+  const db = await openDb();
+  const blob = await requestResult(db.transaction(STORE_PDFS, "readonly").objectStore(STORE_PDFS).get(id));
+  if (!blob) return null;
+  return new File([blob], filename, { type: blob.type || "application/pdf" });
+}
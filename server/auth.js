@@ -0,0 +1,271 @@
+/**
+ * Comptes utilisateurs locaux, sessions par jeton et journal d'audit (base SQLite du serveur).
+ * Rôles, du moins au plus étendu :
+ * - viewer : consultation du jeu de données partagé ;
+ * - analyst : en plus, import et parsing de PDF, corrections, re-parsing ;
+ * - admin : en plus, suppression de mois, gestion des comptes et consultation du journal.
+ * Le client envoie le jeton reçu à la connexion dans l'en-tête `Authorization: Bearer <jeton>` ;
+ * seule son empreinte SHA-256 est conservée en base.
+ */
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "analyst", "admin"];
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+/** Échecs de connexion consécutifs (même identifiant, même adresse) avant blocage, et durée du blocage. */
+const ECHECS_MAX = 5;
+const BLOCAGE_MS = 15 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS utilisateurs (
+    identifiant TEXT PRIMARY KEY,
+    nom TEXT,
+    role TEXT NOT NULL,
+    mot_de_passe TEXT NOT NULL,
+    actif INTEGER NOT NULL DEFAULT 1,
+    cree_le INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    empreinte TEXT PRIMARY KEY,
+    identifiant TEXT NOT NULL REFERENCES utilisateurs(identifiant) ON DELETE CASCADE,
+    cree_le INTEGER NOT NULL,
+    expire_le INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS journal (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    le INTEGER NOT NULL,
+    identifiant TEXT,
+    action TEXT NOT NULL,
+    fichier TEXT,
+    mois_id TEXT,
+    resultat TEXT,
+    ip TEXT
+  );
+  CREATE INDEX IF NOT EXISTS journal_le ON journal (le);
+`;
+
+/** Empreinte scrypt d'un mot de passe, au format "scrypt$<sel>$<empreinte>" (hexadécimal). */
+function hashPassword(motDePasse) {
+  const sel = crypto.randomBytes(16);
+  return `scrypt$${sel.toString("hex")}$${crypto.scryptSync(motDePasse, sel, 64).toString("hex")}`;
+}
+
+/** Vérifie un mot de passe contre son empreinte (comparaison à temps constant). */
+function verifyPassword(motDePasse, stocke) {
+  const [algo, sel, empreinte] = String(stocke).split("$");
+  if (algo !== "scrypt" || !sel || !empreinte) return false;
+  const attendu = Buffer.from(empreinte, "hex");
+  const calcule = crypto.scryptSync(motDePasse, Buffer.from(sel, "hex"), attendu.length);
+  return crypto.timingSafeEqual(attendu, calcule);
+}
+
+// Empreinte vérifiée quand l'identifiant n'existe pas : même temps de réponse qu'avec un compte existant
+const EMPREINTE_FACTICE = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+const empreinteJeton = (jeton) => crypto.createHash("sha256").update(jeton).digest("hex");
+
+/** Vrai si `role` donne au moins les droits de `minimum`. */
+function hasRole(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum) && ROLES.includes(role);
+}
+
+/** Erreur de validation d'un compte (400 pour l'API). */
+const invalide = (message) => Object.assign(new Error(message), { status: 400 });
+/** Modification refusée car elle laisserait le serveur sans administrateur actif (409 pour l'API). */
+const conflit = (message) => Object.assign(new Error(message), { status: 409 });
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw invalide(`Rôle inconnu : ${role} (attendu : ${ROLES.join(", ")}).`);
+}
+
+function checkNom(nom) {
+  if (nom !== null && (typeof nom !== "string" || nom.length > 200)) {
+    throw invalide("Nom invalide (texte de 200 caractères au plus, ou null).");
+  }
+}
+
+function checkActif(actif) {
+  if (typeof actif !== "boolean") throw invalide("État invalide : actif doit valoir true ou false.");
+}
+
+function checkPassword(motDePasse) {
+  if (typeof motDePasse !== "string" || motDePasse.length < 10) {
+    throw invalide("Le mot de passe doit comporter au moins 10 caractères.");
+  }
+}
+
+/**
+ * Comptes, sessions et journal sur la base ouverte par openDatabase.
+ * @param {import("better-sqlite3").Database} db
+ */
+function createAuth(db, { sessionTtlMs = SESSION_TTL_MS, echecsMax = ECHECS_MAX, blocageMs = BLOCAGE_MS } = {}) {
+  db.exec(SCHEMA);
+
+  // Échecs de connexion par identifiant et adresse IP (en mémoire) : { n, dernier, bloqueJusqua }
+  const echecs = new Map();
+  const cleEchec = (identifiant, ip) => `${ip ?? ""}\u0000${identifiant}`;
+  const noterEchec = (cle, now) => {
+    if (echecs.size > 10000) {
+      for (const [k, e] of echecs) if (now - e.dernier > blocageMs) echecs.delete(k);
+    }
+    const e = echecs.get(cle);
+    const n = e && now - e.dernier <= blocageMs ? e.n + 1 : 1;
+    echecs.set(cle, { n, dernier: now, bloqueJusqua: n >= echecsMax ? now + blocageMs : 0 });
+  };
+
+  const stmt = {
+    countUsers: db.prepare("SELECT COUNT(*) AS n FROM utilisateurs"),
+    countActiveAdmins: db.prepare("SELECT COUNT(*) AS n FROM utilisateurs WHERE role = 'admin' AND actif = 1"),
+    selectUser: db.prepare("SELECT * FROM utilisateurs WHERE identifiant = ?"),
+    selectUsers: db.prepare("SELECT identifiant, nom, role, actif, cree_le FROM utilisateurs ORDER BY identifiant"),
+    insertUser: db.prepare(`INSERT INTO utilisateurs (identifiant, nom, role, mot_de_passe, actif, cree_le)
+      VALUES (@identifiant, @nom, @role, @motDePasse, 1, @creeLe)`),
+    updateUser: db.prepare(`UPDATE utilisateurs SET nom = @nom, role = @role, mot_de_passe = @motDePasse, actif = @actif
+      WHERE identifiant = @identifiant`),
+    insertSession: db.prepare("INSERT INTO sessions (empreinte, identifiant, cree_le, expire_le) VALUES (?, ?, ?, ?)"),
+    selectSession: db.prepare(`SELECT u.identifiant, u.nom, u.role, u.actif, s.expire_le FROM sessions s
+      JOIN utilisateurs u ON u.identifiant = s.identifiant WHERE s.empreinte = ?`),
+    deleteSession: db.prepare("DELETE FROM sessions WHERE empreinte = ?"),
+    deleteUserSessions: db.prepare("DELETE FROM sessions WHERE identifiant = ?"),
+    purgeSessions: db.prepare("DELETE FROM sessions WHERE expire_le <= ?"),
+    insertJournal: db.prepare(`INSERT INTO journal (le, identifiant, action, fichier, mois_id, resultat, ip)
+      VALUES (@le, @identifiant, @action, @fichier, @moisId, @resultat, @ip)`),
+    selectJournal: db.prepare(`SELECT le, identifiant, action, fichier, mois_id AS moisId, resultat, ip FROM journal
+      WHERE (@identifiant IS NULL OR identifiant = @identifiant) AND (@action IS NULL OR action = @action)
+      ORDER BY id DESC LIMIT @limit`),
+  };
+
+  const publicUser = (u) => ({ identifiant: u.identifiant, nom: u.nom, role: u.role });
+
+  return {
+    ROLES,
+
+    /** Nombre de comptes (0 : premier démarrage, voir ADMIN_USER dans le README). */
+    countUsers() {
+      return stmt.countUsers.get().n;
+    },
+
+    /** Comptes, sans leur mot de passe. */
+    listUsers() {
+      return stmt.selectUsers.all().map((u) => ({ ...publicUser(u), actif: !!u.actif, creeLe: u.cree_le }));
+    },
+
+    /**
+     * Crée un compte ; erreur 400 si l'identifiant existe, le nom n'est pas un texte, le rôle est inconnu ou le mot
+     * de passe trop court.
+     */
+    createUser({ identifiant, nom = null, role, motDePasse }) {
+      if (typeof identifiant !== "string" || !/^[\w.@-]{2,64}$/.test(identifiant)) {
+        throw invalide("Identifiant invalide (2 à 64 caractères : lettres, chiffres, . _ @ -).");
+      }
+      checkNom(nom);
+      checkRole(role);
+      checkPassword(motDePasse);
+      if (stmt.selectUser.get(identifiant)) throw invalide(`Le compte ${identifiant} existe déjà.`);
+      stmt.insertUser.run({ identifiant, nom, role, motDePasse: hashPassword(motDePasse), creeLe: Date.now() });
+      return publicUser(stmt.selectUser.get(identifiant));
+    },
+
+    /**
+     * Modifie le nom, le rôle, le mot de passe ou l'état d'un compte ; un compte désactivé ou dont le mot de passe
+     * change perd ses sessions. Erreur 400 si un champ est invalide (nom texte ou null, actif booléen), 409 si le
+     * dernier administrateur actif perdait son rôle ou était désactivé.
+     * @returns {object|null} le compte, null s'il n'existe pas
+     */
+    updateUser(identifiant, { nom, role, motDePasse, actif }) {
+      const u = stmt.selectUser.get(identifiant);
+      if (!u) return null;
+      if (nom !== undefined) checkNom(nom);
+      if (actif !== undefined) checkActif(actif);
+      if (role !== undefined) checkRole(role);
+      if (motDePasse !== undefined) checkPassword(motDePasse);
+      const retraitAdmin = (role !== undefined && role !== "admin") || actif === false;
+      if (u.role === "admin" && u.actif && retraitAdmin && stmt.countActiveAdmins.get().n <= 1) {
+        throw conflit(`${identifiant} est le dernier administrateur actif : créez ou réactivez un autre administrateur avant de le modifier.`);
+      }
+      stmt.updateUser.run({
+        identifiant,
+        nom: nom !== undefined ? nom : u.nom,
+        role: role ?? u.role,
+        motDePasse: motDePasse !== undefined ? hashPassword(motDePasse) : u.mot_de_passe,
+        actif: actif !== undefined ? Number(actif) : u.actif,
+      });
+      if (motDePasse !== undefined || actif === false) stmt.deleteUserSessions.run(identifiant);
+      return publicUser(stmt.selectUser.get(identifiant));
+    },
+
+    /**
+     * Délai restant (ms) avant qu'une connexion soit de nouveau acceptée pour cet identifiant depuis cette adresse,
+     * après `echecsMax` échecs consécutifs ; 0 si elle n'est pas bloquée.
+     */
+    loginDelay(identifiant, ip = null) {
+      const e = echecs.get(cleEchec(identifiant, ip));
+      return e ? Math.max(0, e.bloqueJusqua - Date.now()) : 0;
+    },
+
+    /**
+     * Ouvre une session. Le mot de passe est toujours vérifié (empreinte factice pour un identifiant inconnu) ;
+     * les échecs sont comptés par identifiant et adresse IP, voir loginDelay.
+     * @returns {{ jeton: string, expireLe: number, utilisateur: object }|null} null si l'identifiant,
+     *   le mot de passe ou l'état du compte ne le permettent pas, ou si les connexions sont bloquées
+     */
+    login(identifiant, motDePasse, { ip = null } = {}) {
+      const u = typeof identifiant === "string" ? stmt.selectUser.get(identifiant) : null;
+      const valide = verifyPassword(typeof motDePasse === "string" ? motDePasse : "", u ? u.mot_de_passe : EMPREINTE_FACTICE);
+      const cle = cleEchec(identifiant, ip);
+      const now = Date.now();
+      if (echecs.get(cle)?.bloqueJusqua > now) return null;
+      if (!u || !u.actif || typeof motDePasse !== "string" || !valide) {
+        noterEchec(cle, now);
+        return null;
+      }
+      echecs.delete(cle);
+      stmt.purgeSessions.run(now);
+      const jeton = crypto.randomBytes(32).toString("hex");
+      const expireLe = now + sessionTtlMs;
+      stmt.insertSession.run(empreinteJeton(jeton), u.identifiant, now, expireLe);
+      return { jeton, expireLe, utilisateur: publicUser(u) };
+    },
+
+    logout(jeton) {
+      stmt.deleteSession.run(empreinteJeton(jeton));
+    },
+
+    /** Utilisateur d'un jeton de session valide, null sinon. */
+    authenticate(jeton) {
+      if (!jeton) return null;
+      const s = stmt.selectSession.get(empreinteJeton(jeton));
+      if (!s || !s.actif || s.expire_le <= Date.now()) return null;
+      return publicUser(s);
+    },
+
+    /** Ajoute une ligne au journal d'audit. */
+    audit({ identifiant = null, action, fichier = null, moisId = null, resultat = "ok", ip = null }) {
+      stmt.insertJournal.run({ le: Date.now(), identifiant, action, fichier, moisId, resultat, ip });
+    },
+
+    /** Dernières lignes du journal, les plus récentes d'abord. */
+    listAudit({ identifiant = null, action = null, limit = 200 } = {}) {
+      return stmt.selectJournal.all({ identifiant, action, limit });
+    },
+  };
+}
+
+/**
+ * Middleware Express : exige une session valide d'au moins le rôle donné, et renseigne `req.utilisateur`.
+ * 401 sans jeton valide, 403 si le rôle est insuffisant.
+ */
+function requireRole(auth, minimum) {
+  return (req, res, next) => {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    const utilisateur = auth.authenticate(m ? m[1] : null);
+    if (!utilisateur) return res.status(401).json({ erreur: "Authentification requise." });
+    if (!hasRole(utilisateur.role, minimum)) {
+      return res.status(403).json({ erreur: `Droits insuffisants : rôle ${minimum} requis.` });
+    }
+    req.utilisateur = utilisateur;
+    req.jeton = m[1];
+    next();
+  };
+}
+
+module.exports = { createAuth, requireRole, hasRole, hashPassword, verifyPassword, ROLES };
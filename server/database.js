@@ -0,0 +1,20 @@
+/**
+ * Base SQLite du serveur (mois, comptes utilisateurs, journal d'audit), ouverte une fois au démarrage.
+ */
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * Ouvre (ou crée) la base.
+ * @param {string} file - chemin du fichier SQLite, ":memory:" pour une base temporaire
+ */
+function openDatabase(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  return db;
+}
+
+module.exports = { openDatabase };
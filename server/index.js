@@ -2,66 +2,110 @@ const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const path = require("path");
-const { extractPdfData } = require("./parsePdf.js");
+const { parsePdfUpload, parseBatchUpload, loadSharedModule } = require("./parsePdf.js");
+const { openDatabase } = require("./database.js");
+const { createMonthStore } = require("./monthStore.js");
+const { createAuth, requireRole } = require("./auth.js");
+const { startWatchFolder } = require("./watchFolder.js");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Mode surveillance : dossier passé par WATCH_DIR ou `--watch <dossier>`, relu toutes les WATCH_INTERVAL secondes
+const watchArg = process.argv.indexOf("--watch");
+const WATCH_DIR = process.env.WATCH_DIR || (watchArg !== -1 ? process.argv[watchArg + 1] : null);
+const WATCH_INTERVAL = Number(process.env.WATCH_INTERVAL) || 60;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
 
-app.use(cors());
+const db = openDatabase(path.join(DATA_DIR, "suivi.sqlite"));
+const store = createMonthStore(db);
+const auth = createAuth(db);
+
+// Premier démarrage : compte administrateur créé à partir de ADMIN_USER / ADMIN_PASSWORD
+if (auth.countUsers() === 0) {
+  if (process.env.ADMIN_USER && process.env.ADMIN_PASSWORD) {
+    auth.createUser({ identifiant: process.env.ADMIN_USER, role: "admin", motDePasse: process.env.ADMIN_PASSWORD });
+    console.log(`Compte administrateur ${process.env.ADMIN_USER} créé.`);
+  } else {
+    console.warn("Aucun compte utilisateur : définir ADMIN_USER et ADMIN_PASSWORD, ou utiliser scripts/create-user.js.");
+  }
+}
+
+// Sans CORS_ORIGIN (liste séparée par des virgules), l'API n'est appelable que depuis sa propre origine
+// (en développement, le front passe par le proxy de Vite)
+app.use(cors({ origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(",").map((o) => o.trim()) : false }));
 app.use(express.json());
+app.set("trust proxy", process.env.TRUST_PROXY === "1");
+
+const viewer = requireRole(auth, "viewer");
+const analyst = requireRole(auth, "analyst");
+const admin = requireRole(auth, "admin");
+
+/** Ligne du journal d'audit pour la requête (utilisateur connecté, adresse IP). */
+const journal = (req, action, details = {}) =>
+  auth.audit({ identifiant: req.utilisateur?.identifiant ?? null, ip: req.ip, action, ...details });
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     if (file.mimetype !== "application/pdf") {
-      return cb(new Error("Seuls les fichiers PDF sont acceptés."), false);
+      return cb(Object.assign(new Error("Seuls les fichiers PDF sont acceptés."), { status: 400 }), false);
+    }
+    cb(null, true);
+  },
+});
+
+// Lot : PDF et archives ZIP (un envoi annuel peut dépasser la taille d'un PDF seul)
+const ZIP_TYPES = ["application/zip", "application/x-zip-compressed", "application/x-zip", "multipart/x-zip"];
+const uploadBatch = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024, files: 500 },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname || "";
+    const accepted = file.mimetype === "application/pdf" || ZIP_TYPES.includes(file.mimetype) || /\.(pdf|zip)$/i.test(name);
+    if (!accepted) {
+      // Refus signalé dans les résultats, sans interrompre le lot
+      (req.fichiersRefuses ||= []).push(decodeFilename(name));
+      return cb(null, false);
     }
     cb(null, true);
   },
 });
 
+/** Nom de fichier d'origine : multer le décode en Latin-1, les noms accentués envoyés en UTF-8 sont rétablis. */
+function decodeFilename(filename) {
+  if (typeof filename === "string" && filename.includes("Ã")) {
+    try {
+      const decoded = Buffer.from(filename, "latin1").toString("utf8");
+      if (decoded && !decoded.includes("Ã")) return decoded;
+    } catch (_) {}
+  }
+  return filename;
+}
+
 /**
  * POST /api/parse-pdf
  * Body: multipart/form-data avec un champ "file" (PDF).
- * Réponse: { commune, mois, moisLabel, annee, population, surface, densite, indicateurs, erreur? }
- * Le nom du fichier est utilisé pour extraire commune/mois/année (convention 01_Commune_mois2024.pdf).
+ * Réponse: { commune, mois, moisLabel, annee, population, surface, densite, indicateurs, avertissements?, erreur? }
+ * Commune/mois/année sont lus dans l'en-tête du PDF ; le nom du fichier (convention 01_Commune_mois2024.pdf)
+ * ne sert que de secours et de contrôle, les désaccords étant signalés dans `avertissements`.
  */
-app.post("/api/parse-pdf", upload.single("file"), async (req, res) => {
+app.post("/api/parse-pdf", analyst, upload.single("file"), async (req, res) => {
   try {
     if (!req.file || !req.file.buffer) {
       return res.status(400).json({ erreur: "Aucun fichier PDF envoyé." });
     }
 
-    let filename = req.file.originalname || "document.pdf";
-    if (typeof filename === "string" && filename.includes("Ã")) {
-      try {
-        const decoded = Buffer.from(filename, "latin1").toString("utf8");
-        if (decoded && !decoded.includes("Ã")) filename = decoded;
-      } catch (_) {}
-    }
-    const { commune, mois, moisLabel, annee, erreur: nameError } = parseFilename(filename);
-    if (nameError) {
-      return res.status(400).json({ erreur: nameError });
+    const filename = decodeFilename(req.file.originalname || "document.pdf");
+    const result = await parsePdfUpload(req.file.buffer, filename);
+    journal(req, "parse-pdf", { fichier: filename, resultat: result.erreur ?? "ok" });
+    if (result.erreur) {
+      return res.status(422).json({ erreur: result.erreur });
     }
 
-    const { population, surface, densite, indicateurs } = await extractPdfData(req.file.buffer);
-
-    res.json({
-      commune,
-      communeKey: commune.toLowerCase(),
-      mois,
-      moisLabel,
-      annee,
-      population,
-      surface,
-      densite,
-      fichierSource: filename,
-      donneesSource: "exacte",
-      donneesReference: true,
-      indicateurs,
-    });
+    res.json(result);
   } catch (err) {
+    journal(req, "parse-pdf", { fichier: req.file?.originalname ?? null, resultat: err.message });
     console.error("parse-pdf error:", err);
     res.status(500).json({
       erreur: err.message || "Erreur lors de l'extraction du PDF.",
@@ -70,71 +114,271 @@ app.post("/api/parse-pdf", upload.single("file"), async (req, res) => {
 });
 
 /**
- * Corrige les noms de fichier dont l’encodage a été mal interprété (UTF-8 lu en Latin-1).
+ * POST /api/parse-batch
+ * Body: multipart/form-data avec un ou plusieurs champs "files" (PDF ou archives ZIP de PDF).
+ * Réponse: { resultats } — une entrée par PDF, au format de /api/parse-pdf, ou { fichierSource, erreur }
+ * (PDF non identifié, archive illisible, fichier non PDF, mois en double dans le lot). Un échec isolé
+ * n'interrompt pas le lot : la réponse est 200 dès qu'au moins un fichier a été reçu.
+ * `?enregistrer=1` : chaque mois identifié est aussi enregistré avec son PDF, comme par POST /api/months
+ * (mois déjà enregistré : erreur, sauf `&remplacer=1`) ; `resultats` contient alors les mois enregistrés (avec `id`).
  */
-function fixFilenameEncoding(str) {
-  return String(str)
-    .replace(/Ã©/g, "é")
-    .replace(/Ã¨/g, "è")
-    .replace(/Ã /g, "à")
-    .replace(/Ã´/g, "ô")
-    .replace(/Ã»/g, "û")
-    .replace(/Ã§/g, "ç")
-    .replace(/Ã®/g, "î")
-    .replace(/Ã¯/g, "ï")
-    .replace(/Ã¼/g, "ü")
-    .replace(/Ã‰/g, "É")
-    .replace(/Ã€/g, "À");
-}
+app.post("/api/parse-batch", analyst, uploadBatch.array("files"), async (req, res) => {
+  try {
+    const refuses = (req.fichiersRefuses || []).map((name) => ({
+      fichierSource: name,
+      erreur: "Format non pris en charge : PDF ou archive ZIP attendu.",
+    }));
+    const files = (req.files || []).map((f) => ({ buffer: f.buffer, filename: decodeFilename(f.originalname || "document.pdf") }));
+    if (files.length === 0 && refuses.length === 0) {
+      return res.status(400).json({ erreur: "Aucun fichier envoyé." });
+    }
+    const enregistrer = req.query.enregistrer === "1";
+    const resultats = (await parseBatchUpload(files, { avecPdf: enregistrer })).map(({ pdf, ...r }) => {
+      if (!enregistrer || r.erreur) return r;
+      if (store.hasPeriod(r) && req.query.remplacer !== "1") {
+        return { fichierSource: r.fichierSource, erreur: `Ce mois est déjà importé (${r.moisLabel} ${r.annee} — ${r.commune})` };
+      }
+      return store.saveMonth(r, pdf);
+    });
+    [...resultats, ...refuses].forEach((r) => journal(req, enregistrer ? "import" : "parse-batch", { fichier: r.fichierSource, moisId: r.id ?? null, resultat: r.erreur ?? "ok" }));
+    res.json({ resultats: [...resultats, ...refuses] });
+  } catch (err) {
+    console.error("parse-batch error:", err);
+    res.status(500).json({
+      erreur: err.message || "Erreur lors de l'extraction des PDF.",
+    });
+  }
+});
+
+// ─── Jeu de données partagé (SQLite) ─────────────────────────
+
+/**
+ * GET /api/communes
+ * Réponse: { communes } — [{ communeKey, commune, nbMois, premier, dernier }] (premier/dernier : AAAAMM).
+ */
+app.get("/api/communes", viewer, (req, res) => {
+  res.json({ communes: store.listCommunes() });
+});
 
 /**
- * Parse le nom de fichier pour en extraire commune, mois, année.
- * Formats: 06_Saint_Alban_juin2024.pdf ou Saint_Alban_septembre2023.pdf
- * Gère les accents (décembre, août) et les encodages corrompus.
+ * GET /api/months?commune=<communeKey>&annee=<AAAA>
+ * Réponse: { mois, erreurs, surveillance } — mois enregistrés (format de /api/parse-pdf, avec `id` et `importeLe`),
+ * par commune puis ordre chronologique, et fichiers du dossier surveillé en échec ({ fichierSource, erreur }).
  */
-function parseFilename(filename) {
-  let base = filename.replace(/\.pdf$/i, "").trim();
-  base = fixFilenameEncoding(base).normalize("NFC");
-  // Mois : n’importe quels caractères avant les 4 chiffres de l’année (pour accepter décembre, août, etc.)
-  const reA = /^(\d{1,2})_(.+?)_([^\d_]+?)(\d{4})$/;
-  const reB = /^(.+?)_([^\d_]+?)(\d{4})$/;
-  const MOIS_MAP = {
-    janvier: 1, jan: 1, fevrier: 2, février: 2, fev: 2, mars: 3, avril: 4, mai: 5,
-    juin: 6, juillet: 7, juil: 7, aout: 8, août: 8, septembre: 9, sept: 9, sep: 9, octobre: 10,
-    novembre: 11, decembre: 12, décembre: 12, dec: 12, déc: 12,
+app.get("/api/months", viewer, (req, res) => {
+  const filtre = {
+    communeKey: req.query.commune || undefined,
+    annee: req.query.annee ? Number(req.query.annee) : undefined,
   };
-  const MOIS_LABELS = ["", "Janvier", "Février", "Mars", "Avril", "Mai", "Juin", "Juillet", "Août", "Septembre", "Octobre", "Novembre", "Décembre"];
-
-  let communeRaw, moisStr, anneeStr;
-  const mA = base.match(reA);
-  const mB = base.match(reB);
-  if (mA) {
-    [, , communeRaw, moisStr, anneeStr] = mA;
-  } else if (mB) {
-    [, communeRaw, moisStr, anneeStr] = mB;
-  } else {
-    return { erreur: `Format de nom de fichier non reconnu : ${filename}` };
+  res.json({ mois: store.listMonths(filtre), erreurs: store.listErrors(), surveillance: !!WATCH_DIR });
+});
+
+/**
+ * GET /api/export?format=csv|json&commune=<communeKey>&annee=<AAAA>
+ * Jeu de données en format long (shared/exportDonnees.js) : une ligne par commune, mois et indicateur, en pièce jointe.
+ * 400 si le format est inconnu.
+ */
+app.get("/api/export", viewer, async (req, res, next) => {
+  try {
+    const { exporterDonnees, FORMATS_EXPORT } = await loadSharedModule("exportDonnees.js");
+    const format = req.query.format || "csv";
+    if (!FORMATS_EXPORT[format]) {
+      return res.status(400).json({ erreur: `Format d'export inconnu : ${format} (attendu : ${Object.keys(FORMATS_EXPORT).join(", ")}).` });
+    }
+    const mois = store.listMonths({
+      communeKey: req.query.commune || undefined,
+      annee: req.query.annee ? Number(req.query.annee) : undefined,
+    });
+    const { contenu, type, nomFichier } = exporterDonnees(mois, format);
+    journal(req, "export", { fichier: nomFichier, resultat: `${mois.length} mois` });
+    res.type(type);
+    res.set("Content-Disposition", `attachment; filename="${nomFichier}"`);
+    res.send(contenu);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/months
+ * Body: multipart/form-data avec un champ "file" (PDF) : parsé puis enregistré avec le PDF d'origine.
+ * Réponse: 201 et le mois ; 409 si le mois est déjà enregistré (sauf `?remplacer=1`), 422 si le rapport n'est pas identifié.
+ */
+app.post("/api/months", analyst, upload.single("file"), async (req, res, next) => {
+  try {
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({ erreur: "Aucun fichier PDF envoyé." });
+    }
+    const filename = decodeFilename(req.file.originalname || "document.pdf");
+    const result = await parsePdfUpload(req.file.buffer, filename);
+    if (result.erreur) {
+      journal(req, "import", { fichier: filename, resultat: result.erreur });
+      return res.status(422).json({ fichierSource: filename, erreur: result.erreur });
+    }
+    if (store.hasPeriod(result) && req.query.remplacer !== "1") {
+      const erreur = `Ce mois est déjà importé (${result.moisLabel} ${result.annee} — ${result.commune})`;
+      journal(req, "import", { fichier: filename, resultat: erreur });
+      return res.status(409).json({ fichierSource: filename, erreur });
+    }
+    const entry = store.saveMonth(result, req.file.buffer);
+    journal(req, "import", { fichier: filename, moisId: entry.id });
+    res.status(201).json(entry);
+  } catch (err) {
+    next(err);
   }
+});
+
+/** GET /api/months/:id — un mois ; 404 s'il n'existe pas. */
+app.get("/api/months/:id", viewer, (req, res) => {
+  const entry = store.getMonth(req.params.id);
+  if (!entry) return res.status(404).json({ erreur: "Mois introuvable." });
+  res.json(entry);
+});
+
+/** GET /api/months/:id/pdf — PDF d'origine du mois ; 404 s'il n'a pas été conservé. */
+app.get("/api/months/:id/pdf", viewer, (req, res) => {
+  const found = store.getMonthPdf(req.params.id);
+  if (!found) return res.status(404).json({ erreur: "PDF d'origine introuvable." });
+  res.type("application/pdf");
+  res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(found.fichierSource || "rapport.pdf")}`);
+  res.send(found.pdf);
+});
 
-  const moisTrim = moisStr.trim().toLowerCase();
-  const moisClean = moisTrim.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, "");
-  const MOIS_FALLBACK = { delcembre: 12, aoult: 8, aoul: 8 };
-  const moisIndex = MOIS_MAP[moisTrim] || MOIS_MAP[moisClean] || MOIS_FALLBACK[moisClean];
-  if (!moisIndex) {
-    return { erreur: `Mois "${moisStr.trim()}" non reconnu.` };
+/**
+ * PUT /api/months/:id
+ * Body: JSON avec tout ou partie de population, surface, densite, indicateurs, statuts, donneesSource, corrections
+ * (corrections manuelles) ; commune et période ne sont pas modifiables.
+ * Réponse: le mois mis à jour ; 404 s'il n'existe pas, 400 si le corps est invalide.
+ */
+app.put("/api/months/:id", analyst, (req, res) => {
+  const changes = req.body;
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)
+    || (changes.indicateurs !== undefined && (typeof changes.indicateurs !== "object" || changes.indicateurs === null))) {
+    return res.status(400).json({ erreur: "Corps de requête invalide : objet JSON attendu." });
   }
+  const entry = store.updateMonth(req.params.id, changes);
+  if (!entry) return res.status(404).json({ erreur: "Mois introuvable." });
+  journal(req, "correction", { fichier: entry.fichierSource, moisId: entry.id });
+  res.json(entry);
+});
 
-  const annee = parseInt(anneeStr, 10);
-  const commune = communeRaw.replace(/_/g, " ").replace(/-/g, " ").trim();
-  const moisLabel = MOIS_LABELS[moisIndex];
+/** DELETE /api/months/:id — 204 ; 404 si le mois n'existe pas. */
+app.delete("/api/months/:id", admin, (req, res) => {
+  if (!store.deleteMonth(req.params.id)) return res.status(404).json({ erreur: "Mois introuvable." });
+  journal(req, "suppression", { moisId: req.params.id });
+  res.status(204).end();
+});
 
-  return { commune, mois: moisIndex, moisLabel, annee };
-}
+/**
+ * POST /api/months/:id/reparse
+ * Re-parse le PDF conservé (après une évolution du parseur) ; les corrections manuelles sont remplacées.
+ * Réponse: le mois re-parsé ; 404 si le mois n'existe pas, 409 sans PDF conservé,
+ * 422 si le PDF n'est plus identifié ou correspond désormais à une autre commune ou période.
+ */
+app.post("/api/months/:id/reparse", analyst, async (req, res, next) => {
+  try {
+    const current = store.getMonth(req.params.id);
+    if (!current) return res.status(404).json({ erreur: "Mois introuvable." });
+    const found = store.getMonthPdf(current.id);
+    if (!found) return res.status(409).json({ erreur: "PDF d'origine non conservé : re-parsing impossible." });
+    const result = await parsePdfUpload(found.pdf, found.fichierSource || "document.pdf");
+    const erreur = result.erreur
+      ?? (result.communeKey !== current.communeKey || result.annee !== current.annee || result.mois !== current.mois
+        ? `Le PDF est désormais identifié comme ${result.commune}, ${result.moisLabel} ${result.annee} : supprimez puis réimportez-le.`
+        : null);
+    journal(req, "reparse", { fichier: found.fichierSource, moisId: current.id, resultat: erreur ?? "ok" });
+    if (erreur) return res.status(422).json({ erreur });
+    res.json(store.saveMonth(result, found.pdf, { importeLe: current.importeLe }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Comptes, sessions et journal d'audit ────────────────────
+
+/**
+ * POST /api/auth/login
+ * Body: { identifiant, motDePasse }. Réponse: { jeton, expireLe, utilisateur: { identifiant, nom, role } } ;
+ * 401 si les identifiants sont refusés ; 429 (en-tête Retry-After) après 5 échecs consécutifs pour le même identifiant
+ * depuis la même adresse, pendant 15 minutes. Le jeton s'envoie ensuite dans `Authorization: Bearer <jeton>`.
+ */
+app.post("/api/auth/login", (req, res) => {
+  const { identifiant, motDePasse } = req.body || {};
+  const nom = typeof identifiant === "string" ? identifiant : null;
+  const attente = auth.loginDelay(nom, req.ip);
+  if (attente > 0) {
+    auth.audit({ identifiant: nom, ip: req.ip, action: "connexion", resultat: "bloquée" });
+    const minutes = Math.ceil(attente / 60000);
+    return res.status(429).set("Retry-After", String(Math.ceil(attente / 1000)))
+      .json({ erreur: `Trop d'échecs de connexion : réessayez dans ${minutes} minute${minutes > 1 ? "s" : ""}.` });
+  }
+  const session = auth.login(identifiant, motDePasse, { ip: req.ip });
+  auth.audit({ identifiant: nom, ip: req.ip, action: "connexion", resultat: session ? "ok" : "refusée" });
+  if (!session) return res.status(401).json({ erreur: "Identifiant ou mot de passe incorrect." });
+  res.json(session);
+});
+
+/** POST /api/auth/logout — ferme la session du jeton envoyé. */
+app.post("/api/auth/logout", viewer, (req, res) => {
+  auth.logout(req.jeton);
+  journal(req, "deconnexion");
+  res.status(204).end();
+});
+
+/** GET /api/auth/me — utilisateur de la session ({ identifiant, nom, role }). */
+app.get("/api/auth/me", viewer, (req, res) => {
+  res.json(req.utilisateur);
+});
+
+/** GET /api/users — comptes (admin). */
+app.get("/api/users", admin, (req, res) => {
+  res.json({ utilisateurs: auth.listUsers() });
+});
+
+/** POST /api/users — crée un compte (admin). Body: { identifiant, nom?, role, motDePasse }. */
+app.post("/api/users", admin, (req, res) => {
+  const utilisateur = auth.createUser(req.body || {});
+  journal(req, "compte", { resultat: `création de ${utilisateur.identifiant} (${utilisateur.role})` });
+  res.status(201).json(utilisateur);
+});
+
+/**
+ * PUT /api/users/:identifiant — modifie nom, rôle, mot de passe ou état (`actif`) d'un compte (admin).
+ * 409 si la modification retirerait le dernier administrateur actif.
+ */
+app.put("/api/users/:identifiant", admin, (req, res) => {
+  const { nom, role, motDePasse, actif } = req.body || {};
+  const utilisateur = auth.updateUser(req.params.identifiant, { nom, role, motDePasse, actif });
+  if (!utilisateur) return res.status(404).json({ erreur: "Compte introuvable." });
+  const champs = Object.entries({ nom, role, motDePasse, actif }).filter(([, v]) => v !== undefined).map(([k]) => k);
+  journal(req, "compte", { resultat: `modification de ${utilisateur.identifiant} (${champs.join(", ") || "aucun champ"})` });
+  res.json(utilisateur);
+});
+
+/** GET /api/audit?identifiant=&action=&limit= — journal d'audit, le plus récent d'abord (admin). */
+app.get("/api/audit", admin, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+  res.json({ journal: auth.listAudit({ identifiant: req.query.identifiant || null, action: req.query.action || null, limit }) });
+});
 
 app.get("/health", (req, res) => {
   res.json({ ok: true });
 });
 
+// Erreurs non traitées (fichier refusé par multer, JSON invalide…) : réponse JSON comme les autres routes
+app.use((err, req, res, next) => {
+  console.error(`${req.method} ${req.path} error:`, err);
+  const status = err.status || err.statusCode || (err instanceof multer.MulterError ? 400 : 500);
+  res.status(status).json({ erreur: err.message || "Erreur interne du serveur." });
+});
+
 app.listen(PORT, () => {
   console.log(`API parse-pdf écoute sur http://localhost:${PORT}`);
+  if (WATCH_DIR) {
+    console.log(`Surveillance de ${path.resolve(WATCH_DIR)} (toutes les ${WATCH_INTERVAL} s)`);
+    startWatchFolder(path.resolve(WATCH_DIR), store, {
+      intervalMs: WATCH_INTERVAL * 1000,
+      onResult: ({ fichierSource, id, erreur }) => auth.audit({ action: "surveillance", fichier: fichierSource, moisId: id ?? null, resultat: erreur ?? "ok" }),
+    });
+  }
 });
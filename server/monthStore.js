@@ -0,0 +1,293 @@
+/**
+ * Stockage des mois parsés par le serveur (SQLite), partagé par toute l'équipe : communes, mois,
+ * valeurs des indicateurs et PDF d'origine (pour le re-parsing), ainsi que les fichiers du dossier surveillé.
+ * Un mois est identifié par commune, année et mois : saveMonth remplace le mois de même période, le dossier surveillé
+ * le conserve.
+ */
+const { openDatabase } = require("./database.js");
+
+const SCHEMA = `
+  -- nom : orthographe du dernier rapport enregistré (chaque mois garde celle de son rapport)
+  CREATE TABLE IF NOT EXISTS communes (
+    key TEXT PRIMARY KEY,
+    nom TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS mois (
+    id TEXT PRIMARY KEY,
+    commune_key TEXT NOT NULL REFERENCES communes(key),
+    commune TEXT NOT NULL,
+    annee INTEGER NOT NULL,
+    mois INTEGER NOT NULL,
+    mois_label TEXT NOT NULL,
+    population INTEGER,
+    surface REAL,
+    densite REAL,
+    fichier_source TEXT,
+    donnees_source TEXT,
+    donnees_reference INTEGER,
+    statuts TEXT,
+    avertissements TEXT,
+    corrections TEXT,
+    importe_le INTEGER NOT NULL,
+    modifie_le INTEGER,
+    pdf BLOB,
+    UNIQUE (commune_key, annee, mois)
+  );
+  CREATE TABLE IF NOT EXISTS valeurs (
+    mois_id TEXT NOT NULL REFERENCES mois(id) ON DELETE CASCADE,
+    indicateur TEXT NOT NULL,
+    ordre INTEGER NOT NULL,
+    label TEXT,
+    cat TEXT,
+    index_4001 TEXT,
+    val_n1 REAL,
+    val_n REAL,
+    cumul INTEGER,
+    cumul_n1 INTEGER,
+    variation_pct INTEGER,
+    variation_cumul_pct INTEGER,
+    taux REAL,
+    PRIMARY KEY (mois_id, indicateur)
+  );
+  CREATE TABLE IF NOT EXISTS fichiers (
+    chemin TEXT PRIMARY KEY,
+    taille INTEGER NOT NULL,
+    modifie_le REAL NOT NULL,
+    traite_le INTEGER NOT NULL,
+    mois_id TEXT,
+    erreur TEXT
+  );
+`;
+
+// Colonnes d'un mois hors PDF d'origine, lu seulement par getMonthPdf (les listes ne chargent pas les BLOB)
+const COLONNES_MOIS = `id, commune_key, commune, annee, mois, mois_label, population, surface, densite, fichier_source,
+  donnees_source, donnees_reference, statuts, avertissements, corrections, importe_le, modifie_le`;
+
+// Champs d'un mois modifiables par PUT /api/months/:id (l'identification commune/période ne l'est pas)
+const CHAMPS_MODIFIABLES = ["population", "surface", "densite", "indicateurs", "statuts", "donneesSource", "corrections"];
+
+/** Identifiant d'un mois dans le stockage (stable d'un import à l'autre, utilisable tel quel dans une URL). */
+function monthId({ communeKey, annee, mois }) {
+  return `${communeKey.replace(/\s+/g, "-")}-${annee}-${String(mois).padStart(2, "0")}`;
+}
+
+const parseJson = (s) => (s == null ? undefined : JSON.parse(s));
+
+/**
+ * Ouvre (ou crée) le stockage des mois.
+ * @param {string|import("better-sqlite3").Database} fileOrDb - chemin du fichier SQLite (":memory:" pour une base
+ *   temporaire), ou base déjà ouverte par openDatabase et partagée avec les comptes utilisateurs
+ */
+function createMonthStore(fileOrDb) {
+  const db = typeof fileOrDb === "string" ? openDatabase(fileOrDb) : fileOrDb;
+  db.exec(SCHEMA);
+
+  const stmt = {
+    upsertCommune: db.prepare("INSERT INTO communes (key, nom) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET nom = excluded.nom"),
+    deleteByPeriod: db.prepare("DELETE FROM mois WHERE commune_key = ? AND annee = ? AND mois = ?"),
+    insertMois: db.prepare(`INSERT INTO mois (id, commune_key, commune, annee, mois, mois_label, population, surface, densite,
+      fichier_source, donnees_source, donnees_reference, statuts, avertissements, corrections, importe_le, modifie_le, pdf)
+      VALUES (@id, @communeKey, @commune, @annee, @mois, @moisLabel, @population, @surface, @densite, @fichierSource, @donneesSource,
+      @donneesReference, @statuts, @avertissements, @corrections, @importeLe, @modifieLe, @pdf)`),
+    updateMois: db.prepare(`UPDATE mois SET population = @population, surface = @surface, densite = @densite,
+      donnees_source = @donneesSource, statuts = @statuts, corrections = @corrections, modifie_le = @modifieLe WHERE id = @id`),
+    insertValeur: db.prepare(`INSERT INTO valeurs (mois_id, indicateur, ordre, label, cat, index_4001, val_n1, val_n, cumul, cumul_n1,
+      variation_pct, variation_cumul_pct, taux) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+    deleteValeurs: db.prepare("DELETE FROM valeurs WHERE mois_id = ?"),
+    selectMois: db.prepare(`SELECT ${COLONNES_MOIS} FROM mois WHERE id = ?`),
+    selectAllMois: db.prepare(`SELECT ${COLONNES_MOIS} FROM mois
+      WHERE (@communeKey IS NULL OR commune_key = @communeKey) AND (@annee IS NULL OR annee = @annee)
+      ORDER BY commune_key, annee, mois`),
+    selectValeurs: db.prepare("SELECT * FROM valeurs WHERE mois_id = ? ORDER BY ordre"),
+    selectPdf: db.prepare("SELECT pdf, fichier_source FROM mois WHERE id = ?"),
+    deleteMois: db.prepare("DELETE FROM mois WHERE id = ?"),
+    deleteOrphanCommunes: db.prepare("DELETE FROM communes WHERE key NOT IN (SELECT commune_key FROM mois)"),
+    selectCommunes: db.prepare(`SELECT c.key AS communeKey, c.nom AS commune, COUNT(m.id) AS nbMois,
+      MIN(m.annee * 100 + m.mois) AS premier, MAX(m.annee * 100 + m.mois) AS dernier
+      FROM communes c LEFT JOIN mois m ON m.commune_key = c.key GROUP BY c.key ORDER BY c.key`),
+    selectFichier: db.prepare("SELECT * FROM fichiers WHERE chemin = ?"),
+    upsertFichier: db.prepare(`INSERT INTO fichiers (chemin, taille, modifie_le, traite_le, mois_id, erreur)
+      VALUES (@chemin, @taille, @modifieLe, @traiteLe, @moisId, @erreur)
+      ON CONFLICT(chemin) DO UPDATE SET taille = excluded.taille, modifie_le = excluded.modifie_le,
+      traite_le = excluded.traite_le, mois_id = excluded.mois_id, erreur = excluded.erreur`),
+    selectErreurs: db.prepare("SELECT chemin, erreur FROM fichiers WHERE erreur IS NOT NULL ORDER BY chemin"),
+  };
+
+  const insertValeurs = (id, indicateurs) => {
+    Object.entries(indicateurs || {}).forEach(([key, ind], ordre) => {
+      stmt.insertValeur.run(id, key, ordre, ind.label ?? null, ind.cat ?? null, ind.index ? ind.index.join(",") : null,
+        ind.valN1 ?? null, ind.valN ?? null, ind.cumul ?? null, ind.cumulN1 ?? null,
+        ind.variationPct ?? null, ind.variationCumulPct ?? null, ind.taux ?? null);
+    });
+  };
+
+  // Ligne SQL → entrée au format de /api/parse-pdf
+  const toEntry = (row) => {
+    const indicateurs = {};
+    for (const v of stmt.selectValeurs.all(row.id)) {
+      indicateurs[v.indicateur] = {
+        label: v.label, cat: v.cat,
+        ...(v.index_4001 != null ? { index: v.index_4001 ? v.index_4001.split(",").map(Number) : [] } : {}),
+        valN1: v.val_n1, valN: v.val_n, cumul: v.cumul, cumulN1: v.cumul_n1,
+        variationPct: v.variation_pct, variationCumulPct: v.variation_cumul_pct,
+        ...(v.taux != null ? { taux: v.taux } : {}),
+      };
+    }
+    const entry = {
+      id: row.id,
+      commune: row.commune,
+      communeKey: row.commune_key,
+      mois: row.mois,
+      moisLabel: row.mois_label,
+      annee: row.annee,
+      population: row.population,
+      surface: row.surface,
+      densite: row.densite,
+      fichierSource: row.fichier_source,
+      donneesSource: row.donnees_source,
+      donneesReference: row.donnees_reference == null ? undefined : !!row.donnees_reference,
+      indicateurs,
+      statuts: parseJson(row.statuts),
+      avertissements: parseJson(row.avertissements),
+      corrections: parseJson(row.corrections),
+      importeLe: row.importe_le,
+      modifieLe: row.modifie_le ?? undefined,
+    };
+    Object.keys(entry).forEach((k) => entry[k] === undefined && delete entry[k]);
+    return entry;
+  };
+
+  /** Enregistre un mois parsé (remplace celui de même période), avec son PDF d'origine s'il est fourni. */
+  const saveMonth = db.transaction((result, pdf = null, { importeLe = Date.now() } = {}) => {
+    const id = monthId(result);
+    stmt.upsertCommune.run(result.communeKey, result.commune);
+    stmt.deleteByPeriod.run(result.communeKey, result.annee, result.mois);
+    stmt.insertMois.run({
+      id,
+      communeKey: result.communeKey,
+      commune: result.commune,
+      annee: result.annee,
+      mois: result.mois,
+      moisLabel: result.moisLabel,
+      population: result.population ?? null,
+      surface: result.surface ?? null,
+      densite: result.densite ?? null,
+      fichierSource: result.fichierSource ?? null,
+      donneesSource: result.donneesSource ?? null,
+      donneesReference: result.donneesReference == null ? null : result.donneesReference ? 1 : 0,
+      statuts: result.statuts ? JSON.stringify(result.statuts) : null,
+      avertissements: result.avertissements?.length ? JSON.stringify(result.avertissements) : null,
+      corrections: result.corrections?.length ? JSON.stringify(result.corrections) : null,
+      importeLe,
+      modifieLe: null,
+      pdf,
+    });
+    insertValeurs(id, result.indicateurs);
+    stmt.deleteOrphanCommunes.run();
+    return toEntry(stmt.selectMois.get(id));
+  });
+
+  return {
+    /** Communes enregistrées, avec le nombre de mois et la période couverte (AAAAMM). */
+    listCommunes() {
+      return stmt.selectCommunes.all();
+    },
+
+    /**
+     * Mois enregistrés, par commune puis ordre chronologique.
+     * @param {{ communeKey?: string, annee?: number }} [filtre]
+     */
+    listMonths({ communeKey, annee } = {}) {
+      return stmt.selectAllMois.all({ communeKey: communeKey ?? null, annee: annee ?? null }).map(toEntry);
+    },
+
+    /** Un mois par son identifiant, null s'il n'existe pas. */
+    getMonth(id) {
+      const row = stmt.selectMois.get(id);
+      return row ? toEntry(row) : null;
+    },
+
+    /** Vrai si un mois de même commune et période est déjà enregistré. */
+    hasPeriod(result) {
+      return !!stmt.selectMois.get(monthId(result));
+    },
+
+    saveMonth,
+
+    /**
+     * Met à jour les valeurs d'un mois (corrections manuelles) ; seuls CHAMPS_MODIFIABLES sont pris en compte.
+     * @returns {object|null} le mois mis à jour, null s'il n'existe pas
+     */
+    updateMonth: db.transaction((id, changes) => {
+      const current = stmt.selectMois.get(id);
+      if (!current) return null;
+      const next = { ...toEntry(current) };
+      for (const champ of CHAMPS_MODIFIABLES) if (changes[champ] !== undefined) next[champ] = changes[champ];
+      stmt.updateMois.run({
+        id,
+        population: next.population ?? null,
+        surface: next.surface ?? null,
+        densite: next.densite ?? null,
+        donneesSource: next.donneesSource ?? null,
+        statuts: next.statuts ? JSON.stringify(next.statuts) : null,
+        corrections: next.corrections?.length ? JSON.stringify(next.corrections) : null,
+        modifieLe: Date.now(),
+      });
+      if (changes.indicateurs !== undefined) {
+        stmt.deleteValeurs.run(id);
+        insertValeurs(id, next.indicateurs);
+      }
+      return toEntry(stmt.selectMois.get(id));
+    }),
+
+    /** Supprime un mois ; faux s'il n'existait pas. */
+    deleteMonth: db.transaction((id) => {
+      const { changes } = stmt.deleteMois.run(id);
+      stmt.deleteOrphanCommunes.run();
+      return changes > 0;
+    }),
+
+    /** PDF d'origine d'un mois ({ pdf: Buffer, fichierSource }), null si le mois ou le PDF manque. */
+    getMonthPdf(id) {
+      const row = stmt.selectPdf.get(id);
+      return row?.pdf ? { pdf: row.pdf, fichierSource: row.fichier_source } : null;
+    },
+
+    /** Fichiers du dossier surveillé en échec, au format des erreurs d'import ({ fichierSource, erreur }). */
+    listErrors() {
+      return stmt.selectErreurs.all().map((f) => ({ fichierSource: f.chemin, erreur: f.erreur }));
+    },
+
+    /** Vrai si le fichier a déjà été traité dans cette version (même taille, même date de modification). */
+    isKnownFile(chemin, { size, mtimeMs }) {
+      const f = stmt.selectFichier.get(chemin);
+      return !!f && f.taille === size && f.modifie_le === mtimeMs;
+    },
+
+    /**
+     * Enregistre le résultat du parsing d'un fichier du dossier surveillé : le mois, ou l'erreur rencontrée.
+     * Un mois déjà enregistré depuis une autre source (corrigé ou non) est conservé : le fichier est alors noté en
+     * erreur. Le mois créé par ce même fichier est re-parsé, comme par POST /api/months/:id/reparse : il est
+     * remplacé (corrections manuelles comprises) et garde sa date d'import.
+     * @returns {object|null} l'entrée enregistrée, null en cas d'erreur
+     */
+    recordFile: db.transaction((chemin, { size, mtimeMs }, result, pdf = null) => {
+      const existant = result.erreur ? null : stmt.selectMois.get(monthId(result));
+      const reparse = !!existant && stmt.selectFichier.get(chemin)?.mois_id === existant.id;
+      const erreur = result.erreur
+        ?? (existant && !reparse ? `Mois déjà enregistré (${result.moisLabel} ${result.annee} — ${result.commune}) : le mois existant est conservé.` : null);
+      const entry = erreur ? null : saveMonth(result, pdf, reparse ? { importeLe: existant.importe_le } : undefined);
+      stmt.upsertFichier.run({
+        chemin, taille: size, modifieLe: mtimeMs, traiteLe: Date.now(),
+        moisId: entry ? entry.id : null, erreur,
+      });
+      return entry;
+    }),
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createMonthStore, monthId };
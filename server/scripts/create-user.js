@@ -0,0 +1,38 @@
+/**
+ * Crée un compte utilisateur, ou réinitialise son mot de passe et son rôle s'il existe déjà.
+ * Usage: node scripts/create-user.js <identifiant> <viewer|analyst|admin>
+ * Le mot de passe est lu sur l'entrée standard (ou dans la variable MOT_DE_PASSE).
+ */
+const path = require("path");
+const readline = require("readline");
+const { openDatabase } = require("../database.js");
+const { createAuth, ROLES } = require("../auth.js");
+
+const [identifiant, role] = process.argv.slice(2);
+if (!identifiant || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/create-user.js <identifiant> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+const askPassword = () => new Promise((resolve) => {
+  if (process.env.MOT_DE_PASSE) return resolve(process.env.MOT_DE_PASSE);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question("Mot de passe (10 caractères minimum) : ", (answer) => {
+    rl.close();
+    resolve(answer);
+  });
+});
+
+askPassword()
+  .then((motDePasse) => {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+    const auth = createAuth(openDatabase(path.join(dataDir, "suivi.sqlite")));
+    const existing = auth.updateUser(identifiant, { role, motDePasse, actif: true });
+    const user = existing || auth.createUser({ identifiant, role, motDePasse });
+    auth.audit({ action: "compte", resultat: `${existing ? "réinitialisation" : "création"} de ${user.identifiant} (${user.role}) en ligne de commande` });
+    console.log(`Compte ${user.identifiant} (${user.role}) ${existing ? "mis à jour" : "créé"}.`);
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
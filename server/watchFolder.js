@@ -0,0 +1,81 @@
+/**
+ * Surveillance d'un dossier (partage réseau de la mairie) : chaque nouveau PDF, ou PDF modifié, est parsé comme
+ * par /api/parse-pdf puis enregistré, avec son PDF, dans le stockage du serveur (SQLite). Un mois déjà enregistré
+ * depuis une autre source est conservé et le fichier signalé en erreur ; un PDF modifié re-parse le mois qu'il a créé
+ * (voir recordFile).
+ * Le dossier est relu à intervalle régulier plutôt qu'écouté (fs.watch) : les événements ne sont pas
+ * remontés de façon fiable sur les partages SMB/NFS.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parsePdfUpload } = require("./parsePdf.js");
+
+// Un fichier modifié il y a moins de DELAI_COPIE_MS est peut-être encore en cours de copie : il attend le passage suivant
+const DELAI_COPIE_MS = 5000;
+
+/** Chemins relatifs (séparateur "/") des PDF du dossier, sous-dossiers compris. */
+async function listPdfs(dir, prefix = "") {
+  const found = [];
+  for (const dirent of await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    if (dirent.name.startsWith(".")) continue;
+    const rel = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) found.push(...(await listPdfs(dir, rel)));
+    else if (/\.pdf$/i.test(dirent.name)) found.push(rel);
+  }
+  return found.sort();
+}
+
+/**
+ * Parse les PDF nouveaux ou modifiés du dossier.
+ * @param {string} dir - dossier surveillé
+ * @param {ReturnType<import("./monthStore.js").createMonthStore>} store
+ * @returns {Promise<{ importes: object[], erreurs: Array<{ fichierSource: string, erreur: string }> }>}
+ */
+async function scanFolder(dir, store, { now = Date.now() } = {}) {
+  const importes = [];
+  const erreurs = [];
+  for (const rel of await listPdfs(dir)) {
+    const stat = await fs.promises.stat(path.join(dir, rel));
+    if (store.isKnownFile(rel, stat) || now - stat.mtimeMs < DELAI_COPIE_MS) continue;
+    let result, buffer = null;
+    try {
+      buffer = await fs.promises.readFile(path.join(dir, rel));
+      result = await parsePdfUpload(buffer, path.basename(rel));
+    } catch (err) {
+      result = { fichierSource: path.basename(rel), erreur: err.message || "Erreur lors de l'extraction du PDF." };
+    }
+    const entry = store.recordFile(rel, stat, result, buffer);
+    if (entry) importes.push(entry);
+    else erreurs.push({ fichierSource: rel, erreur: result.erreur });
+  }
+  return { importes, erreurs };
+}
+
+/**
+ * Démarre la surveillance : un premier passage immédiat, puis un toutes les `intervalMs`.
+ * Un passage n'est jamais lancé tant que le précédent n'est pas terminé ; `onResult` reçoit chaque mois importé
+ * ou fichier en échec (journal d'audit).
+ * @returns {{ stop: () => void }}
+ */
+function startWatchFolder(dir, store, { intervalMs = 60000, log = console, onResult = () => {} } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { importes, erreurs } = await scanFolder(dir, store);
+      importes.forEach((e) => log.log(`[surveillance] ${e.fichierSource} : ${e.commune}, ${e.moisLabel} ${e.annee}`));
+      erreurs.forEach((e) => log.warn(`[surveillance] ${e.fichierSource} : ${e.erreur}`));
+      [...importes, ...erreurs].forEach(onResult);
+    } catch (err) {
+      log.error(`[surveillance] lecture de ${dir} impossible : ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = { scanFolder, startWatchFolder };
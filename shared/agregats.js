@@ -0,0 +1,141 @@
+/**
+ * Agrégats calculés par indicateur à partir des mois importés d'une commune, pour un mois de référence :
+ * - 12 mois glissants : somme des 12 derniers mois, comparée aux 12 mois précédents ;
+ * - cumul annuel : janvier au mois de référence, comparé aux mêmes mois de l'année précédente ;
+ * - trimestre : dernier trimestre civil achevé, comparé au trimestre précédent.
+ *
+ * La valeur d'un mois est celle du rapport importé ; à défaut, la valeur N-1 lue dans le rapport du même mois de
+ * l'année suivante. Les mois sans valeur sont listés (manquants) : la période est alors incomplète, sa somme ne
+ * porte que sur les mois disponibles et aucune variation n'est calculée. Pour le cumul annuel, le cumul lu dans
+ * le rapport du mois de référence remplace une somme incomplète.
+ */
+import { INDICATEURS } from "./indicateurs.js";
+import { MOIS_LABELS, variationPct } from "./pdfParser.js";
+import { axeChronologique } from "./seriesMensuelles.js";
+import { tauxPourMille } from "./reglesAlerte.js";
+
+/** Indicateurs agrégés : le taux de criminalité ne s'additionne pas d'un mois à l'autre. */
+export const INDICATEURS_AGREGES = INDICATEURS.filter((i) => i.key !== "general_taux");
+
+const rang = (annee, mois) => annee * 12 + mois - 1;
+const moisDuRang = (r) => ({ annee: Math.floor(r / 12), mois: (r % 12) + 1 });
+
+/** Libellé d'une période de mois (« juillet 2023 – juin 2024 », « juin 2024 »). */
+const libellePeriode = (debut, fin) => {
+  const l = ({ annee, mois }) => `${MOIS_LABELS[mois].toLowerCase()} ${annee}`;
+  return rang(debut.annee, debut.mois) === rang(fin.annee, fin.mois) ? l(fin) : `${l(debut)} – ${l(fin)}`;
+};
+
+/** Mois importés indexés par rang (le premier import d'un mois est retenu, comme sur l'axe chronologique). */
+function indexer(entries) {
+  const index = new Map();
+  for (const e of entries) {
+    if (e.erreur || !e.indicateurs) continue;
+    if (!index.has(rang(e.annee, e.mois))) index.set(rang(e.annee, e.mois), e);
+  }
+  return index;
+}
+
+/** Valeur d'un mois : rapport du mois, sinon valeur N-1 du rapport de l'année suivante ; null si aucune. */
+function valeurMois(index, key, r) {
+  const valN = index.get(r)?.indicateurs[key]?.valN;
+  if (valN != null) return valN;
+  return index.get(r + 12)?.indicateurs[key]?.valN1 ?? null;
+}
+
+/**
+ * Somme d'une période de mois consécutifs.
+ * @returns {{ debut: object, fin: object, libelle: string, valeur: number|null, manquants: Array<{ annee: number, mois: number, moisLabel: string }> }}
+ */
+function periode(index, key, rDebut, rFin) {
+  let valeur = null;
+  const manquants = [];
+  for (let r = rDebut; r <= rFin; r++) {
+    const v = valeurMois(index, key, r);
+    if (v == null) manquants.push({ ...moisDuRang(r), moisLabel: MOIS_LABELS[moisDuRang(r).mois] });
+    else valeur = (valeur ?? 0) + v;
+  }
+  const debut = moisDuRang(rDebut);
+  const fin = moisDuRang(rFin);
+  return { debut, fin, libelle: libellePeriode(debut, fin), valeur, manquants };
+}
+
+/** Comparaison de deux périodes : variation seulement si les deux sont complètes. */
+const comparer = (courante, precedente, extra = {}) => ({
+  ...courante,
+  precedent: precedente,
+  complet: courante.manquants.length === 0 && precedente.manquants.length === 0,
+  variationPct: courante.manquants.length === 0 && precedente.manquants.length === 0 ? variationPct(precedente.valeur, courante.valeur) : null,
+  ...extra,
+});
+
+function agreger(index, key, fin) {
+  const rFin = rang(fin.annee, fin.mois);
+  const population = index.get(rFin)?.population ?? null;
+
+  const glissant = periode(index, key, rFin - 11, rFin);
+  const glissant12 = comparer(glissant, periode(index, key, rFin - 23, rFin - 12), {
+    taux: glissant.manquants.length === 0 ? tauxPourMille(glissant.valeur, population) : null,
+  });
+
+  // Cumul annuel : à défaut des mois, cumul et cumul N-1 lus dans le rapport du mois de référence
+  const rJanvier = rang(fin.annee, 1);
+  const ind = index.get(rFin)?.indicateurs[key];
+  const depuisRapport = (p, cumul) => (p.manquants.length && cumul != null ? { ...p, valeur: cumul, manquants: [], source: "rapport" } : { ...p, source: "mois" });
+  const cumulAnnuel = comparer(
+    depuisRapport(periode(index, key, rJanvier, rFin), ind?.cumul),
+    depuisRapport(periode(index, key, rJanvier - 12, rFin - 12), ind?.cumulN1),
+  );
+
+  // Dernier trimestre civil achevé au mois de référence
+  const rFinTrimestre = rFin - (fin.mois % 3);
+  const t = periode(index, key, rFinTrimestre - 2, rFinTrimestre);
+  const tp = periode(index, key, rFinTrimestre - 5, rFinTrimestre - 3);
+  const trimestre = comparer(
+    { ...t, libelle: `T${Math.ceil(t.fin.mois / 3)} ${t.fin.annee}` },
+    { ...tp, libelle: `T${Math.ceil(tp.fin.mois / 3)} ${tp.fin.annee}` },
+  );
+
+  return { glissant12, cumulAnnuel, trimestre };
+}
+
+/** Dernier mois importé exploitable. */
+const dernierMois = (index) => (index.size ? moisDuRang(Math.max(...index.keys())) : null);
+
+/**
+ * Agrégats d'un indicateur au mois de référence.
+ * @param {Array<object>} entries mois importés d'une commune (format de parsePdfInBrowser)
+ * @param {string} key clé d'indicateur
+ * @param {{ annee: number, mois: number }} [fin] mois de référence (dernier mois importé par défaut)
+ * @returns {{ glissant12: object, cumulAnnuel: object, trimestre: object }|null} chaque agrégat :
+ *   { debut, fin, libelle, valeur, manquants, precedent: { libelle, valeur, manquants, … }, complet, variationPct },
+ *   plus taux (‰ sur 12 mois, avec la population du mois de référence) pour glissant12 et source ("mois" ou
+ *   "rapport") pour cumulAnnuel ; null sans mois importé
+ */
+export function agregatsIndicateur(entries, key, fin) {
+  const index = indexer(entries);
+  const ref = fin ?? dernierMois(index);
+  return ref ? agreger(index, key, ref) : null;
+}
+
+/**
+ * Agrégats de tous les indicateurs (sauf le taux) au mois de référence.
+ * @returns {Record<string, { glissant12: object, cumulAnnuel: object, trimestre: object }>} objet vide sans mois importé
+ */
+export function agregatsCommune(entries, fin) {
+  const index = indexer(entries);
+  const ref = fin ?? dernierMois(index);
+  return ref ? Object.fromEntries(INDICATEURS_AGREGES.map(({ key }) => [key, agreger(index, key, ref)])) : {};
+}
+
+/**
+ * Cumul sur 12 mois glissants à chaque mois de l'axe chronologique ; null quand la fenêtre est incomplète.
+ * @returns {Array<{ annee: number, mois: number, valeur: number|null, manquants: number }>}
+ */
+export function serieGlissante12(entries, key) {
+  const index = indexer(entries);
+  return axeChronologique([...index.values()]).map(({ annee, mois }) => {
+    const p = periode(index, key, rang(annee, mois) - 11, rang(annee, mois));
+    return { annee, mois, valeur: p.manquants.length ? null : p.valeur, manquants: p.manquants.length };
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Détection statistique des mois anormaux, indicateur par indicateur, à partir de l'historique mensuel d'une commune.
+ *
+ * Le niveau attendu d'un indicateur combine deux références, quand elles existent :
+ * - la référence saisonnière : moyenne du même mois calendaire les années précédentes (mois importés, à défaut la
+ *   valeur N-1 lue dans le rapport du mois) ;
+ * - le niveau récent : moyenne des 12 mois importés précédents (au moins 3).
+ * Le nombre de faits du mois est ensuite comparé à une loi de Poisson de cette moyenne : la probabilité d'observer
+ * au moins autant de faits par hasard tient compte des petits effectifs (passer de 2 à 3 faits n'est pas anormal),
+ * contrairement à un seuil fixe de variation en pourcentage.
+ */
+import { INDICATEURS } from "./indicateurs.js";
+import { MOIS_LABELS } from "./pdfParser.js";
+import { comparerMois } from "./seriesMensuelles.js";
+
+/**
+ * Seuils par défaut : probabilité sous la loi de Poisson, écart minimal au niveau attendu (en faits) et niveau
+ * attendu plancher, pour qu'une référence nulle (aucun fait l'an dernier) ne rende pas tout fait isolé anormal.
+ */
+export const SEUILS_ANOMALIES = { alerte: 0.01, vigilance: 0.05, ecartMin: 2, attenduMin: 0.5, moisRecents: 12, moisRecentsMin: 3 };
+
+/**
+ * Probabilité P(X ≥ x) pour X suivant une loi de Poisson de moyenne lambda : somme des termes à partir de x,
+ * calculés en logarithmes (pas de dépassement pour les grandes moyennes).
+ */
+export function queuePoisson(x, lambda) {
+  if (x <= 0) return 1;
+  if (!(lambda > 0)) return 0;
+  let logFact = 0;
+  for (let i = 2; i <= x; i++) logFact += Math.log(i);
+  let logTerme = -lambda + x * Math.log(lambda) - logFact;
+  let somme = 0;
+  for (let i = x; i < x + 10000; i++) {
+    const terme = Math.exp(logTerme);
+    somme += terme;
+    if (i > lambda && terme < somme * 1e-12) break;
+    logTerme += Math.log(lambda) - Math.log(i + 1);
+  }
+  return Math.min(1, somme);
+}
+
+const moyenne = (v) => v.reduce((s, x) => s + x, 0) / v.length;
+const decimal = (v) => String(Math.round(v * 10) / 10).replace(".", ",");
+const probabilite = (p) => (p < 0.001 ? "< 0,1 %" : `${decimal(p * 100)} %`);
+
+/**
+ * Niveau attendu d'un indicateur pour un mois, avec le détail des références utilisées.
+ * @param {object} entry mois analysé
+ * @param {Array<object>} anterieurs mois importés antérieurs (même commune), ordre chronologique
+ * @returns {{ attendu: number, saison: number[], recents: number[] }|null} null sans référence
+ */
+export function niveauAttendu(entry, anterieurs, key, seuils = SEUILS_ANOMALIES) {
+  const saison = anterieurs.filter((e) => e.mois === entry.mois).map((e) => e.indicateurs[key]?.valN).filter((v) => v != null);
+  const valN1 = entry.indicateurs[key]?.valN1;
+  if (valN1 != null && !anterieurs.some((e) => e.mois === entry.mois && e.annee === entry.annee - 1)) saison.push(valN1);
+  const recents = anterieurs.slice(-seuils.moisRecents).map((e) => e.indicateurs[key]?.valN).filter((v) => v != null);
+  const references = [];
+  if (saison.length) references.push(moyenne(saison));
+  if (recents.length >= seuils.moisRecentsMin) references.push(moyenne(recents));
+  if (!references.length) return null;
+  return { attendu: moyenne(references), saison, recents: recents.length >= seuils.moisRecentsMin ? recents : [] };
+}
+
+/**
+ * Indicateurs anormalement élevés pour un mois, du plus au moins improbable.
+ * @param {object} entry mois analysé (format de parsePdfInBrowser)
+ * @param {Array<object>} historique mois importés de la même commune (les mois postérieurs sont ignorés)
+ * @param {object} [seuils] seuils de SEUILS_ANOMALIES à remplacer
+ * @returns {Array<{ key: string, label: string, valeur: number, attendu: number, probabilite: number,
+ *   niveau: "alerte"|"vigilance", explication: string }>}
+ */
+export function detecterAnomalies(entry, historique, seuils = {}) {
+  const s = { ...SEUILS_ANOMALIES, ...seuils };
+  const anterieurs = historique.filter((e) => !e.erreur && e.indicateurs && comparerMois(e, entry) < 0).sort(comparerMois);
+  const anomalies = [];
+  for (const def of INDICATEURS) {
+    if (def.key === "general_taux") continue; // proportionnel aux faits constatés
+    const valeur = entry.indicateurs[def.key]?.valN;
+    if (valeur == null) continue;
+    const niveau = niveauAttendu(entry, anterieurs, def.key, s);
+    if (!niveau || valeur - niveau.attendu < s.ecartMin) continue;
+    const p = queuePoisson(valeur, Math.max(niveau.attendu, s.attenduMin));
+    if (p >= s.vigilance) continue;
+    const references = [
+      niveau.saison.length && `${MOIS_LABELS[entry.mois].toLowerCase()} des années précédentes : ${decimal(moyenne(niveau.saison))} en moyenne`,
+      niveau.recents.length && `${niveau.recents.length} mois précédents : ${decimal(moyenne(niveau.recents))} en moyenne`,
+    ].filter(Boolean);
+    anomalies.push({
+      key: def.key,
+      label: def.label,
+      valeur,
+      attendu: niveau.attendu,
+      probabilite: p,
+      niveau: p < s.alerte ? "alerte" : "vigilance",
+      explication: `${valeur} faits pour ${decimal(niveau.attendu)} attendu${niveau.attendu >= 2 ? "s" : ""} (${references.join(" ; ")}) — probabilité d'un tel niveau par hasard : ${probabilite(p)}`,
+    });
+  }
+  return anomalies.sort((a, b) => a.probabilite - b.probabilite);
+}
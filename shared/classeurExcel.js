@@ -0,0 +1,254 @@
+/**
+ * Export Excel (.xlsx) des tableaux du rapport annuel et de la comparaison de périodes : une feuille par tableau,
+ * cellules numériques, formules pour les totaux et les variations (avec leur résultat, pour les lecteurs qui ne
+ * recalculent pas), mise en forme conditionnelle reprenant les couleurs et les règles d'alerte de l'application.
+ * Indépendant de l'environnement : l'appelant fournit le module exceljs et écrit le classeur (wb.xlsx.writeBuffer()).
+ */
+import { formatIndex } from "./indicateurs.js";
+import { reglesCommune, SEUILS_DEFAUT } from "./reglesAlerte.js";
+
+const ENTETE = { fill: "FFEFF6FF", border: "FFBFDBFE", font: "FF1E293B" };
+// Couleurs des niveaux, identiques à l'application (fonds des volumes, police des variations)
+const FONDS = { normal: "FFFFFDE7", vigilance: "FFFFF3E0", alerte: "FFFFEBEE" };
+const COULEURS = { normal: "FF059669", vigilance: "FFD97706", alerte: "FFB91C1C" };
+
+/** Condition « au-delà du seuil » (« dès le seuil » si le niveau est inclusif) ; null si le seuil n'est pas défini. */
+const auDela = (expression, seuils, niveau, diviseur = 1) => (seuils[niveau] != null
+  ? `${expression}${seuils.inclusif?.includes(niveau) ? ">=" : ">"}${seuils[niveau] / diviseur}` : null);
+
+/**
+ * Règles de fond des volumes (règles d'alerte « volume » et, si taux(c) donne l'expression du taux pour
+ * 1 000 habitants de la cellule, « taux »), de la plus prioritaire à la moins prioritaire.
+ */
+const fondsVolume = (regle, taux = null) => ["alerte", "vigilance"].map((niveau) => ({
+  condition: (c) => {
+    const conditions = [auDela(c, regle.volume, niveau), taux && auDela(`(${taux(c)})`, regle.taux, niveau)].filter(Boolean);
+    return conditions.length ? `AND(ISNUMBER(${c}),OR(${conditions.join(",")}))` : "FALSE";
+  },
+  argb: FONDS[niveau],
+})).concat({ condition: (c) => `AND(ISNUMBER(${c}),${c}>0)`, argb: FONDS.normal });
+
+/** Règles de couleur des variations (fractions : 50 % = 0.5) selon les seuils « variation ». */
+const couleursVariation = (seuils = SEUILS_DEFAUT.variation) => [
+  ...["alerte", "vigilance"].filter((niveau) => seuils[niveau] != null).map((niveau) => ({
+    condition: (c) => `AND(ISNUMBER(${c}),${auDela(c, seuils, niveau, 100)})`,
+    argb: COULEURS[niveau],
+  })),
+  { condition: (c) => `ISNUMBER(${c})`, argb: COULEURS.normal },
+];
+
+/** Lettre(s) de colonne Excel d'un numéro de colonne (1 = A). */
+export function colonneExcel(n) {
+  let s = "";
+  for (; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/** Référence d'une feuille dans une formule ('Feuille avec espaces'!A1). */
+const refFeuille = (nom) => `'${nom.replace(/'/g, "''")}'`;
+
+/** Variation relative (fraction) de a par rapport à b, comme variationPct ; null si b est nul ou absent. */
+const variation = (b, a) => (b != null && b > 0 && a != null ? (a - b) / b : null);
+
+/**
+ * Ajoute une feuille : ligne d'en-tête figée, colonnes dimensionnées, lignes de données (nombre, texte, null
+ * pour une cellule vide, ou { formula, result }) et ligne de total en gras.
+ * @param {Array<{ header: string, width?: number, numFmt?: string }>} colonnes
+ * @returns {object} la feuille exceljs
+ */
+function ajouterFeuille(wb, nom, colonnes, lignes, total = null) {
+  const ws = wb.addWorksheet(nom, { views: [{ state: "frozen", ySplit: 1 }] });
+  ws.columns = colonnes.map(({ header, width = 14, numFmt }) => ({ header, width, style: numFmt ? { numFmt } : {} }));
+  const entete = ws.getRow(1);
+  entete.font = { bold: true, color: { argb: ENTETE.font } };
+  entete.eachCell((cell) => {
+    cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: ENTETE.fill } };
+    cell.border = { bottom: { style: "medium", color: { argb: ENTETE.border } } };
+  });
+  lignes.forEach((l) => ws.addRow(l.map((v) => v ?? null)));
+  if (total) {
+    const row = ws.addRow(total.map((v) => v ?? null));
+    row.font = { bold: true };
+    row.eachCell((cell) => { cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: ENTETE.fill } }; });
+  }
+  return ws;
+}
+
+/** Mise en forme conditionnelle d'une plage (règles relatives à sa cellule en haut à gauche). */
+function colorer(ws, plage, regles, propriete) {
+  const [debut] = plage.split(":");
+  ws.addConditionalFormatting({
+    ref: plage,
+    rules: regles.map(({ condition, argb }, i) => ({
+      type: "expression",
+      priority: i + 1,
+      formulae: [condition(debut)],
+      style: propriete === "fond"
+        ? { fill: { type: "pattern", pattern: "solid", bgColor: { argb } } }
+        : { font: { color: { argb }, bold: true } },
+    })),
+  });
+}
+
+/**
+ * Mise en forme conditionnelle d'une colonne ligne par ligne (première ligne de données : 2), les lignes
+ * consécutives de mêmes seuils partageant une plage.
+ * @param {Array<object>} seuilsLignes seuils de chaque ligne
+ * @param {(seuils: object) => Array<object>} regles règles de mise en forme des seuils
+ */
+function colorerLignes(ws, colonne, seuilsLignes, regles, propriete) {
+  let debut = 0;
+  seuilsLignes.forEach((seuils, i) => {
+    if (i + 1 < seuilsLignes.length && JSON.stringify(seuilsLignes[i + 1]) === JSON.stringify(seuils)) return;
+    colorer(ws, `${colonne}${debut + 2}:${colonne}${i + 2}`, regles(seuils), propriete);
+    debut = i + 1;
+  });
+}
+
+/** Formule de variation (B par rapport à A) et son résultat ; vide si la référence est nulle. */
+const formuleVariation = (refN1, refN, n1, n) => ({
+  formula: `IF(AND(ISNUMBER(${refN1}),${refN1}>0),(${refN}-${refN1})/${refN1},"")`,
+  result: variation(n1, n) ?? "",
+});
+
+const somme = (vals) => vals.reduce((s, v) => s + (v ?? 0), 0);
+const moyenne = (vals) => {
+  const nums = vals.filter((v) => v != null);
+  return nums.length ? somme(nums) / nums.length : null;
+};
+
+/** Nouveau classeur avec ses propriétés ; recalcul des formules à l'ouverture. */
+function nouveauClasseur(ExcelJS, titre) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Suivi de la délinquance";
+  wb.title = titre;
+  wb.calcProperties.fullCalcOnLoad = true;
+  return wb;
+}
+
+/**
+ * Classeur du rapport annuel : évolution mensuelle des faits constatés, cumul depuis le début de l'année
+ * (dernier rapport) et tableau récapitulatif (un indicateur par ligne, un mois par colonne).
+ * @param {object} ExcelJS - module exceljs chargé par l'appelant
+ * @param {{ commune: string, mois: Array<object>, indicateurs: Array<{ key: string, label: string }>, regles?: object }} donnees -
+ *   mois importés dans l'ordre chronologique, indicateurs du catalogue à inclure, règles d'alerte de la commune
+ *   (reglesCommune ; seuils par défaut si absentes)
+ */
+export function classeurRapport(ExcelJS, { commune, mois, indicateurs, regles = reglesCommune() }) {
+  const wb = nouveauClasseur(ExcelJS, `Rapport d'analyse criminologique — ${commune}`);
+  const libelleMois = (f) => `${f.moisLabel} ${f.annee}`;
+  const n = mois.length;
+  const derniere = n + 1;
+
+  // Évolution mensuelle : Mois | Faits N-1 | Faits N | Variation | Cumul | Taux
+  const faits = mois.map((f) => f.indicateurs.general_faits);
+  const evolution = ajouterFeuille(wb, "Évolution mensuelle", [
+    { header: "Mois", width: 18 }, { header: "Faits N-1", numFmt: "0" }, { header: "Faits N", numFmt: "0" },
+    { header: "Variation", numFmt: "+0%;-0%;0%" }, { header: "Cumul", numFmt: "0" }, { header: "Taux ‰ (1 000 hab.)", width: 18, numFmt: "0.00" },
+  ], faits.map((ind, i) => [
+    libelleMois(mois[i]), ind.valN1, ind.valN, formuleVariation(`B${i + 2}`, `C${i + 2}`, ind.valN1, ind.valN), ind.cumul, ind.taux,
+  ]), [
+    "TOTAL",
+    { formula: `SUM(B2:B${derniere})`, result: somme(faits.map((i) => i.valN1)) },
+    { formula: `SUM(C2:C${derniere})`, result: somme(faits.map((i) => i.valN)) },
+    formuleVariation(`B${derniere + 1}`, `C${derniere + 1}`, somme(faits.map((i) => i.valN1)), somme(faits.map((i) => i.valN))),
+    faits[n - 1]?.cumul ?? null,
+    { formula: `IFERROR(AVERAGE(F2:F${derniere}),"")`, result: moyenne(faits.map((i) => i.taux)) ?? "" },
+  ]);
+  // Faits du mois : seuils de volume et de taux (colonne F de la même ligne)
+  colorer(evolution, `C2:C${derniere}`, fondsVolume(regles.general_faits, (c) => c.replace("C", "F")), "fond");
+  colorer(evolution, `D2:D${derniere + 1}`, couleursVariation(regles.general_faits.variation), "police");
+
+  // Cumul depuis le début de l'année, lu dans le dernier rapport
+  const dernier = mois[n - 1];
+  const cumuls = Object.entries(dernier?.indicateurs ?? {}).filter(([k, v]) => k !== "general_taux" && v.cumul != null);
+  const cumul = ajouterFeuille(wb, "Cumul annuel", [
+    { header: "Indicateur", width: 40 }, { header: `Cumul ${dernier?.annee ?? "N"}`, numFmt: "0" },
+    { header: `Cumul ${dernier ? dernier.annee - 1 : "N-1"}`, numFmt: "0" }, { header: "Variation", numFmt: "+0%;-0%;0%" },
+  ], cumuls.map(([, v], i) => [v.label, v.cumul, v.cumulN1, formuleVariation(`C${i + 2}`, `B${i + 2}`, v.cumulN1, v.cumul)]));
+  colorerLignes(cumul, "D", cumuls.map(([k]) => regles[k]?.variation), couleursVariation, "police");
+
+  // Récapitulatif : Indicateur | Index 4001 | un mois par colonne | Somme (moyenne pour le taux)
+  const premiereMois = 3, derniereMois = premiereMois + n - 1;
+  const [colA, colB] = [colonneExcel(premiereMois), colonneExcel(derniereMois)];
+  const recap = ajouterFeuille(wb, "Récapitulatif", [
+    { header: "Indicateur", width: 40 }, { header: "Index 4001", width: 16 },
+    ...mois.map((f) => ({ header: `${f.moisLabel.slice(0, 3)} ${f.annee}`, width: 10 })),
+    { header: "Somme", width: 12 },
+  ], indicateurs.map(({ key, label }, i) => {
+    const vals = mois.map((f) => f.indicateurs[key]?.valN ?? null);
+    const ligne = i + 2;
+    const total = key === "general_taux"
+      ? { formula: `IFERROR(AVERAGE(${colA}${ligne}:${colB}${ligne}),"")`, result: moyenne(vals) ?? "" }
+      : { formula: `SUM(${colA}${ligne}:${colB}${ligne})`, result: somme(vals) };
+    return [label, formatIndex(key), ...vals, total];
+  }));
+  // Mois : seuils de volume et de taux (population du dernier mois) ; somme de la période : seuils de volume
+  const population = mois[n - 1]?.population;
+  const taux = population > 0 ? (c) => `${c}*1000/${population}` : null;
+  indicateurs.forEach(({ key }, i) => {
+    if (key === "general_taux" || !regles[key]) return;
+    colorer(recap, `${colA}${i + 2}:${colB}${i + 2}`, fondsVolume(regles[key], taux), "fond");
+    colorer(recap, `${colonneExcel(derniereMois + 1)}${i + 2}`, fondsVolume({ volume: regles[key].volume }), "fond");
+  });
+  return wb;
+}
+
+/**
+ * Classeur de la comparaison de périodes : écarts par catégorie (formules sur la feuille détaillée),
+ * indicateurs détaillés et mois inclus dans chaque période.
+ * @param {object} ExcelJS - module exceljs chargé par l'appelant
+ * @param {{ commune: string, periodeA: { label: string, mois: Array<object> }, periodeB: { label: string, mois: Array<object> },
+ *   lignes: Array<{ key: string, label: string, cat: string, sumA: number|null, sumB: number|null, isTaux: boolean }> }} donnees -
+ *   `lignes` : tableau comparatif de la vue (somme des volumes, moyenne des taux) ; `regles` : règles d'alerte
+ *   de la commune (reglesCommune ; seuils par défaut si absentes)
+ */
+export function classeurComparaison(ExcelJS, { commune, periodeA, periodeB, lignes, regles = reglesCommune() }) {
+  const wb = nouveauClasseur(ExcelJS, `Comparaison de périodes — ${commune}`);
+  const DETAIL = "Indicateurs détaillés";
+  const n = lignes.length;
+  const ecart = (refA, refB, a, b) => ({
+    formula: `IF(AND(ISNUMBER(${refB}),${refB}>0),(${refA}-${refB})/${refB},IF(AND(ISNUMBER(${refA}),${refA}>0),1,""))`,
+    result: variation(b, a) ?? (a > 0 ? 1 : ""),
+  });
+
+  // Catégories : sommes des volumes de la feuille détaillée (SUMIFS), écart A / B
+  const categories = [...new Set(lignes.filter((l) => !l.isTaux).map((l) => l.cat).filter(Boolean))];
+  const sommeCat = (cat, champ) => somme(lignes.filter((l) => l.cat === cat && !l.isTaux).map((l) => l[champ]));
+  const plage = (col) => `${refFeuille(DETAIL)}!$${col}$2:$${col}$${n + 1}`;
+  const parCategorie = ajouterFeuille(wb, "Par catégorie", [
+    { header: "Catégorie", width: 22 }, { header: `Période A — ${periodeA.label}`, width: 30, numFmt: "0" },
+    { header: `Période B — ${periodeB.label}`, width: 30, numFmt: "0" }, { header: "Écart A / B", width: 12, numFmt: "+0%;-0%;0%" },
+  ], categories.map((cat, i) => [
+    cat,
+    { formula: `SUMIFS(${plage("E")},${plage("B")},A${i + 2},${plage("D")},"Volume")`, result: sommeCat(cat, "sumA") },
+    { formula: `SUMIFS(${plage("F")},${plage("B")},A${i + 2},${plage("D")},"Volume")`, result: sommeCat(cat, "sumB") },
+    ecart(`B${i + 2}`, `C${i + 2}`, sommeCat(cat, "sumA"), sommeCat(cat, "sumB")),
+  ]));
+  if (categories.length > 0) colorer(parCategorie, `D2:D${categories.length + 1}`, couleursVariation(), "police");
+
+  // Indicateurs détaillés : Indicateur | Catégorie | Index 4001 | Type | A | B | Écart
+  const detail = ajouterFeuille(wb, DETAIL, [
+    { header: "Indicateur", width: 40 }, { header: "Catégorie", width: 16 }, { header: "Index 4001", width: 16 },
+    { header: "Type", width: 10 }, { header: "Période A" }, { header: "Période B" },
+    { header: "Écart A / B", numFmt: "+0%;-0%;0%" },
+  ], lignes.map((l, i) => [
+    l.label, l.cat ?? null, formatIndex(l.key), l.isTaux ? "Taux ‰" : "Volume", l.sumA, l.sumB,
+    ecart(`E${i + 2}`, `F${i + 2}`, l.sumA, l.sumB),
+  ]));
+  if (n > 0) {
+    colorerLignes(detail, "G", lignes.map((l) => regles[l.key]?.variation), couleursVariation, "police");
+    lignes.forEach((l, i) => {
+      if (!l.isTaux) colorer(detail, `E${i + 2}:F${i + 2}`, fondsVolume({ volume: regles[l.key]?.volume ?? SEUILS_DEFAUT.volume }), "fond");
+    });
+  }
+
+  // Mois inclus : Période | Mois | Année | Faits constatés | Fichier source
+  const moisInclus = [["A", periodeA.mois], ["B", periodeB.mois]].flatMap(([p, mois]) =>
+    mois.map((f) => [p, f.moisLabel, f.annee, f.indicateurs?.general_faits?.valN ?? null, f.fichierSource ?? null]));
+  ajouterFeuille(wb, "Mois inclus", [
+    { header: "Période", width: 10 }, { header: "Mois", width: 12 }, { header: "Année", width: 8, numFmt: "0" },
+    { header: "Faits constatés", width: 16, numFmt: "0" }, { header: "Fichier source", width: 40 },
+  ], moisInclus);
+  return wb;
+}
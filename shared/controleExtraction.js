@@ -0,0 +1,117 @@
+/**
+ * Contrôle de l'extraction d'un mois importé : statut de chaque champ, valeurs à vérifier, corrections manuelles
+ * saisies dans l'éditeur de l'écran d'import et sommes sur une période qui ne comptent pas les valeurs absentes.
+ *
+ * Statuts d'un champ (voir buildStatutsExtraction) : "trouvé", "secours" (lecture approximative), "absent" (non lu
+ * dans le rapport), "non fourni" (colonne absente du tableur importé, non contrôlé) ou "corrigé" (saisi à la main).
+ */
+import { variationPct } from "./pdfParser.js";
+
+/** Champs contrôlés d'un indicateur — le cumul N-1 n'existe pas dans les anciens rapports. */
+export const CHAMPS_CONTROLES = ["valN1", "valN", "cumul"];
+
+/**
+ * Statut d'un champ d'indicateur. Les mois importés avant l'ajout des statuts sont évalués sur la seule présence
+ * de la valeur.
+ */
+export const statutChamp = (entry, key, field) =>
+  entry.statuts?.indicateurs?.[key]?.[field] ?? (entry.indicateurs?.[key]?.[field] == null ? "absent" : "trouvé");
+
+/**
+ * Champs à faible confiance d'un mois importé : lus en secours ou absents ; les champs non fournis par un tableur
+ * n'en font pas partie.
+ * @returns {Array<{ key: string, field: string }>} population comprise (key et field "population")
+ */
+export const champsAVerifier = (entry) => [
+  ...(entry.population == null && entry.statuts?.population !== "non fourni" ? [{ key: "population", field: "population" }] : []),
+  ...Object.keys(entry.indicateurs ?? {}).flatMap((key) => CHAMPS_CONTROLES
+    .filter((field) => key !== "general_taux" || field !== "cumul")
+    .filter((field) => ["secours", "absent"].includes(statutChamp(entry, key, field)))
+    .map((field) => ({ key, field }))),
+];
+
+/**
+ * Lecture d'une saisie de l'éditeur (espaces ignorés, virgule ou point décimal).
+ * @param {string|number|null} saisie
+ * @param {boolean} decimal vrai pour le taux, faux pour les nombres de faits et la population (entiers)
+ * @returns {{ valeur: number|null }|{ erreur: string }} valeur null pour une saisie vide (valeur effacée)
+ */
+export function lireSaisie(saisie, decimal) {
+  const s = saisie == null ? "" : String(saisie).replace(/\s/g, "");
+  if (s === "") return { valeur: null };
+  if (!(decimal ? /^\d+([.,]\d+)?$/ : /^\d+$/).test(s)) return { erreur: decimal ? "Nombre attendu" : "Nombre entier attendu" };
+  return { valeur: Number(s.replace(",", ".")) };
+}
+
+/**
+ * Saisies invalides de l'éditeur, par champ (« population » ou « clé.champ »).
+ * @param {{ population?: string, indicateurs?: Object<string, Object<string, string>> }} edits
+ * @returns {Object<string, string>} message d'erreur par champ ; objet vide si tout est valide
+ */
+export function erreursSaisie(edits) {
+  const erreurs = {};
+  if (edits.population !== undefined) {
+    const { erreur } = lireSaisie(edits.population, false);
+    if (erreur) erreurs.population = erreur;
+  }
+  for (const [key, champs] of Object.entries(edits.indicateurs ?? {})) {
+    for (const [field, saisie] of Object.entries(champs)) {
+      const { erreur } = lireSaisie(saisie, key === "general_taux");
+      if (erreur) erreurs[`${key}.${field}`] = erreur;
+    }
+  }
+  return erreurs;
+}
+
+/**
+ * Applique les corrections saisies (chaînes des champs de l'éditeur) : valeurs, variations recalculées, statut
+ * "corrigé" et historique des corrections. Les saisies invalides (voir erreursSaisie) sont ignorées.
+ * @returns {object} nouvelle entrée marquée donneesSource "corrigée", ou l'entrée inchangée si rien n'a changé
+ */
+export function appliquerCorrections(entry, edits, le = Date.now()) {
+  const corrections = [];
+  const statuts = { ...(entry.statuts ?? {}), indicateurs: { ...(entry.statuts?.indicateurs ?? {}) } };
+  const indicateurs = {};
+  for (const [key, ind] of Object.entries(entry.indicateurs)) {
+    const next = { ...ind };
+    for (const [field, saisie] of Object.entries(edits.indicateurs?.[key] ?? {})) {
+      const lu = lireSaisie(saisie, key === "general_taux");
+      if (lu.erreur || lu.valeur === (ind[field] ?? null)) continue;
+      corrections.push({ champ: `${key}.${field}`, avant: ind[field] ?? null, apres: lu.valeur, le });
+      next[field] = lu.valeur;
+      statuts.indicateurs[key] = { ...statuts.indicateurs[key], [field]: "corrigé" };
+    }
+    next.variationPct = variationPct(next.valN1, next.valN);
+    if ("variationCumulPct" in ind && key !== "general_taux") next.variationCumulPct = variationPct(next.cumulN1, next.cumul);
+    indicateurs[key] = next;
+  }
+  // Le taux affiché avec les faits constatés est celui de l'indicateur taux
+  if (indicateurs.general_faits && indicateurs.general_taux) indicateurs.general_faits.taux = indicateurs.general_taux.valN;
+  let population = entry.population;
+  if (edits.population !== undefined) {
+    const lu = lireSaisie(edits.population, false);
+    if (!lu.erreur && lu.valeur !== (entry.population ?? null)) {
+      corrections.push({ champ: "population", avant: entry.population ?? null, apres: lu.valeur, le });
+      population = lu.valeur;
+      statuts.population = "corrigé";
+    }
+  }
+  if (corrections.length === 0) return entry;
+  return { ...entry, population, indicateurs, statuts, donneesSource: "corrigée", corrections: [...(entry.corrections ?? []), ...corrections] };
+}
+
+/**
+ * Somme d'un champ d'indicateur sur des mois importés, sans compter les valeurs absentes comme 0.
+ * @returns {{ valeur: number|null, manquants: Array<object> }} valeur null si aucun mois n'a de valeur ;
+ *   manquants : mois sans valeur pour ce champ
+ */
+export function sommeIndicateur(entries, key, field = "valN") {
+  let valeur = null;
+  const manquants = [];
+  for (const e of entries) {
+    const v = e.indicateurs?.[key]?.[field];
+    if (v == null) manquants.push(e);
+    else valeur = (valeur ?? 0) + v;
+  }
+  return { valeur, manquants };
+}
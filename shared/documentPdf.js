@@ -0,0 +1,364 @@
+/**
+ * Génération PDF des rapports (Rapport, Comparaison) : page de couverture, sommaire avec liens, numéros de page,
+ * tableaux, graphiques dessinés en vectoriel et annexe des fichiers sources.
+ * Sortie déterministe : polices standard PDF, aucune date ni information de la machine dans le fichier ; un même
+ * document produit le même PDF, octet pour octet, dans tous les navigateurs et sous Node.
+ * Indépendant de l'environnement : l'appelant fournit le module pdf-lib.
+ */
+
+const PAGE = { largeur: 595.28, hauteur: 841.89, marge: 56 };
+const PIED = 28; // hauteur réservée au pied de page (numérotation)
+const CORPS = 10;
+const INTERLIGNE = 1.45;
+const COULEURS = {
+  texte: "#1E293B", secondaire: "#475569", discret: "#94A3B8", titre: "#1E40AF",
+  entete: "#EFF6FF", bordureEntete: "#BFDBFE", bordure: "#E2E8F0", grille: "#F1F5F9",
+};
+
+// Caractères hors de l'encodage WinAnsi des polices standard, remplacés avant l'écriture
+const REMPLACEMENTS = { "\u202F": " ", "\u2009": " ", "\u2212": "-", "\u2264": "<=", "\u2265": ">=", "\u2192": "->" };
+
+/**
+ * @typedef {string|number|null|{ texte: string|number|null, fond?: string, couleur?: string, gras?: boolean }} CellulePdf
+ *   null s'affiche « — » ; `fond` et `couleur` en hexadécimal (#RRGGBB)
+ * @typedef {{ type: "titre", texte: string }
+ *   | { type: "paragraphe", texte: string }
+ *   | { type: "liste", elements: string[] }
+ *   | { type: "tableau", colonnes: Array<{ titre: string, largeur?: number, droite?: boolean }>, lignes: CellulePdf[][], total?: CellulePdf[] }
+ *   | { type: "graphique", titre?: string, categories: string[], series: Array<{ nom: string, couleur: string, valeurs: Array<number|null> }>, horizontal?: boolean }
+ * } BlocPdf
+ * @typedef {object} DocumentPdf
+ * @property {string} surtitre ligne au-dessus du titre de couverture
+ * @property {string} titre
+ * @property {string} sousTitre
+ * @property {string[]} [couverture] lignes en italique sous le titre
+ * @property {Array<[string, string]>} [encadre] libellé et valeur, en encadré sur la couverture
+ * @property {string} piedDePage texte courant en bas de chaque page
+ * @property {Array<{ titre: string, blocs: BlocPdf[] }>} sections chapitres, repris au sommaire
+ * @property {{ colonnes: Array<{ titre: string, largeur?: number }>, lignes: CellulePdf[][] }} sources annexe des fichiers sources
+ * @property {string[]} [mentions] lignes de fin de document
+ * @property {{ titre: string, sujet?: string, auteur?: string }} metadonnees
+ */
+
+const hexVersRgb = (rgb, hex) => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+};
+
+/** Graduation « ronde » (1, 2 ou 5 × 10^k) pour environ 5 intervalles jusqu'à max. */
+export function graduation(max) {
+  if (!(max > 0)) return 1;
+  const brut = max / 5;
+  const puissance = 10 ** Math.floor(Math.log10(brut));
+  const pas = [1, 2, 5, 10].find((m) => m * puissance >= brut) * puissance;
+  return Math.max(1, pas);
+}
+
+/** Entier avec séparateur de milliers (espace), indépendant de la locale de la machine. */
+export function entierFr(n) {
+  if (n == null || !Number.isFinite(Number(n))) return "—";
+  return String(Math.round(Number(n))).replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+}
+
+/**
+ * Génère le PDF d'un document.
+ * @param {object} PDFLib module pdf-lib
+ * @param {DocumentPdf} document
+ * @returns {Promise<Uint8Array>}
+ */
+export async function genererPdf(PDFLib, document) {
+  const { PDFDocument, StandardFonts, rgb } = PDFLib;
+  const pdf = await PDFDocument.create({ updateMetadata: false });
+  const polices = {
+    normal: await pdf.embedFont(StandardFonts.Helvetica),
+    gras: await pdf.embedFont(StandardFonts.HelveticaBold),
+    italique: await pdf.embedFont(StandardFonts.HelveticaOblique),
+  };
+  const encodables = new Set(polices.normal.getCharacterSet());
+  const propre = (s) => [...String(s ?? "")].map((c) => REMPLACEMENTS[c] ?? (encodables.has(c.codePointAt(0)) || c === "\n" ? c : ""))
+    .join("").replace(/ {2,}/g, " ");
+  const couleur = (hex) => hexVersRgb(rgb, hex);
+  const largeurUtile = PAGE.largeur - 2 * PAGE.marge;
+  const bas = PAGE.marge + PIED;
+
+  /** Lignes d'un texte coupé à la largeur (mots trop longs, comme les noms de fichiers, coupés au caractère). */
+  const couper = (texte, police, taille, largeur) => {
+    const lignes = [];
+    for (const para of propre(texte).split("\n")) {
+      let ligne = "";
+      for (let mot of para.split(" ")) {
+        while (police.widthOfTextAtSize(mot, taille) > largeur && mot.length > 1) {
+          let n = mot.length - 1;
+          while (n > 1 && police.widthOfTextAtSize(mot.slice(0, n), taille) > largeur) n--;
+          if (ligne) { lignes.push(ligne); ligne = ""; }
+          lignes.push(mot.slice(0, n));
+          mot = mot.slice(n);
+        }
+        const essai = ligne ? `${ligne} ${mot}` : mot;
+        if (ligne && police.widthOfTextAtSize(essai, taille) > largeur) {
+          lignes.push(ligne);
+          ligne = mot;
+        } else {
+          ligne = essai;
+        }
+      }
+      lignes.push(ligne);
+    }
+    return lignes;
+  };
+
+  // ── Corps du document (la couverture et le sommaire sont insérés devant une fois les pages connues) ──
+  const pagesCorps = [];
+  let page = null;
+  let y = 0;
+  const nouvellePage = () => {
+    page = pdf.addPage([PAGE.largeur, PAGE.hauteur]);
+    pagesCorps.push(page);
+    y = PAGE.hauteur - PAGE.marge;
+  };
+  const reserver = (h) => { if (y - h < bas) nouvellePage(); };
+
+  const ecrire = (texte, { police = polices.normal, taille = CORPS, teinte = COULEURS.texte, retrait = 0, apres = 6, puce = false } = {}) => {
+    const h = taille * INTERLIGNE;
+    couper(texte, police, taille, largeurUtile - retrait).forEach((ligne, i) => {
+      reserver(h);
+      if (puce && i === 0) page.drawText("•", { x: PAGE.marge + retrait - 10, y: y - taille, size: taille, font: police, color: couleur(teinte) });
+      page.drawText(ligne, { x: PAGE.marge + retrait, y: y - taille, size: taille, font: police, color: couleur(teinte) });
+      y -= h;
+    });
+    y -= apres;
+  };
+
+  const cellule = (c) => (c !== null && typeof c === "object" ? { ...c, texte: c.texte ?? "—" } : { texte: c ?? "—" });
+
+  const tableau = ({ colonnes, lignes, total = null }, taille = 8.5) => {
+    const somme = colonnes.reduce((s, c) => s + (c.largeur ?? 1), 0);
+    const largeurs = colonnes.map((c) => (c.largeur ?? 1) / somme * largeurUtile);
+    const PAD = 4;
+    const pas = taille * 1.3;
+    const preparer = (cellules, opts) => {
+      const cs = cellules.map((c) => ({ ...cellule(c), ...opts }));
+      const textes = cs.map((c, i) => couper(c.texte, c.gras ? polices.gras : polices.normal, taille, largeurs[i] - 2 * PAD));
+      return { cs, textes, h: Math.max(...textes.map((t) => t.length)) * pas + 2 * PAD };
+    };
+    const dessiner = ({ cs, textes, h }, entete) => {
+      let x = PAGE.marge;
+      cs.forEach((c, i) => {
+        if (c.fond) page.drawRectangle({ x, y: y - h, width: largeurs[i], height: h, color: couleur(c.fond) });
+        const police = c.gras ? polices.gras : polices.normal;
+        textes[i].forEach((l, j) => {
+          const xt = colonnes[i].droite ? x + largeurs[i] - PAD - police.widthOfTextAtSize(l, taille) : x + PAD;
+          page.drawText(l, { x: xt, y: y - PAD - taille - j * pas + 1.5, size: taille, font: police, color: couleur(c.couleur ?? COULEURS.texte) });
+        });
+        x += largeurs[i];
+      });
+      page.drawLine({
+        start: { x: PAGE.marge, y: y - h }, end: { x: PAGE.marge + largeurUtile, y: y - h },
+        thickness: entete ? 1.5 : 0.5, color: couleur(entete ? COULEURS.bordureEntete : COULEURS.grille),
+      });
+      y -= h;
+    };
+    const enTete = preparer(colonnes.map((c) => c.titre), { gras: true, fond: COULEURS.entete });
+    reserver(enTete.h + 2 * pas);
+    dessiner(enTete, true);
+    const rangees = lignes.map((l) => preparer(l, {}));
+    if (total) rangees.push(preparer(total, { gras: true, fond: COULEURS.entete }));
+    for (const r of rangees) {
+      if (y - r.h < bas) {
+        nouvellePage();
+        dessiner(enTete, true);
+      }
+      dessiner(r, false);
+    }
+    y -= 12;
+  };
+
+  const graphique = ({ titre, categories, series, horizontal = false }) => {
+    const taille = 7.5;
+    const max = Math.max(0, ...series.flatMap((s) => s.valeurs.filter((v) => v != null)));
+    const pas = graduation(max);
+    const echelleMax = Math.max(pas, Math.ceil(max / pas) * pas);
+    const hauteur = horizontal ? categories.length * (series.length * 10 + 8) + 24 : 190;
+    reserver(hauteur + 40);
+    if (titre) ecrire(titre, { police: polices.gras, taille: 9, teinte: COULEURS.secondaire, apres: 2 });
+
+    // Légende
+    let xl = PAGE.marge;
+    series.forEach((s) => {
+      page.drawRectangle({ x: xl, y: y - 9, width: 8, height: 8, color: couleur(s.couleur) });
+      page.drawText(propre(s.nom), { x: xl + 12, y: y - 8, size: taille, font: polices.normal, color: couleur(COULEURS.secondaire) });
+      xl += 24 + polices.normal.widthOfTextAtSize(propre(s.nom), taille);
+    });
+    y -= 18;
+
+    const graduations = [];
+    for (let v = 0; v <= echelleMax; v += pas) graduations.push(v);
+    const trait = (x1, y1, x2, y2, teinte = COULEURS.grille) => page.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness: 0.5, color: couleur(teinte) });
+    const etiquette = (t, x, yt, aligne = "gauche") => {
+      const s = propre(t);
+      const w = polices.normal.widthOfTextAtSize(s, taille);
+      const xt = aligne === "droite" ? x - w : aligne === "centre" ? x - w / 2 : x;
+      page.drawText(s, { x: xt, y: yt, size: taille, font: polices.normal, color: couleur(COULEURS.secondaire) });
+    };
+
+    if (horizontal) {
+      const gauche = PAGE.marge + 110;
+      const largeur = PAGE.marge + largeurUtile - gauche;
+      const haut = y;
+      const hauteurBarres = hauteur - 16;
+      graduations.forEach((v) => {
+        const x = gauche + v / echelleMax * largeur;
+        trait(x, haut, x, haut - hauteurBarres);
+        etiquette(entierFr(v), x, haut - hauteurBarres - 10, "centre");
+      });
+      let yc = haut - 4;
+      categories.forEach((cat, i) => {
+        const hGroupe = series.length * 10;
+        etiquette(couper(cat, polices.normal, taille, 104)[0], gauche - 6, yc - hGroupe / 2 - 2.5, "droite");
+        series.forEach((s, k) => {
+          const v = s.valeurs[i];
+          if (v == null || v <= 0) return;
+          page.drawRectangle({ x: gauche, y: yc - (k + 1) * 10 + 1, width: v / echelleMax * largeur, height: 8, color: couleur(s.couleur) });
+        });
+        yc -= hGroupe + 8;
+      });
+      trait(gauche, haut, gauche, haut - hauteurBarres, COULEURS.discret);
+      y = haut - hauteur;
+    } else {
+      const gauche = PAGE.marge + 28;
+      const largeur = PAGE.marge + largeurUtile - gauche;
+      const hauteurBarres = hauteur - 30;
+      const base = y - hauteurBarres;
+      graduations.forEach((v) => {
+        const yv = base + v / echelleMax * hauteurBarres;
+        trait(gauche, yv, gauche + largeur, yv);
+        etiquette(entierFr(v), gauche - 4, yv - 2.5, "droite");
+      });
+      const groupe = largeur / Math.max(1, categories.length);
+      const barre = Math.min(18, (groupe - 6) / series.length);
+      categories.forEach((cat, i) => {
+        const x0 = gauche + i * groupe + (groupe - barre * series.length) / 2;
+        series.forEach((s, k) => {
+          const v = s.valeurs[i];
+          if (v == null || v <= 0) return;
+          page.drawRectangle({ x: x0 + k * barre, y: base, width: barre - 1, height: v / echelleMax * hauteurBarres, color: couleur(s.couleur) });
+        });
+        etiquette(couper(cat, polices.normal, taille, groupe - 2)[0], gauche + (i + 0.5) * groupe, base - 11, "centre");
+      });
+      trait(gauche, base, gauche + largeur, base, COULEURS.discret);
+      y = base - 30;
+    }
+  };
+
+  const rendus = {
+    titre: (b) => { reserver(60); ecrire(b.texte, { police: polices.gras, taille: 11, teinte: COULEURS.secondaire, apres: 4 }); },
+    paragraphe: (b) => ecrire(b.texte, { apres: 8 }),
+    liste: (b) => { b.elements.forEach((t) => ecrire(t, { retrait: 14, apres: 2, puce: true })); y -= 6; },
+    tableau: (b) => tableau(b),
+    graphique: (b) => graphique(b),
+  };
+
+  const sommaire = [];
+  const section = (titre, rendre) => {
+    if (!page) nouvellePage();
+    if (y < PAGE.hauteur - PAGE.marge) y -= 14;
+    reserver(90);
+    sommaire.push({ titre, page, y });
+    ecrire(titre, { police: polices.gras, taille: 13, teinte: COULEURS.titre, apres: 0 });
+    page.drawLine({ start: { x: PAGE.marge, y: y - 2 }, end: { x: PAGE.marge + largeurUtile, y: y - 2 }, thickness: 1.5, color: couleur(COULEURS.bordureEntete) });
+    y -= 14;
+    rendre();
+  };
+
+  document.sections.forEach((s) => section(s.titre, () => s.blocs.forEach((b) => rendus[b.type](b))));
+  section("ANNEXE — FICHIERS SOURCES", () => {
+    ecrire("Rapports mensuels et tableurs à l'origine des données du document :", { apres: 8 });
+    tableau(document.sources);
+  });
+  if (document.mentions?.length) {
+    reserver(20 + document.mentions.length * 12);
+    y -= 10;
+    page.drawLine({ start: { x: PAGE.marge, y }, end: { x: PAGE.marge + largeurUtile, y }, thickness: 0.5, color: couleur(COULEURS.bordure) });
+    y -= 8;
+    document.mentions.forEach((m) => ecrire(m, { taille: 8, teinte: COULEURS.discret, apres: 1 }));
+  }
+
+  // ── Couverture et sommaire ──
+  const lignesParPageSommaire = Math.floor((PAGE.hauteur - 2 * PAGE.marge - PIED - 60) / 18);
+  const nbPagesSommaire = Math.max(1, Math.ceil(sommaire.length / lignesParPageSommaire));
+  const numero = (p) => pdf.getPages().indexOf(p) + 1;
+
+  const couverture = pdf.insertPage(0, [PAGE.largeur, PAGE.hauteur]);
+  const centre = (p, texte, yt, taille, police, teinte) => {
+    couper(texte, police, taille, largeurUtile).forEach((l, i) => {
+      p.drawText(l, { x: (PAGE.largeur - police.widthOfTextAtSize(l, taille)) / 2, y: yt - i * taille * 1.3, size: taille, font: police, color: couleur(teinte) });
+    });
+  };
+  let yc = PAGE.hauteur - 220;
+  centre(couverture, document.surtitre, yc, 11, polices.gras, "#64748B");
+  centre(couverture, document.titre, yc -= 34, 22, polices.gras, COULEURS.texte);
+  centre(couverture, document.sousTitre, yc -= 30, 14, polices.gras, "#3B82F6");
+  yc -= 40;
+  (document.couverture ?? []).forEach((l) => { centre(couverture, l, yc, 9.5, polices.italique, "#64748B"); yc -= 14; });
+  couverture.drawLine({ start: { x: PAGE.marge, y: yc - 10 }, end: { x: PAGE.largeur - PAGE.marge, y: yc - 10 }, thickness: 2, color: couleur(COULEURS.texte) });
+  const encadre = document.encadre ?? [];
+  if (encadre.length) {
+    const w = largeurUtile / encadre.length;
+    const yb = yc - 40;
+    encadre.forEach(([libelle, valeur], i) => {
+      const x = PAGE.marge + i * w;
+      couverture.drawRectangle({ x, y: yb - 56, width: w, height: 56, borderColor: couleur(COULEURS.bordure), borderWidth: 0.75 });
+      const cx = (texte, yt, taille, police, teinte) => {
+        const l = couper(texte, police, taille, w - 8)[0];
+        couverture.drawText(l, { x: x + (w - police.widthOfTextAtSize(l, taille)) / 2, y: yt, size: taille, font: police, color: couleur(teinte) });
+      };
+      cx(libelle, yb - 20, 9, polices.gras, "#64748B");
+      cx(valeur, yb - 38, 10.5, polices.gras, COULEURS.texte);
+    });
+  }
+
+  const pagesSommaire = Array.from({ length: nbPagesSommaire }, (_, i) => pdf.insertPage(1 + i, [PAGE.largeur, PAGE.hauteur]));
+  sommaire.forEach((entree, i) => {
+    const p = pagesSommaire[Math.floor(i / lignesParPageSommaire)];
+    const rang = i % lignesParPageSommaire;
+    if (rang === 0) {
+      p.drawText("SOMMAIRE", { x: PAGE.marge, y: PAGE.hauteur - PAGE.marge - 13, size: 13, font: polices.gras, color: couleur(COULEURS.titre) });
+    }
+    const yt = PAGE.hauteur - PAGE.marge - 50 - rang * 18;
+    const num = String(numero(entree.page));
+    const largeurNum = polices.normal.widthOfTextAtSize(num, CORPS);
+    const titre = couper(entree.titre, polices.normal, CORPS, largeurUtile - 60)[0];
+    const largeurTitre = polices.normal.widthOfTextAtSize(titre, CORPS);
+    p.drawText(titre, { x: PAGE.marge, y: yt, size: CORPS, font: polices.normal, color: couleur(COULEURS.texte) });
+    const points = ".".repeat(Math.max(0, Math.floor((largeurUtile - largeurTitre - largeurNum - 12) / polices.normal.widthOfTextAtSize(".", CORPS))));
+    p.drawText(points, { x: PAGE.marge + largeurTitre + 6, y: yt, size: CORPS, font: polices.normal, color: couleur(COULEURS.discret) });
+    p.drawText(num, { x: PAGE.marge + largeurUtile - largeurNum, y: yt, size: CORPS, font: polices.normal, color: couleur(COULEURS.texte) });
+    // Lien vers le début du chapitre
+    const lien = pdf.context.register(pdf.context.obj({
+      Type: "Annot", Subtype: "Link", Rect: [PAGE.marge, yt - 4, PAGE.marge + largeurUtile, yt + CORPS + 2], Border: [0, 0, 0],
+      Dest: [entree.page.ref, "XYZ", PAGE.marge, entree.y, 0],
+    }));
+    p.node.addAnnot(lien);
+  });
+
+  // ── Pied de page : texte courant et numérotation (hors couverture) ──
+  const pages = pdf.getPages();
+  pages.forEach((p, i) => {
+    if (i === 0) return;
+    const yp = PAGE.marge - 14;
+    p.drawLine({ start: { x: PAGE.marge, y: yp + 12 }, end: { x: PAGE.largeur - PAGE.marge, y: yp + 12 }, thickness: 0.5, color: couleur(COULEURS.bordure) });
+    const num = `Page ${i + 1} / ${pages.length}`;
+    const largeurNum = polices.normal.widthOfTextAtSize(num, 8);
+    p.drawText(couper(document.piedDePage, polices.normal, 8, largeurUtile - largeurNum - 20)[0], { x: PAGE.marge, y: yp, size: 8, font: polices.normal, color: couleur(COULEURS.discret) });
+    p.drawText(num, { x: PAGE.largeur - PAGE.marge - largeurNum, y: yp, size: 8, font: polices.normal, color: couleur(COULEURS.discret) });
+  });
+
+  const { titre, sujet, auteur = "Observatoire de la délinquance" } = document.metadonnees;
+  pdf.setTitle(propre(titre));
+  if (sujet) pdf.setSubject(propre(sujet));
+  pdf.setAuthor(propre(auteur));
+  pdf.setLanguage("fr-FR");
+  pdf.setCreator("Suivi de la délinquance");
+  pdf.setProducer("pdf-lib");
+  return pdf.save();
+}
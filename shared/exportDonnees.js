@@ -0,0 +1,94 @@
+/**
+ * Export du jeu de données en format long (« tidy ») : une ligne par commune, mois et indicateur, colonnes stables
+ * et typées, pour le chargement dans des outils d'analyse (tableur, R, pandas, Parquet…).
+ * Utilisé par l'application (téléchargement) et par le serveur (GET /api/export).
+ */
+import { INDICATEURS } from "./indicateurs.js";
+
+/** Colonnes de l'export, dans l'ordre. */
+export const COLONNES_EXPORT = [
+  "commune", "commune_key", "annee", "mois", "indicateur", "libelle", "categorie", "index_4001",
+  "val_n", "val_n1", "cumul", "cumul_n1", "donnees_source", "fichier_source",
+];
+
+const nombreOuNull = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+/**
+ * Lignes de l'export pour des mois importés (entrées au format de parsePdfInBrowser ; les entrées en erreur sont
+ * ignorées), par commune, année, mois puis ordre du catalogue. Une valeur absente vaut null ; `index_4001` est la
+ * liste des index de l'état 4001 regroupés par l'indicateur (vide pour les totaux).
+ * @param {Array<object>} entries
+ * @returns {Array<object>} objets aux clés de COLONNES_EXPORT
+ */
+export function lignesExport(entries) {
+  const mois = entries
+    .filter((e) => !e.erreur && e.indicateurs)
+    .sort((a, b) => a.communeKey.localeCompare(b.communeKey, "fr") || a.annee - b.annee || a.mois - b.mois);
+  const lignes = [];
+  for (const e of mois) {
+    for (const def of INDICATEURS) {
+      const ind = e.indicateurs[def.key];
+      if (!ind) continue;
+      lignes.push({
+        commune: e.commune,
+        commune_key: e.communeKey,
+        annee: e.annee,
+        mois: e.mois,
+        indicateur: def.key,
+        libelle: def.label,
+        categorie: def.cat,
+        index_4001: [...def.index],
+        val_n: nombreOuNull(ind.valN),
+        val_n1: nombreOuNull(ind.valN1),
+        cumul: nombreOuNull(ind.cumul),
+        cumul_n1: nombreOuNull(ind.cumulN1),
+        donnees_source: e.donneesSource ?? null,
+        fichier_source: e.fichierSource ?? null,
+      });
+    }
+  }
+  return lignes;
+}
+
+/**
+ * Champ CSV (RFC 4180) : guillemets si nécessaire, vide pour null ; index 4001 séparés par « | ». Un texte
+ * commençant par =, +, -, @, tabulation ou retour chariot est préfixé d'une apostrophe pour qu'un tableur ne
+ * l'interprète pas comme une formule ; les nombres restent tels quels.
+ */
+function champCsv(v) {
+  if (v == null) return "";
+  if (typeof v === "number") return String(v);
+  let s = Array.isArray(v) ? v.join("|") : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV (virgule, point décimal, UTF-8, fins de ligne CRLF) avec une ligne d'en-tête. */
+export function toCsv(lignes) {
+  const rows = [COLONNES_EXPORT, ...lignes.map((l) => COLONNES_EXPORT.map((c) => l[c]))];
+  return rows.map((r) => r.map(champCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+/** JSON : tableau d'objets aux clés de COLONNES_EXPORT. */
+export function toJson(lignes) {
+  return JSON.stringify(lignes, null, 2) + "\n";
+}
+
+/** Formats d'export : sérialisation, type MIME et extension du fichier. */
+export const FORMATS_EXPORT = {
+  csv: { serialiser: toCsv, type: "text/csv; charset=utf-8", extension: "csv" },
+  json: { serialiser: toJson, type: "application/json; charset=utf-8", extension: "json" },
+};
+
+/**
+ * Export complet de mois importés.
+ * @param {Array<object>} entries
+ * @param {"csv"|"json"} format
+ * @returns {{ contenu: string, type: string, nomFichier: string }}
+ * @throws si le format est inconnu
+ */
+export function exporterDonnees(entries, format) {
+  const f = FORMATS_EXPORT[format];
+  if (!f) throw new Error(`Format d'export inconnu : ${format} (attendu : ${Object.keys(FORMATS_EXPORT).join(", ")}).`);
+  return { contenu: f.serialiser(lignesExport(entries)), type: f.type, nomFichier: `donnees-delinquance.${f.extension}` };
+}
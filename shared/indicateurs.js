@@ -0,0 +1,105 @@
+/**
+ * Catalogue des indicateurs du rapport mensuel de l'Observatoire de la Délinquance.
+ * Le parsing (shared/pdfParser.js) et l'interface (ordre des indicateurs, couleurs des catégories)
+ * parcourent ce catalogue : ajouter un indicateur revient à ajouter une entrée ci-dessous.
+ *
+ * Champs d'un indicateur :
+ * - key : identifiant interne, stable (clé de `indicateurs` dans les mois importés)
+ * - label : libellé affiché dans l'application
+ * - cat : catégorie (voir CATEGORIES)
+ * - index : numéros d'index de l'état 4001 regroupés par la ligne du rapport
+ * - libelles : variantes du libellé dans le PDF, cherchées dans l'ordre (tableau reconstruit puis texte brut)
+ * - secours : libellé court après lequel lire un seul nombre (valeur N) si aucune paire N-1/N n'est trouvée
+ * - optionnel : ligne absente de certains modèles de rapport ; l'indicateur n'est retenu que s'il est trouvé
+ */
+
+export const CATEGORIES = [
+  { cat: "Général",      color: "#0369A1" },
+  { cat: "Personnes",    color: "#B91C1C" },
+  { cat: "Vols",         color: "#D97706" },
+  { cat: "Cambriolages", color: "#7C3AED" },
+  { cat: "Automobile",   color: "#B45309" },
+  { cat: "Autres",       color: "#0D9488" },
+];
+
+export const INDICATEURS = [
+  // Indicateurs généraux : lecture dédiée dans parsePdfText (cumul des faits, taux en ‰)
+  { key: "general_faits", label: "Faits constatés", cat: "Général", index: [], libelles: ["Nombre de faits constatés"] },
+  { key: "general_taux", label: "Taux criminalité (‰)", cat: "Général", index: [], libelles: ["Taux de criminalité"] },
+
+  // Atteintes aux personnes
+  { key: "cbv", label: "Coups et blessures volontaires", cat: "Personnes", index: [7],
+    libelles: ["Coups et blessures volontaires"], secours: "Coups et blessures" },
+  { key: "menaces", label: "Menaces ou chantages", cat: "Personnes", index: [11, 12],
+    libelles: ["Menaces ou chantages"] },
+  { key: "violences_sexuelles", label: "Violences sexuelles", cat: "Personnes", index: [46, 47, 48, 49, 50],
+    libelles: ["Violences sexuelles", "Viols et agressions sexuelles"], optionnel: true },
+
+  // Vols
+  { key: "vols_main_armee", label: "Vols à main armée (arme à feu)", cat: "Vols", index: [15, 16, 17, 18, 19],
+    libelles: ["Vols à main armée"], optionnel: true },
+  { key: "vols_violence", label: "Vols avec violence sans arme", cat: "Vols", index: [23, 24, 25, 26],
+    libelles: ["Vols avec violence sans arme", "Vols violents sans arme"], optionnel: true },
+  { key: "vols_tire", label: "Vols à la tire", cat: "Vols", index: [32],
+    libelles: ["Vols à la tire (32)", "Vols à la tire"], optionnel: true },
+  { key: "vols_etalage", label: "Vols à l'étalage", cat: "Vols", index: [33],
+    libelles: ["Vols à l'étalage (33)", "Vols à l'étalage"], optionnel: true },
+  { key: "vols_simples", label: "Vols simples", cat: "Vols", index: [41, 42, 43],
+    libelles: ["Vols simples (41"] },
+
+  // Cambriolages
+  { key: "camb_resid", label: "Cambriolages résidentiels", cat: "Cambriolages", index: [27, 28],
+    libelles: ["Cambriolages de résidences"], secours: "Cambriolages de résidences" },
+  { key: "camb_pro", label: "Cambriolages locaux pro.", cat: "Cambriolages", index: [29],
+    libelles: ["Cambriolages de locaux", "professionnelle, publique ou associative", "professionnelle ou associative (29)"],
+    secours: "Cambriolages de locaux" },
+  { key: "camb_autres", label: "Cambriolages autres lieux", cat: "Cambriolages", index: [30],
+    libelles: ["Cambriolages autres lieux", "Cambriolages d'autres lieux"], optionnel: true },
+  { key: "vols_ruse", label: "Vols avec entrée par ruse", cat: "Cambriolages", index: [31],
+    libelles: ["Vols avec entrée par ruse"], optionnel: true },
+
+  // Délinquance liée à l'automobile
+  { key: "vols_auto", label: "Vols d'automobiles", cat: "Automobile", index: [35],
+    libelles: ["Vols d'automobiles (35)", "Vols d'automobiles"], optionnel: true },
+  { key: "vols_2roues", label: "Vols de 2 roues", cat: "Automobile", index: [36],
+    libelles: ["Vols de 2 roues (36)", "Vols de deux roues"], optionnel: true },
+  { key: "roulotte", label: "Vols à la roulotte", cat: "Automobile", index: [37, 38],
+    libelles: ["Vols à la roulotte", "roulotte et d'accessoires"] },
+  { key: "destruc_veh", label: "Destructions véhicules", cat: "Automobile", index: [68],
+    libelles: ["Destructions et dégradations de véhicules privés", "véhicules privés (68)"] },
+
+  // Autres infractions
+  { key: "incendies", label: "Incendies volontaires", cat: "Autres", index: [62, 63],
+    libelles: ["Incendies volontaires de biens"] },
+  { key: "destruc_biens", label: "Destructions de biens publics et privés", cat: "Autres", index: [66, 67],
+    libelles: ["Destructions et dégradations de biens publics et privés", "biens publics et privés (66, 67)"], optionnel: true },
+  { key: "escroqueries", label: "Escroqueries et abus de confiance", cat: "Autres", index: [91],
+    libelles: ["Escroqueries et abus de confiance", "Escroqueries"], optionnel: true },
+  { key: "stupef", label: "Infractions stupéfiants", cat: "Autres", index: [55, 56, 57, 58],
+    libelles: ["stupéfiants constatées", "législation sur les stupéfiants"] },
+  { key: "autorite", label: "Atteintes à l'autorité", cat: "Autres", index: [72, 73],
+    libelles: ["Atteintes à l'autorité", "autorité (72, 73)"] },
+];
+
+/** Index de l'état 4001 → clé de l'indicateur qui le regroupe. */
+export const CLE_PAR_INDEX = Object.fromEntries(INDICATEURS.flatMap((def) => def.index.map((index) => [index, def.key])));
+
+/**
+ * Clé de l'indicateur regroupant un index de l'état 4001 (nombre ou chaîne : 41, "41", "index 41").
+ * @returns {string|null} null si l'index n'est suivi par aucun indicateur du catalogue
+ */
+export function cleDepuisIndex(index) {
+  const n = parseInt(String(index).replace(/\D+/g, ""), 10);
+  return CLE_PAR_INDEX[n] ?? null;
+}
+
+/** Index 4001 d'un indicateur, d'après le catalogue (les mois importés avant leur ajout ne les portent pas). */
+export function indexDe(key) {
+  return INDICATEURS.find((def) => def.key === key)?.index ?? [];
+}
+
+/** Index 4001 d'un indicateur au format "41, 42, 43" ; "—" pour les indicateurs généraux. */
+export function formatIndex(key) {
+  const index = indexDe(key);
+  return index.length ? index.join(", ") : "—";
+}
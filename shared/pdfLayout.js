@@ -0,0 +1,127 @@
+/**
+ * Reconstruction des tableaux d'indicateurs à partir des positions des éléments de texte (PDF.js).
+ * Chaque tableau commence par un en-tête "Mois N-1 | Mois N | Variation | Cumul N | Variation cumul" ;
+ * les colonnes sont déduites de cet en-tête et chaque ligne est ancrée sur la valeur de la colonne N-1.
+ * Module isomorphe : les éléments sont fournis par le backend d'extraction (pdfjs-dist ou pdf-parse).
+ */
+
+const MOIS_RE = /^(janvier|f[ée]vrier|mars|avril|mai|juin|juillet|ao[uû]t|septembre|octobre|novembre|d[ée]cembre)\b/i;
+const VALEUR_RE = /^\d+(?:[.,]\d+)?\s*‰?$/;
+// Textes possibles d'un en-tête de colonne ("Juin", "2024", "Variation", "cumul", "2023/2024", "Cumul 2024"…)
+const ENTETE_RE = /^(?:cumul|variation|20\d{2}(?:\s*\/\s*20\d{2})?$)/i;
+// Écart vertical maximal entre deux éléments d'une même ligne de texte, et demi-hauteur de la dernière ligne d'un tableau
+const TOL_LIGNE = 2;
+const DEMI_LIGNE_MAX = 30;
+
+/**
+ * Convertit un élément de getTextContent() en { str, x, y, width } (coordonnées PDF, y vers le haut).
+ */
+export function toLayoutItem(item) {
+  return { str: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 };
+}
+
+const centreX = (it) => it.x + it.width / 2;
+
+/** Texte d'une cellule : éléments lus de haut en bas puis de gauche à droite, espaces normalisés. */
+function cellText(items) {
+  const sorted = [...items].sort((a, b) => (Math.abs(a.y - b.y) <= TOL_LIGNE ? a.x - b.x : b.y - a.y));
+  const text = sorted.map((it) => it.str).join(" ").replace(/\s+/g, " ").trim();
+  return text || null;
+}
+
+const toNumber = (s) => {
+  if (s == null) return null;
+  const v = parseFloat(s.replace(/\s|‰/g, "").replace(",", "."));
+  return isNaN(v) ? null : v;
+};
+
+/**
+ * Repère les en-têtes de tableau d'une page : un élément "Cumul…" et les éléments voisins sur la même bande.
+ * @returns {Array<{ top: number, bottom: number, columns: Array<{ name: string, x: number }> }>} du haut vers le bas
+ */
+function findHeaders(items) {
+  const headers = [];
+  for (const cumulItem of items.filter((it) => /^Cumul\b/.test(it.str.trim()))) {
+    if (headers.some((h) => cumulItem.y <= h.top && cumulItem.y >= h.bottom)) continue;
+    const band = items.filter((it) => {
+      const str = it.str.trim();
+      return Math.abs(it.y - cumulItem.y) <= 25 && (ENTETE_RE.test(str) || MOIS_RE.test(str));
+    });
+    const cumulX = centreX(cumulItem);
+    const mois = band.filter((it) => MOIS_RE.test(it.str.trim())).sort((a, b) => a.x - b.x);
+    if (mois.length < 2) continue;
+    const variations = band.filter((it) => /^Variation\b/.test(it.str.trim()));
+    const columns = [
+      { name: "n1", x: centreX(mois[0]) },
+      { name: "n", x: centreX(mois[1]) },
+      { name: "cumul", x: cumulX },
+    ];
+    const varMois = variations.find((it) => centreX(it) < cumulX && centreX(it) > centreX(mois[1]));
+    const varCumul = variations.find((it) => centreX(it) > cumulX);
+    if (varMois) columns.push({ name: "variation", x: centreX(varMois) });
+    if (varCumul) columns.push({ name: "variationCumul", x: centreX(varCumul) });
+    columns.sort((a, b) => a.x - b.x);
+    headers.push({
+      top: Math.max(...band.map((it) => it.y)),
+      bottom: Math.min(...band.map((it) => it.y)),
+      columns,
+    });
+  }
+  return headers.sort((a, b) => b.top - a.top);
+}
+
+/** Colonne d'un élément : la plus proche de son centre ; null pour la colonne des libellés (à gauche). */
+function columnOf(item, columns) {
+  const x = centreX(item);
+  const first = columns[0];
+  const second = columns[1];
+  if (x < first.x - (second.x - first.x) / 2) return null;
+  let best = first;
+  for (const col of columns) if (Math.abs(col.x - x) < Math.abs(best.x - x)) best = col;
+  return best.name;
+}
+
+/**
+ * Lignes des tableaux d'une page.
+ * @param {Array<{ str, x, y, width }>} items
+ */
+function pageRows(items) {
+  const rows = [];
+  const headers = findHeaders(items);
+  headers.forEach((header, h) => {
+    const floor = headers[h + 1] ? headers[h + 1].top : -Infinity;
+    const inTable = items.filter((it) => it.str.trim() && it.y < header.bottom && it.y > floor);
+    const anchors = inTable
+      .filter((it) => columnOf(it, header.columns) === "n1" && VALEUR_RE.test(it.str.trim()))
+      .sort((a, b) => b.y - a.y);
+    anchors.forEach((anchor, i) => {
+      const upper = i === 0 ? header.bottom : (anchors[i - 1].y + anchor.y) / 2;
+      const lower = i === anchors.length - 1
+        ? Math.max(anchor.y - DEMI_LIGNE_MAX, floor)
+        : (anchor.y + anchors[i + 1].y) / 2;
+      const cells = { label: [], n1: [], n: [], variation: [], cumul: [], variationCumul: [] };
+      for (const it of inTable) {
+        if (it.y >= upper || it.y <= lower) continue;
+        cells[columnOf(it, header.columns) ?? "label"].push(it);
+      }
+      rows.push({
+        label: cellText(cells.label),
+        n1: toNumber(cellText(cells.n1)),
+        n: toNumber(cellText(cells.n)),
+        variation: cellText(cells.variation),
+        cumul: toNumber(cellText(cells.cumul)),
+        variationCumul: cellText(cells.variationCumul),
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Reconstruit les lignes de tous les tableaux du rapport.
+ * @param {Array<Array<{ str, x, y, width }>>} pages - éléments de texte positionnés, page par page
+ * @returns {Array<{ label: string|null, n1: number|null, n: number|null, variation: string|null, cumul: number|null, variationCumul: string|null }>}
+ */
+export function extractTableRows(pages) {
+  return (pages || []).flatMap((items) => pageRows(items));
+}
@@ -0,0 +1,448 @@
+/**
+ * Parsing des PDF de l'Observatoire de la Délinquance, commun au navigateur et au serveur.
+ * Module isomorphe (sans dépendance) : nom de fichier, texte extrait et indicateurs au format frontend.
+ * L'extraction du texte est fournie par l'appelant (pdfjs-dist côté client, pdf-parse côté serveur).
+ */
+import { extractTableRows } from "./pdfLayout.js";
+import { INDICATEURS } from "./indicateurs.js";
+
+function normalizeNum(s) {
+  if (s == null || s === "") return null;
+  const n = String(s).replace(/\s/g, "").replace(",", ".");
+  const v = parseFloat(n);
+  return isNaN(v) ? null : v;
+}
+
+function parseIntStrict(s) {
+  if (s == null || s === "") return null;
+  const n = String(s).replace(/\s/g, "");
+  const v = parseInt(n, 10);
+  return isNaN(v) ? null : v;
+}
+
+const MOIS_MAP = {
+  janvier: 1, jan: 1, fevrier: 2, février: 2, fev: 2, mars: 3, avril: 4, mai: 5,
+  juin: 6, juillet: 7, juil: 7, aout: 8, août: 8, septembre: 9, sept: 9, sep: 9, octobre: 10,
+  novembre: 11, decembre: 12, décembre: 12, dec: 12, déc: 12,
+};
+// Graphies corrompues rencontrées dans des noms de fichier
+const MOIS_FALLBACK = { delcembre: 12, aoult: 8, aoul: 8 };
+export const MOIS_LABELS = ["", "Janvier", "Février", "Mars", "Avril", "Mai", "Juin", "Juillet", "Août", "Septembre", "Octobre", "Novembre", "Décembre"];
+
+/** Numéro (1-12) d'un nom de mois français, avec ou sans accents ; null si inconnu. */
+export function moisIndexOf(str) {
+  const moisTrim = String(str).trim().toLowerCase();
+  const moisClean = moisTrim.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, "");
+  return MOIS_MAP[moisTrim] || MOIS_MAP[moisClean] || MOIS_FALLBACK[moisClean] || null;
+}
+
+/**
+ * Corrige les noms de fichier dont l’encodage a été mal interprété (UTF-8 lu en Latin-1).
+ */
+export function fixFilenameEncoding(str) {
+  return String(str)
+    .replace(/Ã©/g, "é")
+    .replace(/Ã¨/g, "è")
+    .replace(/Ã /g, "à")
+    .replace(/Ã´/g, "ô")
+    .replace(/Ã»/g, "û")
+    .replace(/Ã§/g, "ç")
+    .replace(/Ã®/g, "î")
+    .replace(/Ã¯/g, "ï")
+    .replace(/Ã¼/g, "ü")
+    .replace(/Ã‰/g, "É")
+    .replace(/Ã€/g, "À");
+}
+
+/**
+ * Parse le nom de fichier pour en extraire commune, mois, année.
+ * Formats: 06_Saint_Alban_juin2024.pdf ou Saint_Alban_septembre2023.pdf
+ * Gère les accents (décembre, août) et les encodages corrompus.
+ */
+export function parseFilename(filename) {
+  let base = filename.replace(/\.pdf$/i, "").trim();
+  base = fixFilenameEncoding(base).normalize("NFC");
+  // Mois : n’importe quels caractères avant les 4 chiffres de l’année (pour accepter décembre, août, etc.)
+  const reA = /^(\d{1,2})_(.+?)_([^\d_]+?)(\d{4})$/;
+  const reB = /^(.+?)_([^\d_]+?)(\d{4})$/;
+
+  let communeRaw, moisStr, anneeStr;
+  const mA = base.match(reA);
+  const mB = base.match(reB);
+  if (mA) {
+    [, , communeRaw, moisStr, anneeStr] = mA;
+  } else if (mB) {
+    [, communeRaw, moisStr, anneeStr] = mB;
+  } else {
+    return { erreur: `Format de nom de fichier non reconnu : ${filename}` };
+  }
+
+  const moisIndex = moisIndexOf(moisStr);
+  if (!moisIndex) {
+    return { erreur: `Mois "${moisStr.trim()}" non reconnu.` };
+  }
+
+  const annee = parseInt(anneeStr, 10);
+  const commune = communeRaw.replace(/_/g, " ").replace(/-/g, " ").trim();
+  const moisLabel = MOIS_LABELS[moisIndex];
+
+  return { commune, mois: moisIndex, moisLabel, annee };
+}
+
+/**
+ * Clé de regroupement d'une commune : insensible à la casse, aux accents et aux séparateurs
+ * ("Saint-Alban", "SAINT ALBAN" et "saint_alban" désignent la même commune).
+ */
+export function communeKeyOf(commune) {
+  return String(commune || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[\s_\-']+/g, " ").trim();
+}
+
+/**
+ * Lit la commune et la période dans l'en-tête du rapport, de la forme
+ * "Juin 2024 … OBSERVATOIRE de la DELINQUANCE SAINT ALBAN Commune de Saint Alban : Population…".
+ * Chaque champ vaut null s'il n'est pas trouvé.
+ * @returns {{ commune: string|null, mois: number|null, moisLabel: string|null, annee: number|null }}
+ */
+export function parseHeader(text) {
+  const norm = (text || "").replace(/\s+/g, " ").trim().normalize("NFC");
+
+  let commune = null;
+  const communeMatch = norm.match(/Commune de\s+(.+?)\s*:\s*Population/i)
+    || norm.match(/D[ÉE]LINQUANCE\s+(.+?)\s+Commune de/i);
+  if (communeMatch) commune = communeMatch[1].trim() || null;
+
+  // Première mention "Mois AAAA" : le titre du rapport, avant les en-têtes de colonnes (N-1 puis N)
+  let mois = null, annee = null;
+  const periodeMatch = norm.match(/\b(janvier|f[ée]vrier|mars|avril|mai|juin|juillet|ao[uû]t|septembre|octobre|novembre|d[ée]cembre)\s+(20\d{2})\b/i);
+  if (periodeMatch) {
+    mois = moisIndexOf(periodeMatch[1]);
+    annee = parseInt(periodeMatch[2], 10);
+  }
+  // Sans titre, la première mention est la colonne N-1 : l'année du cumul fait foi
+  const cumulMatch = norm.match(/Cumul\s+(20\d{2})/i);
+  if (cumulMatch) annee = parseInt(cumulMatch[1], 10);
+
+  return { commune, mois, moisLabel: mois ? MOIS_LABELS[mois] : null, annee };
+}
+
+/**
+ * Identifie commune et période d'un rapport : l'en-tête du PDF fait foi, le nom de fichier
+ * sert de secours et de contrôle. Tout désaccord ou recours au nom de fichier produit un avertissement.
+ * @returns {{ commune, mois, moisLabel, annee, avertissements: string[], erreur? }}
+ */
+export function identifyReport(text, filename) {
+  const header = parseHeader(text);
+  const fromName = parseFilename(filename);
+  const avertissements = [];
+
+  let commune = header.commune;
+  if (!commune && !fromName.erreur) {
+    commune = fromName.commune;
+    avertissements.push(`Commune absente de l'en-tête du PDF : « ${commune} » lue dans le nom du fichier.`);
+  } else if (commune && !fromName.erreur && communeKeyOf(commune) !== communeKeyOf(fromName.commune)) {
+    avertissements.push(`Le PDF concerne « ${commune} » mais le nom du fichier indique « ${fromName.commune} » : la commune du PDF est retenue.`);
+  }
+
+  let { mois, moisLabel, annee } = header;
+  if ((!mois || !annee) && !fromName.erreur) {
+    ({ mois, moisLabel, annee } = fromName);
+    avertissements.push(`Période absente de l'en-tête du PDF : ${moisLabel} ${annee} lue dans le nom du fichier.`);
+  } else if (mois && annee && !fromName.erreur && (mois !== fromName.mois || annee !== fromName.annee)) {
+    avertissements.push(`Le PDF porte sur ${moisLabel} ${annee} mais le nom du fichier indique ${fromName.moisLabel} ${fromName.annee} : la période du PDF est retenue.`);
+  }
+
+  if (!commune || !mois || !annee) {
+    const manquant = !commune ? "la commune" : "la période";
+    return { erreur: `Impossible d'identifier ${manquant} : ni l'en-tête du PDF ni le nom du fichier ne l'indiquent (${fromName.erreur || filename}).` };
+  }
+  return { commune, mois, moisLabel, annee, avertissements };
+}
+
+/**
+ * À partir du texte brut PDF, extrait les indicateurs.
+ * Les PDFs ont des libellés du type "Coups et blessures volontaires" puis deux nombres (N-1, N).
+ * On garde N-1 pour valN1 et N (année courante) pour valN.
+ * Si les lignes de tableau reconstruites par extractTableRows sont fournies, elles priment sur le texte brut.
+ */
+export function parsePdfText(text, rows = []) {
+  const t = text || "";
+  // Normaliser : espaces multiples et retours à la ligne en un espace, apostrophes typographiques
+  // comme dans les libellés du catalogue
+  const norm = t.replace(/\s+/g, " ").replace(/[’‘]/g, "'").trim();
+
+  // Paire de nombres N-1 et N sur la même ligne (souvent suivie de " +" ou " -" ou " %")
+  // On ignore les paires type (27, 28) ou (37, 38) : premier nombre > 25 et second < 5 → code article
+  const getTwoIntsAfter = (label) => {
+    const idx = norm.indexOf(label);
+    if (idx === -1) return [null, null];
+    const after = norm.slice(idx + label.length, idx + label.length + 180);
+    const re = /(\d+)\s+(\d+)\s*[\+\-%\d]/g;
+    let m;
+    while ((m = re.exec(after)) !== null) {
+      const a = parseIntStrict(m[1]);
+      const b = parseIntStrict(m[2]);
+      if (a > 200 || b > 200) continue;
+      if (a > 25 && b < 5) continue; // exclut (27, 28) etc.
+      // Reste de la ligne (variation du mois, cumul, variation du cumul), à partir du caractère suivant la paire
+      const tailStart = idx + label.length + m.index + m[0].length - 1;
+      return [a, b, norm.slice(tailStart, tailStart + 120)];
+    }
+    return [null, null];
+  };
+
+  // Après la paire N-1/N : variation du mois, cumul de l'année N puis (rapports récents) variation du cumul,
+  // d'où l'on déduit le cumul N-1 = cumul N − écart en faits.
+  // Variation imprimée dans le PDF : "+ 20.00 % (+1 fait(s))", "0,00 %", "- 2 fait(s)"…
+  const VARIATION = "(?:[+\\-]?\\s*\\d+(?:[.,]\\d+)?\\s*%(?:\\s*\\(\\s*[+\\-]?\\s*\\d+\\s*fait\\(s\\)\\s*\\))?|[+\\-]\\s*\\d+\\s*fait\\(s\\))";
+  const reCumul = new RegExp(`^\\s*${VARIATION}\\s*(\\d+)(?:\\s*(${VARIATION}))?`);
+  const deltaFaits = (variation) => {
+    if (!variation) return null;
+    const m = variation.match(/([+\-])\s*(\d+)\s*fait/);
+    if (m) return (m[1] === "-" ? -1 : 1) * parseIntStrict(m[2]);
+    return /^0+(?:[.,]0+)?\s*%$/.test(variation.trim()) ? 0 : null;
+  };
+  const cumulN1From = (cumul, variation) => {
+    const delta = deltaFaits(variation);
+    let cumulN1 = cumul != null && delta != null ? cumul - delta : null;
+    // Cohérence avec le pourcentage imprimé (certains rapports recopient la variation d'une autre ligne)
+    const pct = variation ? variation.match(/^([+\-]?)\s*(\d+(?:[.,]\d+)?)\s*%/) : null;
+    if (cumulN1 != null && cumulN1 < 0) cumulN1 = null;
+    if (cumulN1 != null && cumulN1 > 0 && pct) {
+      const printed = (pct[1] === "-" ? -1 : 1) * normalizeNum(pct[2]);
+      if (Math.abs((cumul - cumulN1) / cumulN1 * 100 - printed) > 1) cumulN1 = null;
+    }
+    return cumulN1;
+  };
+  const readCumul = (tail) => {
+    const m = tail ? tail.match(reCumul) : null;
+    if (!m) return { cumul: null, cumulN1: null };
+    const cumul = parseIntStrict(m[1]);
+    return { cumul, cumulN1: cumulN1From(cumul, m[2]) };
+  };
+
+  // Lignes du tableau reconstruit à partir des positions (shared/pdfLayout.js) : prioritaires sur la lecture
+  // du texte brut, qui reste le secours quand le backend ne fournit pas les positions.
+  const labelKey = (label) => label.normalize("NFC").replace(/[’‘]/g, "'").replace(/\s+/g, "").toLowerCase();
+  const tableRow = (...labels) => {
+    const keys = labels.map(labelKey);
+    const row = rows.find((r) => r.label && keys.some((k) => labelKey(r.label).includes(k)));
+    return row && row.n1 != null && row.n != null ? row : null;
+  };
+  const fromTable = (row) => ({ n1: row.n1, n: row.n, cumul: row.cumul, cumulN1: cumulN1From(row.cumul, row.variationCumul) });
+
+  const getOneIntAfter = (label) => {
+    const idx = norm.indexOf(label);
+    if (idx === -1) return null;
+    const after = norm.slice(idx + label.length, idx + label.length + 80);
+    const match = after.match(/\d+/);
+    return match ? parseIntStrict(match[0]) : null;
+  };
+
+  // Population, Surface, Densité
+  let population = null;
+  let surface = null;
+  let densite = null;
+  const popMatch = norm.match(/Population\s*\*?\s*:?\s*(\d[\d\s]*)\s*habitants/i);
+  if (popMatch) population = normalizeNum(popMatch[1]);
+  const surfMatch = norm.match(/Surface\s*:?\s*(\d[\d\s,]*)\s*km/i);
+  if (surfMatch) surface = normalizeNum(surfMatch[1]);
+  const densMatch = norm.match(/Densité\s*:?\s*(\d[\d\s,]*)\s*hab/i);
+  if (densMatch) densite = normalizeNum(densMatch[1]);
+
+  // Nombre de faits constatés : N-1, N (deux premiers entiers), cumul (après "Cumul 20XX" ou "fait(s)) NNN")
+  let faitsN1 = null, faitsN = null, cumul = null, cumulN1 = null;
+  const faitsRow = tableRow("Nombre de faits constatés");
+  const faitsIdx = faitsRow ? -1 : norm.indexOf("Nombre de faits constatés");
+  if (faitsRow) {
+    ({ n1: faitsN1, n: faitsN, cumul, cumulN1 } = fromTable(faitsRow));
+  } else if (faitsIdx !== -1) {
+    const block = norm.slice(faitsIdx, faitsIdx + 280);
+    const nums = block.match(/\d+/g);
+    if (nums && nums.length >= 2) {
+      faitsN1 = parseIntStrict(nums[0]);
+      faitsN = parseIntStrict(nums[1]);
+    }
+    // Cumul : nombre à 2-4 chiffres après "fait(s)) " ou "Cumul 20XX"
+    const cumulAfterFait = block.match(/fait\s*\(\s*s\s*\)\s*\)\s*(\d{2,4})/i) || block.match(/fait\(s\)\)\s*(\d{2,4})/);
+    if (cumulAfterFait) cumul = parseIntStrict(cumulAfterFait[1]);
+    const faitsHead = block.match(/^Nombre de faits constatés\s*\d+\s+\d+\s*/);
+    if (faitsHead) {
+      const cumulFaits = readCumul(block.slice(faitsHead[0].length));
+      if (cumul == null) cumul = cumulFaits.cumul;
+      if (cumulFaits.cumul === cumul) cumulN1 = cumulFaits.cumulN1;
+    }
+  }
+  if (cumul == null && !faitsRow) {
+    const cumulMatch = norm.match(/Cumul\s*20\d{2}\s*(\d{2,4})/i);
+    if (cumulMatch) cumul = parseIntStrict(cumulMatch[1]);
+  }
+
+  // Taux de criminalité : deux nombres en ‰ (année N-1 puis année N)
+  let taux = null, tauxN1 = null;
+  const tauxRow = tableRow("Taux de criminalité");
+  const tauxMatch = tauxRow ? null : norm.match(/Taux de criminalité\s*([\d.,\s]+)\s*‰\s*([\d.,\s]+)\s*‰/i);
+  if (tauxRow) {
+    tauxN1 = tauxRow.n1;
+    taux = tauxRow.n;
+  } else if (tauxMatch) {
+    tauxN1 = normalizeNum(tauxMatch[1]);
+    taux = normalizeNum(tauxMatch[2]);
+  }
+
+  // Catégories : paire [N-1, N] après chaque libellé (colonnes année N-1 et année N)
+  // Premier libellé trouvé parmi les variantes
+  const firstPair = (...labels) => {
+    for (const label of labels) {
+      const pair = getTwoIntsAfter(label);
+      if (pair[1] !== null) return pair;
+    }
+    return [null, null];
+  };
+  // Secours : un seul nombre lu après le libellé, N-1 inconnu (4e élément : valeur lue par getOneIntAfter)
+  const orOneInt = (pair, label) => pair[1] !== null ? pair : [null, getOneIntAfter(label), undefined, true];
+  // Ligne complète d'un indicateur : N-1, N, cumul N et cumul N-1, avec l'origine de la lecture
+  const toRow = ([n1, n, tail, secours = false]) => ({ n1, n, ...readCumul(tail), source: secours ? "secours" : "texte" });
+  // Ligne du tableau si elle est trouvée parmi les libellés, sinon lecture du texte brut
+  const indicator = (labels, fromText) => {
+    const row = tableRow(...labels);
+    return row ? { ...fromTable(row), source: "tableau" } : toRow(fromText());
+  };
+
+  // Autres indicateurs : parcours du catalogue (shared/indicateurs.js) ; un indicateur optionnel
+  // dont aucun libellé n'est trouvé (ni dans le tableau, ni dans le texte) est omis.
+  const lignes = {};
+  for (const def of INDICATEURS) {
+    if (def.key === "general_faits" || def.key === "general_taux") continue;
+    const ligne = indicator(def.libelles, () => {
+      const pair = firstPair(...def.libelles);
+      return def.secours ? orOneInt(pair, def.secours) : pair;
+    });
+    if (def.optionnel && ligne.source !== "tableau" && ligne.n1 == null && ligne.n == null) continue;
+    lignes[def.key] = ligne;
+  }
+
+  return { population, surface, densite, faitsN1, faitsN, cumul, cumulN1, taux, tauxN1, lignes };
+}
+
+/**
+ * Variation en % de N par rapport à N-1, arrondie à l'entier ; null si N-1 est nul ou absent.
+ */
+export function variationPct(n1, n) {
+  return n1 != null && n1 > 0 && n != null ? Math.round((n - n1) / n1 * 100) : null;
+}
+
+/**
+ * Statut d'extraction de chaque champ, à partir du résultat de parsePdfText :
+ * "trouvé" (lu dans le tableau ou le texte), "secours" (seul nombre lu après le libellé, via getOneIntAfter)
+ * ou "absent" (non trouvé, la valeur est null). Une correction manuelle passe le champ à "corrigé".
+ * @returns {{ population, surface, densite, indicateurs: Object<string, { valN1, valN, cumul?, cumulN1? }> }}
+ */
+export function buildStatutsExtraction(raw) {
+  const statut = (v, secours = false) => (v == null ? "absent" : secours ? "secours" : "trouvé");
+  const ligne = (row = {}) => ({
+    valN1: statut(row.n1),
+    valN: statut(row.n, row.source === "secours"),
+    cumul: statut(row.cumul),
+    cumulN1: statut(row.cumulN1),
+  });
+  const indicateurs = {
+    general_faits: { valN1: statut(raw.faitsN1), valN: statut(raw.faitsN), cumul: statut(raw.cumul), cumulN1: statut(raw.cumulN1) },
+    general_taux: { valN1: statut(raw.tauxN1), valN: statut(raw.taux) },
+  };
+  for (const def of indicateursExtraits(raw)) indicateurs[def.key] = ligne(raw.lignes[def.key]);
+  return {
+    population: statut(raw.population),
+    surface: statut(raw.surface),
+    densite: statut(raw.densite),
+    indicateurs,
+  };
+}
+
+/** Indicateurs du catalogue lus ligne par ligne (hors généraux) : obligatoires, et optionnels trouvés dans le rapport. */
+function indicateursExtraits(raw) {
+  return INDICATEURS.filter((def) => def.key !== "general_faits" && def.key !== "general_taux"
+    && (!def.optionnel || raw.lignes?.[def.key]));
+}
+
+/**
+ * Construit les indicateurs au format frontend à partir du résultat de parsePdfText,
+ * dans l'ordre du catalogue (shared/indicateurs.js). Chaque indicateur porte ses index de l'état 4001
+ * (`index`, vide pour les indicateurs généraux) pour le rapprochement avec les données nationales (SSMSI).
+ */
+export function buildIndicateursFrontend(raw) {
+  const { faitsN1, faitsN, cumul, cumulN1, taux, tauxN1 } = raw;
+  const libelle = (key) => INDICATEURS.find((def) => def.key === key).label;
+  const indicateurs = {
+    general_faits: {
+      label: libelle("general_faits"),
+      cat: "Général",
+      index: [],
+      valN1: faitsN1,
+      valN: faitsN,
+      cumul,
+      cumulN1,
+      variationPct: variationPct(faitsN1, faitsN),
+      variationCumulPct: variationPct(cumulN1, cumul),
+      taux,
+    },
+    general_taux: {
+      label: libelle("general_taux"),
+      cat: "Général",
+      index: [],
+      valN1: tauxN1,
+      valN: taux,
+      cumul: null,
+      cumulN1: null,
+      variationPct: variationPct(tauxN1, taux),
+      variationCumulPct: null,
+    },
+  };
+  // Indicateur de catégorie à partir de la ligne { n1, n, cumul, cumulN1 }
+  for (const { key, label, cat, index } of indicateursExtraits(raw)) {
+    const { n1 = null, n = null, cumul = null, cumulN1 = null } = raw.lignes?.[key] ?? {};
+    indicateurs[key] = {
+      label, cat, index, valN1: n1, valN: n, cumul, cumulN1,
+      variationPct: variationPct(n1, n), variationCumulPct: variationPct(cumulN1, cumul),
+    };
+  }
+  return indicateurs;
+}
+
+/**
+ * Parse un PDF complet : texte via le backend fourni, commune/période (en-tête, sinon nom de fichier), puis indicateurs.
+ * Les erreurs de lecture du PDF sont propagées ; un rapport non identifiable renvoie `{ fichierSource, erreur }`.
+ * @param {*} source - contenu du PDF, dans la forme attendue par `extractText` (File, Buffer…)
+ * @param {string} filename - nom du fichier d'origine
+ * @param {(source: *) => Promise<string|{ text: string, pages: Array }>} extractText - backend d'extraction : texte brut,
+ *   ou texte et éléments positionnés par page ({ str, x, y, width }) pour la lecture des tableaux
+ * @returns {Promise<{ commune, communeKey, mois, moisLabel, annee, population, surface, densite, fichierSource, indicateurs, statuts, avertissements?, erreur? }>}
+ */
+export async function parsePdf(source, filename, extractText) {
+  const extracted = await extractText(source);
+  const { text, pages = null } = typeof extracted === "string" ? { text: extracted } : extracted;
+  const { commune, mois, moisLabel, annee, avertissements, erreur } = identifyReport(text, filename);
+  if (erreur) {
+    return { fichierSource: filename, erreur };
+  }
+
+  const raw = parsePdfText(text, extractTableRows(pages));
+
+  return {
+    commune,
+    communeKey: communeKeyOf(commune),
+    mois,
+    moisLabel,
+    annee,
+    population: raw.population,
+    surface: raw.surface,
+    densite: raw.densite,
+    fichierSource: filename,
+    donneesSource: "exacte",
+    donneesReference: true,
+    indicateurs: buildIndicateursFrontend(raw),
+    statuts: buildStatutsExtraction(raw),
+    ...(avertissements.length > 0 ? { avertissements } : {}),
+  };
+}
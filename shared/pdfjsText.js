@@ -0,0 +1,23 @@
+import { toLayoutItem } from "./pdfLayout.js";
+
+/**
+ * Extraction du texte d'un PDF avec PDF.js, indépendante de l'environnement :
+ * le navigateur fournit son build de pdfjs-dist, Node (tests) le build « legacy ».
+ * @param {object} pdfjsLib - module pdfjs-dist chargé par l'appelant
+ * @param {ArrayBuffer|Uint8Array} data - contenu du PDF
+ * @param {object} [options] - options supplémentaires de getDocument
+ * @returns {Promise<{ text: string, pages: Array<Array<{ str, x, y, width }>> }>} texte de toutes les pages
+ *   (éléments séparés par des espaces) et éléments positionnés page par page
+ */
+export async function extractTextWithPdfjs(pdfjsLib, data, options = {}) {
+  const doc = await pdfjsLib.getDocument({ data, ...options }).promise;
+  let fullText = "";
+  const pages = [];
+  for (let i = 1; i <= doc.numPages; i++) {
+    const page = await doc.getPage(i);
+    const textContent = await page.getTextContent();
+    fullText += textContent.items.map((item) => item.str).join(" ") + " ";
+    pages.push(textContent.items.filter((item) => item.transform).map(toLayoutItem));
+  }
+  return { text: fullText, pages };
+}
@@ -0,0 +1,130 @@
+/**
+ * Prévision à court terme (3 à 6 mois) des faits constatés et des catégories d'infraction, avec intervalle de
+ * prévision. La méthode dépend de l'historique disponible sur l'axe chronologique continu :
+ * - Holt-Winters additif (niveau, tendance, saisonnalité de 12 mois) avec au moins 24 mois consécutifs ;
+ * - saisonnier naïf (même mois de l'année précédente) si les 12 derniers mois sont importés ;
+ * - moyenne des derniers mois sinon (au moins 3 mois).
+ * Les intervalles reposent sur les erreurs de prévision à un mois de la série ; les bornes basses sont ramenées à 0.
+ */
+import { CATEGORIES, INDICATEURS } from "./indicateurs.js";
+import { axeChronologique } from "./seriesMensuelles.js";
+
+const SAISON = 12;
+const QUANTILES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+export const METHODES_PREVISION = {
+  "holt-winters": "Holt-Winters additif (tendance et saisonnalité sur 12 mois)",
+  "saisonnier-naif": "Saisonnier naïf (même mois de l'année précédente)",
+  "moyenne-recente": "Moyenne des derniers mois",
+};
+
+const moyenne = (v) => v.reduce((s, x) => s + x, 0) / v.length;
+
+/** Mois suivant h mois après { annee, mois }. */
+const decaler = ({ annee, mois }, h) => {
+  const r = annee * 12 + mois - 1 + h;
+  return { annee: Math.floor(r / 12), mois: (r % 12) + 1 };
+};
+
+/**
+ * Lissage de Holt-Winters additif : états initiaux sur les deux premières saisons, erreurs à un pas ensuite.
+ * @returns {{ sse: number, n: number, niveau: number, tendance: number, saisons: number[] }}
+ */
+function holtWinters(y, alpha, beta, gamma) {
+  const m1 = moyenne(y.slice(0, SAISON));
+  const m2 = moyenne(y.slice(SAISON, 2 * SAISON));
+  let niveau = m1;
+  let tendance = (m2 - m1) / SAISON;
+  const saisons = y.slice(0, SAISON).map((v) => v - m1);
+  let sse = 0;
+  for (let t = SAISON; t < y.length; t++) {
+    const s = saisons[t - SAISON];
+    const erreur = y[t] - (niveau + tendance + s);
+    sse += erreur * erreur;
+    const precedent = niveau;
+    niveau = alpha * (y[t] - s) + (1 - alpha) * (niveau + tendance);
+    tendance = beta * (niveau - precedent) + (1 - beta) * tendance;
+    saisons.push(gamma * (y[t] - niveau) + (1 - gamma) * s);
+  }
+  return { sse, n: y.length - SAISON, niveau, tendance, saisons: saisons.slice(-SAISON) };
+}
+
+/**
+ * Prévision d'une série mensuelle.
+ * @param {Array<{ annee: number, mois: number, valeur: number|null }>} points axe chronologique continu (mois
+ *   manquants à null), du plus ancien au plus récent
+ * @param {{ horizon?: number, niveau?: 0.8|0.9|0.95 }} [options] nombre de mois prévus (6 par défaut) et niveau
+ *   de l'intervalle (80 % par défaut)
+ * @returns {{ methode: string, libelle: string, niveau: number,
+ *   previsions: Array<{ annee: number, mois: number, valeur: number, bas: number, haut: number }> }|null}
+ *   null si moins de 3 mois renseignés
+ */
+export function prevoirSerie(points, { horizon = 6, niveau = 0.8 } = {}) {
+  const z = QUANTILES[niveau] ?? QUANTILES[0.8];
+  const dernier = points[points.length - 1];
+  const valeurs = points.map((p) => p.valeur);
+  const resultat = (methode, fn) => ({
+    methode,
+    libelle: METHODES_PREVISION[methode],
+    niveau,
+    previsions: Array.from({ length: horizon }, (_, i) => {
+      const { valeur, ecart } = fn(i + 1);
+      const v = Math.max(0, valeur);
+      return { ...decaler(dernier, i + 1), valeur: v, bas: Math.max(0, valeur - z * ecart), haut: Math.max(0, valeur + z * ecart) };
+    }),
+  });
+  if (!dernier || valeurs.filter((v) => v != null).length < 3) return null;
+
+  // Suffixe sans mois manquant
+  let debut = valeurs.length;
+  while (debut > 0 && valeurs[debut - 1] != null) debut--;
+  const continu = valeurs.slice(debut);
+
+  if (continu.length >= 2 * SAISON) {
+    let meilleur = null;
+    for (const alpha of [0.1, 0.2, 0.4, 0.6]) {
+      for (const beta of [0, 0.05, 0.15]) {
+        for (const gamma of [0.05, 0.2, 0.4]) {
+          const hw = holtWinters(continu, alpha, beta, gamma);
+          if (!meilleur || hw.sse < meilleur.sse) meilleur = { ...hw, alpha, beta };
+        }
+      }
+    }
+    const sigma = Math.sqrt(meilleur.sse / Math.max(1, meilleur.n - 3));
+    // Variance à h pas du modèle ETS(A,A,A) : σ²(1 + Σ c_j²), c_j = α(1 + jβ) pour j < 12
+    return resultat("holt-winters", (h) => ({
+      valeur: meilleur.niveau + h * meilleur.tendance + meilleur.saisons[(h - 1) % SAISON],
+      ecart: sigma * Math.sqrt(1 + Array.from({ length: h - 1 }, (_, j) => (meilleur.alpha * (1 + (j + 1) * meilleur.beta)) ** 2).reduce((s, c) => s + c, 0)),
+    }));
+  }
+
+  const differences = valeurs.map((v, t) => (t >= SAISON && v != null && valeurs[t - SAISON] != null ? v - valeurs[t - SAISON] : null)).filter((d) => d != null);
+  if (horizon <= SAISON && continu.length >= SAISON && differences.length >= 3) {
+    const sigma = Math.sqrt(moyenne(differences.map((d) => d * d)));
+    return resultat("saisonnier-naif", (h) => ({ valeur: valeurs[valeurs.length - SAISON + h - 1], ecart: sigma }));
+  }
+
+  const recents = valeurs.filter((v) => v != null).slice(-6);
+  const m = moyenne(recents);
+  // Variance observée, au moins celle d'une loi de Poisson de même moyenne (petits effectifs)
+  const variance = Math.max(recents.reduce((s, v) => s + (v - m) ** 2, 0) / (recents.length - 1), m);
+  return resultat("moyenne-recente", () => ({ valeur: m, ecart: Math.sqrt(variance * (1 + 1 / recents.length)) }));
+}
+
+/**
+ * Prévisions d'une commune : faits constatés et total de chaque catégorie d'infraction.
+ * @param {Array<object>} entries mois importés (format de parsePdfInBrowser)
+ * @param {object} [options] voir prevoirSerie
+ * @returns {{ general_faits: object|null, categories: Record<string, object|null> }}
+ */
+export function previsionsCommune(entries, options) {
+  const axe = axeChronologique(entries.filter((e) => !e.erreur && e.indicateurs));
+  const serie = (valeur) => axe.map((p) => ({ annee: p.annee, mois: p.mois, valeur: p.entree ? valeur(p.entree) : null }));
+  return {
+    general_faits: prevoirSerie(serie((e) => e.indicateurs.general_faits?.valN ?? null), options),
+    categories: Object.fromEntries(CATEGORIES.filter((c) => c.cat !== "Général").map(({ cat }) => [
+      cat,
+      prevoirSerie(serie((e) => INDICATEURS.filter((i) => i.cat === cat).reduce((s, i) => s + (e.indicateurs[i.key]?.valN ?? 0), 0)), options),
+    ])),
+  };
+}
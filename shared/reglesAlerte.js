@@ -0,0 +1,147 @@
+/**
+ * Règles d'alerte : seuils de vigilance et d'alerte par indicateur, appliqués par le tableau de bord, les tendances,
+ * les rapports et les exports (couleurs des volumes et des variations, interprétation du taux, recommandations).
+ *
+ * Quatre types de seuils, chacun avec un niveau « vigilance » et un niveau « alerte » atteints quand la valeur
+ * dépasse strictement le seuil (null : pas de seuil), ou l'égale pour les niveaux listés dans `inclusif` :
+ * - volume : faits constatés du mois ;
+ * - variation : évolution en % par rapport à N-1 ;
+ * - taux : faits du mois pour 1 000 habitants ;
+ * - cumul : faits sur l'ensemble de la période d'un rapport (recommandations).
+ *
+ * Les seuils par défaut reprennent les valeurs et les limites historiques de l'application : le taux est « Modéré »
+ * dès 4 ‰ (vigilance inclusive) ; la colonne de niveau des tableaux du rapport compte une variation nulle en
+ * vigilance (voir niveauRapport), alors que les couleurs la laissent en vert.
+ * Une personnalisation les remplace pour toutes les communes (portée "*") ou pour une commune (portée communeKey),
+ * champ par champ :
+ * { "*": { camb_resid: { volume: { alerte: 6 } } }, "saint-alban": { roulotte: { cumul: { alerte: 15 } } } }.
+ */
+import { INDICATEURS } from "./indicateurs.js";
+
+export const TYPES_SEUILS = [
+  { type: "volume", label: "Faits du mois", unite: "faits" },
+  { type: "variation", label: "Variation vs N-1", unite: "%" },
+  { type: "taux", label: "Taux pour 1 000 hab.", unite: "‰" },
+  { type: "cumul", label: "Faits sur la période", unite: "faits" },
+];
+const TYPES = TYPES_SEUILS.map((t) => t.type);
+const CHAMPS = ["vigilance", "alerte"];
+export const NIVEAUX = ["normal", "vigilance", "alerte"];
+
+/** Seuils communs à tous les indicateurs. */
+export const SEUILS_DEFAUT = {
+  volume: { vigilance: 4, alerte: 9 },
+  variation: { vigilance: 0, alerte: 50 },
+  taux: { vigilance: null, alerte: null },
+  cumul: { vigilance: null, alerte: null },
+};
+
+/** Seuils par défaut propres à certains indicateurs (taux de criminalité, recommandations du rapport). */
+const SEUILS_INDICATEURS = {
+  general_faits: { taux: { vigilance: 4, alerte: 8, inclusif: ["vigilance"] } },
+  camb_resid: { cumul: { vigilance: 4, alerte: null } },
+  roulotte: { cumul: { vigilance: 9, alerte: 19 } },
+  destruc_veh: { cumul: { vigilance: null, alerte: 4 } },
+  incendies: { cumul: { vigilance: 0, alerte: 2 } },
+};
+
+/** Indicateurs paramétrables : le taux de criminalité relève du seuil « taux » des faits constatés. */
+export const INDICATEURS_REGLES = INDICATEURS.filter((i) => i.key !== "general_taux");
+
+/**
+ * Niveau atteint par une valeur : "alerte" au-delà du seuil d'alerte, "vigilance" au-delà du seuil de vigilance,
+ * "normal" sinon ; null si la valeur ou les seuils manquent. Un niveau listé dans `inclusif` est atteint dès le seuil.
+ * @param {{ vigilance: number|null, alerte: number|null, inclusif?: Array<"vigilance"|"alerte"> }|null|undefined} seuils
+ * @param {number|null|undefined} valeur
+ * @returns {"normal"|"vigilance"|"alerte"|null}
+ */
+export function niveauSeuil(seuils, valeur) {
+  if (valeur == null || !seuils || (seuils.vigilance == null && seuils.alerte == null)) return null;
+  const v = Number(valeur);
+  const atteint = (champ) => seuils[champ] != null && (v > seuils[champ] || (v === seuils[champ] && !!seuils.inclusif?.includes(champ)));
+  if (atteint("alerte")) return "alerte";
+  if (atteint("vigilance")) return "vigilance";
+  return "normal";
+}
+
+/**
+ * Niveau de la colonne « niveau » des tableaux du rapport (🟢 🟡 🔴) : comme niveauSeuil, mais une variation égale
+ * au seuil de vigilance (0 % par défaut) est déjà en vigilance, comme avant les règles d'alerte.
+ */
+export const niveauRapport = (seuils, valeur) => niveauSeuil(seuils && { ...seuils, inclusif: [...(seuils.inclusif ?? []), "vigilance"] }, valeur);
+
+/** Niveau le plus élevé parmi plusieurs niveaux (null ignorés). */
+export const niveauMax = (...niveaux) => niveaux.reduce((max, n) => (n != null && (max == null || NIVEAUX.indexOf(n) > NIVEAUX.indexOf(max)) ? n : max), null);
+
+/** Taux pour 1 000 habitants d'un nombre de faits ; null sans population. */
+export const tauxPourMille = (valeur, population) => (valeur != null && population > 0 ? (valeur / population) * 1000 : null);
+
+/**
+ * Niveau des faits d'un mois pour un indicateur : le plus élevé des seuils de volume et de taux.
+ * @param {object} regle règle résolue de l'indicateur (voir reglesCommune)
+ */
+export const niveauFaits = (regle, valeur, population) =>
+  niveauMax(niveauSeuil(regle?.volume, valeur), niveauSeuil(regle?.taux, tauxPourMille(valeur, population)));
+
+/** Valeur de seuil valide (nombre fini ou null) ; undefined sinon. */
+const seuilValide = (v) => (v === null || (typeof v === "number" && Number.isFinite(v)) ? v : undefined);
+
+/**
+ * Personnalisation nettoyée (lecture du stockage local) : portées, indicateurs, types et champs connus,
+ * seuils numériques ou null.
+ * @returns {Record<string, Record<string, Record<string, { vigilance?: number|null, alerte?: number|null }>>>}
+ */
+export function normaliserPersonnalisation(brute) {
+  const resultat = {};
+  if (!brute || typeof brute !== "object") return resultat;
+  const cles = new Set(INDICATEURS_REGLES.map((i) => i.key));
+  for (const [portee, indicateurs] of Object.entries(brute)) {
+    if (!indicateurs || typeof indicateurs !== "object") continue;
+    for (const [key, types] of Object.entries(indicateurs)) {
+      if (!cles.has(key) || !types || typeof types !== "object") continue;
+      for (const type of TYPES) {
+        for (const champ of CHAMPS) {
+          const v = seuilValide(types[type]?.[champ]);
+          if (v === undefined) continue;
+          (((resultat[portee] ??= {})[key] ??= {})[type] ??= {})[champ] = v;
+        }
+      }
+    }
+  }
+  return resultat;
+}
+
+/**
+ * Règles résolues pour une commune : seuils par défaut, puis personnalisation de toutes les communes, puis
+ * de la commune.
+ * @param {object} personnalisation voir normaliserPersonnalisation
+ * @param {string|null} [communeKey] null : règles communes à toutes les communes
+ * @returns {Record<string, Record<"volume"|"variation"|"taux"|"cumul", { vigilance: number|null, alerte: number|null }>>}
+ */
+export function reglesCommune(personnalisation = {}, communeKey = null) {
+  const portees = [personnalisation["*"], communeKey != null && communeKey !== "*" ? personnalisation[communeKey] : null];
+  return Object.fromEntries(INDICATEURS_REGLES.map(({ key }) => [
+    key,
+    Object.fromEntries(TYPES.map((type) => [
+      type,
+      Object.assign({}, SEUILS_DEFAUT[type], SEUILS_INDICATEURS[key]?.[type], ...portees.map((p) => p?.[key]?.[type])),
+    ])),
+  ]));
+}
+
+/**
+ * Personnalisation modifiée pour un seuil : valeur (nombre ou null pour « aucun seuil ») ou undefined pour revenir
+ * à la valeur héritée. Les niveaux devenus vides sont retirés.
+ */
+export function modifierSeuil(personnalisation, portee, key, type, champ, valeur) {
+  const copie = normaliserPersonnalisation(personnalisation);
+  if (valeur === undefined) {
+    delete copie[portee]?.[key]?.[type]?.[champ];
+    if (copie[portee]?.[key]?.[type] && !Object.keys(copie[portee][key][type]).length) delete copie[portee][key][type];
+    if (copie[portee]?.[key] && !Object.keys(copie[portee][key]).length) delete copie[portee][key];
+    if (copie[portee] && !Object.keys(copie[portee]).length) delete copie[portee];
+    return copie;
+  }
+  (((copie[portee] ??= {})[key] ??= {})[type] ??= {})[champ] = seuilValide(valeur) ?? null;
+  return copie;
+}
@@ -0,0 +1,59 @@
+/**
+ * Séries mensuelles sur plusieurs années : ordre chronologique (année puis mois), axe continu où les mois non
+ * importés restent visibles, détection des mois manquants d'une année sur l'autre et superposition des années
+ * sur un axe janvier–décembre.
+ */
+import { MOIS_LABELS } from "./pdfParser.js";
+
+/** Comparateur chronologique d'entrées { annee, mois }. */
+export const comparerMois = (a, b) => a.annee - b.annee || a.mois - b.mois;
+
+/** Rang d'un mois sur un axe continu (janvier de l'an 0 = 0). */
+const rang = (annee, mois) => annee * 12 + mois - 1;
+
+/** Libellé court d'un mois (« Jan ») ; avec l'année sur deux chiffres si la série couvre plusieurs années (« Jan 24 »). */
+export const libelleCourt = (mois, annee, avecAnnee) => `${MOIS_LABELS[mois].slice(0, 3)}${avecAnnee ? ` ${String(annee).slice(-2)}` : ""}`;
+
+/**
+ * Axe chronologique continu du premier au dernier mois importé, années comprises : un point par mois calendaire,
+ * `entree` null pour un mois non importé. Un doublon (même année et mois) garde la première entrée.
+ * @param {Array<{ annee: number, mois: number }>} entries
+ * @returns {Array<{ annee: number, mois: number, entree: object|null }>}
+ */
+export function axeChronologique(entries) {
+  const parRang = new Map();
+  for (const e of entries) if (!parRang.has(rang(e.annee, e.mois))) parRang.set(rang(e.annee, e.mois), e);
+  if (parRang.size === 0) return [];
+  const debut = Math.min(...parRang.keys());
+  const fin = Math.max(...parRang.keys());
+  const axe = [];
+  for (let r = debut; r <= fin; r++) axe.push({ annee: Math.floor(r / 12), mois: (r % 12) + 1, entree: parRang.get(r) ?? null });
+  return axe;
+}
+
+/**
+ * Mois absents entre le premier et le dernier mois importés, y compris d'une année à l'autre.
+ * @returns {Array<{ annee: number, mois: number, moisLabel: string }>}
+ */
+export function moisManquants(entries) {
+  return axeChronologique(entries).filter((p) => !p.entree).map(({ annee, mois }) => ({ annee, mois, moisLabel: MOIS_LABELS[mois] }));
+}
+
+/**
+ * Superposition année par année : une ligne par mois (janvier à décembre), une colonne par année.
+ * @param {Array<object>} entries
+ * @param {(entry: object) => number|null} valeur
+ * @returns {{ annees: number[], lignes: Array<{ mois: string } & Record<number, number|null>> }}
+ */
+export function superpositionAnnuelle(entries, valeur) {
+  const annees = [...new Set(entries.map((e) => e.annee))].sort((a, b) => a - b);
+  const lignes = MOIS_LABELS.slice(1).map((label, i) => {
+    const ligne = { mois: label.slice(0, 3) };
+    for (const annee of annees) {
+      const e = entries.find((x) => x.annee === annee && x.mois === i + 1);
+      ligne[annee] = e ? valeur(e) ?? null : null;
+    }
+    return ligne;
+  });
+  return { annees, lignes };
+}
@@ -0,0 +1,308 @@
+/**
+ * Import de séries historiques depuis un tableur (CSV, XLSX), antérieures aux rapports PDF mensuels.
+ * Les lignes sont converties, selon une correspondance de colonnes, en mois au format de parsePdfInBrowser
+ * (`donneesSource: "historique"`, `provenance` : fichier, feuille et lignes d'origine).
+ * Deux dispositions sont reconnues :
+ * - "large" : une ligne par commune et mois, une colonne par indicateur (valeur du mois) ;
+ * - "long" : une ligne par commune, mois et indicateur (clé, libellé ou index 4001), comme l'export de
+ *   shared/exportDonnees.js. Les lignes d'index 4001 regroupés par un même indicateur sont additionnées.
+ * Lecture XLSX : l'appelant fournit le module exceljs (en pratique le navigateur, voir tableurClient.js).
+ */
+import { INDICATEURS, cleDepuisIndex } from "./indicateurs.js";
+import { communeKeyOf, moisIndexOf, MOIS_LABELS, buildIndicateursFrontend, buildStatutsExtraction } from "./pdfParser.js";
+
+/** Vrai si le nom désigne un tableur importable (CSV ou XLSX). */
+export function isTableurName(name) {
+  return /\.(csv|xlsx)$/i.test(name || "");
+}
+
+/** Champs de la correspondance de colonnes ; `long` : propres à la disposition en format long. */
+export const CHAMPS_TABLEUR = [
+  { champ: "commune", label: "Commune" },
+  { champ: "annee", label: "Année" },
+  { champ: "mois", label: "Mois (ou date)" },
+  { champ: "population", label: "Population" },
+  { champ: "indicateur", label: "Indicateur (clé, libellé ou index 4001)", long: true },
+  { champ: "valN", label: "Valeur du mois (N)", long: true },
+  { champ: "valN1", label: "Même mois N-1", long: true },
+  { champ: "cumul", label: "Cumul N", long: true },
+  { champ: "cumulN1", label: "Cumul N-1", long: true },
+];
+
+// En-têtes reconnus pour chaque champ, par ordre de priorité (après normaliser())
+const ALIASES = {
+  commune: ["commune", "ville", "nom commune", "libelle commune"],
+  annee: ["annee", "an", "year", "exercice"],
+  mois: ["mois", "month", "periode", "date"],
+  population: ["population", "pop", "habitants", "population municipale"],
+  indicateur: ["indicateur", "cle", "code", "index 4001", "index"],
+  valN: ["val n", "valeur n", "valeur", "nombre", "nb faits", "n"],
+  valN1: ["val n1", "val n 1", "valeur n 1", "n 1"],
+  cumul: ["cumul", "cumul n"],
+  cumulN1: ["cumul n1", "cumul n 1"],
+};
+
+/** En-tête ou libellé comparable : sans accents ni casse, séparateurs réduits à une espace. */
+const normaliser = (s) => String(s ?? "")
+  .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const texte = (v) => (v == null ? "" : v instanceof Date ? v.toISOString().slice(0, 10) : String(v).trim());
+
+/** Nombre d'une cellule : nombre, ou texte au format français ("1 234,5") ; null si vide ou illisible. */
+export function nombreTableur(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+  const s = v.replace(/[\s\u00A0\u202F]/g, "").replace(",", ".");
+  return /^[-+]?\d+(\.\d+)?$/.test(s) ? Number(s) : null;
+}
+
+/**
+ * Période d'une ligne à partir des cellules mois et année (éventuellement la même colonne) : numéro de mois,
+ * nom de mois français, date, "AAAA-MM", "MM/AAAA" ou "JJ/MM/AAAA".
+ * @returns {{ mois: number, annee: number }|null}
+ */
+export function periodeTableur(moisVal, anneeVal) {
+  let mois = null, annee = null;
+  if (moisVal instanceof Date) {
+    [mois, annee] = [moisVal.getUTCMonth() + 1, moisVal.getUTCFullYear()];
+  } else if (typeof moisVal === "number") {
+    mois = moisVal;
+  } else if (typeof moisVal === "string") {
+    const s = moisVal.trim();
+    let m;
+    if ((m = /^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?$/.exec(s))) [annee, mois] = [+m[1], +m[2]];
+    else if ((m = /^(?:\d{1,2}[-/.])?(\d{1,2})[-/.](\d{4})$/.exec(s))) [mois, annee] = [+m[1], +m[2]];
+    else if ((m = /^(\d{1,2})$/.exec(s))) mois = +m[1];
+    else if ((m = /^([^\d\s.]+)\.?\s*(\d{4})?$/.exec(s))) [mois, annee] = [moisIndexOf(m[1]), m[2] ? +m[2] : null];
+  }
+  if (anneeVal instanceof Date) annee = anneeVal.getUTCFullYear();
+  else if (/^\d{4}$/.test(texte(anneeVal))) annee = Number(texte(anneeVal));
+  if (!Number.isInteger(mois) || mois < 1 || mois > 12 || !Number.isInteger(annee) || annee < 1900 || annee > 2100) return null;
+  return { mois, annee };
+}
+
+/** Clé du catalogue désignée par une cellule (clé, libellé, libellé du PDF ou index 4001). */
+function cleIndicateur(v) {
+  const n = nombreTableur(v);
+  if (Number.isInteger(n)) {
+    const key = cleDepuisIndex(n);
+    return key ? { key, parIndex: true } : null;
+  }
+  const ref = normaliser(v);
+  const def = ref && INDICATEURS.find((d) => [d.key, d.label, ...d.libelles].some((l) => normaliser(l) === ref));
+  return def ? { key: def.key, parIndex: false } : null;
+}
+
+/**
+ * Tableau (en-têtes et lignes de données) à partir de lignes brutes : la première ligne non vide fait office d'en-tête.
+ * @param {Array<Array<*>>} rows
+ * @returns {{ entetes: string[], lignes: Array<{ numero: number, cellules: Array<*> }> }} `numero` : ligne du tableur (1 = première)
+ */
+function tableauDepuisLignes(rows) {
+  const nonVide = (r) => r.some((c) => texte(c) !== "");
+  const debut = rows.findIndex(nonVide);
+  if (debut === -1) return { entetes: [], lignes: [] };
+  return {
+    entetes: rows[debut].map(texte),
+    lignes: rows.slice(debut + 1).map((cellules, i) => ({ numero: debut + i + 2, cellules })).filter((l) => nonVide(l.cellules)),
+  };
+}
+
+/**
+ * Lit un CSV : séparateur détecté sur la première ligne (point-virgule, virgule ou tabulation), champs entre guillemets.
+ * @param {string} contenu - texte du fichier
+ */
+export function lireCsv(contenu) {
+  const s = contenu.replace(/^\uFEFF/, "");
+  const premiere = s.slice(0, s.search(/\r?\n|$/)).replace(/"[^"]*"/g, "");
+  const separateur = [";", "\t", ","].reduce((best, sep) => (premiere.split(sep).length > premiere.split(best).length ? sep : best), ",");
+  const rows = [];
+  let row = [], champ = "", guillemets = false;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (guillemets) {
+      if (c === '"' && s[i + 1] === '"') { champ += '"'; i++; }
+      else if (c === '"') guillemets = false;
+      else champ += c;
+    } else if (c === '"') {
+      guillemets = true;
+    } else if (c === separateur) {
+      row.push(champ); champ = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(champ); rows.push(row); row = []; champ = "";
+    } else {
+      champ += c;
+    }
+  }
+  if (champ !== "" || row.length > 0) { row.push(champ); rows.push(row); }
+  return tableauDepuisLignes(rows);
+}
+
+/** Valeur d'une cellule exceljs : résultat des formules, texte des cellules enrichies et des liens. */
+function valeurCellule(v) {
+  if (v == null || v instanceof Date || typeof v !== "object") return v ?? null;
+  if ("result" in v) return valeurCellule(v.result);
+  if (Array.isArray(v.richText)) return v.richText.map((r) => r.text).join("");
+  if ("text" in v) return v.text;
+  return null;
+}
+
+/**
+ * Lit la première feuille non vide d'un classeur XLSX.
+ * @param {object} ExcelJS - module exceljs chargé par l'appelant
+ * @param {ArrayBuffer|Uint8Array|Buffer} data
+ * @returns {Promise<{ entetes: string[], lignes: Array<{ numero: number, cellules: Array<*> }>, feuille: string }>}
+ * @throws si le classeur est illisible ou vide
+ */
+export async function lireXlsx(ExcelJS, data) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(data);
+  const ws = wb.worksheets.find((w) => w.actualRowCount > 0);
+  if (!ws) throw new Error("Classeur vide : aucune feuille ne contient de données.");
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, (row, n) => {
+    rows[n - 1] = Array.from(row.values.slice(1), valeurCellule);
+  });
+  return { ...tableauDepuisLignes(Array.from(rows, (r) => r ?? [])), feuille: ws.name };
+}
+
+/**
+ * Correspondance proposée à partir des en-têtes : champs reconnus par leur nom, disposition "long" si une colonne
+ * d'indicateur et une colonne de valeur sont trouvées, sinon "large" (colonnes nommées d'après la clé ou le libellé
+ * des indicateurs).
+ * @param {string[]} entetes
+ * @returns {{ format: "large"|"long", communeFixe: string, colonnes: Object<string, number|null>, indicateurs: Object<string, number> }}
+ *   numéros de colonne (à partir de 0), null si non trouvée
+ */
+export function proposerCorrespondance(entetes) {
+  const norm = entetes.map(normaliser);
+  const colonnes = {};
+  for (const { champ } of CHAMPS_TABLEUR) {
+    const alias = ALIASES[champ].find((a) => norm.includes(a));
+    colonnes[champ] = alias ? norm.indexOf(alias) : null;
+  }
+  const format = colonnes.indicateur != null && colonnes.valN != null ? "long" : "large";
+  const indicateurs = {};
+  if (format === "large") {
+    for (const def of INDICATEURS) {
+      const c = norm.findIndex((h) => h && [def.key, def.label, ...def.libelles].some((l) => normaliser(l) === h));
+      if (c !== -1) indicateurs[def.key] = c;
+    }
+  }
+  return { format, communeFixe: "", colonnes, indicateurs };
+}
+
+const additionner = (a, b) => (a == null ? b : b == null ? a : a + b);
+
+/**
+ * Statuts d'extraction d'un mois lu dans un tableur : les champs que le tableur ne contient pas (sans colonne dans la
+ * correspondance, comme N-1 et les cumuls en disposition large, ou indicateur sans ligne pour ce mois en disposition
+ * longue) sont "non fourni" plutôt que "absent", et ne sont donc pas à vérifier. Une cellule vide reste "absent" ;
+ * le taux recalculé depuis la population est "trouvé".
+ * @param {Object<string, object>} lignes valeurs lues pour le mois, par indicateur
+ */
+function statutsTableur(statuts, { format, colonnes, indicateurs = {} }, lignes) {
+  const fourni = (key, field) => (format === "long" ? key in lignes && colonnes[field] != null : field === "valN" && indicateurs[key] != null);
+  const nonFourni = (valeur, estFourni) => (estFourni || valeur !== "absent" ? valeur : "non fourni");
+  return {
+    ...statuts,
+    population: nonFourni(statuts.population, colonnes.population != null),
+    surface: "non fourni",
+    densite: "non fourni",
+    indicateurs: Object.fromEntries(Object.entries(statuts.indicateurs).map(([key, champs]) => [
+      key,
+      Object.fromEntries(Object.entries(champs).map(([field, statut]) => [field, nonFourni(statut, fourni(key, field))])),
+    ])),
+  };
+}
+
+/**
+ * Convertit les lignes d'un tableau en mois importés, triés par commune puis ordre chronologique.
+ * Les lignes inexploitables (commune ou période absente, indicateur inconnu, doublon) sont signalées dans `erreurs`,
+ * sous la forme des échecs d'import de PDF.
+ * @param {{ lignes: Array<{ numero: number, cellules: Array<*> }> }} tableau - résultat de lireCsv ou lireXlsx
+ * @param {ReturnType<typeof proposerCorrespondance>} correspondance
+ * @param {{ fichierSource: string, feuille?: string|null }} origine
+ * @returns {{ entrees: Array<object>, erreurs: Array<{ fichierSource: string, erreur: string }> }}
+ */
+export function convertirTableau(tableau, correspondance, { fichierSource, feuille = null }) {
+  const { format, colonnes, indicateurs = {} } = correspondance;
+  const groupes = new Map();
+  const erreurs = [];
+  const erreurLigne = (numero, erreur) => erreurs.push({ fichierSource: `${fichierSource} (ligne ${numero})`, erreur });
+
+  for (const { numero, cellules } of tableau.lignes) {
+    const cell = (c) => (c == null ? null : cellules[c] ?? null);
+    const commune = colonnes.commune != null ? texte(cell(colonnes.commune)) : (correspondance.communeFixe ?? "").trim();
+    if (!commune) { erreurLigne(numero, "Commune absente."); continue; }
+    const periode = periodeTableur(cell(colonnes.mois), cell(colonnes.annee));
+    if (!periode) { erreurLigne(numero, "Mois ou année non reconnus."); continue; }
+    const communeKey = communeKeyOf(commune);
+    const cle = `${communeKey}|${periode.annee}|${periode.mois}`;
+    if (!groupes.has(cle)) groupes.set(cle, { commune, communeKey, ...periode, population: null, lignes: [], valeurs: {} });
+    const g = groupes.get(cle);
+    const libellePeriode = `${MOIS_LABELS[g.mois]} ${g.annee} — ${g.commune}`;
+    if (format === "large" && g.lignes.length > 0) { erreurLigne(numero, `Mois en double dans le tableau (${libellePeriode}).`); continue; }
+
+    if (format === "long") {
+      const ref = cleIndicateur(cell(colonnes.indicateur));
+      if (!ref) { erreurLigne(numero, `Indicateur inconnu : ${texte(cell(colonnes.indicateur)) || "(vide)"}.`); continue; }
+      const ligne = {
+        n: nombreTableur(cell(colonnes.valN)), n1: nombreTableur(cell(colonnes.valN1)),
+        cumul: nombreTableur(cell(colonnes.cumul)), cumulN1: nombreTableur(cell(colonnes.cumulN1)),
+      };
+      const prev = g.valeurs[ref.key];
+      if (prev && !(prev.parIndex && ref.parIndex)) { erreurLigne(numero, `Indicateur ${ref.key} en double (${libellePeriode}).`); continue; }
+      g.valeurs[ref.key] = prev
+        ? { parIndex: true, n: additionner(prev.n, ligne.n), n1: additionner(prev.n1, ligne.n1), cumul: additionner(prev.cumul, ligne.cumul), cumulN1: additionner(prev.cumulN1, ligne.cumulN1) }
+        : { ...ligne, parIndex: ref.parIndex };
+    } else {
+      for (const [key, c] of Object.entries(indicateurs)) {
+        const n = nombreTableur(cell(c));
+        if (n != null) g.valeurs[key] = { n, n1: null, cumul: null, cumulN1: null };
+      }
+    }
+    const population = nombreTableur(cell(colonnes.population));
+    if (population != null) g.population = population;
+    g.lignes.push(numero);
+  }
+
+  const entrees = [];
+  for (const g of groupes.values()) {
+    if (Object.keys(g.valeurs).length === 0) {
+      erreurLigne(g.lignes[0], `Aucune valeur d'indicateur (${MOIS_LABELS[g.mois]} ${g.annee} — ${g.commune}).`);
+      continue;
+    }
+    const v = (key) => g.valeurs[key] ?? {};
+    const faits = v("general_faits"), taux = v("general_taux");
+    // Taux pour 1 000 habitants recalculé si le tableur ne le donne pas
+    const tauxCalcule = faits.n != null && g.population ? Math.round(faits.n / g.population * 1000 * 100) / 100 : null;
+    const raw = {
+      population: g.population, surface: null, densite: null,
+      faitsN1: faits.n1 ?? null, faitsN: faits.n ?? null, cumul: faits.cumul ?? null, cumulN1: faits.cumulN1 ?? null,
+      taux: taux.n ?? tauxCalcule, tauxN1: taux.n1 ?? null,
+      lignes: Object.fromEntries(Object.entries(g.valeurs)
+        .filter(([key]) => key !== "general_faits" && key !== "general_taux")
+        .map(([key, { n, n1, cumul, cumulN1 }]) => [key, { n, n1, cumul, cumulN1 }])),
+    };
+    entrees.push({
+      commune: g.commune,
+      communeKey: g.communeKey,
+      mois: g.mois,
+      moisLabel: MOIS_LABELS[g.mois],
+      annee: g.annee,
+      population: g.population,
+      surface: null,
+      densite: null,
+      fichierSource,
+      donneesSource: "historique",
+      provenance: { type: "tableur", fichier: fichierSource, feuille, lignes: g.lignes },
+      indicateurs: buildIndicateursFrontend(raw),
+      statuts: statutsTableur(buildStatutsExtraction(raw), correspondance, g.valeurs),
+    });
+  }
+  entrees.sort((a, b) => a.communeKey.localeCompare(b.communeKey, "fr") || a.annee - b.annee || a.mois - b.mois);
+  return { entrees, erreurs };
+}
@@ -0,0 +1,47 @@
+/**
+ * Lecture des archives ZIP de rapports (envois annuels, pièces jointes groupées), indépendante de l'environnement :
+ * le navigateur et le serveur fournissent chacun le module jszip.
+ */
+
+/** Vrai si le nom désigne une archive ZIP. */
+export function isZipName(name) {
+  return /\.zip$/i.test(name || "");
+}
+
+/** Vrai si le nom désigne un PDF. */
+export function isPdfName(name) {
+  return /\.pdf$/i.test(name || "");
+}
+
+/** Entrée en erreur pour un fichier de l'archive qui n'est pas un PDF (même forme que les autres échecs d'import). */
+export function ignoredEntry(name, archiveName) {
+  return { fichierSource: name, erreur: `Fichier ignoré dans l'archive ${archiveName} : seuls les PDF sont importés.` };
+}
+
+/**
+ * Extrait les PDF d'une archive ZIP, sous-dossiers compris, dans l'ordre des chemins.
+ * Les dossiers, les fichiers cachés et les métadonnées macOS (__MACOSX/, ._*) sont ignorés ;
+ * les autres fichiers (y compris les ZIP imbriqués) sont listés dans `ignores`.
+ * @param {object} JSZip - module jszip chargé par l'appelant
+ * @param {ArrayBuffer|Uint8Array|Buffer} data - contenu de l'archive
+ * @returns {Promise<{ pdfs: Array<{ name: string, data: Uint8Array }>, ignores: string[] }>} `name` : nom du fichier
+ *   sans son chemin dans l'archive (le nom sert de secours pour identifier commune et période)
+ */
+export async function extractPdfsFromZip(JSZip, data) {
+  const zip = await JSZip.loadAsync(data);
+  const pdfs = [];
+  const ignores = [];
+  const entries = Object.values(zip.files)
+    .filter((entry) => !entry.dir)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const name = entry.name.split("/").pop();
+    if (entry.name.startsWith("__MACOSX/") || name.startsWith(".")) continue;
+    if (!isPdfName(name)) {
+      ignores.push(name);
+      continue;
+    }
+    pdfs.push({ name, data: await entry.async("uint8array") });
+  }
+  return { pdfs, ignores };
+}
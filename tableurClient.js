@@ -0,0 +1,40 @@
+/**
+ * Lecture des tableurs de séries historiques (CSV, XLSX) dans le navigateur, avant la correspondance des colonnes
+ * et la conversion de shared/tableurImport.js.
+ */
+import { lireCsv, lireXlsx } from "./shared/tableurImport.js";
+
+/**
+ * Texte d'un CSV : UTF-8, sinon Windows-1252 (CSV enregistrés par Excel en français).
+ */
+async function texteCsv(file) {
+  const data = await file.arrayBuffer();
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(data);
+  } catch (_) {
+    return new TextDecoder("windows-1252").decode(data);
+  }
+}
+
+/**
+ * Lit un tableur déposé dans l'écran d'import (chargement d'exceljs à la demande pour les XLSX).
+ * @param {File} file
+ * @returns {Promise<{ fichierSource: string, feuille: string|null, entetes: string[], lignes: Array<{ numero: number, cellules: Array<*> }>, erreur?: string }>}
+ *   `erreur` si le fichier est illisible ou ne contient aucune ligne de données
+ */
+export async function lireTableurNavigateur(file) {
+  const fichierSource = file.name;
+  try {
+    let tableau;
+    if (/\.csv$/i.test(fichierSource)) {
+      tableau = { ...lireCsv(await texteCsv(file)), feuille: null };
+    } else {
+      const { default: ExcelJS } = await import("exceljs");
+      tableau = await lireXlsx(ExcelJS, await file.arrayBuffer());
+    }
+    if (tableau.lignes.length === 0) return { fichierSource, erreur: "Tableur vide : aucune ligne de données sous l'en-tête." };
+    return { fichierSource, ...tableau };
+  } catch (err) {
+    return { fichierSource, erreur: `Tableur illisible : ${err.message || "format non reconnu"}.` };
+  }
+}
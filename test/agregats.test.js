@@ -0,0 +1,62 @@
+/**
+ * Agrégats glissants, annuels et trimestriels (shared/agregats.js).
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { agregatsIndicateur, agregatsCommune, serieGlissante12 } from "../shared/agregats.js";
+
+const mois = (annee, m, valN, valN1 = null, cumul = {}) => ({
+  annee, mois: m, population: 5000,
+  indicateurs: { general_faits: { valN, valN1, ...cumul }, general_taux: { valN: 1 } },
+});
+
+// Janvier 2023 à juin 2024, 10 faits par mois en 2023 et 12 en 2024 ; valeurs N-1 de 8 dans les rapports 2023
+const complet = [
+  ...Array.from({ length: 12 }, (_, i) => mois(2023, i + 1, 10, 8)),
+  ...Array.from({ length: 6 }, (_, i) => mois(2024, i + 1, 12, 10)),
+];
+
+test("12 mois glissants, cumul annuel et trimestre sur un historique complet", () => {
+  const a = agregatsIndicateur(complet, "general_faits");
+  assert.equal(a.glissant12.libelle, "juillet 2023 – juin 2024");
+  assert.equal(a.glissant12.valeur, 6 * 10 + 6 * 12);
+  // 12 mois précédents : juillet 2022 – juin 2023, 2022 repris des valeurs N-1 des rapports 2023
+  assert.equal(a.glissant12.precedent.valeur, 6 * 8 + 6 * 10);
+  assert.equal(a.glissant12.variationPct, 22);
+  assert.equal(a.glissant12.taux, 132 / 5000 * 1000);
+  assert.deepEqual([a.cumulAnnuel.valeur, a.cumulAnnuel.precedent.valeur, a.cumulAnnuel.variationPct], [72, 60, 20]);
+  assert.deepEqual([a.trimestre.libelle, a.trimestre.valeur, a.trimestre.precedent.libelle, a.trimestre.precedent.valeur], ["T2 2024", 36, "T1 2024", 36]);
+  assert.equal(a.trimestre.variationPct, 0);
+  assert.ok(a.glissant12.complet && a.cumulAnnuel.complet && a.trimestre.complet);
+  // Mois de référence antérieur ; trimestre achevé avant un mois de milieu de trimestre
+  const mai = agregatsIndicateur(complet, "general_faits", { annee: 2024, mois: 5 });
+  assert.deepEqual([mai.trimestre.libelle, mai.trimestre.precedent.libelle], ["T1 2024", "T4 2023"]);
+  assert.equal(agregatsIndicateur([], "general_faits"), null);
+  assert.ok(!("general_taux" in agregatsCommune(complet)));
+});
+
+test("mois manquants : listés, somme partielle, pas de variation ; cumul du rapport en secours", () => {
+  const lacunaire = complet.filter((e) => !(e.annee === 2024 && e.mois === 2) && !(e.annee === 2023 && e.mois === 9))
+    .map((e) => (e.annee === 2024 && e.mois === 6 ? mois(2024, 6, 12, 10, { cumul: 70, cumulN1: 60 }) : e));
+  const a = agregatsIndicateur(lacunaire, "general_faits");
+  assert.deepEqual(a.glissant12.manquants.map((m) => `${m.moisLabel} ${m.annee}`), ["Septembre 2023", "Février 2024"]);
+  assert.equal(a.glissant12.valeur, 132 - 10 - 12);
+  assert.equal(a.glissant12.complet, false);
+  assert.equal(a.glissant12.variationPct, null);
+  assert.equal(a.glissant12.taux, null);
+  // Février 2023 reste connu ; février 2024 manque, le cumul du rapport de juin le remplace
+  assert.deepEqual([a.cumulAnnuel.source, a.cumulAnnuel.valeur, a.cumulAnnuel.precedent.source, a.cumulAnnuel.precedent.valeur], ["rapport", 70, "mois", 60]);
+  assert.equal(a.cumulAnnuel.variationPct, 17);
+  assert.deepEqual([a.trimestre.complet, a.trimestre.precedent.manquants.length], [false, 1]);
+});
+
+test("série glissante : null tant que la fenêtre de 12 mois est incomplète", () => {
+  const serie = serieGlissante12(complet, "general_faits");
+  assert.equal(serie.length, 18);
+  // Janvier 2023 : février – décembre 2022 connus par les rapports 2023 (valeurs N-1)
+  assert.deepEqual(serie[0], { annee: 2023, mois: 1, valeur: 11 * 8 + 10, manquants: 0 });
+  assert.equal(serie[17].valeur, 132);
+  // 2024 seul : février – juin 2023 connus par les rapports 2024, juillet – décembre 2023 manquants
+  const court = serieGlissante12(complet.slice(12), "general_faits");
+  assert.deepEqual([court[0].valeur, court[0].manquants], [null, 6]);
+});
@@ -0,0 +1,41 @@
+/**
+ * Détection statistique des mois anormaux (shared/anomalies.js).
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queuePoisson, niveauAttendu, detecterAnomalies } from "../shared/anomalies.js";
+
+/** Mois minimal : faits constatés et cambriolages résidentiels (valeurs N et N-1). */
+const mois = (annee, m, faits, camb, cambN1 = null) => ({
+  annee, mois: m,
+  indicateurs: {
+    general_faits: { valN: faits, valN1: null },
+    camb_resid: { valN: camb, valN1: cambN1 },
+  },
+});
+
+test("queue de la loi de Poisson", () => {
+  assert.ok(Math.abs(queuePoisson(3, 2) - (1 - Math.exp(-2) * 5)) < 1e-12);
+  assert.equal(queuePoisson(0, 4), 1);
+  assert.ok(queuePoisson(1000, 900) < 0.001);
+  assert.ok(queuePoisson(1000, 900) > 0);
+});
+
+test("niveau attendu : même mois des années précédentes, à défaut N-1 du rapport, et mois récents", () => {
+  const historique = [mois(2023, 6, 40, 4), ...[1, 2, 3, 4, 5].map((m) => mois(2024, m, 50, 2))];
+  const juin = mois(2024, 6, 60, 9, 7);
+  const n = niveauAttendu(juin, historique, "camb_resid");
+  assert.deepEqual(n.saison, [4]); // N-1 déjà importé : la valeur du rapport n'est pas comptée deux fois
+  assert.equal(n.recents.length, 6);
+  assert.equal(n.attendu, (4 + (4 + 2 * 5) / 6) / 2);
+  assert.deepEqual(niveauAttendu(juin, [], "camb_resid"), { attendu: 7, saison: [7], recents: [] });
+  assert.equal(niveauAttendu(mois(2024, 6, 1, 1), [], "camb_resid"), null);
+});
+
+test("petits effectifs : 2 → 3 faits n'est pas une anomalie ; une forte hausse l'est, avec explication", () => {
+  const historique = [1, 2, 3, 4, 5].map((m) => mois(2024, m, 50, 2));
+  assert.deepEqual(detecterAnomalies(mois(2024, 6, 52, 3, 2), historique), []);
+  const anomalies = detecterAnomalies(mois(2024, 6, 51, 11, 2), [...historique, mois(2024, 7, 90, 30)]);
+  assert.deepEqual(anomalies.map((a) => [a.key, a.niveau]), [["camb_resid", "alerte"]]);
+  assert.match(anomalies[0].explication, /^11 faits pour 2 attendus \(juin des années précédentes : 2 en moyenne ; 5 mois précédents : 2 en moyenne\)/);
+});
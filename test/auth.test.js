@@ -0,0 +1,123 @@
+/**
+ * Comptes, sessions et rôles de l'API (server/auth.js).
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { openDatabase } = require("../server/database.js");
+const { createAuth, requireRole, hashPassword, verifyPassword } = require("../server/auth.js");
+
+/** Appelle le middleware avec un jeton et renvoie le statut (200 si la requête passe). */
+function callWith(middleware, jeton) {
+  const req = { get: (h) => (h === "Authorization" && jeton ? `Bearer ${jeton}` : undefined) };
+  let status = 200;
+  const res = { status: (s) => { status = s; return res; }, json: () => res };
+  middleware(req, res, () => {});
+  return { status, utilisateur: req.utilisateur };
+}
+
+test("mots de passe : empreinte salée, vérification", () => {
+  const h = hashPassword("correct horse");
+  assert.notEqual(h, hashPassword("correct horse"));
+  assert.equal(verifyPassword("correct horse", h), true);
+  assert.equal(verifyPassword("incorrect horse", h), false);
+});
+
+test("sessions et rôles : viewer, analyst, admin ; compte désactivé", (t) => {
+  const db = openDatabase(":memory:");
+  t.after(() => db.close());
+  const auth = createAuth(db);
+  auth.createUser({ identifiant: "lea", role: "viewer", motDePasse: "lecture-seule" });
+  auth.createUser({ identifiant: "max", role: "analyst", motDePasse: "analyse-2024" });
+  assert.throws(() => auth.createUser({ identifiant: "max", role: "admin", motDePasse: "0123456789" }), /existe déjà/);
+  assert.throws(() => auth.createUser({ identifiant: "zoe", role: "chef", motDePasse: "0123456789" }), /Rôle inconnu/);
+
+  assert.equal(auth.login("lea", "mauvais"), null);
+  const lea = auth.login("lea", "lecture-seule");
+  const max = auth.login("max", "analyse-2024");
+  const analyst = requireRole(auth, "analyst");
+  assert.equal(callWith(analyst, undefined).status, 401);
+  assert.equal(callWith(analyst, lea.jeton).status, 403);
+  assert.deepEqual(callWith(analyst, max.jeton), { status: 200, utilisateur: { identifiant: "max", nom: null, role: "analyst" } });
+
+  auth.logout(max.jeton);
+  assert.equal(auth.authenticate(max.jeton), null);
+  auth.updateUser("lea", { actif: false });
+  assert.equal(auth.authenticate(lea.jeton), null);
+  assert.equal(auth.login("lea", "lecture-seule"), null);
+});
+
+test("session expirée, journal d'audit", (t) => {
+  const db = openDatabase(":memory:");
+  t.after(() => db.close());
+  const auth = createAuth(db, { sessionTtlMs: -1 });
+  auth.createUser({ identifiant: "max", role: "admin", motDePasse: "analyse-2024" });
+  assert.equal(auth.authenticate(auth.login("max", "analyse-2024").jeton), null);
+
+  auth.audit({ identifiant: "max", action: "parse-pdf", fichier: "06_Saint_Alban_juin2024.pdf" });
+  auth.audit({ identifiant: "max", action: "suppression", moisId: "saint-alban-2024-06" });
+  assert.deepEqual(auth.listAudit().map((l) => l.action), ["suppression", "parse-pdf"]);
+  assert.equal(auth.listAudit({ action: "parse-pdf" })[0].fichier, "06_Saint_Alban_juin2024.pdf");
+});
+
+test("dernier administrateur actif : rôle et désactivation refusés", (t) => {
+  const db = openDatabase(":memory:");
+  t.after(() => db.close());
+  const auth = createAuth(db);
+  auth.createUser({ identifiant: "max", role: "admin", motDePasse: "analyse-2024" });
+  auth.createUser({ identifiant: "lea", role: "viewer", motDePasse: "lecture-seule" });
+  assert.throws(() => auth.updateUser("max", { role: "analyst" }), (err) => err.status === 409 && /dernier administrateur/.test(err.message));
+  assert.throws(() => auth.updateUser("max", { actif: false }), (err) => err.status === 409);
+  assert.equal(auth.updateUser("max", { nom: "Max", role: "admin" }).nom, "Max");
+
+  // Avec un second administrateur actif, le premier peut être rétrogradé
+  auth.updateUser("lea", { role: "admin" });
+  assert.equal(auth.updateUser("max", { role: "analyst" }).role, "analyst");
+  assert.throws(() => auth.updateUser("lea", { actif: false }), (err) => err.status === 409);
+});
+
+test("comptes : nom et état validés (400), sessions conservées tant que le compte reste actif", (t) => {
+  const db = openDatabase(":memory:");
+  t.after(() => db.close());
+  const auth = createAuth(db);
+  auth.createUser({ identifiant: "max", role: "admin", motDePasse: "analyse-2024" });
+  auth.createUser({ identifiant: "bob", nom: "Bob", role: "viewer", motDePasse: "lecture-seule" });
+  assert.throws(() => auth.createUser({ identifiant: "zoe", nom: 42, role: "viewer", motDePasse: "0123456789" }), (err) => err.status === 400);
+  const bob = auth.login("bob", "lecture-seule");
+  assert.throws(() => auth.updateUser("bob", { nom: { x: 1 } }), (err) => err.status === 400 && /Nom invalide/.test(err.message));
+  for (const actif of ["false", 0, null]) {
+    assert.throws(() => auth.updateUser("bob", { actif }), (err) => err.status === 400 && /actif/.test(err.message));
+  }
+  assert.ok(auth.authenticate(bob.jeton));
+  assert.equal(auth.updateUser("bob", { nom: null }).nom, null);
+  auth.updateUser("bob", { actif: false });
+  assert.equal(auth.authenticate(bob.jeton), null);
+  auth.updateUser("bob", { actif: true });
+  assert.ok(auth.login("bob", "lecture-seule"));
+});
+
+test("connexion : blocage après échecs consécutifs, par identifiant et adresse", (t) => {
+  const db = openDatabase(":memory:");
+  t.after(() => db.close());
+  const auth = createAuth(db, { echecsMax: 3, blocageMs: 60000 });
+  auth.createUser({ identifiant: "max", role: "analyst", motDePasse: "analyse-2024" });
+  for (let i = 0; i < 3; i++) assert.equal(auth.login("max", "mauvais", { ip: "10.0.0.1" }), null);
+  assert.ok(auth.loginDelay("max", "10.0.0.1") > 0);
+  // Bloqué même avec le bon mot de passe ; une autre adresse n'est pas concernée
+  assert.equal(auth.login("max", "analyse-2024", { ip: "10.0.0.1" }), null);
+  assert.equal(auth.loginDelay("max", "10.0.0.2"), 0);
+  assert.ok(auth.login("max", "analyse-2024", { ip: "10.0.0.2" }));
+
+  // Identifiant inconnu : mot de passe vérifié quand même, échecs comptés de la même façon
+  for (let i = 0; i < 3; i++) assert.equal(auth.login("inconnu", "mauvais", { ip: "10.0.0.1" }), null);
+  assert.ok(auth.loginDelay("inconnu", "10.0.0.1") > 0);
+
+  // Un succès remet le compteur à zéro
+  auth.login("max", "mauvais", { ip: "10.0.0.3" });
+  auth.login("max", "mauvais", { ip: "10.0.0.3" });
+  assert.ok(auth.login("max", "analyse-2024", { ip: "10.0.0.3" }));
+  auth.login("max", "mauvais", { ip: "10.0.0.3" });
+  assert.equal(auth.loginDelay("max", "10.0.0.3"), 0);
+});
@@ -0,0 +1,50 @@
+/**
+ * Import par lot côté serveur (/api/parse-batch) : PDF et archives ZIP, une entrée ou une erreur par fichier.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import JSZip from "jszip";
+
+const require = createRequire(import.meta.url);
+const { parseBatchUpload } = require("../server/parsePdf.js");
+
+const PDF_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "PDS_exemples");
+const [pdfA, pdfB] = fs.readdirSync(PDF_DIR).filter((f) => /\.pdf$/i.test(f)).sort();
+const read = (name) => fs.readFileSync(path.join(PDF_DIR, name));
+
+test("lot : PDF d'une archive, fichier non PDF, doublon et archive corrompue", async () => {
+  const zip = new JSZip();
+  zip.file(`2024/${pdfA}`, read(pdfA));
+  zip.file(pdfB, read(pdfB));
+  zip.file("notes.txt", "à lire");
+  zip.file("__MACOSX/._notes.txt", "");
+  const archive = await zip.generateAsync({ type: "nodebuffer" });
+
+  const resultats = await parseBatchUpload([
+    { buffer: archive, filename: "envoi.zip" },
+    { buffer: read(pdfA), filename: pdfA },
+    { buffer: Buffer.from("pas un zip"), filename: "abime.zip" },
+  ]);
+
+  // Ordre des chemins dans l'archive : "0…pdf" avant "2024/…"
+  assert.deepEqual(resultats.map((r) => r.fichierSource), [pdfB, pdfA, "notes.txt", pdfA, "abime.zip"]);
+  assert.equal(resultats[0].erreur, undefined);
+  assert.equal(resultats[1].erreur, undefined);
+  assert.match(resultats[2].erreur, /ignoré dans l'archive envoi\.zip/);
+  assert.match(resultats[3].erreur, /déjà importé/);
+  assert.match(resultats[4].erreur, /Archive ZIP illisible/);
+});
+
+test("lot à enregistrer : chaque mois identifié porte son PDF", async () => {
+  const resultats = await parseBatchUpload([
+    { buffer: read(pdfA), filename: pdfA },
+    { buffer: read(pdfA), filename: `copie_${pdfA}` },
+  ], { avecPdf: true });
+  assert.deepEqual(resultats[0].pdf, read(pdfA));
+  assert.match(resultats[1].erreur, /déjà importé/);
+  assert.equal(resultats[1].pdf, undefined);
+});
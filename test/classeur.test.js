@@ -0,0 +1,89 @@
+/**
+ * Export Excel (shared/classeurExcel.js) : feuilles, cellules numériques, formules et mise en forme conditionnelle.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import ExcelJS from "exceljs";
+import { classeurRapport, classeurComparaison, colonneExcel } from "../shared/classeurExcel.js";
+import { INDICATEURS } from "../shared/indicateurs.js";
+import { reglesCommune, modifierSeuil } from "../shared/reglesAlerte.js";
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const golden = fs.readdirSync(GOLDEN_DIR).sort().map((f) => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8")))
+  .sort((a, b) => a.annee - b.annee || a.mois - b.mois);
+
+/** Classeur écrit puis relu, comme à l'ouverture du fichier téléchargé. */
+async function relire(wb) {
+  const relu = new ExcelJS.Workbook();
+  await relu.xlsx.load(await wb.xlsx.writeBuffer());
+  return relu;
+}
+
+test("colonnes Excel", () => {
+  assert.deepEqual([1, 26, 27, 52, 703].map(colonneExcel), ["A", "Z", "AA", "AZ", "AAA"]);
+});
+
+test("rapport : évolution mensuelle, cumul et récapitulatif avec formules", async () => {
+  const indicateurs = INDICATEURS.filter((d) => golden.some((f) => f.indicateurs[d.key]));
+  const wb = await relire(classeurRapport(ExcelJS, { commune: "Saint Alban", mois: golden, indicateurs }));
+  assert.deepEqual(wb.worksheets.map((ws) => ws.name), ["Évolution mensuelle", "Cumul annuel", "Récapitulatif"]);
+
+  const evolution = wb.getWorksheet("Évolution mensuelle");
+  assert.equal(evolution.getCell("C2").value, golden[0].indicateurs.general_faits.valN);
+  assert.equal(evolution.getCell("D2").value.formula, 'IF(AND(ISNUMBER(B2),B2>0),(C2-B2)/B2,"")');
+  const total = evolution.getRow(golden.length + 2);
+  assert.equal(total.getCell(1).value, "TOTAL");
+  assert.deepEqual(total.getCell(3).value, {
+    formula: `SUM(C2:C${golden.length + 1})`,
+    result: golden.reduce((s, f) => s + f.indicateurs.general_faits.valN, 0),
+  });
+  assert.ok(evolution.conditionalFormattings.some((cf) => cf.ref === `D2:D${golden.length + 2}`));
+
+  const recap = wb.getWorksheet("Récapitulatif");
+  const cbv = recap.getRow(indicateurs.findIndex((d) => d.key === "cbv") + 2);
+  assert.equal(cbv.getCell(2).value, "7");
+  assert.equal(cbv.getCell(3).value, golden[0].indicateurs.cbv.valN);
+  assert.equal(cbv.getCell(3 + golden.length).value.formula, `SUM(C${cbv.number}:E${cbv.number})`);
+});
+
+test("comparaison : catégories calculées depuis la feuille détaillée", async () => {
+  const lignes = [
+    { key: "general_faits", label: "Faits constatés", cat: "Général", sumA: 40, sumB: 50, isTaux: false },
+    { key: "general_taux", label: "Taux criminalité (‰)", cat: "Général", sumA: 6.1, sumB: 7.2, isTaux: true },
+    { key: "cbv", label: "Coups et blessures volontaires", cat: "Personnes", sumA: 3, sumB: 0, isTaux: false },
+    { key: "menaces", label: "Menaces ou chantages", cat: "Personnes", sumA: 2, sumB: 4, isTaux: false },
+  ];
+  const wb = await relire(classeurComparaison(ExcelJS, {
+    commune: "Saint Alban",
+    periodeA: { label: "Juin 2024", mois: [golden[2]] },
+    periodeB: { label: "Septembre 2023", mois: [golden[1]] },
+    lignes,
+  }));
+  assert.deepEqual(wb.worksheets.map((ws) => ws.name), ["Par catégorie", "Indicateurs détaillés", "Mois inclus"]);
+  const cat = wb.getWorksheet("Par catégorie");
+  assert.deepEqual([cat.getCell("A2").value, cat.getCell("B2").value.result, cat.getCell("C2").value.result], ["Général", 40, 50]);
+  assert.match(cat.getCell("B3").value.formula, /^SUMIFS\('Indicateurs détaillés'!\$E\$2:\$E\$5,/);
+  assert.equal(cat.getCell("D3").value.result, 0.25);
+  const detail = wb.getWorksheet("Indicateurs détaillés");
+  assert.equal(detail.getCell("G4").value.result, 1);
+  assert.equal(detail.getCell("D3").value, "Taux ‰");
+  assert.equal(wb.getWorksheet("Mois inclus").getCell("E2").value, golden[2].fichierSource);
+});
+
+test("mise en forme conditionnelle selon les règles d'alerte de la commune", async () => {
+  const indicateurs = INDICATEURS.filter((d) => d.key === "general_faits" || d.key === "cbv");
+  let p = modifierSeuil({}, "*", "general_faits", "variation", "alerte", 20);
+  p = modifierSeuil(p, "*", "cbv", "volume", "alerte", 2);
+  const wb = await relire(classeurRapport(ExcelJS, { commune: "Saint Alban", mois: golden, indicateurs, regles: reglesCommune(p) }));
+  const formules = (ws) => ws.conditionalFormattings.flatMap((cf) => cf.rules.map((r) => `${cf.ref} ${r.formulae[0]}`));
+  const evolution = formules(wb.getWorksheet("Évolution mensuelle"));
+  assert.ok(evolution.includes(`D2:D${golden.length + 2} AND(ISNUMBER(D2),D2>0.2)`));
+  // Faits du mois : seuil de volume ou taux (colonne F) au-delà du seuil d'alerte
+  assert.ok(evolution.includes(`C2:C${golden.length + 1} AND(ISNUMBER(C2),OR(C2>9,(F2)>8))`));
+  // Vigilance du taux inclusive (« Modéré » dès 4 ‰)
+  assert.ok(evolution.includes(`C2:C${golden.length + 1} AND(ISNUMBER(C2),OR(C2>4,(F2)>=4))`));
+  assert.ok(formules(wb.getWorksheet("Récapitulatif")).some((f) => f === "C3:E3 AND(ISNUMBER(C3),OR(C3>2))"));
+});
@@ -0,0 +1,78 @@
+/**
+ * Contrôle de l'extraction et corrections manuelles (shared/controleExtraction.js).
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { champsAVerifier, lireSaisie, erreursSaisie, appliquerCorrections, sommeIndicateur } from "../shared/controleExtraction.js";
+
+const entree = () => ({
+  moisLabel: "Juin", annee: 2024, population: 5000, donneesSource: "exacte",
+  indicateurs: {
+    general_faits: { label: "Faits constatés", valN1: 40, valN: 50, cumul: 260, cumulN1: 230, variationPct: 25, variationCumulPct: 13, taux: 10 },
+    general_taux: { label: "Taux criminalité (‰)", valN1: 8, valN: 10, variationPct: 25 },
+    roulotte: { label: "Vols à la roulotte", valN1: 6, valN: null, cumul: 30, cumulN1: null, variationPct: null, variationCumulPct: null },
+  },
+  statuts: {
+    population: "trouvé",
+    indicateurs: {
+      general_faits: { valN1: "trouvé", valN: "trouvé", cumul: "trouvé", cumulN1: "trouvé" },
+      general_taux: { valN1: "trouvé", valN: "trouvé" },
+      roulotte: { valN1: "trouvé", valN: "absent", cumul: "secours", cumulN1: "absent" },
+    },
+  },
+});
+
+test("saisie : vide, entière, décimale (taux seulement) et invalide", () => {
+  assert.deepEqual(lireSaisie("", false), { valeur: null });
+  assert.deepEqual(lireSaisie(" 1 250 ", false), { valeur: 1250 });
+  assert.deepEqual(lireSaisie("6,35", true), { valeur: 6.35 });
+  assert.deepEqual(lireSaisie("6.35", true), { valeur: 6.35 });
+  for (const s of ["1O", "12a", "-3", "1,2,3"]) assert.ok(lireSaisie(s, true).erreur, s);
+  assert.equal(lireSaisie("12,5", false).erreur, "Nombre entier attendu");
+  assert.deepEqual(erreursSaisie({ population: "5 000", indicateurs: { roulotte: { valN: "1O", cumul: "31" }, general_taux: { valN: "9,8" } } }),
+    { "roulotte.valN": "Nombre entier attendu" });
+});
+
+test("corrections : valeur saisie, variations recalculées, statut et historique", () => {
+  const e = entree();
+  const c = appliquerCorrections(e, { population: "5 100", indicateurs: { roulotte: { valN: "9" }, general_taux: { valN: "10,2" } } }, 1000);
+  assert.equal(c.donneesSource, "corrigée");
+  assert.equal(c.population, 5100);
+  assert.equal(c.indicateurs.roulotte.valN, 9);
+  assert.equal(c.indicateurs.roulotte.variationPct, 50);
+  assert.equal(c.indicateurs.general_taux.valN, 10.2);
+  assert.equal(c.indicateurs.general_faits.taux, 10.2);
+  assert.deepEqual([c.statuts.indicateurs.roulotte.valN, c.statuts.indicateurs.roulotte.cumul, c.statuts.population], ["corrigé", "secours", "corrigé"]);
+  assert.deepEqual(c.corrections.map(({ champ, avant, apres, le }) => [champ, avant, apres, le]),
+    [["general_taux.valN", 10, 10.2, 1000], ["roulotte.valN", null, 9, 1000], ["population", 5000, 5100, 1000]]);
+  assert.equal(e.indicateurs.roulotte.valN, null);
+});
+
+test("corrections : saisie invalide ignorée, valeur inchangée ou absente laissée telle quelle", () => {
+  const e = entree();
+  // « 1O » au lieu de « 10 » : la valeur extraite est conservée, le mois n'est pas marqué corrigé
+  assert.equal(appliquerCorrections(e, { indicateurs: { general_faits: { valN: "1O" } } }), e);
+  assert.equal(appliquerCorrections(e, { population: "5000", indicateurs: { general_faits: { valN: "50", cumul: " 260" }, roulotte: { valN: "" } } }), e);
+  // Effacer une valeur lue est une correction explicite
+  const c = appliquerCorrections(e, { indicateurs: { general_faits: { cumulN1: "", valN: "12a" } } });
+  assert.deepEqual(c.corrections.map(({ champ, avant, apres }) => [champ, avant, apres]), [["general_faits.cumulN1", 230, null]]);
+  assert.equal(c.indicateurs.general_faits.valN, 50);
+  assert.equal(c.indicateurs.general_faits.variationCumulPct, null);
+});
+
+test("champs à vérifier : lectures de secours et valeurs absentes", () => {
+  const e = entree();
+  assert.deepEqual(champsAVerifier(e), [{ key: "roulotte", field: "valN" }, { key: "roulotte", field: "cumul" }]);
+  assert.deepEqual(champsAVerifier({ ...e, population: null, statuts: undefined }).map(({ key, field }) => `${key}.${field}`),
+    ["population.population", "roulotte.valN"]);
+});
+
+test("somme d'un indicateur : valeurs absentes non comptées et listées", () => {
+  const mois = [entree(), { ...entree(), moisLabel: "Juillet" }, { moisLabel: "Août", indicateurs: { roulotte: { valN: 4 } } }];
+  mois[1].indicateurs.roulotte = { ...mois[1].indicateurs.roulotte, valN: 7 };
+  const { valeur, manquants } = sommeIndicateur(mois, "roulotte");
+  assert.equal(valeur, 11);
+  assert.deepEqual(manquants.map((m) => m.moisLabel), ["Juin"]);
+  assert.deepEqual(sommeIndicateur(mois.slice(0, 1), "roulotte"), { valeur: null, manquants: [mois[0]] });
+  assert.equal(sommeIndicateur(mois, "general_faits", "valN1").valeur, 80);
+});
@@ -0,0 +1,77 @@
+/**
+ * Export PDF (shared/documentPdf.js) : sortie identique d'une génération à l'autre, sommaire, numérotation et
+ * texte relu avec PDF.js.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as PDFLib from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import { genererPdf, graduation, entierFr } from "../shared/documentPdf.js";
+import { extractTextWithPdfjs } from "../shared/pdfjsText.js";
+
+const MOIS = ["Janvier", "Février", "Mars", "Avril", "Mai", "Juin"];
+
+const document = {
+  surtitre: "OBSERVATOIRE DE LA DÉLINQUANCE",
+  titre: "COMMUNE DE SAINT ALBAN",
+  sousTitre: "RAPPORT D'ANALYSE CRIMINOLOGIQUE — 2024",
+  couverture: ["Faits constatés par les services de Gendarmerie Nationale et de Police Nationale"],
+  encadre: [["Population", `${entierFr(6210)} habitants`], ["Surface", "17.8 km²"]],
+  piedDePage: "Saint Alban — Rapport d'analyse criminologique 2024",
+  sections: [
+    { titre: "CHAPITRE 1 — SYNTHÈSE", blocs: [
+      { type: "paragraphe", texte: "Taux moyen de 3.42‰ pour 1 000 habitants 🔴, variation ≤ 0." },
+      { type: "liste", elements: ["Premier fait marquant", "Second fait marquant"] },
+    ] },
+    { titre: "CHAPITRE 2 — ÉVOLUTION MENSUELLE", blocs: [
+      { type: "graphique", titre: "Faits constatés par mois", categories: MOIS,
+        series: [{ nom: "N", couleur: "#0369A1", valeurs: [21, 18, 25, 30, 12, null] }, { nom: "N-1", couleur: "#94A3B8", valeurs: [19, 22, 20, 28, 15, 17] }] },
+      // Assez de lignes pour que le tableau continue sur une deuxième page
+      { type: "tableau", colonnes: [{ titre: "Mois", largeur: 2 }, { titre: "Faits N", droite: true }],
+        lignes: Array.from({ length: 60 }, (_, i) => [`${MOIS[i % 6]} ${2019 + Math.floor(i / 6)}`, { texte: i, fond: "#FFEBEE" }]),
+        total: ["TOTAL", 1770] },
+    ] },
+    { titre: "CHAPITRE 3 — CATÉGORIES", blocs: [
+      { type: "graphique", horizontal: true, categories: ["Atteintes aux personnes", "Atteintes aux biens"],
+        series: [{ nom: "Période A", couleur: "#0369A1", valeurs: [12, 40] }, { nom: "Période B", couleur: "#0D9488", valeurs: [9, 44] }] },
+    ] },
+  ],
+  sources: { colonnes: [{ titre: "Fichier", largeur: 3 }, { titre: "Mois" }], lignes: [["06_Saint_Alban_juin2024.pdf", "Juin 2024"]] },
+  mentions: ["Rapport établi à partir des données mensuelles de l'Observatoire de la Délinquance"],
+  metadonnees: { titre: "Rapport d'analyse criminologique — Saint Alban 2024" },
+};
+
+test("graduations et entiers", () => {
+  assert.deepEqual([0, 4, 23, 97, 480, 1320].map(graduation), [1, 1, 5, 20, 100, 500]);
+  assert.equal(entierFr(1234567), "1 234 567");
+  assert.equal(entierFr(null), "—");
+});
+
+test("PDF identique d'une génération à l'autre ; couverture, sommaire, numéros de page, sources", async () => {
+  const pdf = await genererPdf(PDFLib, document);
+  assert.deepEqual(Buffer.from(await genererPdf(PDFLib, document)), Buffer.from(pdf));
+  assert.equal(Buffer.from(pdf.slice(0, 5)).toString(), "%PDF-");
+
+  const { pages } = await extractTextWithPdfjs(pdfjsLib, pdf.slice(), { verbosity: pdfjsLib.VerbosityLevel.ERRORS });
+  const texte = pages.map((items) => items.map((i) => i.str).join(" "));
+  const total = pages.length;
+  assert.match(texte[0], /COMMUNE DE SAINT ALBAN/);
+  assert.doesNotMatch(texte[0], /Page 1/);
+  assert.match(texte[1], /SOMMAIRE/);
+
+  // Chaque entrée du sommaire renvoie à la page où commence le chapitre
+  const chapitres = [...document.sections.map((s) => s.titre), "ANNEXE — FICHIERS SOURCES"];
+  for (const titre of chapitres) {
+    const page = texte.findIndex((t, i) => i > 1 && t.includes(titre)) + 1;
+    assert.ok(page > 2, titre);
+    const entree = pages[1].find((i) => i.str === titre);
+    const numero = pages[1].find((i) => /^\d+$/.test(i.str) && Math.abs(i.y - entree.y) < 1);
+    assert.equal(Number(numero.str), page, titre);
+  }
+  assert.ok(texte.findIndex((t) => t.includes("TOTAL")) > texte.findIndex((t) => t.includes("CHAPITRE 2")), "tableau sur plusieurs pages");
+  texte.slice(1).forEach((t, i) => assert.match(t, new RegExp(`Page ${i + 2} / ${total}`)));
+
+  // Caractères hors WinAnsi remplacés ou retirés
+  assert.match(texte.join(" "), /3\.42‰ pour 1 000 habitants , variation <= 0\./);
+  assert.match(texte[total - 1], /06_Saint_Alban_juin2024\.pdf/);
+});
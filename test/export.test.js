@@ -0,0 +1,60 @@
+/**
+ * Export en format long (shared/exportDonnees.js) à partir des mois de référence.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { lignesExport, toCsv, exporterDonnees, COLONNES_EXPORT } from "../shared/exportDonnees.js";
+import { INDICATEURS } from "../shared/indicateurs.js";
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const golden = fs.readdirSync(GOLDEN_DIR).sort().map((f) => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8")));
+
+test("une ligne par mois et indicateur, ordre chronologique puis du catalogue", () => {
+  const lignes = lignesExport([...golden].reverse().concat({ fichierSource: "x.pdf", erreur: "illisible" }));
+  const attendu = golden.reduce((n, e) => n + Object.keys(e.indicateurs).length, 0);
+  assert.equal(lignes.length, attendu);
+  for (const l of lignes) assert.deepEqual(Object.keys(l), COLONNES_EXPORT);
+  const cles = INDICATEURS.map((d) => d.key);
+  for (let i = 1; i < lignes.length; i++) {
+    const [a, b] = [lignes[i - 1], lignes[i]];
+    const ordre = a.commune_key.localeCompare(b.commune_key, "fr") || a.annee - b.annee || a.mois - b.mois
+      || cles.indexOf(a.indicateur) - cles.indexOf(b.indicateur);
+    assert.ok(ordre < 0, `${a.indicateur} ${a.annee}-${a.mois} avant ${b.indicateur} ${b.annee}-${b.mois}`);
+  }
+  const cbv = lignes.find((l) => l.indicateur === "cbv" && l.fichier_source === golden[0].fichierSource);
+  assert.deepEqual(cbv.index_4001, [7]);
+  assert.equal(cbv.val_n, golden[0].indicateurs.cbv.valN);
+});
+
+test("CSV : en-tête, champs entre guillemets, valeurs absentes vides ; format inconnu refusé", () => {
+  const entry = { ...golden[0], commune: 'Saint-Alban, "centre"' };
+  const csv = toCsv(lignesExport([entry]));
+  const [entete, premiere] = csv.split("\r\n");
+  assert.equal(entete, COLONNES_EXPORT.join(","));
+  assert.ok(premiere.startsWith('"Saint-Alban, ""centre""",saint alban,2024,6,general_faits,'));
+  assert.match(csv, /,menaces,Menaces ou chantages,Personnes,11\|12,/);
+  assert.match(csv.split("\r\n").find((l) => l.includes(",general_taux,")), /,6\.3,7\.07,,,/);
+
+  const { contenu, nomFichier } = exporterDonnees(golden, "json");
+  assert.equal(nomFichier, "donnees-delinquance.json");
+  assert.deepEqual(JSON.parse(contenu), lignesExport(golden));
+  assert.throws(() => exporterDonnees(golden, "parquet"), /Format d'export inconnu/);
+});
+
+test("CSV : textes commençant par =, +, - ou @ neutralisés par une apostrophe, nombres inchangés", () => {
+  const entry = {
+    ...golden[0],
+    commune: '=HYPERLINK("http://exemple.invalid","x")',
+    fichierSource: "@rapport.pdf",
+    indicateurs: { ...golden[0].indicateurs, general_faits: { ...golden[0].indicateurs.general_faits, valN: -3 } },
+  };
+  const lignes = toCsv(lignesExport([entry])).split("\r\n");
+  const faits = lignes.find((l) => l.includes(",general_faits,"));
+  assert.ok(faits.startsWith(`"'=HYPERLINK(""http://exemple.invalid"",""x"")",`));
+  assert.match(faits, /,-3,/);
+  assert.ok(faits.endsWith(",'@rapport.pdf"));
+  assert.ok(lignes.slice(1).filter(Boolean).every((l) => l.startsWith('"\'=')));
+});
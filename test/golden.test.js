@@ -0,0 +1,74 @@
+/**
+ * Non-régression du parsing sur les PDF d'exemple (PDS_exemples/).
+ * Chaque PDF est parsé par le serveur (extractPdfData, pdf-parse) et par le parseur navigateur
+ * (même chaîne que parsePdfInBrowser, PDF.js en build Node), puis comparé au JSON attendu de test/golden/.
+ * Les indicateurs sont aussi relus par chacune des deux voies du parseur prises isolément : tableaux reconstruits
+ * par positions, et texte brut seul.
+ * Après une évolution volontaire du parsing : UPDATE_GOLDEN=1 npm test, puis relire le diff des JSON.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import { parsePdf, parsePdfText, buildIndicateursFrontend } from "../shared/pdfParser.js";
+import { extractTableRows } from "../shared/pdfLayout.js";
+import { extractTextWithPdfjs } from "../shared/pdfjsText.js";
+
+const require = createRequire(import.meta.url);
+const { extractPdfData } = require("../server/parsePdf.js");
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PDF_DIR = path.join(ROOT, "PDS_exemples");
+const GOLDEN_DIR = path.join(ROOT, "test", "golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const pdfFiles = fs.readdirSync(PDF_DIR).filter((f) => /\.pdf$/i.test(f)).sort();
+
+const extractWithPdfjs = (data) =>
+  extractTextWithPdfjs(pdfjsLib, new Uint8Array(data), { verbosity: pdfjsLib.VerbosityLevel.ERRORS });
+
+/** Parseur navigateur exécuté sous Node : seule la source de PDF.js change. */
+const parseAsBrowser = (buffer, filename) => parsePdf(buffer, filename, extractWithPdfjs);
+
+test("des PDF d'exemple sont présents", () => {
+  assert.ok(pdfFiles.length > 0, `aucun PDF dans ${PDF_DIR}`);
+});
+
+for (const filename of pdfFiles) {
+  const goldenPath = path.join(GOLDEN_DIR, filename.replace(/\.pdf$/i, ".json"));
+  const buffer = fs.readFileSync(path.join(PDF_DIR, filename));
+
+  test(filename, async (t) => {
+    const browser = await parseAsBrowser(buffer, filename);
+    const server = await extractPdfData(buffer);
+
+    if (UPDATE) {
+      fs.writeFileSync(goldenPath, JSON.stringify(browser, null, 2) + "\n");
+    }
+    assert.ok(fs.existsSync(goldenPath), `JSON attendu absent : ${path.relative(ROOT, goldenPath)} (UPDATE_GOLDEN=1 pour le créer)`);
+    const expected = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+
+    await t.test("parseur navigateur (pdfjs-dist)", () => {
+      assert.deepStrictEqual(browser, expected);
+    });
+
+    await t.test("serveur extractPdfData (pdf-parse)", () => {
+      const { population, surface, densite, indicateurs } = expected;
+      assert.deepStrictEqual(server, { population, surface, densite, indicateurs });
+    });
+
+    await t.test("tableaux reconstruits par positions, sans le texte brut", async () => {
+      const { pages } = await extractWithPdfjs(buffer);
+      assert.deepStrictEqual(buildIndicateursFrontend(parsePdfText("", extractTableRows(pages))), expected.indicateurs);
+    });
+
+    // Heuristiques texte (getTwoIntsAfter, lectures de secours) : utilisées quand la mise en page n'est pas exploitable
+    await t.test("texte brut seul, sans les tableaux reconstruits", async () => {
+      const { text } = await extractWithPdfjs(buffer);
+      assert.deepStrictEqual(buildIndicateursFrontend(parsePdfText(text, [])), expected.indicateurs);
+    });
+  });
+}
@@ -0,0 +1,42 @@
+/**
+ * Identification commune/période : en-tête du PDF prioritaire, nom de fichier en secours et en contrôle.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { identifyReport, parseHeader } from "../shared/pdfParser.js";
+
+const HEADER = "Juin 2024 Groupement d’intérêt public OBSERVATOIRE de la DELINQUANCE SAINT ALBAN "
+  + "Commune de Saint Alban : Population * : 6506 habitants Indicateurs généraux Juin 2023 Juin 2024 Variation 2023/2024 Cumul 2024";
+
+test("en-tête : commune, mois et année", () => {
+  assert.deepStrictEqual(parseHeader(HEADER), { commune: "Saint Alban", mois: 6, moisLabel: "Juin", annee: 2024 });
+});
+
+test("sans titre, l'année du cumul l'emporte sur la colonne N-1", () => {
+  const text = "Commune de Saint Alban : Population * : 6506 habitants Juin 2023 Juin 2024 Cumul 2024";
+  assert.equal(parseHeader(text).annee, 2024);
+});
+
+test("nom de fichier d'origine quelconque : pas d'erreur ni d'avertissement", () => {
+  const r = identifyReport(HEADER, "Observatoire délinquance (3).pdf");
+  assert.equal(r.erreur, undefined);
+  assert.deepStrictEqual(r.avertissements, []);
+  assert.equal(r.commune, "Saint Alban");
+});
+
+test("désaccord avec le nom de fichier : le PDF fait foi, avec avertissement", () => {
+  const r = identifyReport(HEADER, "07_Saint_Alban_juillet2024.pdf");
+  assert.equal(r.mois, 6);
+  assert.equal(r.avertissements.length, 1);
+  assert.match(r.avertissements[0], /Juillet 2024/);
+});
+
+test("en-tête illisible : secours sur le nom de fichier", () => {
+  const r = identifyReport("", "06_Saint_Alban_juin2024.pdf");
+  assert.deepStrictEqual([r.commune, r.mois, r.annee], ["Saint Alban", 6, 2024]);
+  assert.equal(r.avertissements.length, 2);
+});
+
+test("ni en-tête ni nom de fichier : erreur", () => {
+  assert.ok(identifyReport("", "scan.pdf").erreur);
+});
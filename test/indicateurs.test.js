@@ -0,0 +1,38 @@
+/**
+ * Catalogue des indicateurs (shared/indicateurs.js) : clés uniques, lignes optionnelles selon le modèle de rapport.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INDICATEURS, CATEGORIES, cleDepuisIndex, formatIndex } from "../shared/indicateurs.js";
+import { parsePdfText, buildIndicateursFrontend, buildStatutsExtraction } from "../shared/pdfParser.js";
+
+test("catalogue : clés uniques, catégories déclarées", () => {
+  const keys = INDICATEURS.map((i) => i.key);
+  assert.equal(new Set(keys).size, keys.length);
+  const cats = CATEGORIES.map((c) => c.cat);
+  for (const def of INDICATEURS) assert.ok(cats.includes(def.cat), `${def.key} : catégorie ${def.cat}`);
+});
+
+test("index de l'état 4001 : chaque index appartient à un seul indicateur", () => {
+  const index = INDICATEURS.flatMap((i) => i.index);
+  assert.equal(new Set(index).size, index.length);
+  assert.equal(cleDepuisIndex(42), "vols_simples");
+  assert.equal(cleDepuisIndex("index 72"), "autorite");
+  assert.equal(cleDepuisIndex(1), null);
+  assert.equal(formatIndex("vols_simples"), "41, 42, 43");
+  assert.equal(formatIndex("general_faits"), "—");
+});
+
+test("indicateur optionnel absent du rapport : omis ; obligatoire absent : conservé à null", () => {
+  const raw = parsePdfText("Coups et blessures volontaires (7) 3 5 + 66.67 % (+2 fait(s)) 20 Vols à la tire (32) 1 0 - 100.00 % 4");
+  const indicateurs = buildIndicateursFrontend(raw);
+  assert.equal(indicateurs.cbv.valN, 5);
+  assert.deepEqual(indicateurs.cbv.index, [7]);
+  assert.deepEqual([indicateurs.vols_tire.valN1, indicateurs.vols_tire.valN], [1, 0]);
+  assert.equal("vols_etalage" in indicateurs, false);
+  assert.equal(indicateurs.menaces.valN, null);
+  const statuts = buildStatutsExtraction(raw);
+  assert.equal(statuts.indicateurs.menaces.valN, "absent");
+  assert.equal("vols_etalage" in statuts.indicateurs, false);
+  assert.deepEqual(Object.keys(indicateurs), INDICATEURS.map((i) => i.key).filter((k) => k in indicateurs));
+});
@@ -0,0 +1,57 @@
+/**
+ * Prévisions à court terme (shared/previsions.js) : choix de la méthode selon l'historique, intervalles et
+ * passage d'une année à l'autre.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { prevoirSerie, previsionsCommune } from "../shared/previsions.js";
+
+/** Série mensuelle continue à partir de janvier 2022. */
+const serie = (valeurs, annee = 2022) => valeurs.map((valeur, i) => ({ annee: annee + Math.floor(i / 12), mois: (i % 12) + 1, valeur }));
+const saisonnier = (n) => Array.from({ length: n }, (_, i) => 30 + 10 * Math.sin((i % 12) / 12 * 2 * Math.PI) + (i % 3));
+
+const verifierIntervalles = (resultat) => {
+  for (const p of resultat.previsions) assert.ok(p.bas >= 0 && p.bas <= p.valeur && p.valeur <= p.haut, JSON.stringify(p));
+};
+
+test("méthode selon l'historique : Holt-Winters, saisonnier naïf, moyenne récente", () => {
+  const hw = prevoirSerie(serie(saisonnier(30)), { horizon: 6 });
+  assert.equal(hw.methode, "holt-winters");
+  assert.equal(hw.previsions.length, 6);
+  verifierIntervalles(hw);
+  // La saisonnalité est reprise : octobre (creux de la série) sous août
+  assert.ok(hw.previsions.find((p) => p.mois === 10).valeur < hw.previsions.find((p) => p.mois === 8).valeur);
+
+  const naif = prevoirSerie(serie(saisonnier(16)), { horizon: 3 });
+  assert.equal(naif.methode, "saisonnier-naif");
+  assert.deepEqual(naif.previsions.map((p) => p.valeur), saisonnier(16).slice(4, 7));
+  verifierIntervalles(naif);
+
+  const moyenne = prevoirSerie(serie([10, null, 12, 14, 8]), { horizon: 3 });
+  assert.equal(moyenne.methode, "moyenne-recente");
+  assert.equal(moyenne.previsions[0].valeur, 11);
+  verifierIntervalles(moyenne);
+  // Intervalle à 95 % plus large qu'à 80 %
+  const large = prevoirSerie(serie([10, null, 12, 14, 8]), { horizon: 3, niveau: 0.95 });
+  assert.ok(large.previsions[0].haut - large.previsions[0].bas > moyenne.previsions[0].haut - moyenne.previsions[0].bas);
+
+  assert.equal(prevoirSerie(serie([5, null, 7])), null);
+  assert.equal(prevoirSerie([]), null);
+});
+
+test("mois prévus après le dernier mois importé, y compris sur l'année suivante", () => {
+  const r = prevoirSerie(serie([3, 4, 5, 2, 3, 4, 5, 6, 4, 3, 5], 2024), { horizon: 4 });
+  assert.deepEqual(r.previsions.map(({ annee, mois }) => [annee, mois]), [[2024, 12], [2025, 1], [2025, 2], [2025, 3]]);
+});
+
+test("prévisions d'une commune : faits constatés et catégories", () => {
+  const entries = [1, 2, 3, 4].map((m) => ({
+    annee: 2024, mois: m,
+    indicateurs: { general_faits: { valN: 20 + m }, cbv: { valN: 2 }, menaces: { valN: 1 }, vols_simples: { valN: m } },
+  }));
+  const r = previsionsCommune([...entries, { erreur: "illisible" }], { horizon: 3 });
+  assert.equal(r.general_faits.previsions[0].valeur, 22.5);
+  assert.equal(r.categories.Personnes.previsions[0].valeur, 3);
+  assert.equal(r.categories.Vols.previsions[0].valeur, 2.5);
+  assert.ok(!("Général" in r.categories));
+});
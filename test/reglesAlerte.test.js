@@ -0,0 +1,65 @@
+/**
+ * Règles d'alerte (shared/reglesAlerte.js) : niveaux, seuils par défaut, personnalisation par commune.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { niveauSeuil, niveauRapport, niveauFaits, reglesCommune, normaliserPersonnalisation, modifierSeuil } from "../shared/reglesAlerte.js";
+
+test("niveaux : au-delà du seuil (ou dès le seuil si inclusif), seuils absents", () => {
+  const seuils = { vigilance: 4, alerte: 9 };
+  assert.deepEqual([0, 4, 5, 9, 10].map((v) => niveauSeuil(seuils, v)), ["normal", "normal", "vigilance", "vigilance", "alerte"]);
+  assert.equal(niveauSeuil(seuils, null), null);
+  assert.equal(niveauSeuil({ vigilance: null, alerte: null }, 12), null);
+  assert.equal(niveauSeuil({ vigilance: null, alerte: 4 }, 3), "normal");
+  assert.equal(niveauSeuil({ vigilance: 0, alerte: 50 }, "12.5"), "vigilance");
+  assert.deepEqual([4, 9].map((v) => niveauSeuil({ ...seuils, inclusif: ["alerte"] }, v)), ["normal", "alerte"]);
+});
+
+test("seuils par défaut : valeurs historiques de l'application", () => {
+  const r = reglesCommune();
+  assert.deepEqual(r.cbv.volume, { vigilance: 4, alerte: 9 });
+  assert.deepEqual(r.cbv.variation, { vigilance: 0, alerte: 50 });
+  assert.deepEqual(r.general_faits.taux, { vigilance: 4, alerte: 8, inclusif: ["vigilance"] });
+  assert.deepEqual(r.roulotte.cumul, { vigilance: 9, alerte: 19 });
+  assert.equal(r.general_taux, undefined);
+  // Faits du mois : le plus élevé des niveaux de volume et de taux
+  assert.equal(niveauFaits(r.general_faits, 3, 300), "alerte");
+  assert.equal(niveauFaits({ ...r.cbv, taux: { vigilance: 0.5, alerte: null } }, 3, 5000), "vigilance");
+  assert.equal(niveauFaits(r.cbv, 3, null), "normal");
+});
+
+test("limites historiques des seuils par défaut : taux de 4 ‰ et variation de 0 %", () => {
+  const r = reglesCommune();
+  // Taux « Modéré » dès 4 ‰, « Élevé » au-delà de 8 ‰
+  assert.deepEqual([3.99, 4, 8, 8.01].map((t) => niveauSeuil(r.general_faits.taux, t)), ["normal", "vigilance", "vigilance", "alerte"]);
+  // Limite conservée quand le seuil est personnalisé
+  const p = modifierSeuil({}, "*", "general_faits", "taux", "vigilance", 5);
+  assert.equal(niveauSeuil(reglesCommune(p).general_faits.taux, 5), "vigilance");
+  // Variation nulle : en vert dans les couleurs, 🟡 dans la colonne de niveau du rapport
+  assert.deepEqual([-5, 0, 1, 50, 51].map((v) => niveauSeuil(r.cbv.variation, v)), ["normal", "normal", "vigilance", "vigilance", "alerte"]);
+  assert.deepEqual([-5, 0, 1, 50, 51].map((v) => niveauRapport(r.cbv.variation, v)), ["normal", "vigilance", "vigilance", "vigilance", "alerte"]);
+  assert.equal(niveauRapport(undefined, 3), null);
+});
+
+test("personnalisation : toutes les communes puis la commune, champ par champ", () => {
+  let p = modifierSeuil({}, "*", "camb_resid", "volume", "alerte", 6);
+  p = modifierSeuil(p, "saint-alban", "camb_resid", "volume", "vigilance", 2);
+  p = modifierSeuil(p, "saint-alban", "roulotte", "cumul", "alerte", null);
+  assert.deepEqual(reglesCommune(p, "saint-alban").camb_resid.volume, { vigilance: 2, alerte: 6 });
+  assert.deepEqual(reglesCommune(p, "autre").camb_resid.volume, { vigilance: 4, alerte: 6 });
+  assert.deepEqual(reglesCommune(p, "saint-alban").roulotte.cumul, { vigilance: 9, alerte: null });
+  // « Aucun seuil » conservé à la relecture du stockage local
+  assert.deepEqual(normaliserPersonnalisation(JSON.parse(JSON.stringify(p)))["saint-alban"].roulotte, { cumul: { alerte: null } });
+
+  // Retour à la valeur héritée : niveaux vides retirés
+  p = modifierSeuil(p, "saint-alban", "camb_resid", "volume", "vigilance", undefined);
+  p = modifierSeuil(p, "saint-alban", "roulotte", "cumul", "alerte", undefined);
+  assert.deepEqual(p, { "*": { camb_resid: { volume: { alerte: 6 } } } });
+
+  // Stockage local : entrées inconnues ou invalides ignorées
+  assert.deepEqual(normaliserPersonnalisation({
+    "*": { cbv: { volume: { alerte: 3, vigilance: "x" }, inconnu: { alerte: 1 } }, general_taux: { taux: { alerte: 1 } } },
+    "b": null,
+  }), { "*": { cbv: { volume: { alerte: 3 } } } });
+  assert.deepEqual(normaliserPersonnalisation("corrompu"), {});
+});
@@ -0,0 +1,33 @@
+/**
+ * Séries mensuelles sur plusieurs années (shared/seriesMensuelles.js).
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { comparerMois, axeChronologique, moisManquants, superpositionAnnuelle, libelleCourt } from "../shared/seriesMensuelles.js";
+
+const mois = (annee, m, valN) => ({ annee, mois: m, valN });
+const entries = [mois(2024, 1, 30), mois(2023, 1, 20), mois(2023, 11, 25), mois(2024, 2, 28), mois(2023, 10, 22)];
+
+test("ordre chronologique : janvier 2023 avant janvier 2024", () => {
+  assert.deepEqual([...entries].sort(comparerMois).map((e) => `${e.mois}/${e.annee}`), ["1/2023", "10/2023", "11/2023", "1/2024", "2/2024"]);
+  assert.equal(libelleCourt(1, 2024, true), "Jan 24");
+  assert.equal(libelleCourt(8, 2024, false), "Aoû");
+});
+
+test("axe continu et mois manquants d'une année sur l'autre", () => {
+  const axe = axeChronologique(entries);
+  assert.equal(axe.length, 14);
+  assert.deepEqual([axe[0].entree.valN, axe[13].entree.valN], [20, 28]);
+  assert.deepEqual(moisManquants(entries).map((m) => `${m.moisLabel} ${m.annee}`),
+    ["Février 2023", "Mars 2023", "Avril 2023", "Mai 2023", "Juin 2023", "Juillet 2023", "Août 2023", "Septembre 2023", "Décembre 2023"]);
+  assert.deepEqual(moisManquants([mois(2023, 12, 1), mois(2024, 1, 2)]), []);
+  assert.deepEqual(axeChronologique([]), []);
+});
+
+test("superposition : une colonne par année sur janvier — décembre", () => {
+  const { annees, lignes } = superpositionAnnuelle(entries, (e) => e.valN);
+  assert.deepEqual(annees, [2023, 2024]);
+  assert.equal(lignes.length, 12);
+  assert.deepEqual(lignes[0], { mois: "Jan", 2023: 20, 2024: 30 });
+  assert.deepEqual(lignes[10], { mois: "Nov", 2023: 25, 2024: null });
+});
@@ -0,0 +1,61 @@
+/**
+ * Stockage SQLite du serveur : un mois relu est identique au mois enregistré, mises à jour et suppressions.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const { createMonthStore } = require("../server/monthStore.js");
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const golden = fs.readdirSync(GOLDEN_DIR).sort().map((f) => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8")));
+
+test("mois enregistré puis relu à l'identique, communes et filtres", (t) => {
+  const store = createMonthStore(":memory:");
+  t.after(() => store.close());
+  const saved = golden.map((entry) => store.saveMonth(entry, Buffer.from("%PDF"), { importeLe: 1 }));
+  for (const [i, entry] of golden.entries()) {
+    assert.deepEqual(store.getMonth(saved[i].id), { ...entry, id: saved[i].id, importeLe: 1 });
+  }
+  assert.equal(store.listMonths().length, golden.length);
+  assert.deepEqual(store.listMonths({ annee: 2024 }).map((m) => m.annee), [2024]);
+  const communeKey = golden[0].communeKey;
+  assert.equal(store.listMonths({ communeKey }).length, golden.filter((e) => e.communeKey === communeKey).length);
+  assert.deepEqual(store.listMonths({ communeKey: "inconnue", annee: 2024 }), []);
+  assert.ok(store.listMonths().every((m) => !("pdf" in m)));
+  assert.equal(store.listCommunes().reduce((s, c) => s + c.nbMois, 0), golden.length);
+});
+
+test("mise à jour des valeurs, remplacement du même mois et suppression", (t) => {
+  const store = createMonthStore(":memory:");
+  t.after(() => store.close());
+  const entry = golden[0];
+  const { id } = store.saveMonth(entry);
+  assert.equal(store.hasPeriod(entry), true);
+  assert.equal(store.getMonthPdf(id), null);
+
+  const indicateurs = { ...entry.indicateurs, cbv: { ...entry.indicateurs.cbv, valN: 99 } };
+  const updated = store.updateMonth(id, { indicateurs, donneesSource: "corrigée", commune: "Ailleurs" });
+  assert.equal(updated.indicateurs.cbv.valN, 99);
+  assert.equal(updated.donneesSource, "corrigée");
+  assert.equal(updated.commune, entry.commune);
+  assert.ok(updated.modifieLe);
+  assert.equal(store.updateMonth("inconnu", {}), null);
+
+  // Nouveau PDF du même mois déposé dans le dossier surveillé : l'entrée corrigée est conservée, le fichier en erreur
+  assert.equal(store.recordFile("autre.pdf", { size: 4, mtimeMs: 1 }, entry, Buffer.from("%PDF")), null);
+  assert.equal(store.listMonths().length, 1);
+  assert.equal(store.getMonth(id).indicateurs.cbv.valN, 99);
+  assert.equal(store.getMonth(id).donneesSource, "corrigée");
+  assert.equal(store.getMonthPdf(id), null);
+  assert.deepEqual(store.listErrors().map((e) => e.fichierSource), ["autre.pdf"]);
+  assert.match(store.listErrors()[0].erreur, /^Mois déjà enregistré/);
+
+  assert.equal(store.deleteMonth(id), true);
+  assert.equal(store.deleteMonth(id), false);
+  assert.deepEqual(store.listCommunes(), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * Import de séries historiques depuis un tableur (shared/tableurImport.js) : lecture CSV et XLSX,
+ * correspondance des colonnes, conversion en mois.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import ExcelJS from "exceljs";
+import { lireCsv, lireXlsx, proposerCorrespondance, convertirTableau, periodeTableur } from "../shared/tableurImport.js";
+import { lignesExport, toCsv } from "../shared/exportDonnees.js";
+import { champsAVerifier } from "../shared/controleExtraction.js";
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const golden = fs.readdirSync(GOLDEN_DIR).sort().map((f) => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8")));
+
+test("périodes : numéro, nom de mois, dates", () => {
+  assert.deepEqual(periodeTableur(3, 2019), { mois: 3, annee: 2019 });
+  assert.deepEqual(periodeTableur("Février", "2018"), { mois: 2, annee: 2018 });
+  assert.deepEqual(periodeTableur("aout 2017", null), { mois: 8, annee: 2017 });
+  assert.deepEqual(periodeTableur("2016-11", null), { mois: 11, annee: 2016 });
+  assert.deepEqual(periodeTableur("01/12/2015", null), { mois: 12, annee: 2015 });
+  assert.deepEqual(periodeTableur(new Date(Date.UTC(2014, 4, 1)), null), { mois: 5, annee: 2014 });
+  assert.equal(periodeTableur(13, 2019), null);
+  assert.equal(periodeTableur("mars", null), null);
+});
+
+test("CSV large (point-virgule, décimales françaises) : une colonne par indicateur, commune saisie", () => {
+  const tableau = lireCsv([
+    "Mois;Année;Population;Faits constatés;Cambriolages résidentiels;Menaces ou chantages",
+    "janvier;2018;6 012;38;4;\"2\"",
+    "février;2018;6 012;41;;3",
+    ";;;;;",
+    "février;2018;6 012;40;1;1",
+    "13;2018;6 012;1;1;1",
+  ].join("\r\n"));
+  const corresp = proposerCorrespondance(tableau.entetes);
+  assert.equal(corresp.format, "large");
+  assert.deepEqual(corresp.colonnes, { commune: null, annee: 1, mois: 0, population: 2, indicateur: null, valN: null, valN1: null, cumul: null, cumulN1: null });
+  assert.deepEqual(Object.keys(corresp.indicateurs), ["general_faits", "menaces", "camb_resid"]);
+
+  const { entrees, erreurs } = convertirTableau(tableau, { ...corresp, communeFixe: "Saint-Alban" }, { fichierSource: "historique.csv" });
+  assert.deepEqual(erreurs.map((e) => e.fichierSource), ["historique.csv (ligne 5)", "historique.csv (ligne 6)"]);
+  assert.equal(entrees.length, 2);
+  const [janvier, fevrier] = entrees;
+  assert.equal(janvier.communeKey, "saint alban");
+  assert.equal(janvier.donneesSource, "historique");
+  assert.deepEqual(janvier.provenance, { type: "tableur", fichier: "historique.csv", feuille: null, lignes: [2] });
+  assert.equal(janvier.population, 6012);
+  assert.equal(janvier.indicateurs.general_faits.valN, 38);
+  assert.equal(janvier.indicateurs.general_taux.valN, 6.32);
+  assert.equal(janvier.indicateurs.menaces.valN, 2);
+  assert.equal(fevrier.indicateurs.camb_resid.valN, null);
+  assert.equal(fevrier.statuts.indicateurs.camb_resid.valN, "absent");
+  // N-1, cumuls et indicateurs sans colonne : non fournis, hors contrôle ; seule la cellule vide est à vérifier
+  assert.deepEqual([janvier.statuts.indicateurs.general_faits.valN1, janvier.statuts.indicateurs.general_faits.cumul,
+    janvier.statuts.indicateurs.roulotte.valN, janvier.statuts.indicateurs.general_taux.valN], ["non fourni", "non fourni", "non fourni", "trouvé"]);
+  assert.deepEqual(champsAVerifier(janvier), []);
+  assert.deepEqual(champsAVerifier(fevrier), [{ key: "camb_resid", field: "valN" }]);
+});
+
+test("format long : l'export CSV se réimporte à l'identique, index 4001 additionnés", () => {
+  const tableau = lireCsv(toCsv(lignesExport(golden)));
+  const corresp = proposerCorrespondance(tableau.entetes);
+  assert.equal(corresp.format, "long");
+  const { entrees, erreurs } = convertirTableau(tableau, corresp, { fichierSource: "export.csv" });
+  assert.deepEqual(erreurs, []);
+  assert.equal(entrees.length, golden.length);
+  const parPeriode = (e) => `${e.annee}-${e.mois}`;
+  for (const e of entrees) {
+    const ref = golden.find((g) => parPeriode(g) === parPeriode(e));
+    for (const [key, ind] of Object.entries(ref.indicateurs)) {
+      const { valN, valN1, cumul, cumulN1 } = e.indicateurs[key];
+      assert.deepEqual({ valN, valN1, cumul, cumulN1 }, { valN: ind.valN, valN1: ind.valN1, cumul: ind.cumul, cumulN1: ind.cumulN1 }, key);
+    }
+  }
+
+  const parIndex = lireCsv("commune,mois,index,valeur\nAlbi,2012-03,11,2\nAlbi,2012-03,12,5\nAlbi,2012-03,999,1\nAlbi,2012-03,menaces,1");
+  const r = convertirTableau(parIndex, proposerCorrespondance(parIndex.entetes), { fichierSource: "4001.csv" });
+  assert.equal(r.entrees[0].indicateurs.menaces.valN, 7);
+  // Sans colonnes N-1 ni cumul, indicateurs sans ligne : non fournis, rien à vérifier
+  assert.deepEqual([r.entrees[0].statuts.indicateurs.menaces.valN1, r.entrees[0].statuts.indicateurs.cbv.valN], ["non fourni", "non fourni"]);
+  assert.deepEqual(champsAVerifier(r.entrees[0]), []);
+  assert.deepEqual(r.erreurs.map((e) => e.erreur), ["Indicateur inconnu : 999.", "Indicateur menaces en double (Mars 2012 — Albi)."]);
+});
+
+test("XLSX : première feuille non vide, dates et formules", async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Vide");
+  const ws = wb.addWorksheet("Série");
+  ws.addRow(["Commune", "Date", "Faits constatés", "camb_resid"]);
+  ws.addRow(["Albi", new Date(Date.UTC(2013, 0, 1)), 120, 9]);
+  ws.addRow(["Albi", new Date(Date.UTC(2013, 1, 1)), { formula: "C2+5", result: 125 }, 8]);
+  const tableau = await lireXlsx(ExcelJS, await wb.xlsx.writeBuffer());
+  assert.equal(tableau.feuille, "Série");
+  const corresp = proposerCorrespondance(tableau.entetes);
+  assert.equal(corresp.colonnes.mois, 1);
+  const { entrees } = convertirTableau(tableau, corresp, { fichierSource: "albi.xlsx", feuille: tableau.feuille });
+  assert.deepEqual(entrees.map((e) => [e.moisLabel, e.annee, e.indicateurs.general_faits.valN]), [["Janvier", 2013, 120], ["Février", 2013, 125]]);
+  assert.equal(entrees[1].provenance.feuille, "Série");
+});
@@ -0,0 +1,68 @@
+/**
+ * Surveillance de dossier côté serveur : nouveaux PDF parsés une seule fois, erreurs mémorisées, mois existants conservés,
+ * PDF modifié re-parsé.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const { createMonthStore } = require("../server/monthStore.js");
+const { scanFolder } = require("../server/watchFolder.js");
+
+const PDF_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "PDS_exemples");
+const [pdf] = fs.readdirSync(PDF_DIR).filter((f) => /\.pdf$/i.test(f)).sort();
+
+test("dossier surveillé : import, fichier déjà traité, PDF illisible", async (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "suivi-delinquance-"));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const dir = path.join(tmp, "partage");
+  fs.mkdirSync(path.join(dir, "2024"), { recursive: true });
+  fs.copyFileSync(path.join(PDF_DIR, pdf), path.join(dir, "2024", pdf));
+  fs.writeFileSync(path.join(dir, "abime.pdf"), "pas un PDF");
+  const storeFile = path.join(tmp, "data", "suivi.sqlite");
+  const later = Date.now() + 60000;
+
+  const store = createMonthStore(storeFile);
+  const first = await scanFolder(dir, store, { now: later });
+  assert.equal(first.importes.length, 1);
+  assert.deepEqual(first.erreurs.map((e) => e.fichierSource), ["abime.pdf"]);
+
+  // Rechargé depuis le disque : rien à refaire au passage suivant
+  store.close();
+  const reopened = createMonthStore(storeFile);
+  const second = await scanFolder(dir, reopened, { now: later });
+  assert.deepEqual(second, { importes: [], erreurs: [] });
+  const [mois] = reopened.listMonths();
+  assert.equal(mois.id, `${mois.communeKey.replace(/ /g, "-")}-${mois.annee}-${String(mois.mois).padStart(2, "0")}`);
+  assert.equal(mois.fichierSource, pdf);
+  assert.deepEqual(reopened.listErrors().map((e) => e.fichierSource), ["abime.pdf"]);
+
+  // Copie en cours (fichier modifié à l'instant) : attend le passage suivant
+  fs.copyFileSync(path.join(PDF_DIR, pdf), path.join(dir, `copie_${pdf}`));
+  assert.equal((await scanFolder(dir, reopened)).importes.length, 0);
+  // Même mois sous un autre nom : l'entrée existante est conservée, le fichier est signalé
+  const troisieme = await scanFolder(dir, reopened, { now: later });
+  assert.equal(troisieme.importes.length, 0);
+  assert.deepEqual(troisieme.erreurs.map((e) => e.fichierSource), [`copie_${pdf}`]);
+  assert.equal(reopened.listMonths().length, 1);
+  assert.equal(reopened.getMonth(mois.id).fichierSource, pdf);
+  assert.deepEqual(reopened.listErrors().map((e) => e.fichierSource), ["abime.pdf", `copie_${pdf}`]);
+
+  // PDF d'origine modifié : re-parsing du mois qu'il a créé, lien conservé, date d'import inchangée
+  const importeLe = reopened.getMonth(mois.id).importeLe;
+  reopened.updateMonth(mois.id, { population: 1, donneesSource: "corrigée" });
+  fs.utimesSync(path.join(dir, "2024", pdf), new Date(), new Date(later - 30000));
+  const quatrieme = await scanFolder(dir, reopened, { now: later });
+  assert.deepEqual(quatrieme.importes.map((e) => e.id), [mois.id]);
+  assert.equal(reopened.getMonth(mois.id).population, mois.population);
+  assert.equal(reopened.getMonth(mois.id).importeLe, importeLe);
+  assert.deepEqual(reopened.listErrors().map((e) => e.fichierSource), ["abime.pdf", `copie_${pdf}`]);
+  fs.utimesSync(path.join(dir, "2024", pdf), new Date(), new Date(later - 20000));
+  assert.deepEqual((await scanFolder(dir, reopened, { now: later })).importes.map((e) => e.id), [mois.id]);
+  reopened.close();
+});